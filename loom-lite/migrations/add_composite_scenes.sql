@@ -0,0 +1,144 @@
+-- Migration: add_composite_scenes.sql
+-- Purpose: scenes that show two websites at once (side by side or picture-in-picture)
+--
+-- scenes.composite is NULL for single-site scenes, or JSONB:
+--   { "layout": "side_by_side" | "pip",
+--     "entry_type": "manual" | "csv",
+--     "url": "competitor.com",            -- manual second site
+--     "csv_column": "competitor_url",     -- or a CSV column (entry_type = csv)
+--     "primary_label": "{{company}}",     -- optional labels, {{column}} templates allowed
+--     "secondary_label": "Competitor" }
+-- The second site is recorded for the same duration with its own motion
+-- engine run and composed into the scene by the worker.
+
+-- 1. Extend scenes table
+ALTER TABLE scenes
+  ADD COLUMN IF NOT EXISTS composite JSONB;
+
+-- 2. Refresh claim_render_job so the worker receives the composite settings
+DROP FUNCTION IF EXISTS claim_render_job();
+CREATE FUNCTION claim_render_job()
+RETURNS TABLE(
+  job_id UUID,
+  render_id UUID,
+  campaign_id UUID,
+  campaign_name TEXT,
+  scenes JSONB,
+  facecam_url TEXT,
+  lead_csv_url TEXT,
+  lead_row_index INTEGER,
+  output_settings JSONB
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_job_id UUID;
+  v_render_id UUID;
+  v_campaign_id UUID;
+BEGIN
+  -- Atomically select and lock the oldest queued job
+  SELECT j.id, j.render_id
+  INTO v_job_id, v_render_id
+  FROM render_jobs j
+  WHERE j.state = 'queued'
+  ORDER BY j.created_at ASC
+  FOR UPDATE SKIP LOCKED
+  LIMIT 1;
+
+  -- If no job found, return empty result
+  IF v_job_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Update the job state to running
+  UPDATE render_jobs
+  SET
+    state = 'running',
+    started_at = NOW(),
+    updated_at = NOW()
+  WHERE id = v_job_id;
+
+  -- Update the render status to recording
+  UPDATE renders
+  SET
+    status = 'recording',
+    progress = 5,
+    updated_at = NOW()
+  WHERE id = v_render_id;
+
+  -- Get campaign_id from renders table
+  SELECT r.campaign_id
+  INTO v_campaign_id
+  FROM renders r
+  WHERE r.id = v_render_id;
+
+  -- Return job details with scenes and campaign info
+  RETURN QUERY
+  SELECT
+    v_job_id as job_id,
+    v_render_id as render_id,
+    c.id as campaign_id,
+    c.name as campaign_name,
+    (
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', s.id,
+          'url', s.url,
+          'duration_sec', s.duration_sec,
+          'order_index', s.order_index,
+          'entry_type', s.entry_type,
+          'csv_column', s.csv_column,
+          'overlays', COALESCE(s.overlays, '[]'::jsonb),
+          'actions', COALESCE(s.actions, '[]'::jsonb),
+          'page_cleanup', COALESCE(s.page_cleanup, TRUE),
+          'hme_profile', COALESCE(s.hme_profile, c.hme_profile),
+          'focus_targets', COALESCE(s.focus_targets, '[]'::jsonb),
+          'hme_seed', s.hme_seed,
+          'device', s.device,
+          'composite', s.composite
+        ) ORDER BY s.order_index
+      )
+      FROM scenes s
+      WHERE s.campaign_id = c.id
+    ) as scenes,
+    c.facecam_url,
+    c.lead_csv_url,
+    j.lead_row_index,
+    jsonb_build_object(
+      'width', COALESCE(c.output_width, 1920),
+      'height', COALESCE(c.output_height, 1080),
+      'fps', COALESCE(c.output_fps, 60),
+      'facecam', jsonb_build_object(
+        'pip', jsonb_build_object(
+          'width', 320,
+          'margin', 24,
+          'corner', 'bottom-right'
+        ),
+        'endPadMode', 'freeze'
+      ),
+      'branding', jsonb_build_object(
+        'name', r.brand_name,
+        'logo_url', r.brand_logo_url,
+        'calendly_url', r.brand_calendly_url,
+        'corner', COALESCE(c.brand_corner, 'top-right')
+      ),
+      'cards', jsonb_build_object(
+        'intro', c.intro_card,
+        'outro', c.outro_card
+      ),
+      'cursor', c.cursor_settings,
+      'camera', c.camera_settings,
+      'auth', c.recording_auth
+    ) as output_settings
+  FROM campaigns c
+  JOIN render_jobs j ON j.id = v_job_id
+  JOIN renders r ON r.id = v_render_id
+  WHERE c.id = v_campaign_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_render_job() TO service_role;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_scene_device.sql.
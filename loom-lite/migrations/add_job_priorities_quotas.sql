@@ -0,0 +1,340 @@
+-- Migration: add_job_priorities_quotas.sql
+-- Purpose: job priorities, per-user fair scheduling and render quotas
+--
+-- claim_render_job used to take the oldest queued job, so one user enqueuing a
+-- large lead CSV starved everyone else until the whole batch had rendered.
+--
+-- render_jobs.priority   higher runs first (default 0). Users can only queue
+--                        at 0 or -1 (low, for background batches; enforced by
+--                        the render_jobs insert policy); higher values are set
+--                        by operators.
+-- user_quotas            per-user overrides of the default quota stored in
+--                        system_settings ('default_user_quota'):
+--   max_concurrent_jobs      jobs of one user rendering at the same time
+--   monthly_render_minutes   video minutes per calendar month (UTC); NULL in
+--                            a user_quotas row = unlimited
+--
+-- Both limits are enforced at claim time. POST /api/campaigns/[id]/render also
+-- refuses (429) a batch that would go over the monthly minutes.
+
+-- 1. Extend render_jobs table
+ALTER TABLE render_jobs
+  ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS render_jobs_queued_priority_idx
+  ON render_jobs (priority DESC, created_at ASC)
+  WHERE state = 'queued';
+
+-- Users queue at normal (0) or low (-1) priority only; higher values are for
+-- operators (service role). Same ownership check as fix_render_jobs_rls.sql.
+DROP POLICY IF EXISTS "Users can insert render jobs for their campaigns" ON render_jobs;
+CREATE POLICY "Users can insert render jobs for their campaigns"
+ON render_jobs FOR INSERT
+TO authenticated
+WITH CHECK (
+  priority IN (0, -1)
+  AND EXISTS (
+    SELECT 1 FROM renders r
+    JOIN campaigns c ON r.campaign_id = c.id
+    WHERE r.id = render_jobs.render_id
+    AND c.user_id = auth.uid()
+  )
+);
+
+-- 2. Quota settings
+INSERT INTO system_settings (key, value)
+VALUES (
+  'default_user_quota',
+  jsonb_build_object('max_concurrent_jobs', 2, 'monthly_render_minutes', 600)
+)
+ON CONFLICT (key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS user_quotas (
+  user_id UUID PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  max_concurrent_jobs INTEGER NULL CHECK (max_concurrent_jobs >= 1),
+  monthly_render_minutes INTEGER NULL CHECK (monthly_render_minutes >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE user_quotas ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS user_quotas_service_role_full_access ON user_quotas;
+CREATE POLICY user_quotas_service_role_full_access
+ON user_quotas
+FOR ALL
+USING (auth.role() = 'service_role')
+WITH CHECK (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS user_quotas_select_own ON user_quotas;
+CREATE POLICY user_quotas_select_own
+ON user_quotas
+FOR SELECT
+USING (auth.uid() = user_id);
+
+-- 3. Quota state for one user
+-- Used minutes count every render of the month that was claimed and did not
+-- fail or get cancelled (running jobs reserve their minutes up front).
+DROP FUNCTION IF EXISTS render_quota_for(UUID);
+CREATE FUNCTION render_quota_for(p_user_id UUID)
+RETURNS TABLE(
+  max_concurrent_jobs INTEGER,
+  monthly_render_minutes INTEGER,
+  active_jobs INTEGER,
+  queued_jobs INTEGER,
+  used_seconds NUMERIC,
+  queued_seconds NUMERIC,
+  period_start TIMESTAMPTZ,
+  period_end TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH defaults AS (
+    SELECT value FROM system_settings WHERE key = 'default_user_quota'
+  ),
+  period AS (
+    SELECT
+      date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS start_at,
+      (date_trunc('month', NOW() AT TIME ZONE 'UTC') + INTERVAL '1 month') AT TIME ZONE 'UTC' AS end_at
+  ),
+  jobs AS (
+    SELECT j.state, j.started_at, COALESCE(r.duration_sec, 0) AS duration_sec
+    FROM render_jobs j
+    JOIN renders r ON r.id = j.render_id
+    JOIN campaigns c ON c.id = r.campaign_id
+    WHERE c.user_id = p_user_id
+      AND (j.state IN ('queued', 'running', 'processing') OR j.started_at >= (SELECT start_at FROM period))
+  )
+  SELECT
+    COALESCE(
+      uq.max_concurrent_jobs,
+      (SELECT (value->>'max_concurrent_jobs')::INTEGER FROM defaults),
+      2
+    ) AS max_concurrent_jobs,
+    CASE
+      WHEN uq.user_id IS NOT NULL THEN uq.monthly_render_minutes
+      ELSE (SELECT (value->>'monthly_render_minutes')::INTEGER FROM defaults)
+    END AS monthly_render_minutes,
+    (SELECT COUNT(*)::INTEGER FROM jobs WHERE state IN ('running', 'processing')) AS active_jobs,
+    (SELECT COUNT(*)::INTEGER FROM jobs WHERE state = 'queued') AS queued_jobs,
+    (
+      SELECT COALESCE(SUM(duration_sec), 0)
+      FROM jobs
+      WHERE state IN ('running', 'processing', 'completed')
+        AND started_at >= (SELECT start_at FROM period)
+    ) AS used_seconds,
+    (SELECT COALESCE(SUM(duration_sec), 0) FROM jobs WHERE state = 'queued') AS queued_seconds,
+    (SELECT start_at FROM period) AS period_start,
+    (SELECT end_at FROM period) AS period_end
+  FROM (SELECT p_user_id AS user_id) u
+  LEFT JOIN user_quotas uq ON uq.user_id = u.user_id;
+$$;
+
+REVOKE ALL ON FUNCTION render_quota_for(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION render_quota_for(UUID) TO service_role;
+
+-- 4. Quota state for the signed-in user (dashboard, render API)
+DROP FUNCTION IF EXISTS get_render_quota();
+CREATE FUNCTION get_render_quota()
+RETURNS TABLE(
+  max_concurrent_jobs INTEGER,
+  monthly_render_minutes INTEGER,
+  active_jobs INTEGER,
+  queued_jobs INTEGER,
+  used_seconds NUMERIC,
+  queued_seconds NUMERIC,
+  period_start TIMESTAMPTZ,
+  period_end TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN QUERY SELECT * FROM render_quota_for(auth.uid());
+END;
+$$;
+
+REVOKE ALL ON FUNCTION get_render_quota() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_render_quota() TO authenticated;
+
+-- 5. Refresh claim_render_job so it schedules fairly and enforces quotas
+DROP FUNCTION IF EXISTS claim_render_job();
+CREATE FUNCTION claim_render_job()
+RETURNS TABLE(
+  job_id UUID,
+  render_id UUID,
+  campaign_id UUID,
+  campaign_name TEXT,
+  scenes JSONB,
+  facecam_url TEXT,
+  lead_csv_url TEXT,
+  lead_row_index INTEGER,
+  output_settings JSONB
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_job_id UUID;
+  v_render_id UUID;
+  v_campaign_id UUID;
+BEGIN
+  -- One claim at a time, so two workers can't both see a free slot for the same owner
+  PERFORM pg_advisory_xact_lock(hashtext('claim_render_job'));
+
+  -- Atomically select and lock the next job:
+  --   highest priority first, then the owner with the fewest running jobs,
+  --   the owner and campaign served longest ago, and finally the oldest job.
+  -- Owners at their concurrent-job limit or out of monthly minutes are skipped;
+  -- their jobs stay queued until a slot frees up or the month rolls over.
+  WITH queued_owners AS (
+    SELECT DISTINCT qc.user_id
+    FROM render_jobs qj
+    JOIN renders qr ON qr.id = qj.render_id
+    JOIN campaigns qc ON qc.id = qr.campaign_id
+    WHERE qj.state = 'queued'
+  ),
+  owners AS (
+    SELECT o.user_id, q.active_jobs, q.used_seconds, q.monthly_render_minutes
+    FROM queued_owners o
+    CROSS JOIN LATERAL render_quota_for(o.user_id) q
+    WHERE q.active_jobs < q.max_concurrent_jobs
+  ),
+  served AS (
+    SELECT sr.campaign_id, MAX(sj.started_at) AS last_started_at
+    FROM render_jobs sj
+    JOIN renders sr ON sr.id = sj.render_id
+    WHERE sj.started_at > NOW() - INTERVAL '1 day'
+    GROUP BY sr.campaign_id
+  ),
+  owner_served AS (
+    SELECT oc.user_id, MAX(s.last_started_at) AS last_started_at
+    FROM served s
+    JOIN campaigns oc ON oc.id = s.campaign_id
+    GROUP BY oc.user_id
+  )
+  SELECT j.id, j.render_id
+  INTO v_job_id, v_render_id
+  FROM render_jobs j
+  JOIN renders r ON r.id = j.render_id
+  JOIN campaigns c ON c.id = r.campaign_id
+  JOIN owners o ON o.user_id = c.user_id
+  LEFT JOIN owner_served os ON os.user_id = c.user_id
+  LEFT JOIN served cs ON cs.campaign_id = c.id
+  WHERE j.state = 'queued'
+    AND (
+      o.monthly_render_minutes IS NULL
+      OR o.used_seconds + COALESCE(r.duration_sec, 0) <= o.monthly_render_minutes * 60
+    )
+  ORDER BY
+    j.priority DESC,
+    o.active_jobs ASC,
+    os.last_started_at ASC NULLS FIRST,
+    cs.last_started_at ASC NULLS FIRST,
+    j.created_at ASC
+  FOR UPDATE OF j SKIP LOCKED
+  LIMIT 1;
+
+  -- If no job found, return empty result
+  IF v_job_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Update the job state to running
+  UPDATE render_jobs
+  SET
+    state = 'running',
+    started_at = NOW(),
+    updated_at = NOW()
+  WHERE id = v_job_id;
+
+  -- Update the render status to recording
+  UPDATE renders
+  SET
+    status = 'recording',
+    progress = 5,
+    updated_at = NOW()
+  WHERE id = v_render_id;
+
+  -- Get campaign_id from renders table
+  SELECT r.campaign_id
+  INTO v_campaign_id
+  FROM renders r
+  WHERE r.id = v_render_id;
+
+  -- Return job details with scenes and campaign info
+  RETURN QUERY
+  SELECT
+    v_job_id as job_id,
+    v_render_id as render_id,
+    c.id as campaign_id,
+    c.name as campaign_name,
+    (
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', s.id,
+          'url', s.url,
+          'duration_sec', s.duration_sec,
+          'order_index', s.order_index,
+          'entry_type', s.entry_type,
+          'csv_column', s.csv_column,
+          'overlays', COALESCE(s.overlays, '[]'::jsonb),
+          'actions', COALESCE(s.actions, '[]'::jsonb),
+          'page_cleanup', COALESCE(s.page_cleanup, TRUE),
+          'hme_profile', COALESCE(s.hme_profile, c.hme_profile),
+          'focus_targets', COALESCE(s.focus_targets, '[]'::jsonb),
+          'hme_seed', s.hme_seed,
+          'device', s.device,
+          'composite', s.composite,
+          'capture_mode', s.capture_mode
+        ) ORDER BY s.order_index
+      )
+      FROM scenes s
+      WHERE s.campaign_id = c.id
+    ) as scenes,
+    c.facecam_url,
+    c.lead_csv_url,
+    j.lead_row_index,
+    jsonb_build_object(
+      'width', COALESCE(c.output_width, 1920),
+      'height', COALESCE(c.output_height, 1080),
+      'fps', COALESCE(c.output_fps, 60),
+      'facecam', jsonb_build_object(
+        'pip', jsonb_build_object(
+          'width', 320,
+          'margin', 24,
+          'corner', 'bottom-right'
+        ),
+        'endPadMode', 'freeze'
+      ),
+      'branding', jsonb_build_object(
+        'name', r.brand_name,
+        'logo_url', r.brand_logo_url,
+        'calendly_url', r.brand_calendly_url,
+        'corner', COALESCE(c.brand_corner, 'top-right')
+      ),
+      'cards', jsonb_build_object(
+        'intro', c.intro_card,
+        'outro', c.outro_card
+      ),
+      'cursor', c.cursor_settings,
+      'camera', c.camera_settings,
+      'auth', c.recording_auth
+    ) as output_settings
+  FROM campaigns c
+  JOIN render_jobs j ON j.id = v_job_id
+  JOIN renders r ON r.id = v_render_id
+  WHERE c.id = v_campaign_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_render_job() TO service_role;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_scene_capture_mode.sql.
@@ -0,0 +1,209 @@
+-- Migration: add_job_retries.sql
+-- Purpose: automatic retry of failed render jobs and a dead-letter state
+--
+-- When a job fails the worker classifies the error (loom-lite/src/utils/jobFailures.js):
+--   transient  network, Steel/browser crash, ffmpeg killed, storage hiccup
+--              -> back to 'queued' with next_attempt_at (1 min, 4 min, 16 min...)
+--   permanent  bad URL, duration mismatch, lead row out of bounds
+--              -> 'dead' straight away
+-- Jobs that fail max_attempts times are 'dead' as well. Dead jobs keep their
+-- structured failure (also copied to renders.failure for the campaign page)
+-- until the user retries them from the campaign page.
+--
+-- failure JSONB: { kind, code, message, stage, attempt, max_attempts, failed_at, retry_at }
+
+-- 1. Extend render_jobs and renders tables
+ALTER TABLE render_jobs
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts >= 1),
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS failure JSONB;
+
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS failure JSONB;
+
+-- 2. Refresh claim_render_job so it skips jobs waiting out a backoff, counts
+--    attempts and tells the worker which attempt it is running
+DROP FUNCTION IF EXISTS claim_render_job();
+CREATE FUNCTION claim_render_job()
+RETURNS TABLE(
+  job_id UUID,
+  render_id UUID,
+  campaign_id UUID,
+  campaign_name TEXT,
+  scenes JSONB,
+  facecam_url TEXT,
+  lead_csv_url TEXT,
+  lead_row_index INTEGER,
+  output_settings JSONB,
+  attempt INTEGER,
+  max_attempts INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_job_id UUID;
+  v_render_id UUID;
+  v_campaign_id UUID;
+BEGIN
+  -- One claim at a time, so two workers can't both see a free slot for the same owner
+  PERFORM pg_advisory_xact_lock(hashtext('claim_render_job'));
+
+  -- Atomically select and lock the next job:
+  --   highest priority first, then the owner with the fewest running jobs,
+  --   the owner and campaign served longest ago, and finally the oldest job.
+  -- Owners at their concurrent-job limit or out of monthly minutes are skipped;
+  -- their jobs stay queued until a slot frees up or the month rolls over.
+  -- Jobs requeued after a transient failure wait for next_attempt_at.
+  WITH queued_owners AS (
+    SELECT DISTINCT qc.user_id
+    FROM render_jobs qj
+    JOIN renders qr ON qr.id = qj.render_id
+    JOIN campaigns qc ON qc.id = qr.campaign_id
+    WHERE qj.state = 'queued'
+      AND (qj.next_attempt_at IS NULL OR qj.next_attempt_at <= NOW())
+  ),
+  owners AS (
+    SELECT o.user_id, q.active_jobs, q.used_seconds, q.monthly_render_minutes
+    FROM queued_owners o
+    CROSS JOIN LATERAL render_quota_for(o.user_id) q
+    WHERE q.active_jobs < q.max_concurrent_jobs
+  ),
+  served AS (
+    SELECT sr.campaign_id, MAX(sj.started_at) AS last_started_at
+    FROM render_jobs sj
+    JOIN renders sr ON sr.id = sj.render_id
+    WHERE sj.started_at > NOW() - INTERVAL '1 day'
+    GROUP BY sr.campaign_id
+  ),
+  owner_served AS (
+    SELECT oc.user_id, MAX(s.last_started_at) AS last_started_at
+    FROM served s
+    JOIN campaigns oc ON oc.id = s.campaign_id
+    GROUP BY oc.user_id
+  )
+  SELECT j.id, j.render_id
+  INTO v_job_id, v_render_id
+  FROM render_jobs j
+  JOIN renders r ON r.id = j.render_id
+  JOIN campaigns c ON c.id = r.campaign_id
+  JOIN owners o ON o.user_id = c.user_id
+  LEFT JOIN owner_served os ON os.user_id = c.user_id
+  LEFT JOIN served cs ON cs.campaign_id = c.id
+  WHERE j.state = 'queued'
+    AND (j.next_attempt_at IS NULL OR j.next_attempt_at <= NOW())
+    AND (
+      o.monthly_render_minutes IS NULL
+      OR o.used_seconds + COALESCE(r.duration_sec, 0) <= o.monthly_render_minutes * 60
+    )
+  ORDER BY
+    j.priority DESC,
+    o.active_jobs ASC,
+    os.last_started_at ASC NULLS FIRST,
+    cs.last_started_at ASC NULLS FIRST,
+    j.created_at ASC
+  FOR UPDATE OF j SKIP LOCKED
+  LIMIT 1;
+
+  -- If no job found, return empty result
+  IF v_job_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Update the job state to running and count the attempt
+  UPDATE render_jobs
+  SET
+    state = 'running',
+    attempts = attempts + 1,
+    next_attempt_at = NULL,
+    started_at = NOW(),
+    updated_at = NOW()
+  WHERE id = v_job_id;
+
+  -- Update the render status to recording
+  UPDATE renders
+  SET
+    status = 'recording',
+    progress = 5,
+    updated_at = NOW()
+  WHERE id = v_render_id;
+
+  -- Get campaign_id from renders table
+  SELECT r.campaign_id
+  INTO v_campaign_id
+  FROM renders r
+  WHERE r.id = v_render_id;
+
+  -- Return job details with scenes and campaign info
+  RETURN QUERY
+  SELECT
+    v_job_id as job_id,
+    v_render_id as render_id,
+    c.id as campaign_id,
+    c.name as campaign_name,
+    (
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', s.id,
+          'url', s.url,
+          'duration_sec', s.duration_sec,
+          'order_index', s.order_index,
+          'entry_type', s.entry_type,
+          'csv_column', s.csv_column,
+          'overlays', COALESCE(s.overlays, '[]'::jsonb),
+          'actions', COALESCE(s.actions, '[]'::jsonb),
+          'page_cleanup', COALESCE(s.page_cleanup, TRUE),
+          'hme_profile', COALESCE(s.hme_profile, c.hme_profile),
+          'focus_targets', COALESCE(s.focus_targets, '[]'::jsonb),
+          'hme_seed', s.hme_seed,
+          'device', s.device,
+          'composite', s.composite,
+          'capture_mode', s.capture_mode
+        ) ORDER BY s.order_index
+      )
+      FROM scenes s
+      WHERE s.campaign_id = c.id
+    ) as scenes,
+    c.facecam_url,
+    c.lead_csv_url,
+    j.lead_row_index,
+    jsonb_build_object(
+      'width', COALESCE(c.output_width, 1920),
+      'height', COALESCE(c.output_height, 1080),
+      'fps', COALESCE(c.output_fps, 60),
+      'facecam', jsonb_build_object(
+        'pip', jsonb_build_object(
+          'width', 320,
+          'margin', 24,
+          'corner', 'bottom-right'
+        ),
+        'endPadMode', 'freeze'
+      ),
+      'branding', jsonb_build_object(
+        'name', r.brand_name,
+        'logo_url', r.brand_logo_url,
+        'calendly_url', r.brand_calendly_url,
+        'corner', COALESCE(c.brand_corner, 'top-right')
+      ),
+      'cards', jsonb_build_object(
+        'intro', c.intro_card,
+        'outro', c.outro_card
+      ),
+      'cursor', c.cursor_settings,
+      'camera', c.camera_settings,
+      'auth', c.recording_auth
+    ) as output_settings,
+    j.attempts as attempt,
+    j.max_attempts
+  FROM campaigns c
+  JOIN render_jobs j ON j.id = v_job_id
+  JOIN renders r ON r.id = v_render_id
+  WHERE c.id = v_campaign_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_render_job() TO service_role;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_job_priorities_quotas.sql.
@@ -0,0 +1,17 @@
+-- Migration: add_render_cancellation.sql
+-- Purpose: let users cancel queued or in-flight renders from the campaign page
+--
+-- Flow:
+--   1. POST /api/renders/[id]/cancel sets renders.cancel_requested = TRUE
+--      (and marks a still-queued render_job 'cancelled' so it is never claimed)
+--   2. The worker polls cancel_requested while rendering, aborts the pipeline,
+--      then sets renders.status = 'cancelled' and render_jobs.state = 'cancelled'
+
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor. No changes to claim_render_job() are
+-- required: cancelled jobs leave the 'queued' state and are skipped by the claim.
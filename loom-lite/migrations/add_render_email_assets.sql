@@ -0,0 +1,13 @@
+-- Migration: add_render_email_assets.sql
+-- Purpose: store the email preview assets produced alongside the poster
+--   gif_url        - animated GIF of the first ~4s (palette-optimized, size-budgeted)
+--   play_thumb_url - poster with a play button overlaid, for clients that block GIFs
+
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS gif_url TEXT,
+  ADD COLUMN IF NOT EXISTS play_thumb_url TEXT;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor before deploying the worker.
+-- The campaign page builds its "Copy email HTML" snippet from gif_url,
+-- falling back to play_thumb_url and then thumb_url.
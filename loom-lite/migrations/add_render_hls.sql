@@ -0,0 +1,9 @@
+-- Migration: add_render_hls.sql
+-- Purpose: store the HLS master playlist produced when HLS_ENABLED=true on the worker
+
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS hls_url TEXT;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor before enabling HLS_ENABLED on any worker.
+-- The public viewer (/v/[publicId]) prefers hls_url and falls back to final_video_url.
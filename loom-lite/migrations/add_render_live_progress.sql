@@ -0,0 +1,32 @@
+-- Migration: add_render_live_progress.sql
+-- Purpose: push render progress to the campaign page instead of polling
+--
+-- The worker writes these alongside status/progress on every pipeline step:
+--   renders.current_scene_index  0-based scene being recorded
+--   renders.scene_count          scenes in the render (excluding title cards)
+--   renders.eta_at               estimated completion time
+-- RenderControls subscribes to renders changes for its campaign over Supabase
+-- Realtime (RLS still applies: users only receive their own renders).
+
+-- 1. Extend renders table
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS current_scene_index INTEGER,
+  ADD COLUMN IF NOT EXISTS scene_count INTEGER,
+  ADD COLUMN IF NOT EXISTS eta_at TIMESTAMPTZ;
+
+-- 2. Publish renders changes to Supabase Realtime
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'renders'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE renders;
+  END IF;
+END $$;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_render_rerenders.sql.
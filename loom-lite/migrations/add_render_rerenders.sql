@@ -0,0 +1,142 @@
+-- Migration: add_render_rerenders.sql
+-- Purpose: re-render selected leads of a campaign without breaking their links
+--
+-- POST /api/campaigns/[id]/renders/rerender creates a new render + job for each
+-- selected lead (same lead_row_index) instead of enqueueing the whole list again.
+--
+-- renders.superseded_by       set on the render a re-render replaces; superseded
+--                              renders are hidden from the campaign page
+-- renders.replaces_render_id  render whose public link the re-render takes over
+--                              once it completes. Until then the replaced render
+--                              keeps serving /v/<public_id> with its own assets.
+-- renders.storage_key         key the render's assets are uploaded under. The
+--                              worker generates it; it is never derived from
+--                              public_id, which is the link and moves when a
+--                              re-render takes it over.
+--
+-- Re-renders upload under their own storage_key; the link only moves inside
+-- promote_rerender, so a failed re-render never touches the live page.
+
+-- 1. Extend renders table
+ALTER TABLE renders
+  ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES renders (id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS replaces_render_id UUID REFERENCES renders (id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+-- Renders completed before this migration were uploaded under their public_id
+UPDATE renders
+SET storage_key = public_id
+WHERE storage_key IS NULL
+  AND final_video_url IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS renders_current_by_campaign_idx
+  ON renders (campaign_id)
+  WHERE superseded_by IS NULL;
+
+-- 2. Link columns are not the client's to rewrite
+-- Clients (authenticated) may only name a render of the same lead when creating
+-- a re-render; storage_key is written by the worker only, and public_id moves
+-- in promote_rerender only (a freed link must not be claimable by another render).
+CREATE OR REPLACE FUNCTION guard_render_link_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.storage_key := NULL;
+    IF NEW.replaces_render_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1
+      FROM renders r
+      WHERE r.id = NEW.replaces_render_id
+        AND r.campaign_id = NEW.campaign_id
+        AND r.lead_row_index IS NOT DISTINCT FROM NEW.lead_row_index
+    ) THEN
+      RAISE EXCEPTION 'A re-render can only replace a render of the same lead';
+    END IF;
+  ELSE
+    NEW.public_id := OLD.public_id;
+    NEW.storage_key := OLD.storage_key;
+    NEW.replaces_render_id := OLD.replaces_render_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS renders_guard_link_columns ON renders;
+CREATE TRIGGER renders_guard_link_columns
+BEFORE INSERT OR UPDATE ON renders
+FOR EACH ROW
+EXECUTE FUNCTION guard_render_link_columns();
+
+-- 3. Hand the public link to a completed re-render
+-- replaces_render_id is written by the user's client, so the replaced render
+-- must be the same lead (campaign + lead_row_index) of the same owner.
+-- The render holding the link keeps its row (history) under a derived public_id.
+-- Returns the storage key of the replaced render's assets (no longer served),
+-- or NULL when the render replaces nothing or never uploaded anything.
+DROP FUNCTION IF EXISTS promote_rerender(UUID);
+CREATE FUNCTION promote_rerender(p_render_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_new RECORD;
+  v_old RECORD;
+BEGIN
+  SELECT r.id, r.campaign_id, r.lead_row_index, r.replaces_render_id, c.user_id
+  INTO v_new
+  FROM renders r
+  JOIN campaigns c ON c.id = r.campaign_id
+  WHERE r.id = p_render_id
+  FOR UPDATE OF r;
+
+  IF NOT FOUND OR v_new.replaces_render_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT r.id, r.campaign_id, r.lead_row_index, r.public_id, r.storage_key, c.user_id
+  INTO v_old
+  FROM renders r
+  JOIN campaigns c ON c.id = r.campaign_id
+  WHERE r.id = v_new.replaces_render_id
+  FOR UPDATE OF r;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Render % replaces missing render %', p_render_id, v_new.replaces_render_id;
+  END IF;
+
+  IF v_old.campaign_id IS DISTINCT FROM v_new.campaign_id
+     OR v_old.lead_row_index IS DISTINCT FROM v_new.lead_row_index
+     OR v_old.user_id IS DISTINCT FROM v_new.user_id THEN
+    RAISE EXCEPTION 'Render % cannot take over the link of render % (different lead or owner)',
+      p_render_id, v_old.id;
+  END IF;
+
+  UPDATE renders
+  SET
+    public_id = public_id || '-' || left(replace(id::text, '-', ''), 8),
+    updated_at = NOW()
+  WHERE id = v_old.id;
+
+  UPDATE renders
+  SET
+    public_id = v_old.public_id,
+    replaces_render_id = NULL,
+    updated_at = NOW()
+  WHERE id = p_render_id;
+
+  RETURN v_old.storage_key;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION promote_rerender(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION promote_rerender(UUID) TO service_role;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_job_retries.sql.
@@ -0,0 +1,94 @@
+-- Migration: add_render_stage_timings.sql
+-- Purpose: per-stage wall-clock timings of every render attempt
+--
+-- The worker times each pipeline stage (per scene: navigation, page_ready,
+-- hme/actions, finalize, screenshot, normalize; per render: title_card, concat,
+-- overlay, branding, package_hls, thumbnail, email_assets, upload) and stores
+-- one row per measured stage when the attempt ends.
+--
+-- render_stage_estimates() averages completed attempts of the last 30 days;
+-- the worker turns those into renders.progress and renders.eta_at instead of
+-- fixed percentages per stage. The campaign page shows the breakdown of the
+-- latest attempt for diagnosing slow renders.
+
+-- 1. Stage timings table
+CREATE TABLE IF NOT EXISTS render_stage_timings (
+  id BIGSERIAL PRIMARY KEY,
+  render_id UUID NOT NULL REFERENCES renders (id) ON DELETE CASCADE,
+  job_id UUID REFERENCES render_jobs (id) ON DELETE SET NULL,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  outcome TEXT NOT NULL CHECK (outcome IN ('completed', 'failed')),
+  stage TEXT NOT NULL,
+  scene_index INTEGER NULL, -- NULL for stages that run once per render
+  duration_ms INTEGER NOT NULL CHECK (duration_ms >= 0),
+  video_sec NUMERIC NULL, -- seconds of video the stage worked on
+  ok BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE when the stage threw (e.g. a recording attempt that was retried)
+  started_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS render_stage_timings_render_idx
+  ON render_stage_timings (render_id, attempt);
+
+CREATE INDEX IF NOT EXISTS render_stage_timings_estimates_idx
+  ON render_stage_timings (stage, created_at DESC)
+  WHERE outcome = 'completed' AND ok;
+
+ALTER TABLE render_stage_timings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS render_stage_timings_service_role_full_access ON render_stage_timings;
+CREATE POLICY render_stage_timings_service_role_full_access
+ON render_stage_timings
+FOR ALL
+USING (auth.role() = 'service_role')
+WITH CHECK (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS render_stage_timings_select_own ON render_stage_timings;
+CREATE POLICY render_stage_timings_select_own
+ON render_stage_timings
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM renders r
+    JOIN campaigns c ON r.campaign_id = c.id
+    WHERE r.id = render_stage_timings.render_id
+    AND c.user_id = auth.uid()
+  )
+);
+
+-- 2. Historical averages per stage
+-- ms_per_video_sec is what duration-dependent stages (hme, normalize, concat,
+-- overlay, ...) are estimated from; avg_ms for the rest.
+DROP FUNCTION IF EXISTS render_stage_estimates(INTEGER);
+CREATE FUNCTION render_stage_estimates(p_days INTEGER DEFAULT 30)
+RETURNS TABLE (
+  stage TEXT,
+  samples INTEGER,
+  avg_ms INTEGER,
+  ms_per_video_sec NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    t.stage,
+    COUNT(*)::INTEGER AS samples,
+    ROUND(AVG(t.duration_ms))::INTEGER AS avg_ms,
+    ROUND(
+      SUM(t.duration_ms) FILTER (WHERE t.video_sec > 0)
+        / NULLIF(SUM(t.video_sec) FILTER (WHERE t.video_sec > 0), 0),
+      1
+    ) AS ms_per_video_sec
+  FROM render_stage_timings t
+  WHERE t.outcome = 'completed'
+    AND t.ok
+    AND t.created_at > NOW() - make_interval(days => p_days)
+  GROUP BY t.stage;
+$$;
+
+REVOKE ALL ON FUNCTION render_stage_estimates(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION render_stage_estimates(INTEGER) TO service_role;
+
+-- Instructions:
+-- Run this in the Supabase SQL editor after add_render_live_progress.sql.
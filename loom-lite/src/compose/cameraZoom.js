@@ -0,0 +1,110 @@
+/**
+ * Camera zoom/pan from the HME focus timeline
+ *
+ * Each focus event (element rect + beat window) becomes a zoompan keyframe:
+ * ease in on the element when the cursor heads for it, hold, ease back out
+ * when the beat ends. Times are on the raw recording's clock, which is the
+ * filter graph clock in normalizeScene (output -ss trims after filtering).
+ */
+
+const CAMERA_MAX_ZOOM = parseFloat(process.env.CAMERA_MAX_ZOOM) || 1.6;
+const CAMERA_EASE_MS = parseInt(process.env.CAMERA_EASE_MS, 10) || 600;
+const MAX_KEYFRAMES = 12;
+const MIN_ZOOM = 1.1; // Skip keyframes that would barely move the camera
+const TARGET_FILL = 0.5; // Zoom until the element fills ~half the frame
+
+/**
+ * Resolve campaign camera settings against env defaults
+ * @param {Object|null} camera - { maxZoom, easeMs, easing }
+ * @returns {{maxZoom: number, easeSec: number, easing: 'smooth'|'linear'}}
+ */
+function resolveCameraSettings(camera) {
+  const maxZoom = Math.min(3, Math.max(1, Number(camera?.maxZoom) || CAMERA_MAX_ZOOM));
+  const easeMs = Math.min(3000, Math.max(100, Number(camera?.easeMs) || CAMERA_EASE_MS));
+  return {
+    maxZoom,
+    easeSec: easeMs / 1000,
+    easing: camera?.easing === 'linear' ? 'linear' : 'smooth',
+  };
+}
+
+/**
+ * Turn focus events into non-overlapping keyframes in output pixels
+ * @returns {Array<{start: number, end: number, zoom: number, cx: number, cy: number}>}
+ */
+function buildKeyframes(timeline, ctx, settings) {
+  const viewport = timeline.viewport || { width: ctx.w, height: ctx.h };
+  const sx = ctx.w / (viewport.width || ctx.w);
+  const sy = ctx.h / (viewport.height || ctx.h);
+  const minLength = settings.easeSec * 2 + 0.3;
+
+  const keyframes = [];
+  const events = [...(timeline.events || [])].sort((a, b) => a.startMs - b.startMs);
+
+  for (const event of events) {
+    if (keyframes.length >= MAX_KEYFRAMES) break;
+
+    const start = event.startMs / 1000;
+    const end = event.endMs / 1000;
+    if (!(end - start >= minLength)) continue;
+    if (keyframes.length && start < keyframes[keyframes.length - 1].end) continue;
+
+    const rect = event.rect;
+    const width = Math.max(1, rect.width * sx);
+    const height = Math.max(1, rect.height * sy);
+    const zoom = Math.min(settings.maxZoom, (ctx.w * TARGET_FILL) / width, (ctx.h * TARGET_FILL) / height);
+    if (zoom < MIN_ZOOM) continue;
+
+    keyframes.push({
+      start,
+      end,
+      zoom,
+      cx: (rect.x + rect.width / 2) * sx,
+      cy: (rect.y + rect.height / 2) * sy,
+    });
+  }
+
+  return keyframes;
+}
+
+/**
+ * Build the zoompan filter for a scene
+ *
+ * @param {Object|null} timeline - { viewport, events: [{beat, startMs, endMs, rect}] } from recordScene
+ * @param {Object} ctx - Render context (w, h, fps, camera)
+ * @returns {string|null} zoompan filter, or null when there is nothing to zoom on
+ */
+function buildCameraFilter(timeline, ctx) {
+  if (!ctx.camera || !timeline?.events?.length) return null;
+
+  const settings = resolveCameraSettings(ctx.camera);
+  const keyframes = buildKeyframes(timeline, ctx, settings);
+  if (keyframes.length === 0) return null;
+
+  const num = (value) => value.toFixed(3);
+  const ease = (u) => (settings.easing === 'linear' ? u : `${u}*${u}*(3-2*${u})`);
+
+  // Weight of each keyframe at time `it`: eases 0 -> 1 -> 0 across its window
+  const weights = keyframes.map((k) => {
+    const rampIn = `clip((it-${num(k.start)})/${num(settings.easeSec)},0,1)`;
+    const rampOut = `clip((${num(k.end)}-it)/${num(settings.easeSec)},0,1)`;
+    return `${ease(rampIn)}*${ease(rampOut)}`;
+  });
+
+  const zoom = `1+${keyframes.map((k, i) => `${num(k.zoom - 1)}*${weights[i]}`).join('+')}`;
+  const cx = `${ctx.w / 2}+${keyframes.map((k, i) => `${num(k.cx - ctx.w / 2)}*(${weights[i]})`).join('+')}`;
+  const cy = `${ctx.h / 2}+${keyframes.map((k, i) => `${num(k.cy - ctx.h / 2)}*(${weights[i]})`).join('+')}`;
+
+  console.log(`[cameraZoom] ${keyframes.length} keyframe(s), max zoom ${settings.maxZoom}, ease ${settings.easeSec}s (${settings.easing})`);
+
+  return `zoompan=${[
+    `z='${zoom}'`,
+    `x='clip(${cx}-iw/zoom/2,0,iw-iw/zoom)'`,
+    `y='clip(${cy}-ih/zoom/2,0,ih-ih/zoom)'`,
+    'd=1',
+    `s=${ctx.w}x${ctx.h}`,
+    `fps=${ctx.fps}`,
+  ].join(':')}`;
+}
+
+module.exports = { buildCameraFilter, resolveCameraSettings };
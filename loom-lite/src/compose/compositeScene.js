@@ -0,0 +1,147 @@
+/**
+ * Composite (two-site) scenes
+ *
+ * A composite scene records a second website for the same duration as the
+ * scene's own URL - an independent HME run, seeded by its own URL - and shows
+ * both at once: side by side ("your site vs. a competitor", before/after) or
+ * the second site as a picture-in-picture inside the first. Each half can be
+ * labelled. The result is an ordinary normalized scene (ctx size, fps, codec),
+ * so concatScenes treats it like any other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fontOption, quoteOption } = require('./textOverlays');
+const { prepareSceneBackground } = require('./titleCard');
+
+const COMPOSITE_LAYOUTS = ['side_by_side', 'pip'];
+
+const even = (value) => Math.round(value / 2) * 2;
+
+/**
+ * Pipeline scene for the second recording of a composite scene
+ * Same duration and cleanup as the primary; no scripted actions, focus
+ * targets or overlays (those belong to the primary site).
+ * @param {Object} scene - Pipeline scene with `composite`
+ * @returns {Object} Scene for getOrRecordScene / recordScene
+ */
+function getSecondaryScene(scene) {
+  return {
+    id: `${scene.id}-b`,
+    url: scene.composite.url,
+    durationSec: scene.durationSec,
+    entryType: scene.composite.entryType || 'manual',
+    pageCleanup: scene.pageCleanup,
+    hmeProfile: scene.hmeProfile,
+    seed: null,
+    focusTargets: [],
+    actions: [],
+    overlays: [],
+    isFirstScene: false,
+  };
+}
+
+function labelFilter(text, ctx, scene, index, { x, y, fontSize }) {
+  const textFile = path.join(ctx.workDir, `${scene.id}-label-${index}.txt`);
+  fs.writeFileSync(textFile, text, 'utf8');
+  return `drawtext=${[
+    fontOption(),
+    `textfile=${quoteOption(textFile)}`,
+    'expansion=none',
+    `fontsize=${fontSize}`,
+    'fontcolor=0xFFFFFF',
+    `x=${x}`,
+    `y=${y}`,
+    'box=1',
+    'boxcolor=black@0.55',
+    `boxborderw=${Math.round(fontSize * 0.45)}`,
+  ].join(':')}`;
+}
+
+/**
+ * Build the ffmpeg inputs and filter graph for a composite scene
+ *
+ * Both recordings are trimmed in the graph (their white lead-ins differ), so
+ * the graph output starts at t=0 of scene content and the caller must not
+ * add an output -ss.
+ *
+ * @param {string} primaryWebm - Recording of scene.url
+ * @param {Object} scene - Pipeline scene {id, composite: {layout, videoPath, primaryLabel, secondaryLabel}}
+ * @param {Object} ctx - Render context (w, h, fps, workDir, sceneBackground, signal)
+ * @param {Object} params
+ * @param {number} params.primaryTrimSec - White lead-in of the primary recording
+ * @param {number} params.secondaryTrimSec - White lead-in of the secondary recording
+ * @param {string[]} [params.extraFilters] - Filters applied to the composed frame (text overlays)
+ * @returns {Promise<{inputArgs: string[], filterComplex: string}>} Graph output is labelled [v]
+ */
+async function buildCompositeGraph(primaryWebm, scene, ctx, { primaryTrimSec, secondaryTrimSec, extraFilters = [] }) {
+  const { composite } = scene;
+  const layout = COMPOSITE_LAYOUTS.includes(composite.layout) ? composite.layout : 'side_by_side';
+  const fontSize = Math.round(ctx.h * 0.032);
+  const trim = (sec) => `trim=start=${sec.toFixed(3)},setpts=PTS-STARTPTS`;
+
+  // The primary recording sets the length; a second site that ends early holds its last frame
+  const inputArgs = ['-i', primaryWebm, '-i', composite.videoPath];
+  const chains = [];
+  const labels = [];
+
+  if (layout === 'pip') {
+    // Second site in the bottom-left (facecam defaults to bottom-right, branding to top-right)
+    const margin = even(ctx.w * 0.025);
+    const border = Math.max(2, even(ctx.h * 0.004));
+    const pipW = even(ctx.w * 0.32);
+    const pipH = even((pipW * ctx.h) / ctx.w);
+    const pipX = margin;
+    const pipY = ctx.h - pipH - border * 2 - margin;
+
+    chains.push(
+      `[0:v]${trim(primaryTrimSec)},scale=${ctx.w}:${ctx.h},setsar=1[main]`,
+      `[1:v]${trim(secondaryTrimSec)},scale=${pipW}:${pipH},setsar=1,pad=${pipW + border * 2}:${pipH + border * 2}:${border}:${border}:color=white[pip]`
+    );
+
+    if (composite.primaryLabel) {
+      labels.push(labelFilter(composite.primaryLabel, ctx, scene, 0, { x: margin, y: margin, fontSize }));
+    }
+    if (composite.secondaryLabel) {
+      labels.push(labelFilter(composite.secondaryLabel, ctx, scene, 1, {
+        x: pipX,
+        y: pipY - Math.round(fontSize * 1.8),
+        fontSize,
+      }));
+    }
+
+    chains.push(`[main][pip]overlay=${pipX}:${pipY}:eof_action=repeat${[...labels, ...extraFilters].map((f) => `,${f}`).join('')}[v]`);
+  } else {
+    // Two equal panels on the campaign background, labels above them
+    const backgroundPath = await prepareSceneBackground(ctx);
+    inputArgs.push('-loop', '1', '-framerate', String(ctx.fps), '-i', backgroundPath);
+
+    const gap = even(ctx.w * 0.02);
+    const panelW = even((ctx.w - gap * 3) / 2);
+    const panelH = even((panelW * ctx.h) / ctx.w);
+    const panelY = even((ctx.h - panelH) / 2 + fontSize);
+    const panelX = [gap, gap * 2 + panelW];
+
+    chains.push(
+      `[0:v]${trim(primaryTrimSec)},scale=${panelW}:${panelH},setsar=1[left]`,
+      `[1:v]${trim(secondaryTrimSec)},scale=${panelW}:${panelH},setsar=1[right]`,
+      `[2:v]scale=${ctx.w}:${ctx.h},setsar=1[bg]`,
+      `[bg][left]overlay=${panelX[0]}:${panelY}:shortest=1[withleft]`
+    );
+
+    [composite.primaryLabel, composite.secondaryLabel].forEach((text, i) => {
+      if (!text) return;
+      labels.push(labelFilter(text, ctx, scene, i, {
+        x: `${panelX[i]}+(${panelW}-text_w)/2`,
+        y: panelY - Math.round(fontSize * 2),
+        fontSize,
+      }));
+    });
+
+    chains.push(`[withleft][right]overlay=${panelX[1]}:${panelY}:eof_action=repeat${[...labels, ...extraFilters].map((f) => `,${f}`).join('')}[v]`);
+  }
+
+  return { inputArgs, filterComplex: chains.join(';') };
+}
+
+module.exports = { COMPOSITE_LAYOUTS, getSecondaryScene, buildCompositeGraph };
@@ -12,7 +12,7 @@ async function concatScenes(mp4List, ctx) {
     '-pix_fmt', 'yuv420p',
     '-r', String(ctx.fps),
     out
-  ]);
+  ], { signal: ctx.signal });
   return out;
 }
 
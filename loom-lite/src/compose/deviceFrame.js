@@ -0,0 +1,120 @@
+/**
+ * Device frame mockups
+ *
+ * Device scenes (scene.device) are recorded at a narrow phone/tablet capture
+ * size. normalizeScene lays that capture over a branded background at the
+ * campaign's output resolution and puts a device frame on top: a PNG with a
+ * transparent screen cut-out, bezel, camera island and a soft drop shadow.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getDeviceProfile, getDeviceCaptureSize } = require('../recording/devices');
+const { prepareSceneBackground } = require('./titleCard');
+
+const BODY_COLOR = '#111318';
+const EDGE_COLOR = '#3A3F4B';
+
+const even = (value) => Math.round(value / 2) * 2;
+
+/**
+ * Frame geometry for a capture size, centred on the output canvas
+ * @returns {Object} { screen: {x, y, width, height, radius}, body: {...}, pad }
+ */
+function getFrameLayout(device, capture, ctx) {
+  const { frame } = device;
+  const bezel = even(Math.max(capture.width, capture.height) * frame.bezelRatio);
+  const radius = Math.round(capture.width * frame.screenRadiusRatio);
+
+  const body = {
+    width: capture.width + bezel * 2,
+    height: capture.height + bezel * 2,
+    radius: radius + bezel,
+  };
+  // Transparent margin around the body for the shadow
+  const pad = even(body.height * 0.04);
+
+  const screen = {
+    x: even((ctx.w - capture.width) / 2),
+    y: even((ctx.h - capture.height) / 2),
+    width: capture.width,
+    height: capture.height,
+    radius,
+  };
+
+  return { screen, body, bezel, pad, x: screen.x - bezel - pad, y: screen.y - bezel - pad };
+}
+
+function frameSvg(device, layout) {
+  const { body, bezel, pad, screen } = layout;
+  const width = body.width + pad * 2;
+  const height = body.height + pad * 2;
+  const sx = pad + bezel;
+  const sy = pad + bezel;
+
+  // Camera: dynamic island (iPhone), punch hole (other phones), bezel dot (tablets)
+  let camera;
+  if (device.frame.island) {
+    const iw = Math.round(screen.width * 0.32);
+    const ih = Math.round(screen.width * 0.095);
+    camera = `<rect x="${sx + (screen.width - iw) / 2}" y="${sy + Math.round(screen.width * 0.028)}" width="${iw}" height="${ih}" rx="${ih / 2}" fill="#000"/>`;
+  } else if (device.frame.kind === 'phone') {
+    const r = Math.max(4, Math.round(screen.width * 0.022));
+    camera = `<circle cx="${sx + screen.width / 2}" cy="${sy + Math.round(screen.width * 0.04)}" r="${r}" fill="#000"/>`;
+  } else {
+    camera = `<circle cx="${pad + body.width / 2}" cy="${pad + bezel / 2}" r="${Math.max(3, Math.round(bezel * 0.12))}" fill="#2A2E36"/>`;
+  }
+
+  return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <defs>
+      <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+        <feGaussianBlur stdDeviation="${Math.max(4, Math.round(pad / 2))}"/>
+      </filter>
+      <mask id="screen">
+        <rect x="0" y="0" width="${width}" height="${height}" fill="white"/>
+        <rect x="${sx}" y="${sy}" width="${screen.width}" height="${screen.height}" rx="${screen.radius}" ry="${screen.radius}" fill="black"/>
+      </mask>
+    </defs>
+    <g mask="url(#screen)">
+      <rect x="${pad}" y="${pad + Math.round(pad / 3)}" width="${body.width}" height="${body.height}" rx="${body.radius}" ry="${body.radius}" fill="#000" fill-opacity="0.45" filter="url(#shadow)"/>
+      <rect x="${pad}" y="${pad}" width="${body.width}" height="${body.height}" rx="${body.radius}" ry="${body.radius}" fill="${BODY_COLOR}" stroke="${EDGE_COLOR}" stroke-width="${Math.max(2, Math.round(bezel * 0.1))}"/>
+    </g>
+    ${camera}
+  </svg>`;
+}
+
+/**
+ * Render (or reuse) the frame and background PNGs for a device scene
+ *
+ * @param {string} deviceName - scene.device (iphone | pixel | ipad)
+ * @param {Object} ctx - Render context (w, h, workDir, sceneBackground, signal)
+ * @returns {Promise<Object|null>} { capture, screen: {x, y}, framePath, frameX, frameY, backgroundPath },
+ *   or null for unknown devices (scene is composed full-frame)
+ */
+async function prepareDeviceFrame(deviceName, ctx) {
+  const device = getDeviceProfile(deviceName);
+  if (!device) return null;
+
+  const capture = getDeviceCaptureSize(device, ctx);
+  const layout = getFrameLayout(device, capture, ctx);
+
+  // Shared by every scene of the job with the same device
+  const framePath = path.join(ctx.workDir, `device-${device.name}-${capture.width}x${capture.height}.png`);
+  if (!fs.existsSync(framePath)) {
+    await sharp(Buffer.from(frameSvg(device, layout))).png().toFile(framePath);
+  }
+
+  const backgroundPath = await prepareSceneBackground(ctx);
+
+  return {
+    capture,
+    screen: { x: layout.screen.x, y: layout.screen.y },
+    framePath,
+    frameX: layout.x,
+    frameY: layout.y,
+    backgroundPath,
+  };
+}
+
+module.exports = { prepareDeviceFrame };
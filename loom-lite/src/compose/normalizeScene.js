@@ -1,8 +1,21 @@
 const path = require('path');
 const { ffmpeg, ffprobeJson } = require('../utils/ffmpeg');
 const { detectWhiteLeadIn } = require('../utils/detectWhiteLeadIn');
+const { buildOverlayFilters } = require('./textOverlays');
+const { buildCameraFilter } = require('./cameraZoom');
+const { prepareDeviceFrame } = require('./deviceFrame');
+const { buildCompositeGraph } = require('./compositeScene');
+const { renderScreenshotScene } = require('./screenshotScene');
 
 async function normalizeScene(inputWebm, ctx, scene) {
+  // Screenshot scenes (capture_mode or recording fallback) have no recording to trim
+  if (scene.screenshotPath) {
+    if (scene.composite || scene.device) {
+      console.log(`[normalizeScene] Scene ${scene.id} is a screenshot scroll; composite/device framing skipped`);
+    }
+    return renderScreenshotScene(scene.screenshotPath, ctx, scene);
+  }
+
   const out = path.join(ctx.workDir, `${scene.id}.mp4`);
 
   // Analyze the recorded video to detect where white/blank lead-in ends
@@ -17,12 +30,82 @@ async function normalizeScene(inputWebm, ctx, scene) {
   // When input fps != output fps, -vframes is more reliable than timestamp-based trimming
   const targetFrames = Math.round(scene.durationSec * ctx.fps);
 
+  // Composite scenes trim both recordings inside the graph, so their clock
+  // already starts at scene content
+  const composite = Boolean(scene.composite?.videoPath);
+
+  // Personalized text overlays; setpts zeroes the input clock so overlay
+  // times only need shifting by the lead-in trim
+  const overlayFilters = buildOverlayFilters(scene.overlays, ctx, scene, composite ? 0 : trimStartSec);
+  if (overlayFilters.length > 0) {
+    console.log(`[normalizeScene] Drawing ${overlayFilters.length} text overlay(s) on scene ${scene.id}`);
+  }
+
+  // Device scenes: narrow capture on a branded background inside a device frame
+  const deviceFrame = scene.device && !composite ? await prepareDeviceFrame(scene.device, ctx) : null;
+
+  let inputArgs;
+  let filterArgs;
+  if (composite) {
+    const secondaryTrimSec = Number.isFinite(scene.composite.trimSec)
+      ? scene.composite.trimSec
+      : (await detectWhiteLeadIn(scene.composite.videoPath)) / 1000;
+    console.log(`[normalizeScene] Composing scene ${scene.id} ${scene.composite.layout} with ${scene.composite.url} (trim ${secondaryTrimSec.toFixed(3)}s)`);
+    if (scene.focusTimeline?.events?.length && ctx.camera) {
+      console.log(`[normalizeScene] Camera zoom skipped for composite scene ${scene.id}`);
+    }
+
+    const graph = await buildCompositeGraph(inputWebm, scene, ctx, {
+      primaryTrimSec: trimStartSec,
+      secondaryTrimSec,
+      extraFilters: overlayFilters,
+    });
+    inputArgs = graph.inputArgs;
+    filterArgs = ['-filter_complex', graph.filterComplex, '-map', '[v]'];
+  } else if (deviceFrame) {
+    if (scene.focusTimeline?.events?.length && ctx.camera) {
+      console.log(`[normalizeScene] Camera zoom skipped for device scene ${scene.id}`);
+    }
+    console.log(`[normalizeScene] Framing scene ${scene.id} as ${scene.device} (${deviceFrame.capture.width}x${deviceFrame.capture.height} screen)`);
+
+    const { capture, screen } = deviceFrame;
+    inputArgs = [
+      '-i', inputWebm,
+      '-loop', '1', '-framerate', String(ctx.fps), '-i', deviceFrame.backgroundPath,
+      '-loop', '1', '-framerate', String(ctx.fps), '-i', deviceFrame.framePath,
+    ];
+    const filterComplex = [
+      `[0:v]scale=${capture.width}:${capture.height},setsar=1,setpts=PTS-STARTPTS[screen]`,
+      `[1:v]scale=${ctx.w}:${ctx.h},setsar=1[bg]`,
+      `[bg][screen]overlay=${screen.x}:${screen.y}:shortest=1[framed]`,
+      `[framed][2:v]overlay=${deviceFrame.frameX}:${deviceFrame.frameY}${overlayFilters.length > 0 ? ',' : ''}${overlayFilters.join(',')}[v]`,
+    ].join(';');
+    filterArgs = ['-filter_complex', filterComplex, '-map', '[v]'];
+  } else {
+    // Camera zoom/pan on HME focus events (timeline is on the raw recording clock);
+    // runs on constant-rate frames and before overlays so text stays put
+    const cameraFilter = buildCameraFilter(scene.focusTimeline, ctx);
+    const cameraFilters = cameraFilter ? [`fps=${ctx.fps}`, cameraFilter] : [];
+
+    const needsZeroPts = overlayFilters.length > 0 || cameraFilters.length > 0;
+    const videoFilter = [
+      `scale=${ctx.w}:${ctx.h}`,
+      'setsar=1',
+      ...(needsZeroPts ? ['setpts=PTS-STARTPTS'] : []),
+      ...cameraFilters,
+      ...overlayFilters,
+    ].join(',');
+
+    inputArgs = ['-i', inputWebm];
+    filterArgs = ['-vf', videoFilter];
+  }
+
   const ffmpegArgs = [
-    '-i', inputWebm,
-    '-ss', String(trimStartSec), // Skip white lead-in (frame-accurate when after -i)
+    ...inputArgs,
+    ...(composite ? [] : ['-ss', String(trimStartSec)]), // Skip white lead-in (frame-accurate when after -i)
     '-vframes', String(targetFrames), // Exact frame count = exact duration
     '-r', String(ctx.fps),
-    '-vf', `scale=${ctx.w}:${ctx.h},setsar=1`,
+    ...filterArgs,
     '-pix_fmt', 'yuv420p',
     '-c:v', 'libx264',
     '-preset', 'veryfast',
@@ -31,7 +114,7 @@ async function normalizeScene(inputWebm, ctx, scene) {
     out
   ];
 
-  await ffmpeg(ffmpegArgs);
+  await ffmpeg(ffmpegArgs, { signal: ctx.signal });
 
   // sanity log
   const meta = await ffprobeJson(out);
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { ffmpeg, ffprobeJson } = require('../utils/ffmpeg');
+const { buildOverlayFilters } = require('./textOverlays');
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Swap left/right so the brand mark never sits under the facecam bubble
+function resolveCorner(requested, facecamCorner) {
+  const corner = CORNERS.includes(requested) ? requested : 'top-right';
+  if (!facecamCorner || corner !== facecamCorner) return corner;
+
+  const moved = corner.includes('left') ? corner.replace('left', 'right') : corner.replace('right', 'left');
+  console.log(`[overlayBranding] ${corner} is taken by the facecam, using ${moved}`);
+  return moved;
+}
+
+function cornerExpr(corner, margin) {
+  switch (corner) {
+    case 'top-left': return { x: `${margin}`, y: `${margin}` };
+    case 'bottom-left': return { x: `${margin}`, y: `H-h-${margin}` };
+    case 'bottom-right': return { x: `W-w-${margin}`, y: `H-h-${margin}` };
+    default: return { x: `W-w-${margin}`, y: `${margin}` }; // top-right
+  }
+}
+
+/**
+ * Burn the brand logo (or brand name as text) into a corner of the video
+ *
+ * @param {string} inputPath - Composited MP4 (after facecam overlay)
+ * @param {Object} branding - { logoPath, name, corner }
+ * @param {Object} ctx - Render context (w, h, workDir, signal)
+ * @param {string|null} facecamCorner - PiP corner to avoid, if a facecam was overlaid
+ * @returns {Promise<string>} Branded MP4, or inputPath when there is nothing to draw
+ */
+async function overlayBranding(inputPath, branding, ctx, facecamCorner = null) {
+  const hasLogo = Boolean(branding?.logoPath && fs.existsSync(branding.logoPath));
+  const name = (branding?.name || '').trim();
+  if (!hasLogo && !name) return inputPath;
+
+  const out = path.join(path.dirname(inputPath), 'final_branded.mp4');
+  const corner = resolveCorner(branding.corner, facecamCorner);
+  const margin = Math.round(ctx.h * 0.035);
+  const encodeArgs = [
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '18',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'copy',
+    '-movflags', '+faststart',
+    out,
+  ];
+
+  if (hasLogo) {
+    try {
+      const logoH = Math.round(ctx.h * 0.07);
+      const { x, y } = cornerExpr(corner, margin);
+      const filter =
+        `[1:v]scale=-1:${logoH},format=rgba,colorchannelmixer=aa=0.9[logo];` +
+        `[0:v][logo]overlay=${x}:${y}[vout]`;
+
+      await ffmpeg(['-i', inputPath, '-i', branding.logoPath, '-filter_complex', filter, '-map', '[vout]', ...encodeArgs], {
+        signal: ctx.signal,
+      });
+      console.log(`[overlayBranding] ✓ Logo placed ${corner}`);
+      return out;
+    } catch (err) {
+      if (ctx.signal?.aborted || !name) throw err;
+      // Unsupported formats (e.g. SVG) fall back to the brand name
+      console.warn('[overlayBranding] ⚠️ Logo overlay failed, falling back to brand name:', err.message);
+    }
+  }
+
+  const meta = await ffprobeJson(inputPath);
+  const durationSec = parseFloat(meta.format?.duration || '0');
+  const [textFilter] = buildOverlayFilters(
+    [{ text: name, startSec: 0, endSec: durationSec, style: 'title', position: corner, fontSize: Math.round(ctx.h * 0.032) }],
+    ctx,
+    { id: 'brand' }
+  );
+
+  await ffmpeg(['-i', inputPath, '-vf', textFilter, '-map', '0:v', ...encodeArgs], { signal: ctx.signal });
+  console.log(`[overlayBranding] ✓ Brand name "${name}" placed ${corner}`);
+  return out;
+}
+
+module.exports = { overlayBranding };
@@ -159,7 +159,7 @@ async function overlayFacecam(bgPath, faceCfg, ctx, trimStartSec = 0) {
     out
   ];
 
-  await ffmpeg(ffmpegArgs);
+  await ffmpeg(ffmpegArgs, { signal: ctx.signal });
 
   return out;
 }
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { ffmpeg, ffprobeJson } = require('../utils/ffmpeg');
+
+// Renditions are only produced at or below the source height
+const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: '5000k', maxrate: '5350k', bufsize: '7500k' },
+  { name: '720p', height: 720, videoBitrate: '2800k', maxrate: '2996k', bufsize: '4200k' },
+  { name: '480p', height: 480, videoBitrate: '1400k', maxrate: '1498k', bufsize: '2100k' },
+];
+
+const HLS_SEGMENT_SEC = parseInt(process.env.HLS_SEGMENT_SEC, 10) || 4;
+
+/**
+ * Pick the ladder rungs for a source, honouring HLS_RENDITIONS (e.g. "720,480")
+ */
+function selectRenditions(sourceHeight) {
+  const allowed = (process.env.HLS_RENDITIONS || '')
+    .split(',')
+    .map((value) => parseInt(value, 10))
+    .filter(Number.isFinite);
+
+  const rungs = HLS_LADDER.filter(
+    (rung) => rung.height <= sourceHeight && (allowed.length === 0 || allowed.includes(rung.height))
+  );
+
+  // Tiny/odd sources still get one rendition at native height
+  return rungs.length > 0 ? rungs : [{ ...HLS_LADDER[HLS_LADDER.length - 1], name: `${sourceHeight}p`, height: sourceHeight }];
+}
+
+/**
+ * Package the final MP4 as an HLS ladder with a master playlist
+ *
+ * Layout (next to final.mp4):
+ *   hls/master.m3u8
+ *   hls/<rendition>/index.m3u8
+ *   hls/<rendition>/seg_000.ts ...
+ *
+ * @param {string} finalPath - Composited MP4
+ * @param {Object} ctx - Render context (fps, signal)
+ * @returns {Promise<{dir: string, master: string, renditions: string[]}>}
+ */
+async function packageHls(finalPath, ctx) {
+  const outDir = path.join(path.dirname(finalPath), 'hls');
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const meta = await ffprobeJson(finalPath);
+  const videoStream = meta.streams?.find((stream) => stream.codec_type === 'video');
+  const hasAudio = Boolean(meta.streams?.some((stream) => stream.codec_type === 'audio'));
+  const renditions = selectRenditions(videoStream?.height || 1080);
+
+  // One decode, split into N scaled outputs
+  const filter = [
+    `[0:v]split=${renditions.length}${renditions.map((_, i) => `[v${i}]`).join('')}`,
+    ...renditions.map((rung, i) => `[v${i}]scale=-2:${rung.height}[v${i}out]`),
+  ].join(';');
+
+  const gop = Math.round((ctx.fps || 30) * HLS_SEGMENT_SEC);
+  const args = ['-i', finalPath, '-filter_complex', filter];
+
+  renditions.forEach((rung, i) => {
+    args.push(
+      '-map', `[v${i}out]`,
+      `-c:v:${i}`, 'libx264',
+      `-b:v:${i}`, rung.videoBitrate,
+      `-maxrate:v:${i}`, rung.maxrate,
+      `-bufsize:v:${i}`, rung.bufsize
+    );
+    if (hasAudio) {
+      args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, '128k');
+    }
+  });
+
+  const streamMap = renditions
+    .map((rung, i) => (hasAudio ? `v:${i},a:${i},name:${rung.name}` : `v:${i},name:${rung.name}`))
+    .join(' ');
+
+  args.push(
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    // Fixed GOP aligned to segment length so every rendition switches cleanly
+    '-g', String(gop), '-keyint_min', String(gop), '-sc_threshold', '0',
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SEC),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outDir, '%v', 'seg_%03d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', streamMap,
+    path.join(outDir, '%v', 'index.m3u8')
+  );
+
+  console.log(`[packageHls] Packaging ${renditions.map((rung) => rung.name).join('/')} (${HLS_SEGMENT_SEC}s segments)`);
+  await ffmpeg(args, { signal: ctx.signal });
+
+  const master = path.join(outDir, 'master.m3u8');
+  if (!fs.existsSync(master)) {
+    throw new Error(`HLS master playlist not written: ${master}`);
+  }
+
+  return { dir: outDir, master, renditions: renditions.map((rung) => rung.name) };
+}
+
+module.exports = { packageHls };
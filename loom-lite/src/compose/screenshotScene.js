@@ -0,0 +1,76 @@
+/**
+ * Screenshot scroll video
+ *
+ * Turns a full-page screenshot (recording/screenshotScene.js) into a scene
+ * video: hold on the top of the page, ease down the page with a slow
+ * Ken-Burns push-in, hold at the end. Output matches normalizeScene (ctx
+ * size, fps, codec, exact frame count) so it concatenates like any scene.
+ */
+
+const path = require('path');
+const { ffmpeg, ffprobeJson } = require('../utils/ffmpeg');
+const { buildOverlayFilters } = require('./textOverlays');
+
+const SCROLL_PX_PER_SEC = 260; // Reading pace; long pages are not scrolled to the bottom
+const KEN_BURNS_ZOOM = 0.06; // Push-in over the whole scene
+
+/**
+ * Render a screenshot scene as a normalized scene MP4
+ *
+ * @param {string} imagePath - Full-page screenshot (ctx.w wide)
+ * @param {Object} ctx - Render context (w, h, fps, workDir, signal)
+ * @param {Object} scene - Pipeline scene (id, durationSec, overlays)
+ * @returns {Promise<string>} Path to <scene.id>.mp4 in the work dir
+ */
+async function renderScreenshotScene(imagePath, ctx, scene) {
+  const out = path.join(ctx.workDir, `${scene.id}.mp4`);
+  const durationSec = scene.durationSec;
+  const targetFrames = Math.round(durationSec * ctx.fps);
+
+  // Still at the top and at the end; eased scroll in between
+  const holdStart = Math.min(1, durationSec * 0.15);
+  const holdEnd = Math.min(1.2, durationSec * 0.15);
+  const scrollSec = Math.max(0.5, durationSec - holdStart - holdEnd);
+  const maxTravel = Math.round(SCROLL_PX_PER_SEC * scrollSec);
+
+  const u = `clip((t-${holdStart.toFixed(3)})/${scrollSec.toFixed(3)},0,1)`;
+  const eased = `(3*pow(${u},2)-2*pow(${u},3))`;
+  const y = `min(ih-${ctx.h},${maxTravel})*${eased}`;
+  const zoom = `1+${KEN_BURNS_ZOOM}*on/${targetFrames}`;
+
+  const overlayFilters = buildOverlayFilters(scene.overlays, ctx, scene, 0);
+
+  const videoFilter = [
+    `scale=${ctx.w}:-2`,
+    `pad=${ctx.w}:'max(ih,${ctx.h})':0:0:color=white`, // Short pages
+    `crop=${ctx.w}:${ctx.h}:0:'${y}'`,
+    `zoompan=z='${zoom}':x='iw/2-iw/zoom/2':y='ih/2-ih/zoom/2':d=1:s=${ctx.w}x${ctx.h}:fps=${ctx.fps}`,
+    'setsar=1',
+    ...overlayFilters,
+  ].join(',');
+
+  console.log(`[screenshotScene] Rendering scene ${scene.id} from screenshot (${durationSec}s, up to ${maxTravel}px of scroll)`);
+  await ffmpeg([
+    '-loop', '1',
+    '-framerate', String(ctx.fps),
+    '-i', imagePath,
+    '-vf', videoFilter,
+    '-frames:v', String(targetFrames),
+    '-r', String(ctx.fps),
+    '-pix_fmt', 'yuv420p',
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '18',
+    '-an',
+    out,
+  ], { signal: ctx.signal });
+
+  const meta = await ffprobeJson(out);
+  if (meta.streams?.[0]?.width !== ctx.w || meta.streams?.[0]?.height !== ctx.h) {
+    throw new Error(`Screenshot scene not ${ctx.w}x${ctx.h}: ${out}`);
+  }
+
+  return out;
+}
+
+module.exports = { renderScreenshotScene };
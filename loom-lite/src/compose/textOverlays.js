@@ -0,0 +1,144 @@
+/**
+ * Personalized text overlays (lower-thirds / title cards)
+ *
+ * Scenes carry overlay templates such as "Hey {{first_name}}" which the worker
+ * resolves against the lead's CSV row; normalizeScene then burns them in with
+ * drawtext. Text goes through a textfile so CSV values never need escaping in
+ * the filter graph.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_VAR = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const FADE_SEC = 0.35;
+const OVERLAY_FONT_FILE = process.env.OVERLAY_FONT_FILE || null;
+
+const STYLE_DEFAULTS = {
+  lower_third: { fontScale: 0.045, box: true, position: 'bottom-left' },
+  title: { fontScale: 0.075, box: false, position: 'center' },
+};
+
+/**
+ * Replace {{column}} placeholders with values from a CSV row
+ * Unknown columns resolve to an empty string.
+ */
+function renderTemplate(template, row) {
+  return String(template || '')
+    .replace(TEMPLATE_VAR, (_, key) => {
+      const value = row ? row[key] : undefined;
+      return value === undefined || value === null ? '' : String(value).trim();
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Map DB overlay rows (snake_case templates) to pipeline overlays with resolved text
+ * @param {Array|null} overlays - scenes.overlays from claim_render_job
+ * @param {Object|null} row - Lead CSV row
+ * @param {number} durationSec - Scene duration (clamps end times)
+ * @returns {Array<Object>}
+ */
+function resolveSceneOverlays(overlays, row, durationSec) {
+  if (!Array.isArray(overlays)) return [];
+
+  return overlays
+    .map((overlay) => {
+      const startSec = Math.max(0, Number(overlay.start_sec) || 0);
+      const endSec = Math.min(durationSec, Number(overlay.end_sec) || durationSec);
+      return {
+        text: renderTemplate(overlay.text, row),
+        startSec,
+        endSec,
+        style: STYLE_DEFAULTS[overlay.style] ? overlay.style : 'lower_third',
+        position: overlay.position || null,
+        font: overlay.font || null,
+        fontSize: Number(overlay.font_size) || null,
+        fontColor: overlay.font_color || null,
+      };
+    })
+    .filter((overlay) => {
+      if (!overlay.text) {
+        console.warn('[textOverlays] ⚠️ Overlay resolved to empty text, skipping');
+        return false;
+      }
+      return overlay.endSec > overlay.startSec;
+    });
+}
+
+function positionExpr(position, margin) {
+  switch (position) {
+    case 'top-left': return { x: `${margin}`, y: `${margin}` };
+    case 'top-center': return { x: '(w-text_w)/2', y: `${margin}` };
+    case 'top-right': return { x: `w-text_w-${margin}`, y: `${margin}` };
+    case 'center': return { x: '(w-text_w)/2', y: '(h-text_h)/2' };
+    case 'bottom-center': return { x: '(w-text_w)/2', y: `h-text_h-${margin}` };
+    case 'bottom-right': return { x: `w-text_w-${margin}`, y: `h-text_h-${margin}` };
+    default: return { x: `${margin}`, y: `h-text_h-${margin}` }; // bottom-left
+  }
+}
+
+// Values are single-quoted in the filter graph; a literal quote closes, escapes and reopens
+const quoteOption = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// OVERLAY_FONT_FILE wins over fontconfig lookup so every worker renders the same face
+const fontOption = (font) =>
+  OVERLAY_FONT_FILE ? `fontfile=${quoteOption(OVERLAY_FONT_FILE)}` : `font=${quoteOption(font || 'Sans')}`;
+
+/**
+ * Build drawtext filters for a scene's overlays
+ * Times are scene-relative; offsetSec shifts them onto the input timeline
+ * (normalizeScene trims the white lead-in after filtering).
+ *
+ * @param {Array<Object>} overlays - Resolved overlays (resolveSceneOverlays)
+ * @param {Object} ctx - Render context (w, h, workDir)
+ * @param {Object} scene - Pipeline scene (id)
+ * @param {number} [offsetSec=0]
+ * @returns {string[]} Filter strings to append to the scene's -vf chain
+ */
+function buildOverlayFilters(overlays, ctx, scene, offsetSec = 0) {
+  if (!Array.isArray(overlays) || overlays.length === 0) return [];
+
+  const margin = Math.round(ctx.h * 0.06);
+
+  return overlays.map((overlay, i) => {
+    const defaults = STYLE_DEFAULTS[overlay.style] || STYLE_DEFAULTS.lower_third;
+    const textFile = path.join(ctx.workDir, `${scene.id}-overlay-${i}.txt`);
+    fs.writeFileSync(textFile, overlay.text, 'utf8');
+
+    const start = (overlay.startSec + offsetSec).toFixed(3);
+    const end = (overlay.endSec + offsetSec).toFixed(3);
+    const fontSize = overlay.fontSize || Math.round(ctx.h * defaults.fontScale);
+    const color = (overlay.fontColor || '#FFFFFF').replace('#', '0x');
+    const { x, y } = positionExpr(overlay.position || defaults.position, margin);
+
+    // Fade in/out at the edges of the window
+    const alpha =
+      `if(lt(t,${start}+${FADE_SEC}),(t-${start})/${FADE_SEC},` +
+      `if(gt(t,${end}-${FADE_SEC}),(${end}-t)/${FADE_SEC},1))`;
+
+    const options = [
+      fontOption(overlay.font),
+      `textfile=${quoteOption(textFile)}`,
+      'expansion=none',
+      `fontsize=${fontSize}`,
+      `fontcolor=${color}`,
+      `x=${x}`,
+      `y=${y}`,
+      `alpha='${alpha}'`,
+      `enable='between(t,${start},${end})'`,
+    ];
+
+    if (defaults.box) {
+      options.push('box=1', 'boxcolor=black@0.55', `boxborderw=${Math.round(fontSize * 0.5)}`);
+    } else {
+      const shadow = Math.max(1, Math.round(fontSize / 24));
+      options.push('shadowcolor=black@0.6', `shadowx=${shadow}`, `shadowy=${shadow}`);
+    }
+
+    return `drawtext=${options.join(':')}`;
+  });
+}
+
+module.exports = { renderTemplate, resolveSceneOverlays, buildOverlayFilters, fontOption, quoteOption };
@@ -1,10 +1,102 @@
+const fs = require('fs');
 const path = require('path');
 const { ffmpeg } = require('../utils/ffmpeg');
 
-async function makeThumbnail(finalPath, t = 3) {
+const GIF_DURATION_SEC = parseFloat(process.env.GIF_DURATION_SEC) || 4;
+const GIF_MAX_KB = parseInt(process.env.GIF_MAX_KB, 10) || 2048;
+
+// Tried in order until the GIF fits GIF_MAX_KB; the last one is kept regardless
+const GIF_ATTEMPTS = [
+  { width: 600, fps: 12, colors: 256 },
+  { width: 480, fps: 10, colors: 192 },
+  { width: 400, fps: 8, colors: 128 },
+  { width: 320, fps: 8, colors: 64 },
+];
+
+async function makeThumbnail(finalPath, t = 3, opts = {}) {
   const poster = path.join(path.dirname(finalPath), 'poster.jpg');
-  await ffmpeg(['-ss', String(t), '-i', finalPath, '-frames:v', '1', poster]);
+  await ffmpeg(['-ss', String(t), '-i', finalPath, '-frames:v', '1', poster], opts);
   return poster;
 }
 
-module.exports = { makeThumbnail };
+/**
+ * Animated preview of the first few seconds for cold email embeds
+ * Uses a per-clip palette (palettegen/paletteuse) and steps down
+ * width/fps/colors until the file fits the size budget.
+ *
+ * @param {string} finalPath - Composited MP4
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<string>} Path to preview.gif
+ */
+async function makePreviewGif(finalPath, opts = {}) {
+  const gif = path.join(path.dirname(finalPath), 'preview.gif');
+  const maxBytes = GIF_MAX_KB * 1024;
+
+  for (const [i, attempt] of GIF_ATTEMPTS.entries()) {
+    const filter = [
+      `[0:v]fps=${attempt.fps},scale=${attempt.width}:-1:flags=lanczos,split[a][b]`,
+      `[a]palettegen=max_colors=${attempt.colors}:stats_mode=diff[p]`,
+      '[b][p]paletteuse=dither=bayer:bayer_scale=4:diff_mode=rectangle',
+    ].join(';');
+
+    await ffmpeg(
+      ['-t', String(GIF_DURATION_SEC), '-i', finalPath, '-filter_complex', filter, '-loop', '0', gif],
+      { signal: opts.signal }
+    );
+
+    const { size } = fs.statSync(gif);
+    if (size <= maxBytes) {
+      console.log(`[thumbnail] GIF ${attempt.width}px @ ${attempt.fps}fps: ${(size / 1024).toFixed(0)} KB`);
+      return gif;
+    }
+
+    if (i === GIF_ATTEMPTS.length - 1) {
+      console.warn(`[thumbnail] ⚠️ GIF still ${(size / 1024).toFixed(0)} KB after all attempts (budget ${GIF_MAX_KB} KB)`);
+    }
+  }
+
+  return gif;
+}
+
+/**
+ * Poster with a centred play button, for email clients that block GIFs
+ * The button is drawn with geq (translucent disc + white triangle), so no
+ * image asset is needed.
+ *
+ * @param {string} posterPath - Poster from makeThumbnail
+ * @param {Object} ctx - Render context (h, signal)
+ * @returns {Promise<string>} Path to poster_play.jpg
+ */
+async function makePlayThumbnail(posterPath, ctx) {
+  const out = path.join(path.dirname(posterPath), 'poster_play.jpg');
+
+  // Button diameter ~18% of the frame height, kept even for chroma subsampling
+  const d = Math.max(64, Math.round(((ctx.h || 1080) * 0.18) / 2) * 2);
+  const c = d / 2;
+  const r = d / 2;
+  const inDisc = `lte(hypot(X-${c},Y-${c}),${r})`;
+  // Right-pointing triangle, nudged right of centre so it looks optically centred
+  const inTriangle =
+    `gte(X,${c - 0.3 * r})*lte(abs(Y-${c}),${0.45 * r}*(${c + 0.5 * r}-X)/${0.8 * r})`;
+  const button =
+    `color=c=black:s=${d}x${d},format=rgba,` +
+    `geq=r='255*${inTriangle}':g='255*${inTriangle}':b='255*${inTriangle}':` +
+    `a='${inDisc}*if(${inTriangle},255,160)'`;
+
+  await ffmpeg(
+    [
+      '-i', posterPath,
+      '-f', 'lavfi', '-i', button,
+      '-filter_complex', '[0:v][1:v]overlay=(W-w)/2:(H-h)/2',
+      '-frames:v', '1',
+      '-q:v', '2',
+      out,
+    ],
+    { signal: ctx.signal }
+  );
+
+  return out;
+}
+
+module.exports = { makeThumbnail, makePreviewGif, makePlayThumbnail };
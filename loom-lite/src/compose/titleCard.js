@@ -0,0 +1,149 @@
+/**
+ * Intro / outro title cards
+ *
+ * Cards are rendered to the same size, fps and codec as normalizeScene output,
+ * so concatScenes treats them like any recorded website and the facecam can
+ * talk over them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ffmpeg } = require('../utils/ffmpeg');
+const { renderTemplate, fontOption, quoteOption } = require('./textOverlays');
+
+const DEFAULT_BACKGROUND = { type: 'gradient', colors: ['#0F172A', '#1E3A8A'] };
+const FADE_SEC = 0.5;
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  const value = parseInt(match ? match[1] : '000000', 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Map a campaign card setting (intro_card / outro_card) to a pipeline card
+ * @param {Object|null} card - { enabled, duration_sec, headline, cta_text, background, show_calendly }
+ * @param {Object|null} row - Lead CSV row for {{column}} templates
+ * @param {Object} brand - { logoPath, name, calendlyUrl }
+ * @returns {Object|null} Card for renderTitleCard, or null when disabled
+ */
+function resolveTitleCard(card, row, brand = {}) {
+  if (!card?.enabled) return null;
+
+  const durationSec = parseInt(card.duration_sec, 10) || 0;
+  if (durationSec <= 0) return null;
+
+  return {
+    durationSec,
+    headline: renderTemplate(card.headline, row),
+    ctaText: renderTemplate(card.cta_text, row),
+    background: card.background || null,
+    logoPath: brand.logoPath || null,
+    brandName: brand.name || null,
+    calendlyUrl: card.show_calendly === false ? null : brand.calendlyUrl || null,
+  };
+}
+
+/**
+ * Write a single-frame background (solid colour or diagonal gradient)
+ */
+async function renderBackground(background, ctx, out) {
+  const { type, colors = [] } = background || DEFAULT_BACKGROUND;
+  const [r0, g0, b0] = hexToRgb(colors[0] || DEFAULT_BACKGROUND.colors[0]);
+
+  let filter = `color=c=0x${(colors[0] || DEFAULT_BACKGROUND.colors[0]).replace('#', '')}:s=${ctx.w}x${ctx.h}`;
+  if (type === 'gradient') {
+    const [r1, g1, b1] = hexToRgb(colors[1] || colors[0] || DEFAULT_BACKGROUND.colors[1]);
+    const mix = (a, b) => `${a}+(${b - a})*(X+Y)/(W+H)`;
+    filter = `color=c=black:s=${ctx.w}x${ctx.h},format=rgb24,geq=r='${mix(r0, r1)}':g='${mix(g0, g1)}':b='${mix(b0, b1)}'`;
+  }
+
+  await ffmpeg(['-f', 'lavfi', '-i', filter, '-frames:v', '1', out], { signal: ctx.signal });
+  return out;
+}
+
+/**
+ * Background behind framed scenes (device mockups, side-by-side composites)
+ * Rendered once per job from ctx.sceneBackground (the campaign's card background).
+ * @param {Object} ctx - Render context (w, h, workDir, sceneBackground, signal)
+ * @returns {Promise<string>} Path to scene-bg.png in the work dir
+ */
+async function prepareSceneBackground(ctx) {
+  const out = path.join(ctx.workDir, 'scene-bg.png');
+  if (!fs.existsSync(out)) {
+    await renderBackground(ctx.sceneBackground, ctx, out);
+  }
+  return out;
+}
+
+/**
+ * Render an intro or outro card as a normalized scene MP4
+ *
+ * Layout, top to bottom: logo (or brand name), headline, CTA text, Calendly URL.
+ *
+ * @param {Object} card - Resolved card (resolveTitleCard)
+ * @param {Object} ctx - Render context (w, h, fps, workDir, signal)
+ * @param {'intro'|'outro'} kind - Intro fades in from black, outro fades out
+ * @returns {Promise<string>} Path to <kind>.mp4 in the work dir
+ */
+async function renderTitleCard(card, ctx, kind) {
+  const out = path.join(ctx.workDir, `${kind}.mp4`);
+  const background = await renderBackground(card.background, ctx, path.join(ctx.workDir, `${kind}-bg.png`));
+  const hasLogo = Boolean(card.logoPath && fs.existsSync(card.logoPath));
+  const targetFrames = Math.round(card.durationSec * ctx.fps);
+
+  const lines = [
+    !hasLogo && card.brandName && { text: card.brandName, size: 0.04, y: 0.24, color: '0xCBD5E1' },
+    card.headline && { text: card.headline, size: 0.075, y: 0.42, color: '0xFFFFFF' },
+    card.ctaText && { text: card.ctaText, size: 0.04, y: 0.55, color: '0xE2E8F0' },
+    card.calendlyUrl && { text: card.calendlyUrl.replace(/^https?:\/\//, ''), size: 0.03, y: 0.8, color: '0x93C5FD' },
+  ].filter(Boolean);
+
+  const drawtext = lines.map((line, i) => {
+    const textFile = path.join(ctx.workDir, `${kind}-line-${i}.txt`);
+    fs.writeFileSync(textFile, line.text, 'utf8');
+    return `drawtext=${[
+      fontOption(),
+      `textfile=${quoteOption(textFile)}`,
+      'expansion=none',
+      `fontsize=${Math.round(ctx.h * line.size)}`,
+      `fontcolor=${line.color}`,
+      'x=(w-text_w)/2',
+      `y=${Math.round(ctx.h * line.y)}`,
+    ].join(':')}`;
+  });
+
+  const fade = kind === 'outro'
+    ? `fade=t=out:st=${Math.max(0, card.durationSec - FADE_SEC)}:d=${FADE_SEC}`
+    : `fade=t=in:st=0:d=${FADE_SEC}`;
+
+  const inputs = ['-loop', '1', '-framerate', String(ctx.fps), '-i', background];
+  let filter;
+  if (hasLogo) {
+    inputs.push('-i', card.logoPath);
+    filter =
+      `[1:v]scale=-1:${Math.round(ctx.h * 0.12)},format=rgba[logo];` +
+      `[0:v][logo]overlay=(W-w)/2:${Math.round(ctx.h * 0.18)}:eof_action=repeat,` +
+      [...drawtext, 'format=yuv420p', fade].join(',');
+  } else {
+    filter = `[0:v]${[...drawtext, 'format=yuv420p', fade].join(',')}`;
+  }
+
+  console.log(`[titleCard] Rendering ${kind} card (${card.durationSec}s)`);
+  await ffmpeg([
+    ...inputs,
+    '-filter_complex', filter,
+    '-frames:v', String(targetFrames),
+    '-r', String(ctx.fps),
+    '-pix_fmt', 'yuv420p',
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '18',
+    '-an',
+    out,
+  ], { signal: ctx.signal });
+
+  return out;
+}
+
+module.exports = { resolveTitleCard, renderTitleCard, renderBackground, prepareSceneBackground };
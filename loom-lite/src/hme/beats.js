@@ -1,7 +1,9 @@
 /**
- * Behavior Beats - 7 Human Motion Primitives
+ * Behavior Beats - 9 Human Motion Primitives
  *
  * Each beat accepts (page, cursorManager, rand, budgetMs) and returns actual elapsed time.
+ * Beats that settle on an element report it via onFocus(rect) for the camera timeline.
+ * Beats that plan scroll segments report them via onScroll(segments) for the motion trace.
  * Uses wall-clock timing (Date.now()) for accuracy.
  * Safe: no destructive clicks, hover is default.
  *
@@ -13,11 +15,19 @@
  * 5. highlightSentence - Text selection (1800-3000ms)
  * 6. moveToCTAandHover - Move to CTA, hover (1500-2500ms)
  * 7. idle - Elastic time filler (exact remaining time)
+ * 8. focusTarget - Scroll to a scene focus target and dwell on it (scheduled per scene)
+ * 9. swipeScroll - Touch flicks with momentum scrolling (device scenes)
  */
 
 const { generatePath, generateIdlePath } = require('./path');
-const { findNavItem, findHeadingNearCenter, findTextForSelection, findCTA, scrollToReveal } = require('./dom');
-const { generateScrollSegments, generateContentAwareScrollSegments, executeScrollSegments, scrollBy } = require('./scroll');
+const { findNavItem, findHeadingNearCenter, findTextForSelection, findCTA, findFocusTarget, scrollToReveal } = require('./dom');
+const {
+  generateScrollSegments,
+  generateContentAwareScrollSegments,
+  generateTargetScrollSegments,
+  executeScrollSegments,
+  scrollBy
+} = require('./scroll');
 const { ambientPause } = require('./ambient');
 
 /**
@@ -87,7 +97,7 @@ async function introSettle({ page, cursorManager, rand, budgetMs }) {
  * @param {Object} params - Beat parameters
  * @returns {Promise<number>} Actual elapsed time in ms
  */
-async function hoverNav({ page, cursorManager, rand, budgetMs }) {
+async function hoverNav({ page, cursorManager, rand, budgetMs, onFocus = () => {} }) {
   const startTime = Date.now();
 
   // Find nav item
@@ -115,6 +125,9 @@ async function hoverNav({ page, cursorManager, rand, budgetMs }) {
   // Scroll to reveal if needed
   await scrollToReveal(page, navItem, 120, 400);
 
+  // Camera focus starts as the cursor heads for the element
+  onFocus(navItem);
+
   // Get current cursor position
   const currentPos = await cursorManager.getCurrentPosition();
 
@@ -164,7 +177,7 @@ async function hoverNav({ page, cursorManager, rand, budgetMs }) {
  * @param {Object} params - Beat parameters
  * @returns {Promise<number>} Actual elapsed time in ms
  */
-async function scrollDrift({ page, cursorManager, rand, budgetMs }) {
+async function scrollDrift({ page, cursorManager, rand, budgetMs, onScroll = () => {} }) {
   const beatStart = Date.now();
 
   console.log(`\n[scrollDrift] Starting with budget: ${budgetMs}ms`);
@@ -200,6 +213,7 @@ async function scrollDrift({ page, cursorManager, rand, budgetMs }) {
   }
 
   // Execute scroll segments with budget enforcement
+  onScroll(segments);
   await executeScrollSegments(page, segments, budgetMs);
 
   const elapsed = Date.now() - beatStart;
@@ -223,7 +237,7 @@ async function scrollDrift({ page, cursorManager, rand, budgetMs }) {
  * @param {Object} params - Beat parameters
  * @returns {Promise<number>} Actual elapsed time in ms
  */
-async function hoverHeadingNearCenter({ page, cursorManager, rand, budgetMs }) {
+async function hoverHeadingNearCenter({ page, cursorManager, rand, budgetMs, onFocus = () => {} }) {
   const startTime = Date.now();
 
   // Find heading near center
@@ -251,6 +265,9 @@ async function hoverHeadingNearCenter({ page, cursorManager, rand, budgetMs }) {
   // Scroll to reveal if needed
   await scrollToReveal(page, heading, 120, 400);
 
+  // Camera focus starts as the cursor heads for the element
+  onFocus(heading);
+
   // Get current cursor position
   const currentPos = await cursorManager.getCurrentPosition();
 
@@ -300,7 +317,7 @@ async function hoverHeadingNearCenter({ page, cursorManager, rand, budgetMs }) {
  * @param {Object} params - Beat parameters
  * @returns {Promise<number>} Actual elapsed time in ms
  */
-async function highlightSentence({ page, cursorManager, rand, budgetMs }) {
+async function highlightSentence({ page, cursorManager, rand, budgetMs, onFocus = () => {} }) {
   const startTime = Date.now();
 
   // Find text for selection
@@ -328,6 +345,9 @@ async function highlightSentence({ page, cursorManager, rand, budgetMs }) {
   // Scroll to reveal if needed
   await scrollToReveal(page, textElement, 120, 400);
 
+  // Camera focus starts as the cursor heads for the element
+  onFocus(textElement);
+
   // Get current cursor position
   const currentPos = await cursorManager.getCurrentPosition();
 
@@ -401,7 +421,7 @@ async function highlightSentence({ page, cursorManager, rand, budgetMs }) {
  * @param {Object} params - Beat parameters
  * @returns {Promise<number>} Actual elapsed time in ms
  */
-async function moveToCTAandHover({ page, cursorManager, rand, budgetMs }) {
+async function moveToCTAandHover({ page, cursorManager, rand, budgetMs, onFocus = () => {} }) {
   const startTime = Date.now();
 
   // Find CTA element
@@ -429,6 +449,9 @@ async function moveToCTAandHover({ page, cursorManager, rand, budgetMs }) {
   // Scroll to reveal if needed
   await scrollToReveal(page, cta, 120, 400);
 
+  // Camera focus starts as the cursor heads for the element
+  onFocus(cta);
+
   // Get current cursor position
   const currentPos = await cursorManager.getCurrentPosition();
 
@@ -521,6 +544,148 @@ async function idle({ page, cursorManager, rand, budgetMs }) {
   return Date.now() - startTime;
 }
 
+/**
+ * Beat 8: focusTarget
+ * Inertial scroll to a rep-chosen target (selector, text or anchor), hover it
+ * and dwell for the rest of the budget. Missing targets fall back to
+ * hoverHeadingNearCenter so the scene still has motion.
+ * @param {Object} params - Beat parameters
+ * @param {Object} params.target - Focus target {type, value}
+ * @param {function} [params.onFocus] - Called with the element rect for the camera timeline
+ * @param {function} [params.onScroll] - Called with the planned scroll segments
+ * @returns {Promise<number>} Actual elapsed time in ms
+ */
+async function focusTarget({ page, cursorManager, rand, budgetMs, target, onFocus = () => {}, onScroll = () => {} }) {
+  const startTime = Date.now();
+
+  const element = await findFocusTarget(page, target);
+  if (!element) {
+    console.warn(`[focusTarget] ⚠️  Target not found (${target.type}: ${target.value}), falling back to heading hover`);
+    return hoverHeadingNearCenter({ page, cursorManager, rand, budgetMs, onFocus });
+  }
+
+  // Bring the target to the upper third, using at most 40% of the budget (max 6s)
+  const viewportHeight = await page.evaluate(() => window.innerHeight);
+  const distancePx = element.top - viewportHeight * 0.3;
+  const scrollBudgetMs = Math.min(budgetMs * 0.4, 6000);
+  const segments = generateTargetScrollSegments({ distancePx, totalDurationMs: scrollBudgetMs, rand });
+  onScroll(segments);
+  await executeScrollSegments(page, segments, scrollBudgetMs);
+
+  // Re-measure after scrolling (page may have clamped at the bottom)
+  const settled = (await findFocusTarget(page, target)) || element;
+  console.log(`[focusTarget] Dwelling on "${settled.text || target.value}"`);
+  onFocus(settled);
+
+  const currentPos = await cursorManager.getCurrentPosition();
+  const path = generatePath({
+    fromX: currentPos.x,
+    fromY: currentPos.y,
+    toX: settled.x,
+    toY: settled.y,
+    targetWidth: Math.min(settled.width || 200, 400),
+    rand,
+    sampleRate: 90,
+    includeOvershoot: true
+  });
+  await cursorManager.animatePath(path);
+
+  // Dwell: small idle movements around the target until ~0.8s is left
+  while (budgetMs - (Date.now() - startTime) > 800) {
+    await page.waitForTimeout(400 + rand() * 500);
+    const idlePath = generateIdlePath({
+      centerX: settled.x,
+      centerY: settled.y,
+      radius: 10 + rand() * 15, // 10-25px radius
+      rand
+    });
+    await cursorManager.animatePath(idlePath);
+  }
+
+  const elapsed = Date.now() - startTime;
+  const remaining = budgetMs - elapsed;
+  if (remaining > 0) {
+    await page.waitForTimeout(remaining);
+  }
+
+  return Date.now() - startTime;
+}
+
+/**
+ * Beat 9: swipeScroll
+ * Touch-device scrolling: finger flicks up the screen, the page glides on
+ * with momentum, then a reading pause. Replaces scrollDrift in the touch profile.
+ * @param {Object} params - Beat parameters
+ * @param {function} [params.onScroll] - Called with the planned scroll segments
+ * @returns {Promise<number>} Actual elapsed time in ms
+ */
+async function swipeScroll({ page, cursorManager, rand, budgetMs, onScroll = () => {} }) {
+  const startTime = Date.now();
+
+  const viewport = await page.evaluate(() => ({
+    width: window.innerWidth,
+    height: window.innerHeight,
+    maxScroll: Math.max(0, document.body.scrollHeight - window.innerHeight)
+  }));
+
+  let flicks = 0;
+  // Each flick needs ~0.2s swipe + ~0.8s glide + a pause
+  while (budgetMs - (Date.now() - startTime) > 1800) {
+    const scrollY = await page.evaluate(() => window.scrollY);
+    const atBottom = scrollY >= viewport.maxScroll - 10;
+    // Mostly down the page; occasionally flick back up (always at the bottom)
+    const up = scrollY > 0 && (atBottom || (flicks > 1 && rand() < 0.15));
+    const direction = up ? -1 : 1;
+
+    // Finger travel: 25-40% of the screen, lower-middle for a swipe up
+    const x = viewport.width * (0.45 + rand() * 0.2);
+    const travel = viewport.height * (0.25 + rand() * 0.15);
+    const fromY = up ? viewport.height * 0.35 : viewport.height * 0.75;
+    const toY = fromY - direction * travel;
+
+    // A swipe is much quicker than a pointer move: squeeze the path into 150-250ms
+    const path = generatePath({
+      fromX: x,
+      fromY,
+      toX: x + (rand() - 0.5) * 30,
+      toY,
+      targetWidth: 200,
+      rand,
+      sampleRate: 90,
+      includeOvershoot: false
+    });
+    const swipeMs = 150 + rand() * 100;
+    const pathMs = path[path.length - 1].t || 1;
+
+    await cursorManager.setPosition(x, fromY);
+    await cursorManager.touch(true);
+    await cursorManager.animatePath(path.map((point) => ({ ...point, t: Math.round((point.t / pathMs) * swipeMs) })));
+    await cursorManager.touch(false);
+
+    // Release: content keeps going ~1.5-2.5x the finger travel
+    const remaining = budgetMs - (Date.now() - startTime);
+    const glideMs = Math.min(600 + rand() * 400, remaining * 0.5);
+    const segments = [{
+      durationMs: glideMs,
+      amplitudePx: direction * travel * (1.5 + rand()),
+      envelope: 'momentum',
+      pauseAfterMs: Math.min(1000 + rand() * 1500, Math.max(0, remaining - glideMs))
+    }];
+    onScroll(segments);
+    await executeScrollSegments(page, segments, remaining);
+    flicks++;
+  }
+
+  console.log(`[swipeScroll] ${flicks} flick(s)`);
+
+  const remaining = budgetMs - (Date.now() - startTime);
+  if (remaining > 0) {
+    await page.waitForTimeout(remaining);
+  }
+
+  return Date.now() - startTime;
+}
+
 module.exports = {
   introSettle,
   hoverNav,
@@ -528,5 +693,7 @@ module.exports = {
   hoverHeadingNearCenter,
   highlightSentence,
   moveToCTAandHover,
-  idle
+  idle,
+  focusTarget,
+  swipeScroll
 };
@@ -6,52 +6,194 @@
  *
  * Key features:
  * - Hides OS cursor
+ * - Selectable skins (dot, macOS arrow, Windows arrow, spotlight ring)
+ * - Hand cursor over links/buttons, click ripple for clicks
+ * - Touch skin for device scenes: a fingertip that only shows while touching
  * - Smooth rAF-based animation
  * - Interpolates through coordinate arrays with timestamps
  * - Clean shutdown
  */
 
+const HAND_SVG =
+  '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="26" viewBox="0 0 24 26"><path d="M8 2.5c0-1 .8-1.7 1.7-1.7s1.7.7 1.7 1.7V11l.1-2.3c0-1 .8-1.6 1.7-1.6s1.6.7 1.6 1.6v2.8l.1-1.6c0-.9.7-1.6 1.6-1.6s1.6.7 1.6 1.6v2.2c0-.9.7-1.5 1.5-1.5s1.5.7 1.5 1.5V18c0 4-2.9 6.9-6.9 6.9h-1.5c-2.2 0-3.8-.9-5.1-2.6l-4.4-5.7c-.5-.7-.4-1.7.3-2.2.7-.6 1.7-.5 2.3.2L8 17.4Z" fill="#fff" stroke="#000" stroke-width="1.2" stroke-linejoin="round"/></svg>';
+
+// Each skin: default + hover shape ({html, transform}), ripple colour.
+// Transforms put the hotspot (arrow tip / fingertip / centre) on the cursor position.
+const CURSOR_SKINS = {
+  // Original HME cursor: 20px grey circle
+  dot: {
+    default: {
+      html: '<div style="width:20px;height:20px;border-radius:50%;background:rgba(0,0,0,0.6);border:2px solid rgba(255,255,255,0.8);box-sizing:border-box"></div>',
+      transform: 'translate(-50%, -50%)'
+    },
+    hover: null,
+    rippleColor: 'rgba(0, 0, 0, 0.45)'
+  },
+  mac: {
+    default: {
+      html: '<svg xmlns="http://www.w3.org/2000/svg" width="22" height="28" viewBox="0 0 22 28"><path d="M2 2v20l5-5 3.5 8 3-1.3-3.5-7.7h7Z" fill="#000" stroke="#fff" stroke-width="1.6" stroke-linejoin="round"/></svg>',
+      transform: 'translate(-2px, -2px)'
+    },
+    hover: { html: HAND_SVG, transform: 'translate(-10px, -1px)' },
+    rippleColor: 'rgba(0, 122, 255, 0.45)'
+  },
+  windows: {
+    default: {
+      html: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="26" viewBox="0 0 20 26"><path d="M1.5 1.5v19l4.5-4.5 3.5 8 3-1.3-3.5-7.7h6.5Z" fill="#fff" stroke="#000" stroke-width="1.2" stroke-linejoin="miter"/></svg>',
+      transform: 'translate(-1.5px, -1.5px)'
+    },
+    hover: { html: HAND_SVG, transform: 'translate(-10px, -1px)' },
+    rippleColor: 'rgba(0, 120, 215, 0.45)'
+  },
+  // Presenter-style highlight ring; grows over interactive elements
+  spotlight: {
+    default: {
+      html: '<div style="width:44px;height:44px;border-radius:50%;background:rgba(255,214,0,0.28);border:2px solid rgba(255,190,0,0.85);box-sizing:border-box"></div>',
+      transform: 'translate(-50%, -50%)'
+    },
+    hover: {
+      html: '<div style="width:44px;height:44px;border-radius:50%;background:rgba(255,214,0,0.28);border:2px solid rgba(255,190,0,0.85);box-sizing:border-box"></div>',
+      transform: 'translate(-50%, -50%) scale(1.3)'
+    },
+    rippleColor: 'rgba(255, 190, 0, 0.6)'
+  },
+  // Mobile/tablet scenes: no pointer, just a fingertip while swiping or tapping
+  touch: {
+    default: {
+      html: '<div style="width:40px;height:40px;border-radius:50%;background:rgba(255,255,255,0.45);border:2px solid rgba(0,0,0,0.25);box-shadow:0 2px 8px rgba(0,0,0,0.25);box-sizing:border-box"></div>',
+      transform: 'translate(-50%, -50%)'
+    },
+    hover: null,
+    rippleColor: 'rgba(255, 255, 255, 0.7)',
+    touch: true
+  }
+};
+
+const DEFAULT_CURSOR_STYLE = 'dot';
+
+/**
+ * Normalize campaign cursor settings
+ * @param {Object} [options] - {style, autoHand, clickRipple}
+ * @returns {{style: string, autoHand: boolean, clickRipple: boolean}}
+ */
+function normalizeCursorOptions(options = {}) {
+  const style = CURSOR_SKINS[options?.style] ? options.style : DEFAULT_CURSOR_STYLE;
+  return {
+    style,
+    autoHand: options?.autoHand !== false,
+    clickRipple: options?.clickRipple !== false
+  };
+}
+
 /**
  * Cursor manager class
  */
 class CursorManager {
-  constructor(page) {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} [options] - Cursor settings {style, autoHand, clickRipple}
+   * @param {Object} [trace] - Motion trace recorder (see trace.js)
+   */
+  constructor(page, options = {}, trace = null) {
     this.page = page;
+    this.options = normalizeCursorOptions(options);
+    this.trace = trace;
     this.isActive = false;
   }
 
   /**
    * Initialize cursor overlay in the page
+   * Safe to call again after a navigation wiped the overlay.
    * @returns {Promise<void>}
    */
   async initialize() {
-    if (this.isActive) return;
+    const skin = CURSOR_SKINS[this.options.style];
+
+    await this.page.evaluate(({ skin, autoHand, clickRipple }) => {
+      if (window._hmeCursor && document.contains(window._hmeCursor)) return;
 
-    await this.page.evaluate(() => {
       // Create cursor element
       const cursor = document.createElement('div');
       cursor.id = 'hme-cursor';
       cursor.style.cssText = `
         position: fixed;
-        width: 20px;
-        height: 20px;
-        border-radius: 50%;
-        background: rgba(0, 0, 0, 0.6);
-        border: 2px solid rgba(255, 255, 255, 0.8);
+        left: 0;
+        top: 0;
+        line-height: 0;
         pointer-events: none;
         z-index: 2147483647;
-        transition: none;
-        transform: translate(-50%, -50%);
+        transition: ${skin.touch ? 'opacity 120ms ease-out' : 'none'};
+        opacity: ${skin.touch ? 0 : 1};
       `;
       document.body.appendChild(cursor);
 
+      // Touch skin: fingertip visible only while "touching"
+      window._hmeCursorTouch = (down) => {
+        if (skin.touch) cursor.style.opacity = down ? '1' : '0';
+      };
+
+      let currentShape = null;
+      function setShape(name) {
+        const shape = (name === 'hover' && skin.hover) || skin.default;
+        if (currentShape === shape) return;
+        currentShape = shape;
+        cursor.innerHTML = shape.html;
+        cursor.style.transform = shape.transform;
+      }
+      setShape('default');
+
+      // Hand cursor over links/buttons (cursor has pointer-events: none, so it never hits itself)
+      window._hmeCursorHover = (x, y) => {
+        if (!autoHand || !skin.hover) return;
+        const el = document.elementFromPoint(x, y);
+        const interactive = el && el.closest('a[href], button, [role="button"], [role="link"], input[type="submit"], input[type="button"], summary, label[for], select');
+        setShape(interactive ? 'hover' : 'default');
+      };
+
+      // Press + expanding ring at the click point
+      window._hmeCursorClick = (x, y) => {
+        if (!clickRipple) return;
+        const ripple = document.createElement('div');
+        ripple.style.cssText = `
+          position: fixed;
+          left: ${x}px;
+          top: ${y}px;
+          width: 56px;
+          height: 56px;
+          margin: -28px 0 0 -28px;
+          border-radius: 50%;
+          border: 3px solid ${skin.rippleColor};
+          background: ${skin.rippleColor.replace(/[\d.]+\)$/, '0.15)')};
+          pointer-events: none;
+          z-index: 2147483646;
+          transform: scale(0.2);
+          opacity: 1;
+          transition: transform 450ms ease-out, opacity 450ms ease-out;
+        `;
+        document.body.appendChild(ripple);
+        requestAnimationFrame(() => {
+          ripple.style.transform = 'scale(1)';
+          ripple.style.opacity = '0';
+        });
+        setTimeout(() => ripple.remove(), 500);
+
+        if (skin.touch) {
+          cursor.style.opacity = '1';
+          setTimeout(() => { cursor.style.opacity = '0'; }, 250);
+        }
+
+        const base = cursor.style.transform;
+        cursor.style.transform = `${base} scale(0.85)`;
+        setTimeout(() => { cursor.style.transform = base; }, 120);
+      };
+
       // Hide OS cursor
       document.body.style.cursor = 'none';
       document.documentElement.style.cursor = 'none';
 
       // Store reference
       window._hmeCursor = cursor;
-    });
+    }, { skin, autoHand: this.options.autoHand, clickRipple: this.options.clickRipple });
 
     this.isActive = true;
   }
@@ -68,6 +210,14 @@ class CursorManager {
 
     if (path.length === 0) return;
 
+    if (this.trace) this.trace.cursorPath(path);
+
+    // A navigation (e.g. after a click) drops the overlay; put it back
+    const hasCursor = await this.page.evaluate(() => Boolean(window._hmeCursor && document.contains(window._hmeCursor)));
+    if (!hasCursor) {
+      await this.initialize();
+    }
+
     // Execute animation in page context using rAF
     await this.page.evaluate((pathData) => {
       return new Promise((resolve) => {
@@ -77,6 +227,14 @@ class CursorManager {
           return;
         }
 
+        // Hit-testing every frame is expensive; check the hover shape every ~80ms
+        let lastHoverCheck = 0;
+        function updateHover(x, y, now) {
+          if (!window._hmeCursorHover || now - lastHoverCheck < 80) return;
+          lastHoverCheck = now;
+          window._hmeCursorHover(x, y);
+        }
+
         const startTime = performance.now();
         const duration = pathData[pathData.length - 1].t;
 
@@ -117,6 +275,7 @@ class CursorManager {
             const final = pathData[pathData.length - 1];
             cursor.style.left = final.x + 'px';
             cursor.style.top = final.y + 'px';
+            updateHover(final.x, final.y, Infinity);
             resolve();
             return;
           }
@@ -125,6 +284,7 @@ class CursorManager {
           const pos = interpolatePosition(elapsed);
           cursor.style.left = pos.x + 'px';
           cursor.style.top = pos.y + 'px';
+          updateHover(pos.x, pos.y, elapsed);
 
           requestAnimationFrame(frame);
         }
@@ -159,6 +319,8 @@ class CursorManager {
       await this.initialize();
     }
 
+    if (this.trace) this.trace.cursorPoint(x, y);
+
     await this.page.evaluate(({ x, y }) => {
       const cursor = window._hmeCursor;
       if (cursor) {
@@ -168,6 +330,40 @@ class CursorManager {
     }, { x, y });
   }
 
+  /**
+   * Show a click at the cursor's position (press + ripple)
+   * Visual only - the caller performs the real click, if any.
+   * @param {number} [x] - X coordinate (default: current position)
+   * @param {number} [y] - Y coordinate (default: current position)
+   * @returns {Promise<void>}
+   */
+  async showClick(x, y) {
+    if (!this.isActive) {
+      await this.initialize();
+    }
+
+    const pos = x === undefined || y === undefined ? await this.getCurrentPosition() : { x, y };
+    if (this.trace) this.trace.click(pos.x, pos.y);
+    await this.page.evaluate(({ x, y }) => {
+      if (window._hmeCursorClick) window._hmeCursorClick(x, y);
+    }, pos).catch(() => {});
+  }
+
+  /**
+   * Put the fingertip down / lift it (touch skin only; no-op for pointer skins)
+   * @param {boolean} down
+   * @returns {Promise<void>}
+   */
+  async touch(down) {
+    if (!this.isActive) {
+      await this.initialize();
+    }
+
+    await this.page.evaluate((down) => {
+      if (window._hmeCursorTouch) window._hmeCursorTouch(down);
+    }, down).catch(() => {});
+  }
+
   /**
    * Remove cursor overlay and restore OS cursor
    * @returns {Promise<void>}
@@ -181,6 +377,9 @@ class CursorManager {
         cursor.remove();
       }
       delete window._hmeCursor;
+      delete window._hmeCursorHover;
+      delete window._hmeCursorClick;
+      delete window._hmeCursorTouch;
 
       // Restore OS cursor
       document.body.style.cursor = '';
@@ -196,13 +395,17 @@ class CursorManager {
 /**
  * Create a cursor manager for a page
  * @param {Page} page - Playwright page
+ * @param {Object} [options] - Cursor settings {style, autoHand, clickRipple}
+ * @param {Object} [trace] - Motion trace recorder (see trace.js)
  * @returns {CursorManager}
  */
-function createCursorManager(page) {
-  return new CursorManager(page);
+function createCursorManager(page, options = {}, trace = null) {
+  return new CursorManager(page, options, trace);
 }
 
 module.exports = {
   createCursorManager,
-  CursorManager
+  normalizeCursorOptions,
+  CursorManager,
+  CURSOR_SKINS
 };
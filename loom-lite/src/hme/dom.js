@@ -13,20 +13,25 @@ const ALLOW_PATTERNS = /pricing|features|customers|demo|about|learn[\s-]?more|co
 
 /**
  * Check if page has authentication indicators
+ * Signed-in pages (dashboards) often say "password" or "sign in" somewhere,
+ * so callers recording behind a login only treat a password field as a login page.
  * @param {Page} page - Playwright page
+ * @param {Object} [options]
+ * @param {boolean} [options.passwordOnly=false] - Ignore login wording, look for a password field only
  * @returns {Promise<boolean>}
  */
-async function detectAuth(page) {
-  return page.evaluate(() => {
+async function detectAuth(page, { passwordOnly = false } = {}) {
+  return page.evaluate((passwordOnly) => {
     // Check for password input
     const hasPasswordInput = !!document.querySelector('input[type="password"]');
+    if (passwordOnly) return hasPasswordInput;
 
     // Check for login/signin text
     const bodyText = document.body.textContent || '';
     const hasLoginText = /sign[\s-]?in|log[\s-]?in|password|authentication/i.test(bodyText);
 
     return hasPasswordInput || hasLoginText;
-  });
+  }, passwordOnly);
 }
 
 /**
@@ -256,6 +261,64 @@ async function findTextForSelection(page) {
   return texts[0] || null;
 }
 
+/**
+ * Locate a scene focus target
+ * Text targets match the smallest visible element containing the text.
+ * @param {Page} page - Playwright page
+ * @param {Object} target - Focus target {type: 'selector'|'text'|'anchor', value}
+ * @returns {Promise<Object|null>} {x, y, width, height, top, text} in viewport coordinates, or null
+ */
+async function findFocusTarget(page, target) {
+  if (!target || !target.value) return null;
+
+  return page.evaluate(({ type, value }) => {
+    function isRendered(el) {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+    }
+
+    let el = null;
+    if (type === 'selector') {
+      try {
+        el = Array.from(document.querySelectorAll(value)).find(isRendered) || null;
+      } catch (e) {
+        return null; // Invalid selector
+      }
+    } else if (type === 'anchor') {
+      const id = value.replace(/^#/, '');
+      el = document.getElementById(id) || document.querySelector(`a[name="${CSS.escape(id)}"]`);
+    } else {
+      const needle = value.trim().toLowerCase();
+      const candidates = document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, a, button, span, td, th, label, div, section');
+      let best = null;
+      for (const candidate of candidates) {
+        const text = (candidate.innerText || '').trim();
+        if (!text || !text.toLowerCase().includes(needle) || !isRendered(candidate)) continue;
+        if (!best || text.length < best.text.length) best = { el: candidate, text };
+      }
+      el = best ? best.el : null;
+    }
+
+    if (!el || !isRendered(el)) return null;
+
+    const rect = el.getBoundingClientRect();
+    // Aim at the visible part when the target is taller than the viewport
+    const visibleTop = Math.max(rect.top, 0);
+    const visibleBottom = Math.min(rect.bottom, window.innerHeight);
+    const y = visibleBottom > visibleTop ? (visibleTop + visibleBottom) / 2 : rect.top + rect.height / 2;
+
+    return {
+      text: (el.innerText || '').trim().substring(0, 80),
+      x: rect.left + rect.width / 2,
+      y,
+      width: rect.width,
+      height: rect.height,
+      top: rect.top
+    };
+  }, { type: target.type, value: target.value });
+}
+
 /**
  * Scroll element into view considering topMargin
  * @param {Page} page - Playwright page
@@ -278,12 +341,14 @@ async function scrollToReveal(page, element, topMargin = 120) {
 }
 
 module.exports = {
+  DENY_PATTERNS,
   detectAuth,
   findElements,
   findHeadingNearCenter,
   findCTA,
   findNavItem,
   findTextForSelection,
+  findFocusTarget,
   isSafeToClick,
   scrollToReveal
 };
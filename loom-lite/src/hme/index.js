@@ -9,8 +9,14 @@
  *   await HME.runScene(page, scene);
  *
  * Requirements:
- * - scene.url: string (used as RNG seed)
+ * - scene.url: string (RNG seed unless scene.seed is set)
+ * - scene.seed: number|string (optional explicit seed, see getSceneSeed)
  * - scene.durationSec: number
+ * - scene.profile: string (optional behavior profile, see profiles.js)
+ * - scene.focusTargets: Array (optional [{type, value, dwellShare}] the scene must visit)
+ * - scene.cursor: Object (optional {style, autoHand, clickRipple}, see cursor.js)
+ * - scene.authenticated: boolean (optional, page was opened with a signed-in session)
+ * - scene.touch: boolean (optional, device scene: forces the 'touch' profile)
  */
 
 const { createRNG, hashString } = require('./rng');
@@ -18,63 +24,103 @@ const { createCursorManager } = require('./cursor');
 const { scheduleBeats, validateSchedule, logSchedule } = require('./scheduler');
 const beats = require('./beats');
 const { detectAuth } = require('./dom');
+const { createMotionTrace } = require('./trace');
+
+/**
+ * Resolve the RNG seed HME will use for a scene
+ * Recordings with the same seed (and URL/duration) are interchangeable,
+ * so the scene cache keys on this value.
+ *
+ * - no scene.seed: hash of the URL (every lead visiting a URL moves the same way)
+ * - integer seed (0..2^32-1, e.g. from a motion trace): used as-is, so a run can be replayed
+ * - any other string (e.g. a lead's email): hashed together with the URL
+ *
+ * @param {Object} scene - Scene config {url, seed}
+ * @returns {number} 32-bit seed
+ */
+function getSceneSeed(scene) {
+  const explicit = scene.seed === undefined || scene.seed === null ? '' : String(scene.seed).trim();
+  if (!explicit) {
+    return hashString(scene.url);
+  }
+  if (/^\d+$/.test(explicit) && Number(explicit) <= 0xFFFFFFFF) {
+    return Number(explicit) >>> 0;
+  }
+  return hashString(`${scene.url}#${explicit}`);
+}
 
 /**
  * Main HME entry point
  * @param {Page} page - Playwright page (already navigated)
- * @param {Object} scene - Scene config {url, durationSec}
- * @returns {Promise<Object>} Execution summary
+ * @param {Object} scene - Scene config {url, seed, durationSec, profile, focusTargets, cursor}
+ * @returns {Promise<Object>} Execution summary (includes the motion trace)
  */
 async function runScene(page, scene) {
   const startTime = Date.now();
 
+  // Phones and tablets have no hover; swipe instead
+  if (scene.touch && scene.profile !== 'touch') {
+    scene = { ...scene, profile: 'touch' };
+  }
+
   console.log(`\n[HME] Starting Human Motion Engine v2`);
   console.log(`[HME] Scene: ${scene.url}`);
   console.log(`[HME] Duration: ${scene.durationSec}s`);
+  console.log(`[HME] Profile: ${scene.profile || 'default'}`);
 
-  // Create seeded RNG from URL
-  const seed = hashString(scene.url);
+  // Create seeded RNG (URL or explicit scene seed)
+  const seed = getSceneSeed(scene);
   const rand = createRNG(seed);
-  console.log(`[HME] RNG seed: ${seed}`);
+  console.log(`[HME] RNG seed: ${seed}${scene.seed ? ` (from "${scene.seed}")` : ''}`);
 
-  // Check for authentication page
-  const isAuthPage = await detectAuth(page);
+  const trace = createMotionTrace({ seed, url: scene.url, durationSec: scene.durationSec, profile: scene.profile, startedAt: startTime });
+  const viewport = await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+  trace.setViewport(viewport);
+  await trace.startScrollSampler(page);
+
+  // Check for authentication page (signed-in scenes only bail on an actual login form)
+  const isAuthPage = await detectAuth(page, { passwordOnly: Boolean(scene.authenticated) });
   if (isAuthPage) {
     console.log(`[HME] ⚠️  Authentication page detected - skipping interactions`);
     // Just do minimal behavior: introSettle + idle
-    const cursorManager = createCursorManager(page);
+    const cursorManager = createCursorManager(page, scene.cursor, trace);
     await cursorManager.initialize();
 
+    trace.beginBeat('introSettle', 1000);
     await beats.introSettle({
       page,
       cursorManager,
       rand,
       budgetMs: 1000
     });
+    trace.endBeat();
 
     const remainingMs = scene.durationSec * 1000 - 1000;
+    trace.beginBeat('idle', remainingMs);
     await beats.idle({
       page,
       cursorManager,
       rand,
       budgetMs: remainingMs
     });
+    trace.endBeat();
 
     await cursorManager.cleanup();
+    await trace.stopScrollSampler(page);
 
     const elapsed = Date.now() - startTime;
     console.log(`[HME] ✅ Completed (auth page mode) in ${(elapsed / 1000).toFixed(2)}s`);
-    return { completed: true, authPage: true, elapsedMs: elapsed };
+    return { completed: true, authPage: true, elapsedMs: elapsed, seed, motionTrace: trace.toJSON() };
   }
 
   // Initialize cursor manager
-  const cursorManager = createCursorManager(page);
+  const cursorManager = createCursorManager(page, scene.cursor, trace);
   await cursorManager.initialize();
   console.log(`[HME] Cursor manager initialized`);
 
   // Create time schedule
   const sceneDurationMs = scene.durationSec * 1000;
-  const schedule = scheduleBeats({ sceneDurationMs, rand });
+  const schedule = scheduleBeats({ sceneDurationMs, rand, profile: scene.profile, focusTargets: scene.focusTargets });
   logSchedule(schedule, '[HME]');
 
   // Validate schedule
@@ -90,11 +136,16 @@ async function runScene(page, scene) {
   const results = [];
   let cumulativeTime = 0;
 
+  // Camera focus timeline: what the cursor settles on each beat, relative to
+  // the start of runScene (normalizeScene turns this into zoom/pan keyframes)
+  const focusTimeline = [];
+
   for (let i = 0; i < schedule.length; i++) {
-    const { beatName, budgetMs } = schedule[i];
+    const { beatName, budgetMs, target } = schedule[i];
     const beatStartTime = Date.now();
 
     console.log(`\n[HME] [Beat ${i + 1}/${schedule.length}] ${beatName} (budget: ${budgetMs}ms)`);
+    trace.beginBeat(beatName, budgetMs, target);
 
     try {
       // Get beat function
@@ -104,13 +155,36 @@ async function runScene(page, scene) {
       }
 
       // Execute beat
+      let focusEntry = null;
       const actualMs = await beatFn({
         page,
         cursorManager,
         rand,
-        budgetMs
+        budgetMs,
+        target,
+        onScroll: (segments) => trace.scrollSegments(segments),
+        onFocus: (rect) => {
+          if (!rect || !rect.width || !rect.height) return;
+          focusEntry = {
+            beat: beatName,
+            startMs: Date.now() - startTime,
+            endMs: null,
+            rect: {
+              x: Math.round(rect.x - rect.width / 2),
+              y: Math.round(rect.y - rect.height / 2),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height)
+            }
+          };
+        }
       });
 
+      if (focusEntry) {
+        focusEntry.endMs = Date.now() - startTime;
+        focusTimeline.push(focusEntry);
+      }
+      trace.endBeat();
+
       const beatElapsed = Date.now() - beatStartTime;
       cumulativeTime += beatElapsed;
 
@@ -132,6 +206,7 @@ async function runScene(page, scene) {
 
     } catch (error) {
       console.error(`[HME] ❌ Error in beat '${beatName}':`, error.message);
+      trace.endBeat(error.message);
 
       // Continue to next beat (graceful degradation)
       results.push({
@@ -147,6 +222,7 @@ async function runScene(page, scene) {
 
   // Clean up cursor
   await cursorManager.cleanup();
+  await trace.stopScrollSampler(page);
   console.log(`[HME] Cursor manager cleaned up`);
 
   // Final summary
@@ -173,7 +249,10 @@ async function runScene(page, scene) {
     deltaMs: finalDelta,
     onTime: Math.abs(finalDelta) < 100,
     beats: results,
-    successRate
+    successRate,
+    seed,
+    focusTimeline: { viewport, events: focusTimeline },
+    motionTrace: trace.toJSON()
   };
 }
 
@@ -189,5 +268,6 @@ function shouldUseHME(scene) {
 
 module.exports = {
   runScene,
-  shouldUseHME
+  shouldUseHME,
+  getSceneSeed
 };
@@ -0,0 +1,151 @@
+/**
+ * HME Behavior Profiles
+ *
+ * A profile is the beat sequence the scheduler allocates time across, as data.
+ * Each beat spec is one of:
+ * - { beat, ms: [min, max] }               fixed budget, picked in range
+ * - { beat, weight: [min, max], maxMs }    share of the time still unallocated
+ * - { beat, elastic: true, minMs }         fills the rest exactly (last beat only)
+ *
+ * `short` is used instead of `beats` for scenes under `shortBelowMs`.
+ * Beats may repeat (e.g. two scrollDrift passes for a skim).
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+const PROFILES = {
+  // The original v2 sequence: a bit of everything
+  default: {
+    label: 'Balanced',
+    shortBelowMs: 10000,
+    beats: [
+      { beat: 'introSettle', ms: [800, 1200] },
+      { beat: 'hoverNav', ms: [2500, 4000] },
+      { beat: 'scrollDrift', weight: [0.4, 0.5], maxMs: 12000 },
+      { beat: 'hoverHeadingNearCenter', ms: [2500, 4000] },
+      { beat: 'highlightSentence', ms: [1800, 3000] },
+      { beat: 'moveToCTAandHover', ms: [1500, 2500] },
+      { beat: 'idle', elastic: true, minMs: 1000 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [800, 1000] },
+      { beat: 'scrollDrift', weight: [0.4, 0.5] },
+      { beat: 'idle', elastic: true, minMs: 500 },
+    ],
+  },
+
+  // Mostly scrolling; covers as much of the page as possible
+  skim: {
+    label: 'Skim',
+    shortBelowMs: 8000,
+    beats: [
+      { beat: 'introSettle', ms: [600, 900] },
+      { beat: 'scrollDrift', weight: [0.35, 0.45], maxMs: 15000 },
+      { beat: 'hoverHeadingNearCenter', ms: [1200, 2000] },
+      { beat: 'scrollDrift', weight: [0.55, 0.65], maxMs: 15000 },
+      { beat: 'moveToCTAandHover', ms: [1200, 2000] },
+      { beat: 'idle', elastic: true, minMs: 800 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [600, 800] },
+      { beat: 'scrollDrift', weight: [0.6, 0.7] },
+      { beat: 'idle', elastic: true, minMs: 500 },
+    ],
+  },
+
+  // Lingers on headings and copy, scrolls little
+  deep_read: {
+    label: 'Deep read',
+    shortBelowMs: 20000,
+    beats: [
+      { beat: 'introSettle', ms: [1000, 1500] },
+      { beat: 'hoverHeadingNearCenter', ms: [3000, 4500] },
+      { beat: 'highlightSentence', ms: [3000, 4500] },
+      { beat: 'scrollDrift', weight: [0.3, 0.4], maxMs: 10000 },
+      { beat: 'hoverHeadingNearCenter', ms: [2500, 3500] },
+      { beat: 'highlightSentence', ms: [2500, 4000] },
+      { beat: 'idle', elastic: true, minMs: 1500 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [800, 1000] },
+      { beat: 'highlightSentence', ms: [2500, 3500] },
+      { beat: 'idle', elastic: true, minMs: 500 },
+    ],
+  },
+
+  // Nav (where "Pricing" usually lives) and the main CTA get the most time
+  pricing_focus: {
+    label: 'Pricing focus',
+    shortBelowMs: 10000,
+    beats: [
+      { beat: 'introSettle', ms: [800, 1200] },
+      { beat: 'hoverNav', ms: [3000, 4500] },
+      { beat: 'scrollDrift', weight: [0.3, 0.4], maxMs: 9000 },
+      { beat: 'moveToCTAandHover', ms: [2500, 3500] },
+      { beat: 'highlightSentence', ms: [1800, 3000] },
+      { beat: 'idle', elastic: true, minMs: 1000 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [800, 1000] },
+      { beat: 'hoverNav', ms: [2000, 3000] },
+      { beat: 'idle', elastic: true, minMs: 500 },
+    ],
+  },
+
+  // Few, slow movements with long pauses
+  calm: {
+    label: 'Calm',
+    shortBelowMs: 10000,
+    beats: [
+      { beat: 'introSettle', ms: [1500, 2000] },
+      { beat: 'scrollDrift', weight: [0.3, 0.4], maxMs: 10000 },
+      { beat: 'hoverHeadingNearCenter', ms: [3000, 4000] },
+      { beat: 'idle', elastic: true, minMs: 3000 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [1200, 1500] },
+      { beat: 'idle', elastic: true, minMs: 1000 },
+    ],
+  },
+
+  // Device scenes (phone/tablet): swipes instead of hovers. Not user-selectable;
+  // HME forces it for scenes recorded with a device profile.
+  touch: {
+    label: 'Touch',
+    shortBelowMs: 8000,
+    beats: [
+      { beat: 'introSettle', ms: [800, 1200] },
+      { beat: 'swipeScroll', weight: [0.45, 0.55], maxMs: 15000 },
+      { beat: 'idle', ms: [1500, 2500] },
+      { beat: 'swipeScroll', weight: [0.6, 0.7], maxMs: 12000 },
+      { beat: 'idle', elastic: true, minMs: 1000 },
+    ],
+    short: [
+      { beat: 'introSettle', ms: [600, 800] },
+      { beat: 'swipeScroll', weight: [0.6, 0.7] },
+      { beat: 'idle', elastic: true, minMs: 500 },
+    ],
+  },
+};
+
+/**
+ * Look up a profile by name
+ * Unknown or empty names resolve to the default profile.
+ * @param {string|null} name - Profile name (campaigns.hme_profile / scenes.hme_profile)
+ * @returns {{name: string, profile: Object}}
+ */
+function getProfile(name) {
+  if (name && PROFILES[name]) {
+    return { name, profile: PROFILES[name] };
+  }
+  if (name) {
+    console.warn(`[HME] ⚠️  Unknown behavior profile '${name}', using '${DEFAULT_PROFILE}'`);
+  }
+  return { name: DEFAULT_PROFILE, profile: PROFILES[DEFAULT_PROFILE] };
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  getProfile
+};
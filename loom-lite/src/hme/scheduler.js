@@ -2,114 +2,241 @@
  * Time Budget Scheduler
  *
  * Allocates time budgets across behavior beats.
- * Makes final 'idle' beat elastic to consume exact remaining time.
+ * Beat order and budget ranges come from a behavior profile (see profiles.js);
+ * the final 'idle' beat is elastic and consumes the exact remaining time.
  * Deterministic with seeded RNG.
  *
- * Beat budget ranges (typical):
+ * Default profile budget ranges (typical):
  * - introSettle: 800-1200ms
- * - hoverNav: 1500-2500ms
- * - scrollDrift: 3000-6000ms (elastic, scales with scene duration)
- * - hoverHeadingNearCenter: 1200-2000ms
+ * - hoverNav: 2500-4000ms
+ * - scrollDrift: 40-50% of remaining time (capped at 12s)
+ * - hoverHeadingNearCenter: 2500-4000ms
  * - highlightSentence: 1800-3000ms
  * - moveToCTAandHover: 1500-2500ms
  * - idle: elastic (fills remaining time exactly)
  */
 
+const beats = require('./beats');
+const { PROFILES, DEFAULT_PROFILE, getProfile } = require('./profiles');
+
+// Focus target dwell shares (fraction of the scene duration)
+const DEFAULT_FOCUS_SHARE = 0.25;
+const MIN_FOCUS_SHARE = 0.05;
+const MAX_FOCUS_SHARE = 0.6;
+const MAX_TOTAL_FOCUS_SHARE = 0.7;
+
 /**
- * Generate time budget schedule for all beats
+ * Allocate budgets for a list of beat specs
+ * The budgets always add up to sceneDurationMs (see fitSchedule).
+ * @param {Array<Object>} beatSpecs - Profile beats ({beat, ms} | {beat, weight, maxMs} | {beat, elastic, minMs})
  * @param {Object} params - Scheduler parameters
  * @param {number} params.sceneDurationMs - Total scene duration in milliseconds
  * @param {function} params.rand - Seeded RNG
  * @returns {Array<{beatName: string, budgetMs: number}>} Time allocation schedule
  */
-function createSchedule({ sceneDurationMs, rand }) {
+function buildSchedule(beatSpecs, { sceneDurationMs, rand }) {
   const schedule = [];
   let remaining = sceneDurationMs;
 
-  // Beat 1: introSettle (800-1200ms)
-  const introSettle = 800 + rand() * 400;
-  schedule.push({ beatName: 'introSettle', budgetMs: Math.round(introSettle) });
-  remaining -= introSettle;
-
-  // Beat 2: hoverNav (2500-4000ms - INCREASED for micro-movements)
-  const hoverNav = 2500 + rand() * 1500;
-  schedule.push({ beatName: 'hoverNav', budgetMs: Math.round(hoverNav) });
-  remaining -= hoverNav;
-
-  // Beat 3: scrollDrift (use 40-50% of remaining time for slower scrolling)
-  const scrollDriftRatio = 0.4 + rand() * 0.1; // 40-50% of remaining time
-  const scrollDrift = Math.min(remaining * scrollDriftRatio, 12000); // Cap at 12s
-  schedule.push({ beatName: 'scrollDrift', budgetMs: Math.round(scrollDrift) });
-  remaining -= scrollDrift;
-
-  // Beat 4: hoverHeadingNearCenter (2500-4000ms - INCREASED for micro-movements)
-  const hoverHeading = 2500 + rand() * 1500;
-  schedule.push({ beatName: 'hoverHeadingNearCenter', budgetMs: Math.round(hoverHeading) });
-  remaining -= hoverHeading;
-
-  // Beat 5: highlightSentence (1800-3000ms)
-  const highlightSentence = 1800 + rand() * 1200;
-  schedule.push({ beatName: 'highlightSentence', budgetMs: Math.round(highlightSentence) });
-  remaining -= highlightSentence;
-
-  // Beat 6: moveToCTAandHover (1500-2500ms)
-  const moveToCTA = 1500 + rand() * 1000;
-  schedule.push({ beatName: 'moveToCTAandHover', budgetMs: Math.round(moveToCTA) });
-  remaining -= moveToCTA;
-
-  // Beat 7: idle (elastic - fills exact remaining time)
-  // Ensure at least 1000ms for idle beat
-  const idle = Math.max(1000, remaining);
-  schedule.push({ beatName: 'idle', budgetMs: Math.round(idle) });
+  for (const spec of beatSpecs) {
+    let budgetMs;
+    if (spec.elastic) {
+      budgetMs = Math.max(spec.minMs || 0, remaining);
+    } else if (spec.weight) {
+      const [minWeight, maxWeight] = spec.weight;
+      budgetMs = Math.max(0, remaining) * (minWeight + rand() * (maxWeight - minWeight));
+      if (spec.maxMs) budgetMs = Math.min(budgetMs, spec.maxMs);
+    } else {
+      const [minMs, maxMs] = spec.ms;
+      budgetMs = minMs + rand() * (maxMs - minMs);
+    }
 
-  return schedule;
+    schedule.push({ beatName: spec.beat, budgetMs });
+    remaining -= budgetMs;
+  }
+
+  return fitSchedule(schedule, beatSpecs, sceneDurationMs);
+}
+
+/**
+ * Scale unrounded budgets to the scene duration and round them
+ * Fixed budgets picked high in their ranges can add up to more than a shorter
+ * scene once the elastic beat is at its minimum. The other beats are then
+ * shrunk proportionally so the elastic beat keeps its minimum (or everything
+ * shrinks when even that doesn't fit). The elastic beat takes the rounding
+ * remainder, so the total is exactly sceneDurationMs.
+ * @param {Array<{beatName: string, budgetMs: number}>} schedule - Budgets from buildSchedule
+ * @param {Array<Object>} beatSpecs - Profile beats the schedule was built from
+ * @param {number} sceneDurationMs - Total scene duration in milliseconds
+ * @returns {Array<{beatName: string, budgetMs: number}>} Rounded schedule
+ */
+function fitSchedule(schedule, beatSpecs, sceneDurationMs) {
+  const elasticIdx = beatSpecs.findIndex((spec) => spec.elastic);
+  if (elasticIdx === -1) {
+    return schedule.map((beat) => ({ ...beat, budgetMs: Math.round(beat.budgetMs) }));
+  }
+
+  const totalMs = schedule.reduce((sum, beat) => sum + beat.budgetMs, 0);
+  let scale = 1;
+  if (totalMs > sceneDurationMs) {
+    const elasticMinMs = beatSpecs[elasticIdx].minMs || 0;
+    const fixedMs = totalMs - schedule[elasticIdx].budgetMs;
+    scale = sceneDurationMs > elasticMinMs && fixedMs > 0
+      ? (sceneDurationMs - elasticMinMs) / fixedMs
+      : sceneDurationMs / totalMs;
+  }
+
+  const fitted = schedule.map((beat, idx) =>
+    idx === elasticIdx ? beat : { ...beat, budgetMs: Math.round(beat.budgetMs * scale) }
+  );
+  const otherMs = fitted.reduce((sum, beat, idx) => (idx === elasticIdx ? sum : sum + beat.budgetMs), 0);
+  fitted[elasticIdx] = { ...fitted[elasticIdx], budgetMs: Math.max(0, sceneDurationMs - otherMs) };
+  return fitted;
 }
 
 /**
- * Create a simplified schedule (fewer beats) for very short scenes
+ * Generate the default full schedule (scenes >= 10s)
+ * @param {Object} params - Scheduler parameters
+ * @param {number} params.sceneDurationMs - Total scene duration in milliseconds
+ * @param {function} params.rand - Seeded RNG
+ * @returns {Array<{beatName: string, budgetMs: number}>} Time allocation schedule
+ */
+function createSchedule({ sceneDurationMs, rand }) {
+  return buildSchedule(PROFILES[DEFAULT_PROFILE].beats, { sceneDurationMs, rand });
+}
+
+/**
+ * Create the default simplified schedule (introSettle, scrollDrift, idle) for very short scenes
  * @param {Object} params - Scheduler parameters
  * @param {number} params.sceneDurationMs - Total scene duration in milliseconds
  * @param {function} params.rand - Seeded RNG
  * @returns {Array<{beatName: string, budgetMs: number}>} Time allocation schedule
  */
 function createSimplifiedSchedule({ sceneDurationMs, rand }) {
-  const schedule = [];
-  let remaining = sceneDurationMs;
+  return buildSchedule(PROFILES[DEFAULT_PROFILE].short, { sceneDurationMs, rand });
+}
 
-  // For scenes <10s, only do: introSettle, scrollDrift, idle
+/**
+ * Validate a profile's beat list against a scene duration
+ * Checks the beats exist, the elastic beat is last, and the minimum budgets fit.
+ * @param {Array<Object>} beatSpecs - Profile beats (profile.beats or profile.short)
+ * @param {number} expectedDurationMs - Scene duration
+ * @returns {Object} Validation result {valid: boolean, errors: string[], minDurationMs: number, expectedMs: number}
+ */
+function validateProfile(beatSpecs, expectedDurationMs) {
+  const errors = [];
+  let minDurationMs = 0;
 
-  // Beat 1: introSettle (800-1000ms)
-  const introSettle = 800 + rand() * 200;
-  schedule.push({ beatName: 'introSettle', budgetMs: Math.round(introSettle) });
-  remaining -= introSettle;
+  if (!Array.isArray(beatSpecs) || beatSpecs.length === 0) {
+    errors.push('profile has no beats');
+  } else {
+    beatSpecs.forEach((spec, idx) => {
+      const isLast = idx === beatSpecs.length - 1;
+      if (typeof beats[spec.beat] !== 'function') {
+        errors.push(`unknown beat '${spec.beat}'`);
+      } else if (spec.beat === 'focusTarget') {
+        errors.push(`'focusTarget' is scheduled from scene focus targets, not profiles`);
+      }
 
-  // Beat 2: scrollDrift (use 40-50% of remaining time)
-  const scrollDrift = remaining * (0.4 + rand() * 0.1);
-  schedule.push({ beatName: 'scrollDrift', budgetMs: Math.round(scrollDrift) });
-  remaining -= scrollDrift;
+      if (spec.elastic) {
+        if (!isLast) errors.push(`elastic beat '${spec.beat}' must be last`);
+        minDurationMs += spec.minMs || 0;
+      } else if (spec.weight) {
+        const [minWeight, maxWeight] = spec.weight;
+        if (!(minWeight > 0 && minWeight <= maxWeight && maxWeight <= 1)) {
+          errors.push(`beat '${spec.beat}' has invalid weight [${spec.weight}]`);
+        }
+      } else if (Array.isArray(spec.ms)) {
+        const [minMs, maxMs] = spec.ms;
+        if (!(minMs >= 0 && minMs <= maxMs)) {
+          errors.push(`beat '${spec.beat}' has invalid budget [${spec.ms}]`);
+        }
+        minDurationMs += minMs;
+      } else {
+        errors.push(`beat '${spec.beat}' needs ms, weight or elastic`);
+      }
 
-  // Beat 3: idle (elastic - fills exact remaining time)
-  const idle = Math.max(500, remaining);
-  schedule.push({ beatName: 'idle', budgetMs: Math.round(idle) });
+      if (isLast && !spec.elastic) {
+        errors.push('last beat must be elastic');
+      }
+    });
+  }
 
-  return schedule;
+  if (minDurationMs > expectedDurationMs) {
+    errors.push(`needs at least ${(minDurationMs / 1000).toFixed(1)}s, scene is ${(expectedDurationMs / 1000).toFixed(1)}s`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    minDurationMs,
+    expectedMs: expectedDurationMs
+  };
 }
 
 /**
- * Main scheduler function - selects appropriate schedule based on scene duration
+ * Build the schedule for a behavior profile
+ * Profiles whose beats are invalid or whose minimum budgets don't fit the scene
+ * fall back to the default profile. Budgets are scaled to the scene either way,
+ * so the returned schedule always matches sceneDurationMs.
  * @param {Object} params - Scheduler parameters
  * @param {number} params.sceneDurationMs - Total scene duration in milliseconds
  * @param {function} params.rand - Seeded RNG
+ * @param {string} [params.profile] - Behavior profile name (default: 'default')
  * @returns {Array<{beatName: string, budgetMs: number}>} Time allocation schedule
  */
-function scheduleBeats({ sceneDurationMs, rand }) {
-  // For very short scenes (<10s), use simplified schedule
-  if (sceneDurationMs < 10000) {
-    return createSimplifiedSchedule({ sceneDurationMs, rand });
+function scheduleProfile({ sceneDurationMs, rand, profile }) {
+  const { name, profile: spec } = getProfile(profile);
+
+  // Short scenes use the profile's reduced beat list
+  const beatSpecs = sceneDurationMs < spec.shortBelowMs ? spec.short : spec.beats;
+
+  if (name === DEFAULT_PROFILE) {
+    return buildSchedule(beatSpecs, { sceneDurationMs, rand });
+  }
+
+  const profileCheck = validateProfile(beatSpecs, sceneDurationMs);
+  if (!profileCheck.valid) {
+    console.warn(`[HME] ⚠️  Profile '${name}' rejected: ${profileCheck.errors.join('; ')}. Using '${DEFAULT_PROFILE}'`);
+    return scheduleProfile({ sceneDurationMs, rand, profile: DEFAULT_PROFILE });
+  }
+
+  return buildSchedule(beatSpecs, { sceneDurationMs, rand });
+}
+
+/**
+ * Main scheduler function - profile schedule plus the scene's focus targets
+ * Each focus target gets its dwell share of the scene (default 25%, at most 70%
+ * across all targets); the profile fills the rest. Focus beats run in order
+ * just before the final elastic beat, so the scene ends on the last target.
+ * @param {Object} params - Scheduler parameters
+ * @param {number} params.sceneDurationMs - Total scene duration in milliseconds
+ * @param {function} params.rand - Seeded RNG
+ * @param {string} [params.profile] - Behavior profile name (default: 'default')
+ * @param {Array<Object>} [params.focusTargets] - [{type, value, dwellShare}]
+ * @returns {Array<{beatName: string, budgetMs: number, target?: Object}>} Time allocation schedule
+ */
+function scheduleBeats({ sceneDurationMs, rand, profile, focusTargets = [] }) {
+  if (!Array.isArray(focusTargets) || focusTargets.length === 0) {
+    return scheduleProfile({ sceneDurationMs, rand, profile });
   }
 
-  // For normal scenes (>=10s), use full schedule
-  return createSchedule({ sceneDurationMs, rand });
+  const shares = focusTargets.map((target) =>
+    Math.min(MAX_FOCUS_SHARE, Math.max(MIN_FOCUS_SHARE, Number(target.dwellShare) || DEFAULT_FOCUS_SHARE))
+  );
+  const totalShare = shares.reduce((sum, share) => sum + share, 0);
+  const scale = totalShare > MAX_TOTAL_FOCUS_SHARE ? MAX_TOTAL_FOCUS_SHARE / totalShare : 1;
+
+  const focusBeats = focusTargets.map((target, idx) => ({
+    beatName: 'focusTarget',
+    budgetMs: Math.round(sceneDurationMs * shares[idx] * scale),
+    target
+  }));
+  const focusMs = focusBeats.reduce((sum, beat) => sum + beat.budgetMs, 0);
+
+  const schedule = scheduleProfile({ sceneDurationMs: sceneDurationMs - focusMs, rand, profile });
+  schedule.splice(schedule.length - 1, 0, ...focusBeats);
+  return schedule;
 }
 
 /**
@@ -156,6 +283,9 @@ module.exports = {
   scheduleBeats,
   createSchedule,
   createSimplifiedSchedule,
+  buildSchedule,
+  scheduleProfile,
   validateSchedule,
+  validateProfile,
   logSchedule
 };
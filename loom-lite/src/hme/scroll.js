@@ -10,6 +10,7 @@
  * - Pause between bursts: 600-1200ms (reading time)
  * - Peek-back support: one reverse burst 80-160px
  * - Velocity capping to prevent teleporting
+ * - Momentum envelope for touch flicks (fast start, long glide)
  * - Deterministic with seeded RNG
  */
 
@@ -190,6 +191,36 @@ function generateScrollSegments({
   return segments;
 }
 
+/**
+ * Generate scroll segments that travel a known distance (e.g. to a focus target)
+ * Splits the distance into ~500px bursts with short reading pauses between them.
+ * @param {Object} params - Scroll parameters
+ * @param {number} params.distancePx - Signed scroll distance (positive = down)
+ * @param {number} params.totalDurationMs - Time for the whole trip
+ * @param {function} params.rand - Seeded RNG
+ * @returns {Array<Object>} Array of scroll segments
+ */
+function generateTargetScrollSegments({ distancePx, totalDurationMs, rand }) {
+  if (Math.abs(distancePx) < 10 || totalDurationMs <= 0) return [];
+
+  const numBursts = Math.min(4, Math.max(1, Math.round(Math.abs(distancePx) / 500)));
+  const slotMs = totalDurationMs / numBursts;
+  const segments = [];
+
+  for (let i = 0; i < numBursts; i++) {
+    // Burst takes 55-70% of its slot, the rest is a reading pause (none after the last)
+    const durationMs = slotMs * (0.55 + rand() * 0.15);
+    segments.push({
+      durationMs,
+      amplitudePx: distancePx / numBursts,
+      envelope: 'sin',
+      pauseAfterMs: i === numBursts - 1 ? 0 : slotMs - durationMs
+    });
+  }
+
+  return segments;
+}
+
 /**
  * Sin envelope function: Δy(t) = A × sin(πt/T)
  * Natural burst with smooth start and end
@@ -253,6 +284,11 @@ async function executeScrollSegments(page, segments, maxBudgetMs = null) {
         return 10 * u ** 3 - 15 * u ** 4 + 6 * u ** 5;
       }
 
+      // Momentum easing (touch flick: full speed on release, decays to rest)
+      function momentum(u) {
+        return 1 - (1 - u) ** 3;
+      }
+
       function frame(timestamp) {
         const currentSegment = segmentsData[segmentIndex];
         if (!currentSegment) {
@@ -312,7 +348,7 @@ async function executeScrollSegments(page, segments, maxBudgetMs = null) {
         }
 
         // Displacement-based easing (smooth, time-exact)
-        const eased = minJerk(u);
+        const eased = currentSegment.envelope === 'momentum' ? momentum(u) : minJerk(u);
         const currentY = segmentStartY + currentSegment.amplitudePx * eased;
         const clampedY = Math.max(0, Math.min(maxScroll, currentY));
 
@@ -424,6 +460,7 @@ async function scrollBy(page, deltaY, durationMs = 300) {
 
 module.exports = {
   generateScrollSegments,
+  generateTargetScrollSegments,
   generateContentAwareScrollSegments,
   executeScrollSegments,
   scrollToReveal,
@@ -0,0 +1,145 @@
+/**
+ * HME Motion Trace
+ *
+ * Records what the motion engine actually did in a scene: cursor samples,
+ * clicks, planned scroll segments, measured scroll positions and beat timings.
+ * recordScene writes it next to the recording so a render can be debugged, or
+ * replayed with the same seed (e.g. at another resolution).
+ *
+ * Times are ms since runScene started; coordinates are viewport pixels
+ * (`viewport` is recorded so samples can be rescaled).
+ */
+
+const TRACE_VERSION = 1;
+const CURSOR_SAMPLE_MS = 33; // ~30 samples/s is enough to redraw a path
+const SCROLL_SAMPLE_MS = 50;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Create a motion trace recorder
+ * @param {Object} meta - Scene metadata {seed, url, durationSec, profile}
+ * @param {number} [meta.startedAt] - Clock origin (default: now)
+ * @returns {Object} Recorder (pass to CursorManager / beats, then toJSON())
+ */
+function createMotionTrace({ seed, url, durationSec, profile, startedAt = Date.now() }) {
+  const elapsedMs = () => Date.now() - startedAt;
+
+  const trace = {
+    version: TRACE_VERSION,
+    seed,
+    url,
+    durationSec,
+    profile: profile || 'default',
+    viewport: null,
+    beats: [],
+    cursor: [],
+    clicks: [],
+    scroll: { segments: [], samples: [] }
+  };
+
+  let currentBeat = null;
+  let lastCursorT = -Infinity;
+  let scrollSamplerOffsetMs = 0;
+
+  return {
+    elapsedMs,
+
+    setViewport(viewport) {
+      trace.viewport = viewport;
+    },
+
+    beginBeat(beatName, budgetMs, target = null) {
+      currentBeat = { beat: beatName, budgetMs, startMs: elapsedMs(), endMs: null };
+      if (target) currentBeat.target = target;
+    },
+
+    endBeat(error = null) {
+      if (!currentBeat) return;
+      currentBeat.endMs = elapsedMs();
+      if (error) currentBeat.error = error;
+      trace.beats.push(currentBeat);
+      currentBeat = null;
+    },
+
+    /**
+     * Record a cursor path as it starts animating (path t is relative to its start)
+     * Downsampled to CURSOR_SAMPLE_MS; the final point is always kept.
+     */
+    cursorPath(path) {
+      if (!path || path.length === 0) return;
+      const base = elapsedMs();
+      path.forEach((point, i) => {
+        const t = base + point.t;
+        if (t - lastCursorT < CURSOR_SAMPLE_MS && i !== path.length - 1) return;
+        trace.cursor.push({ t: Math.round(t), x: round1(point.x), y: round1(point.y) });
+        lastCursorT = t;
+      });
+    },
+
+    cursorPoint(x, y) {
+      const t = elapsedMs();
+      trace.cursor.push({ t, x: round1(x), y: round1(y) });
+      lastCursorT = t;
+    },
+
+    click(x, y) {
+      trace.clicks.push({ t: elapsedMs(), x: round1(x), y: round1(y) });
+    },
+
+    scrollSegments(segments) {
+      if (!segments || segments.length === 0) return;
+      trace.scroll.segments.push({
+        t: elapsedMs(),
+        beat: currentBeat ? currentBeat.beat : null,
+        segments: segments.map((segment) => ({
+          durationMs: Math.round(segment.durationMs),
+          amplitudePx: round1(segment.amplitudePx),
+          envelope: segment.envelope,
+          pauseAfterMs: Math.round(segment.pauseAfterMs)
+        }))
+      });
+    },
+
+    /**
+     * Sample window.scrollY in the page (catches every scroll, including
+     * scrollToReveal and ambient nudges that have no segment plan)
+     */
+    async startScrollSampler(page) {
+      scrollSamplerOffsetMs = elapsedMs();
+      await page.evaluate((sampleMs) => {
+        const state = { t0: performance.now(), last: -Infinity, samples: [] };
+        state.samples.push({ t: 0, y: Math.round(window.scrollY) });
+        window._hmeScrollTrace = state;
+        window.addEventListener('scroll', () => {
+          if (window._hmeScrollTrace !== state) return;
+          const t = performance.now() - state.t0;
+          if (t - state.last < sampleMs) return;
+          state.last = t;
+          state.samples.push({ t: Math.round(t), y: Math.round(window.scrollY) });
+        }, { passive: true });
+      }, SCROLL_SAMPLE_MS).catch(() => {});
+    },
+
+    async stopScrollSampler(page) {
+      const samples = await page.evaluate(() => {
+        const state = window._hmeScrollTrace;
+        if (!state) return [];
+        state.samples.push({ t: Math.round(performance.now() - state.t0), y: Math.round(window.scrollY) });
+        delete window._hmeScrollTrace;
+        return state.samples;
+      }).catch(() => []);
+
+      trace.scroll.samples = samples.map((sample) => ({ t: sample.t + scrollSamplerOffsetMs, y: sample.y }));
+    },
+
+    toJSON() {
+      return trace;
+    }
+  };
+}
+
+module.exports = {
+  createMotionTrace,
+  TRACE_VERSION
+};
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { describeJobFailure } = require('../utils/jobFailures');
 
 // Validate environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -21,9 +22,11 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
 
 /**
  * Update render status and progress
+ * @param {Object} [extraFields] - Additional live-progress columns (e.g. { current_scene_index, eta_at })
  */
-async function updateRenderProgress(renderId, status, progress, error = null) {
+async function updateRenderProgress(renderId, status, progress, error = null, extraFields = {}) {
   const updates = {
+    ...extraFields,
     status,
     progress,
     updated_at: new Date().toISOString(),
@@ -57,6 +60,8 @@ async function updateJobState(jobId, state, error = null) {
 
   if (state === 'completed') {
     updates.completed_at = new Date().toISOString();
+    updates.failure = null;
+    updates.error_message = null;
   }
 
   if (error) {
@@ -114,15 +119,20 @@ async function downloadFile(url) {
 
 /**
  * Update render with final URLs
+ * @param {Object} [extraFields] - Additional asset columns (e.g. { hls_url })
  */
-async function updateRenderComplete(renderId, videoUrl, thumbUrl) {
+async function updateRenderComplete(renderId, videoUrl, thumbUrl, extraFields = {}) {
   const { error } = await supabase
     .from('renders')
     .update({
+      ...extraFields,
       final_video_url: videoUrl,
       thumb_url: thumbUrl,
       status: 'done',
       progress: 100,
+      // Earlier attempts may have failed before this one succeeded
+      failure: null,
+      error_message: null,
       completed_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     })
@@ -136,6 +146,288 @@ async function updateRenderComplete(renderId, videoUrl, thumbUrl) {
   console.log(`[supabase] Render ${renderId}: COMPLETED`);
 }
 
+/**
+ * Check whether the user has asked to cancel a render
+ */
+async function isRenderCancelRequested(renderId) {
+  const { data, error } = await supabase
+    .from('renders')
+    .select('cancel_requested')
+    .eq('id', renderId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[supabase] Error checking render cancellation:', error);
+    throw error;
+  }
+
+  return Boolean(data?.cancel_requested);
+}
+
+/**
+ * Mark render as cancelled
+ */
+async function updateRenderCancelled(renderId) {
+  const { error } = await supabase
+    .from('renders')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', renderId);
+
+  if (error) {
+    console.error('[supabase] Error updating render cancelled:', error);
+    throw error;
+  }
+
+  console.log(`[supabase] Render ${renderId}: CANCELLED`);
+}
+
+/**
+ * Put a job that failed transiently back in the queue
+ * claim_render_job skips it until failure.retry_at
+ */
+async function requeueJob(jobId, failure) {
+  const { error } = await supabase
+    .from('render_jobs')
+    .update({
+      state: 'queued',
+      next_attempt_at: failure.retry_at,
+      failure,
+      error_message: failure.message,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('[supabase] Error requeueing job:', error);
+    throw error;
+  }
+
+  console.log(`[supabase] Job ${jobId}: requeued (attempt ${failure.attempt}/${failure.max_attempts} failed, retry at ${failure.retry_at})`);
+}
+
+/**
+ * Park a job that failed permanently or ran out of attempts
+ */
+async function markJobDead(jobId, failure) {
+  const { error } = await supabase
+    .from('render_jobs')
+    .update({
+      state: 'dead',
+      next_attempt_at: null,
+      failure,
+      error_message: failure.message,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('[supabase] Error marking job dead:', error);
+    throw error;
+  }
+
+  console.log(`[supabase] Job ${jobId}: DEAD (${failure.kind}/${failure.code})`);
+}
+
+/**
+ * Record a job failure on its render
+ * @param {string} status - 'queued' while a retry is pending, 'failed' once the job is dead
+ */
+async function updateRenderFailure(renderId, status, failure) {
+  const { error } = await supabase
+    .from('renders')
+    .update({
+      status,
+      progress: 0,
+      error_message: failure.message,
+      failure,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', renderId);
+
+  if (error) {
+    console.error('[supabase] Error updating render failure:', error);
+    throw error;
+  }
+
+  console.log(`[supabase] Render ${renderId}: ${status} (${failure.code})`);
+}
+
+/**
+ * Put a job this worker could not finish before shutting down back in the queue
+ * The interrupted attempt doesn't count against max_attempts.
+ * @param {Object} params
+ * @param {string} params.jobId
+ * @param {string} params.renderId
+ * @param {number} params.attempt - Attempt that was interrupted (1-based)
+ */
+async function requeueInterruptedJob({ jobId, renderId, attempt }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('render_jobs')
+    .update({
+      state: 'queued',
+      attempts: Math.max(0, attempt - 1),
+      next_attempt_at: null,
+      updated_at: now,
+    })
+    .eq('id', jobId)
+    .eq('state', 'running')
+    .select('id');
+
+  if (error) {
+    console.error('[supabase] Error requeueing interrupted job:', error);
+    throw error;
+  }
+  if (!data || data.length === 0) return;
+
+  const { error: renderError } = await supabase
+    .from('renders')
+    .update({ status: 'queued', progress: 0, updated_at: now })
+    .eq('id', renderId);
+
+  if (renderError) {
+    console.error('[supabase] Error resetting interrupted render:', renderError);
+    throw renderError;
+  }
+
+  console.log(`[supabase] Job ${jobId}: requeued (worker shut down during attempt ${attempt})`);
+}
+
+/**
+ * Fail running jobs whose render has not been updated for staleAfterMs
+ * (the worker running them crashed or was killed). They go through the usual
+ * retry path: requeued with backoff, or dead once out of attempts.
+ * @param {Object} params
+ * @param {number} params.staleAfterMs
+ * @param {number} [params.limit]
+ * @param {string[]} [params.excludeJobIds] - Jobs this worker is still running
+ * @returns {Promise<Array<{jobId: string, renderId: string, status: string}>>} Rescued jobs
+ */
+async function rescueStuckRenders({ staleAfterMs, limit = 10, excludeJobIds = [] }) {
+  const cutoff = new Date(Date.now() - staleAfterMs).toISOString();
+  const { data: jobs, error } = await supabase
+    .from('render_jobs')
+    .select('id, render_id, attempts, max_attempts, renders!inner (status, updated_at)')
+    .eq('state', 'running')
+    .lt('renders.updated_at', cutoff)
+    .limit(limit + excludeJobIds.length);
+
+  if (error) {
+    console.error('[supabase] Error finding stuck renders:', error);
+    throw error;
+  }
+
+  const rescued = [];
+  for (const job of (jobs || []).filter((row) => !excludeJobIds.includes(row.id)).slice(0, limit)) {
+    const failure = describeJobFailure(
+      new Error(`Worker stopped responding (no progress for ${Math.round(staleAfterMs / 60000)} min)`),
+      { attempt: job.attempts, maxAttempts: job.max_attempts, stage: job.renders?.status || null }
+    );
+    const status = failure.retry_at ? 'queued' : 'failed';
+
+    // Only if it is still running: the worker may have finished it meanwhile
+    const { data: updated, error: jobError } = await supabase
+      .from('render_jobs')
+      .update({
+        state: failure.retry_at ? 'queued' : 'dead',
+        next_attempt_at: failure.retry_at,
+        failure,
+        error_message: failure.message,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', job.id)
+      .eq('state', 'running')
+      .select('id');
+
+    if (jobError) {
+      console.error('[supabase] Error rescuing stuck job:', jobError);
+      throw jobError;
+    }
+    if (!updated || updated.length === 0) continue;
+
+    await updateRenderFailure(job.render_id, status, failure);
+    rescued.push({ jobId: job.id, renderId: job.render_id, status });
+  }
+
+  return rescued;
+}
+
+/**
+ * Hand a completed re-render the public link of the render it replaces
+ * @returns {Promise<string|null>} Storage key of the replaced render's assets (no longer served)
+ */
+async function promoteRerender(renderId) {
+  const { data, error } = await supabase.rpc('promote_rerender', { p_render_id: renderId });
+
+  if (error) {
+    console.error('[supabase] Error promoting re-render:', error);
+    throw error;
+  }
+
+  console.log(`[supabase] Render ${renderId}: took over its public link`);
+  return data || null;
+}
+
+/**
+ * Historical stage durations used for progress/ETA (render_stage_estimates)
+ * @returns {Promise<Object>} { [stage]: { avgMs, msPerVideoSec, samples } } - empty when unavailable
+ */
+async function getStageEstimates() {
+  const { data, error } = await supabase.rpc('render_stage_estimates');
+
+  if (error) {
+    // Progress falls back to the built-in estimates
+    console.warn('[supabase] Could not load stage estimates:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries(
+    (data || []).map((row) => [
+      row.stage,
+      {
+        avgMs: Number(row.avg_ms),
+        msPerVideoSec: row.ms_per_video_sec === null ? null : Number(row.ms_per_video_sec),
+        samples: Number(row.samples),
+      },
+    ])
+  );
+}
+
+/**
+ * Store the stage timings of one job attempt
+ * Telemetry only - errors are logged, never thrown.
+ * @param {Object} params
+ * @param {string} params.renderId
+ * @param {string} params.jobId
+ * @param {number} params.attempt
+ * @param {string} params.outcome - 'completed' | 'failed'
+ * @param {Array<Object>} params.entries - StageTimer entries
+ */
+async function insertStageTimings({ renderId, jobId, attempt, outcome, entries }) {
+  if (!entries.length) return;
+
+  const { error } = await supabase.from('render_stage_timings').insert(
+    entries.map((entry) => ({
+      ...entry,
+      render_id: renderId,
+      job_id: jobId,
+      attempt,
+      outcome,
+    }))
+  );
+
+  if (error) {
+    console.warn('[supabase] Error storing stage timings:', error.message);
+    return;
+  }
+
+  console.log(`[supabase] Render ${renderId}: stored ${entries.length} stage timing(s)`);
+}
+
 module.exports = {
   supabase,
   updateRenderProgress,
@@ -143,4 +435,14 @@ module.exports = {
   claimRenderJob,
   downloadFile,
   updateRenderComplete,
+  isRenderCancelRequested,
+  updateRenderCancelled,
+  requeueJob,
+  markJobDead,
+  updateRenderFailure,
+  requeueInterruptedJob,
+  rescueStuckRenders,
+  promoteRerender,
+  getStageEstimates,
+  insertStageTimings,
 };
@@ -4,6 +4,9 @@ const crypto = require('crypto');
 const { ensureFfmpeg, ffprobeJson } = require('../utils/ffmpeg');
 const { recordScene } = require('../recording/recordScene');
 const { normalizeScene } = require('../compose/normalizeScene');
+const { getSecondaryScene } = require('../compose/compositeScene');
+const { renderScreenshotScene } = require('../compose/screenshotScene');
+const { captureScreenshotScene, SCREENSHOT_FALLBACK_ENABLED } = require('../recording/screenshotScene');
 const { concatScenes } = require('../compose/concatScenes');
 const { overlayFacecam } = require('../compose/overlayFacecam');
 const { makeThumbnail } = require('../compose/thumbnail');
@@ -17,8 +20,13 @@ function getCacheKey(url) {
 
 /**
  * Retry scene recording with exponential backoff
+ * Falls back to a screenshot scene after the first failed attempt.
  */
 async function retrySceneRecording(scene, ctx, maxAttempts = 3) {
+  if (scene.captureMode === 'screenshot') {
+    return captureScreenshotScene(scene, ctx);
+  }
+
   let lastError;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -31,6 +39,16 @@ async function retrySceneRecording(scene, ctx, maxAttempts = 3) {
       lastError = error;
       console.error(`[renderCampaign] Attempt ${attempt}/${maxAttempts} failed for ${scene.url}:`, error.message);
 
+      if (attempt === 1 && SCREENSHOT_FALLBACK_ENABLED) {
+        try {
+          const fallback = await captureScreenshotScene(scene, ctx);
+          console.warn(`[renderCampaign] ⚠️  Scene ${scene.id} falls back to a screenshot scroll: ${error.message}`);
+          return { ...fallback, fallbackReason: error.message };
+        } catch (fallbackError) {
+          console.error(`[renderCampaign] Screenshot fallback failed for ${scene.url}:`, fallbackError.message);
+        }
+      }
+
       if (attempt < maxAttempts) {
         const delayMs = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s
         console.log(`[renderCampaign] Retrying in ${delayMs / 1000}s...`);
@@ -68,7 +86,10 @@ async function renderCampaign(configPathOrObj) {
     fps: cfg.output.fps || 60,
     pageLoadWaitMs: cfg.output.pageLoadWaitMs !== undefined ? cfg.output.pageLoadWaitMs : 7000,
     workDir,
-    cacheDir
+    cacheDir,
+    cursor: cfg.output.cursor || null,
+    camera: cfg.output.camera || null,
+    sceneBackground: cfg.output.sceneBackground || null
   };
 
   // Sanity for facecam path
@@ -116,7 +137,7 @@ async function renderCampaign(configPathOrObj) {
       let videoPath;
 
       // Check if we have a cached recording for this URL
-      if (fs.existsSync(cachedWebm)) {
+      if (fs.existsSync(cachedWebm) && s.captureMode !== 'screenshot') {
         console.log(`[renderCampaign] Using cached recording for ${s.url}`);
 
         // Copy cached webm to work directory for this scene
@@ -127,11 +148,27 @@ async function renderCampaign(configPathOrObj) {
       } else {
         console.log(`[renderCampaign] Recording ${s.url} (will be cached for future use)`);
         const result = await retrySceneRecording(s, ctx);
-        videoPath = result.videoPath;
+        videoPath = result.videoPath || null;
+        s.focusTimeline = result.focusTimeline || null;
+        s.screenshotPath = result.screenshotPath || null;
+
+        // Save to cache for future renders (webm only, no metadata; never screenshots)
+        if (videoPath) {
+          fs.copyFileSync(videoPath, cachedWebm);
+          console.log(`[renderCampaign] Saved to cache for future reuse`);
+        }
+      }
 
-        // Save to cache for future renders (webm only, no metadata)
-        fs.copyFileSync(videoPath, cachedWebm);
-        console.log(`[renderCampaign] Saved to cache for future reuse`);
+      // Composite scenes: second site is recorded fresh (not cached by URL here)
+      if (s.composite) {
+        const secondaryScene = getSecondaryScene(s);
+        const secondary = await retrySceneRecording(secondaryScene, ctx);
+        if (secondary.screenshotPath) {
+          s.composite.videoPath = await renderScreenshotScene(secondary.screenshotPath, ctx, secondaryScene);
+          s.composite.trimSec = 0;
+        } else {
+          s.composite.videoPath = secondary.videoPath;
+        }
       }
 
       // normalizeScene will auto-detect trim from video content
@@ -1,46 +1,72 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const { ensureFfmpeg, ffprobeJson } = require('../utils/ffmpeg');
 const { recordScene } = require('../recording/recordScene');
 const { normalizeScene } = require('../compose/normalizeScene');
 const { concatScenes } = require('../compose/concatScenes');
 const { overlayFacecam } = require('../compose/overlayFacecam');
-const { makeThumbnail } = require('../compose/thumbnail');
+const { makeThumbnail, makePreviewGif, makePlayThumbnail } = require('../compose/thumbnail');
+const { packageHls } = require('../compose/packageHls');
+const { overlayBranding } = require('../compose/overlayBranding');
+const { renderTitleCard } = require('../compose/titleCard');
+const { getOrRecordScene } = require('./sceneCache');
+const { getSecondaryScene } = require('../compose/compositeScene');
+const { renderScreenshotScene } = require('../compose/screenshotScene');
+const { captureScreenshotScene, SCREENSHOT_FALLBACK_ENABLED } = require('../recording/screenshotScene');
 const { logSection, logStep } = require('../instrumentation');
+const { RenderCancelledError, throwIfCancelled } = require('../utils/cancellation');
+const { PermanentJobError, classifyFailure, wrapJobError } = require('../utils/jobFailures');
+const { StageTimer, timeStage } = require('./stageTimings');
 
-/**
- * Generate cache key from scene metadata
- */
-function getCacheKey(scene, ctx) {
-  const seedParts = [
-    ctx.cacheNamespace || '',
-    scene.cacheKeySalt || '',
-    scene.url,
-    scene.entryType || 'manual',
-  ]
-    .filter(Boolean)
-    .join('|');
-
-  return crypto.createHash('md5').update(seedParts).digest('hex');
-}
+// Stages recordScene times; skipped when a scene comes from the cache or a screenshot fallback
+const RECORDING_STAGES = ['navigation', 'page_ready', 'hme', 'actions', 'finalize'];
 
 /**
  * Retry scene recording with exponential backoff
+ * Screenshot scenes are captured directly; live scenes fall back to a
+ * screenshot after the first transiently failed attempt (SCREENSHOT_FALLBACK).
+ * Permanent failures (bad URL, recording auth) are rethrown right away: neither
+ * a retry nor a still image of the page would be the video that was asked for.
+ * @returns {Promise<Object>} recordScene result, or {screenshotPath, fallbackReason} for screenshots
  */
 async function retrySceneRecording(scene, ctx, maxAttempts = 3) {
+  if (scene.captureMode === 'screenshot') {
+    return timeStage(ctx.timer, 'screenshot', () => captureScreenshotScene(scene, ctx));
+  }
+
   let lastError;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfCancelled(ctx.signal);
     try {
       logStep('recordScene:attempt', { url: scene.url, attempt, maxAttempts });
       const result = await recordScene(scene, ctx);
       logStep('recordScene:success', { url: scene.url, attempt });
       return result;
     } catch (error) {
+      // A cancelled recording fails because its browser was torn down - never retry it
+      throwIfCancelled(ctx.signal);
       lastError = error;
       console.error(`[renderCampaign] Attempt ${attempt}/${maxAttempts} failed for ${scene.url}:`, error.message);
 
+      if (classifyFailure(error).kind === 'permanent') {
+        throw error;
+      }
+
+      // Sites that block headless browsers or never settle rarely record on a retry;
+      // a scrolling screenshot keeps the render alive
+      if (attempt === 1 && SCREENSHOT_FALLBACK_ENABLED) {
+        try {
+          const fallback = await timeStage(ctx.timer, 'screenshot', () => captureScreenshotScene(scene, ctx));
+          console.warn(`[renderCampaign] ⚠️  Scene ${scene.id} falls back to a screenshot scroll: ${error.message}`);
+          logStep('recordScene:screenshotFallback', { url: scene.url, reason: error.message });
+          return { ...fallback, fallbackReason: error.message };
+        } catch (fallbackError) {
+          throwIfCancelled(ctx.signal);
+          console.error(`[renderCampaign] Screenshot fallback failed for ${scene.url}:`, fallbackError.message);
+        }
+      }
+
       if (attempt < maxAttempts) {
         const delayMs = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s
         logStep('recordScene:retryDelay', { delayMs, attempt });
@@ -49,15 +75,53 @@ async function retrySceneRecording(scene, ctx, maxAttempts = 3) {
     }
   }
 
-  throw new Error(`Failed to record scene ${scene.id} (${scene.url}) after ${maxAttempts} attempts: ${lastError.message}`);
+  throw wrapJobError(`Failed to record scene ${scene.id} (${scene.url}) after ${maxAttempts} attempts: ${lastError.message}`, lastError);
+}
+
+/**
+ * Stages a render of this config will run, for StageTimer.plan()
+ * @param {Object} cfg - Campaign configuration
+ * @param {number} totalSec - Duration of the final video
+ */
+function planStages(cfg, totalSec) {
+  const steps = [];
+
+  cfg.scenes.forEach((s, sceneIndex) => {
+    const videoSec = s.durationSec || null;
+    const recording = s.captureMode === 'screenshot'
+      ? ['screenshot']
+      : ['navigation', 'page_ready', s.actions?.length ? 'actions' : 'hme', 'finalize'];
+    for (const stage of [...recording, 'normalize']) {
+      steps.push({ stage, sceneIndex, videoSec });
+    }
+  });
+
+  if (cfg.intro || cfg.outro) steps.push({ stage: 'title_card' });
+  steps.push({ stage: 'concat', videoSec: totalSec });
+  if (cfg.output.facecam?.path) steps.push({ stage: 'overlay', videoSec: totalSec });
+  if (cfg.output.branding) steps.push({ stage: 'branding', videoSec: totalSec });
+  if (cfg.output.hls) steps.push({ stage: 'package_hls', videoSec: totalSec });
+  steps.push({ stage: 'thumbnail' });
+  if (cfg.output.emailAssets) steps.push({ stage: 'email_assets' });
+
+  return steps;
 }
 
 /**
  * Render campaign with progress callbacks
+ * Progress is the share of estimated work done (see ./stageTimings), not a fixed value per stage.
  * @param {Object} configPathOrObj - Campaign configuration
- * @param {Function} onProgress - Progress callback function(status, progress)
+ * @param {Function} onProgress - Progress callback function(status, progress, details)
+ *   details: { sceneIndex, sceneCount } while recording scenes
+ *   Not awaited (it fires several times per scene); the caller orders its writes and handles their errors.
+ * @param {Object} [options]
+ * @param {StageTimer} [options.timer] - Job-wide timer (the worker adds the upload stage and stores the entries)
+ * @param {AbortSignal} [options.signal] - Aborts in-flight recording/ffmpeg work when the render is cancelled
+ * @param {Object} [options.auth] - Decrypted recording auth {storageState, loginActions} for pages behind a login
  */
-async function renderCampaignWithProgress(configPathOrObj, onProgress = () => {}) {
+async function renderCampaignWithProgress(configPathOrObj, onProgress = () => {}, options = {}) {
+  const { signal, auth = null } = options;
+  const timer = options.timer || new StageTimer();
   await ensureFfmpeg();
 
   let cfg, baseDir;
@@ -80,20 +144,23 @@ async function renderCampaignWithProgress(configPathOrObj, onProgress = () => {}
     cacheNamespace: cfg.cacheNamespace || null,
   });
 
-  // Create cache directory for reusable scene recordings
-  const cacheDir = path.join(baseDir, 'cache');
-  if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
-
   const ctx = {
     w: cfg.output.width || 1920,
     h: cfg.output.height || 1080,
     fps: cfg.output.fps || 60,
     pageLoadWaitMs: cfg.output.pageLoadWaitMs !== undefined ? cfg.output.pageLoadWaitMs : 7000,
     workDir,
-    cacheDir,
     cacheNamespace: cfg.cacheNamespace || null,
+    cursor: cfg.output.cursor || null,
+    camera: cfg.output.camera || null,
+    sceneBackground: cfg.output.sceneBackground || null,
+    auth, // Decrypted recording auth - kept out of cfg so it never reaches config.json or logs
+    signal,
   };
 
+  // Intro/outro cards count towards duration like any other scene
+  const cardsTotalDur = (cfg.intro?.durationSec || 0) + (cfg.outro?.durationSec || 0);
+
   // Sanity for facecam path (if provided)
   if (cfg.output.facecam?.path) {
     cfg.output.facecam.path = path.isAbsolute(cfg.output.facecam.path)
@@ -104,148 +171,104 @@ async function renderCampaignWithProgress(configPathOrObj, onProgress = () => {}
     logStep('renderCampaign:durationValidation:start');
     const facecamMeta = await ffprobeJson(cfg.output.facecam.path);
     const facecamDur = Math.floor(parseFloat(facecamMeta.format?.duration || '0'));
-    const scenesTotalDur = cfg.scenes.reduce((sum, s) => sum + (s.durationSec || 0), 0);
-    logStep('renderCampaign:durationValidation:data', { facecamDur, scenesTotalDur });
+    const scenesTotalDur = cfg.scenes.reduce((sum, s) => sum + (s.durationSec || 0), 0) + cardsTotalDur;
+    logStep('renderCampaign:durationValidation:data', { facecamDur, scenesTotalDur, cardsTotalDur });
 
     if (scenesTotalDur !== facecamDur) {
-      const errorMsg = `Duration mismatch: Scenes total ${scenesTotalDur}s must equal facecam ${facecamDur}s. ` +
+      const errorMsg = `Duration mismatch: Scenes total ${scenesTotalDur}s` +
+                       `${cardsTotalDur ? ` (including ${cardsTotalDur}s of title cards)` : ''} must equal facecam ${facecamDur}s. ` +
                        `Adjust durations or use Auto-fill.`;
       console.error(`[renderCampaign] ${errorMsg}`);
-      throw new Error(errorMsg);
+      throw new PermanentJobError(errorMsg, 'duration_mismatch');
     }
 
     logStep('renderCampaign:durationValidation:passed');
   }
 
   // Enforce maximum campaign duration of 5 minutes
-  const scenesTotalDur = cfg.scenes.reduce((sum, s) => sum + (s.durationSec || 0), 0);
+  const scenesTotalDur = cfg.scenes.reduce((sum, s) => sum + (s.durationSec || 0), 0) + cardsTotalDur;
   const MAX_CAMPAIGN_DURATION_SEC = 300; // 5 minutes
   if (scenesTotalDur > MAX_CAMPAIGN_DURATION_SEC) {
     const errorMsg = `Campaign too long: ${scenesTotalDur}s exceeds maximum ${MAX_CAMPAIGN_DURATION_SEC}s (5 minutes). ` +
                      `Reduce scene durations or number of scenes.`;
     console.error(`[renderCampaign] ${errorMsg}`);
-    throw new Error(errorMsg);
+    throw new PermanentJobError(errorMsg, 'duration_mismatch');
   }
 
   logStep('renderCampaign:campaignDuration:ok', { scenesTotalDur, MAX_CAMPAIGN_DURATION_SEC });
 
+  timer.plan(planStages(cfg, scenesTotalDur));
+
+  // Progress is re-reported whenever a stage finishes (several per scene while recording)
+  let currentStatus = 'recording';
+  let currentDetails = {};
+  const report = (status, details = {}) => {
+    currentStatus = status;
+    currentDetails = details;
+    onProgress(status, timer.getProgressPercent(), details);
+  };
+  timer.onStep = () => onProgress(currentStatus, timer.getProgressPercent(), currentDetails);
+
   // 1) Record scenes (with caching)
-  // Progress: 10-40% (30% of total progress for recording)
-  onProgress('recording', 10);
+  report('recording');
 
   const normalized = [];
-  const progressPerScene = 30 / cfg.scenes.length; // Distribute 30% progress across scenes
 
   try {
     for (let i = 0; i < cfg.scenes.length; i++) {
       const s = cfg.scenes[i];
+
+      // Check for cancellation between scenes
+      throwIfCancelled(signal);
+
       s.isFirstScene = (i === 0); // Flag first scene for special scroll behavior
-      const cacheKey = getCacheKey(s, ctx);
       logStep('recordScene:start', {
         index: i,
         sceneId: s.id,
         url: s.url,
-        cacheKey,
         cacheNamespace: ctx.cacheNamespace,
       });
-      const cachedWebm = path.join(cacheDir, `${cacheKey}.webm`);
-      const cachedMeta = path.join(cacheDir, `${cacheKey}.json`);
-
-      let videoPath;
-      let trimHintMs = null;
 
-      // Update progress for this scene
-      const sceneProgress = 10 + (i * progressPerScene);
-      onProgress('recording', Math.round(sceneProgress));
+      report('recording', { sceneIndex: i, sceneCount: cfg.scenes.length });
+      const sceneCtx = { ...ctx, timer: timer.forScene(i) };
 
-      // Check if we have a cached recording for this URL
-      if (fs.existsSync(cachedWebm)) {
-        logStep('recordScene:cacheHit', { cacheKey, cachedWebm });
+      // Shared cache: identical scenes (e.g. manual URLs in a CSV batch) are recorded once
+      const { videoPath, screenshotPath, trimHintMs, focusTimeline, cacheKey, cacheHit } = await getOrRecordScene(
+        s,
+        ctx,
+        () => retrySceneRecording(s, sceneCtx)
+      );
+      logStep(cacheHit ? 'recordScene:cacheHit' : 'recordScene:cacheStore', { cacheKey, trimHintMs });
 
-        // Validate cached recording before using it
-        let cacheValid = false;
-        try {
-          const cachedMeta_probe = await ffprobeJson(cachedWebm);
-          const cachedDuration = parseFloat(cachedMeta_probe.format?.duration || '0');
-          const minExpectedDuration = Math.min(2, s.durationSec * 0.2); // At least 2s or 20% of expected
-
-          if (cachedDuration >= minExpectedDuration && cachedMeta_probe.streams?.length > 0) {
-            cacheValid = true;
-            logStep('recordScene:cacheValidated', { cacheKey, cachedDuration, minExpectedDuration });
-          } else {
-            console.warn(`[renderCampaign] Cached recording invalid for ${s.id}: ${cachedDuration.toFixed(2)}s < ${minExpectedDuration.toFixed(2)}s`);
-            logStep('recordScene:cacheInvalid', { cacheKey, cachedDuration, minExpectedDuration });
-          }
-        } catch (err) {
-          console.warn(`[renderCampaign] Failed to validate cache for ${s.id}:`, err.message);
-          logStep('recordScene:cacheValidationError', { cacheKey, error: err.message });
-        }
-
-        if (cacheValid) {
-          // Copy cached webm to work directory for this scene
-          const workWebm = path.join(workDir, `${s.id}.webm`);
-          fs.copyFileSync(cachedWebm, workWebm);
-          videoPath = workWebm;
-          logStep('recordScene:cacheCopy', { cacheKey, trimHintMs });
-
-          if (fs.existsSync(cachedMeta)) {
-            try {
-              const meta = JSON.parse(fs.readFileSync(cachedMeta, 'utf8'));
-              if (Number.isFinite(meta.trimHintMs)) {
-                trimHintMs = Math.max(0, Math.round(meta.trimHintMs));
-              }
-            } catch (err) {
-              console.warn(`[renderCampaign] Failed to read cached metadata ${cachedMeta}:`, err.message);
-            }
-          }
+      s.trimHintMs = trimHintMs;
+      s.focusTimeline = focusTimeline || null;
+      s.screenshotPath = screenshotPath || null;
+
+      // Composite scenes record their second site as an independent, separately cached scene
+      if (s.composite) {
+        const secondary = getSecondaryScene(s);
+        const secondaryResult = await getOrRecordScene(
+          secondary,
+          ctx,
+          () => retrySceneRecording(secondary, sceneCtx)
+        );
+        logStep(secondaryResult.cacheHit ? 'recordScene:cacheHit' : 'recordScene:cacheStore', {
+          sceneId: secondary.id,
+          cacheKey: secondaryResult.cacheKey,
+        });
+        if (secondaryResult.screenshotPath) {
+          // Already trimmed and at output size
+          s.composite.videoPath = await renderScreenshotScene(secondaryResult.screenshotPath, ctx, secondary);
+          s.composite.trimSec = 0;
         } else {
-          // Cache invalid - delete it and record fresh
-          console.warn(`[renderCampaign] Deleting invalid cache for ${s.id}`);
-          try {
-            fs.unlinkSync(cachedWebm);
-            if (fs.existsSync(cachedMeta)) fs.unlinkSync(cachedMeta);
-          } catch (err) {
-            console.warn(`[renderCampaign] Failed to delete invalid cache:`, err.message);
-          }
-          logStep('recordScene:cacheDeleted', { cacheKey });
-
-          // Fall through to cache miss logic
-          logStep('recordScene:cacheMiss', { cacheKey, reason: 'invalid' });
-          const result = await retrySceneRecording(s, ctx);
-          videoPath = result.videoPath;
-          trimHintMs = Number.isFinite(result.trimHintMs) ? Math.max(0, Math.round(result.trimHintMs)) : null;
-
-          // Save to cache for future renders
-          fs.copyFileSync(videoPath, cachedWebm);
-          logStep('recordScene:cacheStore', { cacheKey, trimHintMs });
-
-          try {
-            fs.writeFileSync(cachedMeta, JSON.stringify({ trimHintMs }, null, 2));
-          } catch (err) {
-            console.warn(`[renderCampaign] Failed to write cache metadata ${cachedMeta}:`, err.message);
-          }
-        }
-      } else {
-        logStep('recordScene:cacheMiss', { cacheKey });
-        const result = await retrySceneRecording(s, ctx);
-        videoPath = result.videoPath;
-        trimHintMs = Number.isFinite(result.trimHintMs) ? Math.max(0, Math.round(result.trimHintMs)) : null;
-
-        // Save to cache for future renders (webm only, no metadata)
-        fs.copyFileSync(videoPath, cachedWebm);
-        logStep('recordScene:cacheStore', { cacheKey, trimHintMs });
-
-        try {
-          fs.writeFileSync(cachedMeta, JSON.stringify({ trimHintMs }, null, 2));
-        } catch (err) {
-          console.warn(`[renderCampaign] Failed to write cache metadata ${cachedMeta}:`, err.message);
+          s.composite.videoPath = secondaryResult.videoPath;
         }
       }
 
-      s.trimHintMs = trimHintMs;
+      timer.skip([...RECORDING_STAGES, 'screenshot'], i);
 
       // normalizeScene will auto-detect trim from video content
-      const mp4 = await normalizeScene(videoPath, ctx, s);
+      const mp4 = await timer.measure('normalize', () => normalizeScene(videoPath, ctx, s), { sceneIndex: i });
       logStep('normalizeScene:done', {
         sceneId: s.id,
         mp4,
@@ -254,43 +277,104 @@ async function renderCampaignWithProgress(configPathOrObj, onProgress = () => {}
       normalized.push(mp4);
     }
   } catch (error) {
-    throw new Error(`Video render aborted - scene recording failed: ${error.message}`);
+    if (signal?.aborted) {
+      throw new RenderCancelledError();
+    }
+    throw wrapJobError(`Video render aborted - scene recording failed: ${error.message}`, error);
   }
 
-  // 2) Normalizing scenes (40-60%)
-  onProgress('normalizing', 50);
+  // 1b) Title cards are rendered straight to normalized scenes
+  try {
+    if (cfg.intro || cfg.outro) {
+      await timer.measure('title_card', async () => {
+        if (cfg.intro) {
+          throwIfCancelled(signal);
+          normalized.unshift(await renderTitleCard(cfg.intro, ctx, 'intro'));
+        }
+        if (cfg.outro) {
+          throwIfCancelled(signal);
+          normalized.push(await renderTitleCard(cfg.outro, ctx, 'outro'));
+        }
+      });
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new RenderCancelledError();
+    }
+    throw wrapJobError(`Video render aborted - title card failed: ${error.message}`, error);
+  }
+  logStep('renderCampaign:titleCards:complete', { intro: Boolean(cfg.intro), outro: Boolean(cfg.outro) });
+
+  // 2) Normalizing scenes (done per scene above)
+  report('normalizing');
   logStep('renderCampaign:normalize:complete', { count: normalized.length });
 
-  // 3) Concat bg (60-70%)
-  onProgress('concatenating', 60);
-  const bg = await concatScenes(normalized, ctx);
+  // 3) Concat bg
+  throwIfCancelled(signal);
+  report('concatenating');
+  const bg = await timer.measure('concat', () => concatScenes(normalized, ctx));
   logStep('renderCampaign:concat:complete', { output: bg });
-  onProgress('concatenating', 70);
 
-  // 4) Overlay facecam with audio (70-80%)
+  // 4) Overlay facecam with audio
   let final;
-  if (cfg.output.facecam?.path && fs.existsSync(cfg.output.facecam.path)) {
-    onProgress('overlaying', 70);
-    final = await overlayFacecam(bg, cfg.output.facecam, ctx, 0);
+  const hasFacecam = Boolean(cfg.output.facecam?.path && fs.existsSync(cfg.output.facecam.path));
+  report('overlaying');
+  if (hasFacecam) {
+    throwIfCancelled(signal);
+    final = await timer.measure('overlay', () => overlayFacecam(bg, cfg.output.facecam, ctx, 0));
     logStep('renderCampaign:overlay:complete', { output: final });
-    onProgress('overlaying', 80);
   } else {
     logStep('renderCampaign:overlay:skipped');
     final = bg;
-    onProgress('overlaying', 80);
+    timer.skip(['overlay']);
   }
 
-  // 5) Create poster/thumbnail (80-85%)
-  onProgress('creating_thumbnail', 80);
-  const poster = await makeThumbnail(final, 3);
+  // 4a) Brand logo / name watermark, kept clear of the facecam PiP
+  if (cfg.output.branding) {
+    throwIfCancelled(signal);
+    const facecamCorner = hasFacecam ? cfg.output.facecam.pip?.corner || 'bottom-right' : null;
+    final = await timer.measure('branding', () => overlayBranding(final, cfg.output.branding, ctx, facecamCorner));
+    logStep('renderCampaign:branding:complete', { output: final });
+  }
+
+  // 4b) Optional HLS ladder for adaptive playback
+  let hls = null;
+  if (cfg.output.hls) {
+    throwIfCancelled(signal);
+    report('packaging');
+    hls = await timer.measure('package_hls', () => packageHls(final, ctx));
+    logStep('renderCampaign:hls:complete', hls);
+  }
+
+  // 5) Create poster/thumbnail
+  throwIfCancelled(signal);
+  report('creating_thumbnail');
+  const poster = await timer.measure('thumbnail', () => makeThumbnail(final, 3, { signal }));
   logStep('renderCampaign:thumbnail:complete', { poster });
-  onProgress('creating_thumbnail', 85);
+
+  // 5b) Email assets: animated GIF preview + play-button poster.
+  // Nice-to-have only - a failure here never fails the render.
+  let gif = null;
+  let playPoster = null;
+  if (cfg.output.emailAssets) {
+    try {
+      await timer.measure('email_assets', async () => {
+        gif = await makePreviewGif(final, { signal });
+        playPoster = await makePlayThumbnail(poster, ctx);
+      });
+      logStep('renderCampaign:emailAssets:complete', { gif, playPoster });
+    } catch (err) {
+      throwIfCancelled(signal);
+      console.warn('[renderCampaign] ⚠️ Email assets failed, continuing without them:', err.message);
+      timer.skip(['email_assets']);
+    }
+  }
 
   // Probe final
   const meta = await ffprobeJson(final);
-  logSection('renderCampaignWithProgress:complete', { final, poster, meta });
+  logSection('renderCampaignWithProgress:complete', { final, poster, gif, playPoster, hls, meta });
 
-  return { final, poster, meta };
+  return { final, poster, gif, playPoster, hls, meta };
 }
 
 module.exports = { renderCampaignWithProgress };
@@ -0,0 +1,361 @@
+/**
+ * Shared Scene Cache
+ *
+ * Content-addressed store of raw scene recordings (.webm + trim metadata) that
+ * lives outside any single job's campaign directory, so every lead in a CSV
+ * batch reuses the same recording for its manual (non-CSV) scenes.
+ *
+ * Key = sha256(url, resolution, fps, duration, device, HME seed + profile + focus targets, cursor, actions, page cleanup, auth, namespace).
+ * HME motion traces are stored alongside, so cache hits still get one.
+ * Entries are evicted by age and by total size (least recently used first).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ffprobeJson } = require('../utils/ffmpeg');
+const { getSceneSeed } = require('../hme');
+const { normalizeCursorOptions } = require('../hme/cursor');
+const { RenderCancelledError, throwIfCancelled } = require('../utils/cancellation');
+
+const SCENE_CACHE_ENABLED = process.env.SCENE_CACHE_ENABLED !== 'false'; // Default: true
+const SCENE_CACHE_DIR = process.env.SCENE_CACHE_DIR || path.join(process.cwd(), 'scene-cache');
+const SCENE_CACHE_MAX_MB = parseInt(process.env.SCENE_CACHE_MAX_MB, 10) || 5120;
+const SCENE_CACHE_MAX_AGE_HOURS = parseInt(process.env.SCENE_CACHE_MAX_AGE_HOURS, 10) || 72;
+const SCENE_CACHE_EVICT_INTERVAL_MS = 5 * 60 * 1000;
+// Temp files and sidecars without a .webm younger than this may belong to a write in progress
+const SCENE_CACHE_ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Bump when recording output changes in a way that invalidates old entries
+const CACHE_VERSION = 2;
+
+// cacheKey -> Promise of an in-progress recording (dedupes concurrent jobs)
+const inflight = new Map();
+let lastEvictionAt = 0;
+
+function ensureCacheDir() {
+  if (!fs.existsSync(SCENE_CACHE_DIR)) fs.mkdirSync(SCENE_CACHE_DIR, { recursive: true });
+}
+
+function entryPaths(cacheKey) {
+  return {
+    webm: path.join(SCENE_CACHE_DIR, `${cacheKey}.webm`),
+    meta: path.join(SCENE_CACHE_DIR, `${cacheKey}.json`),
+    trace: path.join(SCENE_CACHE_DIR, `${cacheKey}.motion.json`),
+  };
+}
+
+/**
+ * Split a cache file name into its entry key and kind
+ * @returns {{cacheKey: string, kind: 'webm'|'meta'|'trace'|'tmp'}|null}
+ */
+function parseCacheFile(file) {
+  if (file.endsWith('.tmp')) return { cacheKey: file.split('.')[0], kind: 'tmp' };
+  if (file.endsWith('.motion.json')) return { cacheKey: file.slice(0, -'.motion.json'.length), kind: 'trace' };
+  if (file.endsWith('.json')) return { cacheKey: file.slice(0, -'.json'.length), kind: 'meta' };
+  if (file.endsWith('.webm')) return { cacheKey: file.slice(0, -'.webm'.length), kind: 'webm' };
+  return null;
+}
+
+function removeEntry(cacheKey) {
+  const { webm, meta, trace } = entryPaths(cacheKey);
+  fs.rmSync(webm, { force: true });
+  fs.rmSync(meta, { force: true });
+  fs.rmSync(trace, { force: true });
+}
+
+/**
+ * Build the content-addressed key for a scene recording
+ * @param {Object} scene - Pipeline scene {url, seed, durationSec, device, hmeProfile, focusTargets, actions, pageCleanup, cacheKeySalt}
+ * @param {Object} ctx - Render context {w, h, fps, cursor, auth, cacheNamespace}
+ * @returns {string} Hex digest
+ */
+function getSceneCacheKey(scene, ctx) {
+  const parts = {
+    v: CACHE_VERSION,
+    namespace: ctx.cacheNamespace || null,
+    salt: scene.cacheKeySalt || null,
+    url: scene.url,
+    width: ctx.w,
+    height: ctx.h,
+    fps: ctx.fps,
+    durationSec: scene.durationSec,
+    device: scene.device || null,
+    seed: getSceneSeed(scene),
+    profile: scene.hmeProfile || null,
+    focusTargets: scene.focusTargets && scene.focusTargets.length ? scene.focusTargets : null,
+    cursor: normalizeCursorOptions(ctx.cursor),
+    actions: scene.actions && scene.actions.length ? scene.actions : null,
+    pageCleanup: scene.pageCleanup !== false,
+    // Signed-in recordings are only shared between jobs with the same session (digest, never the secret)
+    auth: ctx.auth ? crypto.createHash('sha256').update(JSON.stringify(ctx.auth)).digest('hex') : null,
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Copy a cached recording into the job's work directory
+ * Invalid entries (too short / unreadable) are deleted.
+ * @returns {Promise<{videoPath: string, trimHintMs: number|null, focusTimeline: Object|null, tracePath: string|null}|null>}
+ */
+async function readCachedScene(cacheKey, scene, destPath) {
+  const { webm, meta, trace } = entryPaths(cacheKey);
+  if (!fs.existsSync(webm)) return null;
+
+  try {
+    const probe = await ffprobeJson(webm);
+    const cachedDuration = parseFloat(probe.format?.duration || '0');
+    const minExpectedDuration = Math.min(2, scene.durationSec * 0.2); // At least 2s or 20% of expected
+
+    if (cachedDuration < minExpectedDuration || !probe.streams?.length) {
+      console.warn(`[sceneCache] Invalid entry for ${scene.id}: ${cachedDuration.toFixed(2)}s < ${minExpectedDuration.toFixed(2)}s, deleting`);
+      removeEntry(cacheKey);
+      return null;
+    }
+  } catch (err) {
+    console.warn(`[sceneCache] Failed to validate entry for ${scene.id}, deleting:`, err.message);
+    removeEntry(cacheKey);
+    return null;
+  }
+
+  let trimHintMs = null;
+  let focusTimeline = null;
+  if (fs.existsSync(meta)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(meta, 'utf8'));
+      if (Number.isFinite(data.trimHintMs)) {
+        trimHintMs = Math.max(0, Math.round(data.trimHintMs));
+      }
+      focusTimeline = data.focusTimeline || null;
+    } catch (err) {
+      console.warn(`[sceneCache] Failed to read metadata ${meta}:`, err.message);
+    }
+  }
+
+  fs.copyFileSync(webm, destPath);
+
+  let tracePath = null;
+  if (fs.existsSync(trace)) {
+    tracePath = path.join(path.dirname(destPath), `${scene.id}-motion.json`);
+    try {
+      fs.copyFileSync(trace, tracePath);
+    } catch (err) {
+      console.warn(`[sceneCache] Failed to copy motion trace ${trace}:`, err.message);
+      tracePath = null;
+    }
+  }
+
+  // Touch so size-based eviction treats this entry as recently used
+  const now = new Date();
+  try {
+    fs.utimesSync(webm, now, now);
+  } catch (err) {
+    // Entry may have been evicted by another worker - the copy already succeeded
+  }
+
+  return { videoPath: destPath, trimHintMs, focusTimeline, tracePath };
+}
+
+/**
+ * Store a fresh recording. Written to a temp file then renamed, so other
+ * workers sharing SCENE_CACHE_DIR never see a partial .webm.
+ */
+function writeCachedScene(cacheKey, videoPath, trimHintMs, focusTimeline = null, tracePath = null) {
+  ensureCacheDir();
+  const { webm, meta, trace } = entryPaths(cacheKey);
+  const suffix = `${process.pid}-${Date.now()}.tmp`;
+
+  try {
+    fs.writeFileSync(`${meta}.${suffix}`, JSON.stringify({ trimHintMs, focusTimeline, storedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(`${meta}.${suffix}`, meta);
+    if (tracePath && fs.existsSync(tracePath)) {
+      fs.copyFileSync(tracePath, `${trace}.${suffix}`);
+      fs.renameSync(`${trace}.${suffix}`, trace);
+    }
+    fs.copyFileSync(videoPath, `${webm}.${suffix}`);
+    fs.renameSync(`${webm}.${suffix}`, webm);
+  } catch (err) {
+    console.warn(`[sceneCache] Failed to store ${cacheKey}:`, err.message);
+    fs.rmSync(`${webm}.${suffix}`, { force: true });
+    fs.rmSync(`${meta}.${suffix}`, { force: true });
+    fs.rmSync(`${trace}.${suffix}`, { force: true });
+  }
+}
+
+/**
+ * Evict entries older than SCENE_CACHE_MAX_AGE_HOURS, then the least recently
+ * used entries until the cache fits in SCENE_CACHE_MAX_MB. Entry sizes include
+ * their .json / .motion.json sidecars; stale .tmp files and sidecars whose
+ * .webm is gone (interrupted writes) are removed first.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Run even if the last sweep was recent
+ * @returns {{removed: number, freedBytes: number}}
+ */
+function evictSceneCache({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - lastEvictionAt < SCENE_CACHE_EVICT_INTERVAL_MS) {
+    return { removed: 0, freedBytes: 0 };
+  }
+  lastEvictionAt = now;
+
+  if (!fs.existsSync(SCENE_CACHE_DIR)) return { removed: 0, freedBytes: 0 };
+
+  const maxAgeMs = SCENE_CACHE_MAX_AGE_HOURS * 3600 * 1000;
+  const maxBytes = SCENE_CACHE_MAX_MB * 1024 * 1024;
+  let removed = 0;
+  let orphans = 0;
+  let freedBytes = 0;
+
+  // cacheKey -> { size, usedAt (of the .webm), hasVideo, files: [{file, size, mtimeMs}] }
+  const byKey = new Map();
+  for (const file of fs.readdirSync(SCENE_CACHE_DIR)) {
+    const parsed = parseCacheFile(file);
+    if (!parsed) continue;
+
+    let stats;
+    try {
+      stats = fs.statSync(path.join(SCENE_CACHE_DIR, file));
+    } catch (err) {
+      continue; // Removed concurrently
+    }
+
+    if (parsed.kind === 'tmp') {
+      if (now - stats.mtimeMs > SCENE_CACHE_ORPHAN_GRACE_MS) {
+        fs.rmSync(path.join(SCENE_CACHE_DIR, file), { force: true });
+        freedBytes += stats.size;
+        orphans++;
+      }
+      continue;
+    }
+
+    const entry = byKey.get(parsed.cacheKey) || { size: 0, usedAt: 0, hasVideo: false, files: [] };
+    entry.size += stats.size;
+    entry.files.push({ file, size: stats.size, mtimeMs: stats.mtimeMs });
+    if (parsed.kind === 'webm') {
+      entry.hasVideo = true;
+      entry.usedAt = stats.mtimeMs;
+    }
+    byKey.set(parsed.cacheKey, entry);
+  }
+
+  const entries = [];
+  for (const [cacheKey, entry] of byKey) {
+    if (entry.hasVideo) {
+      entries.push({ cacheKey, size: entry.size, usedAt: entry.usedAt });
+      continue;
+    }
+    // Sidecars are written before the .webm, so only old ones are orphans
+    for (const { file, size, mtimeMs } of entry.files) {
+      if (now - mtimeMs > SCENE_CACHE_ORPHAN_GRACE_MS) {
+        fs.rmSync(path.join(SCENE_CACHE_DIR, file), { force: true });
+        freedBytes += size;
+        orphans++;
+      }
+    }
+  }
+
+  // Oldest first
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of entries) {
+    const expired = now - entry.usedAt > maxAgeMs;
+    if (!expired && totalBytes <= maxBytes) break;
+
+    removeEntry(entry.cacheKey);
+    totalBytes -= entry.size;
+    freedBytes += entry.size;
+    removed++;
+  }
+
+  if (removed > 0 || orphans > 0) {
+    console.log(`[sceneCache] Evicted ${removed} entr${removed === 1 ? 'y' : 'ies'} and ${orphans} orphaned file(s) (${(freedBytes / 1024 / 1024).toFixed(1)} MB freed)`);
+  }
+
+  return { removed, freedBytes };
+}
+
+/**
+ * Wait for another job's recording, but give up as soon as this job is cancelled
+ * @param {Promise} recording - In-progress recording (never rejects)
+ * @param {AbortSignal} [signal] - This job's cancellation signal
+ */
+function waitForRecording(recording, signal) {
+  if (!signal) return recording;
+  throwIfCancelled(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new RenderCancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    recording.then(resolve).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Return a cached recording for the scene, or record it once and cache it.
+ * Concurrent jobs asking for the same key wait on the first recording.
+ *
+ * @param {Object} scene - Pipeline scene
+ * @param {Object} ctx - Render context (workDir, w, h, fps, signal)
+ * @param {Function} record - async () => {videoPath, trimHintMs, focusTimeline, tracePath}
+ * @returns {Promise<{videoPath: string, trimHintMs: number|null, focusTimeline: Object|null, tracePath: string|null, cacheKey: string, cacheHit: boolean}>}
+ */
+async function getOrRecordScene(scene, ctx, record) {
+  const cacheKey = getSceneCacheKey(scene, ctx);
+
+  // Screenshot scenes are cheap to capture and never cached
+  if (!SCENE_CACHE_ENABLED || scene.captureMode === 'screenshot') {
+    const result = await record();
+    return { ...result, cacheKey, cacheHit: false };
+  }
+
+  const destPath = path.join(ctx.workDir, `${scene.id}.webm`);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (inflight.has(cacheKey)) {
+      console.log(`[sceneCache] Waiting for in-progress recording of ${scene.url}`);
+      // Record ourselves below if it failed
+      await waitForRecording(inflight.get(cacheKey).catch(() => {}), ctx.signal);
+    }
+
+    const hit = fs.existsSync(entryPaths(cacheKey).webm)
+      ? await readCachedScene(cacheKey, scene, destPath)
+      : null;
+    if (hit) {
+      console.log(`[sceneCache] ✓ Hit for ${scene.id} (${cacheKey.slice(0, 12)})`);
+      return { ...hit, cacheKey, cacheHit: true };
+    }
+
+    // No await between this check and inflight.set below, so only one job records
+    if (!inflight.has(cacheKey)) break;
+  }
+
+  console.log(`[sceneCache] Miss for ${scene.id} (${cacheKey.slice(0, 12)}), recording`);
+  const recording = (async () => {
+    const result = await record();
+    // Screenshot scenes (and fallbacks) are not cached: the next render should try the live page again
+    if (result.screenshotPath) return result;
+    const trimHintMs = Number.isFinite(result.trimHintMs) ? Math.max(0, Math.round(result.trimHintMs)) : null;
+    const focusTimeline = result.focusTimeline || null;
+    const tracePath = result.tracePath || null;
+    writeCachedScene(cacheKey, result.videoPath, trimHintMs, focusTimeline, tracePath);
+    evictSceneCache();
+    return { videoPath: result.videoPath, trimHintMs, focusTimeline, tracePath };
+  })();
+
+  inflight.set(cacheKey, recording);
+  try {
+    const result = await recording;
+    return { ...result, cacheKey, cacheHit: false };
+  } finally {
+    inflight.delete(cacheKey);
+  }
+}
+
+module.exports = {
+  getSceneCacheKey,
+  getOrRecordScene,
+  evictSceneCache,
+  SCENE_CACHE_DIR,
+};
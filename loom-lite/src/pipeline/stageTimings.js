@@ -0,0 +1,245 @@
+/**
+ * Render stage timings
+ *
+ * Every render job gets one StageTimer. The pipeline plans the stages it is
+ * about to run (per scene: navigation, page-ready wait, HME, normalize; then
+ * concat, overlay, ...; the worker adds the upload) and wraps each one in
+ * measure(). Progress and ETA come from how much of the *estimated* work is
+ * done, where estimates are historical averages per stage
+ * (render_stage_estimates in migrations/add_render_stage_timings.sql).
+ * The measured entries are written to render_stage_timings when the job ends.
+ */
+
+// Used until a stage has enough history (ms, or ms per second of video for
+// stages that scale with duration). finalize = post-roll buffer + saving the video.
+const DEFAULT_STAGE_ESTIMATES = {
+  navigation: { avgMs: 3000 },
+  page_ready: { avgMs: 8000 },
+  hme: { msPerVideoSec: 1100 },
+  actions: { msPerVideoSec: 1300 },
+  finalize: { avgMs: 20000 },
+  screenshot: { avgMs: 15000 },
+  normalize: { msPerVideoSec: 400 },
+  title_card: { avgMs: 4000 },
+  concat: { msPerVideoSec: 60 },
+  overlay: { msPerVideoSec: 350 },
+  branding: { msPerVideoSec: 250 },
+  package_hls: { msPerVideoSec: 600 },
+  thumbnail: { avgMs: 3000 },
+  email_assets: { avgMs: 6000 },
+  upload: { avgMs: 10000 },
+};
+
+// Fewer samples than this and the default estimate is used
+const MIN_ESTIMATE_SAMPLES = 5;
+
+// Worker sets 10% when it starts the job; 100% is only reported on completion
+const PROGRESS_START = 10;
+const PROGRESS_END = 99;
+
+// How far the observed pace may stretch/shrink the remaining estimate
+const MIN_PACE = 0.5;
+const MAX_PACE = 3;
+
+function stepKey(stage, sceneIndex) {
+  return `${stage}:${sceneIndex ?? ''}`;
+}
+
+class StageTimer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.estimates] - Historical averages by stage {avgMs, msPerVideoSec, samples}
+   * @param {Function} [options.onStep] - Called after each measured or skipped step (progress changed)
+   */
+  constructor({ estimates = {}, onStep = null } = {}) {
+    this.estimates = estimates;
+    this.onStep = onStep;
+    this.steps = new Map(); // stepKey -> { estimateMs, done }
+    this.entries = [];
+    this.current = null; // { key, startedAt } of the step being measured
+  }
+
+  /**
+   * Expected duration of one step
+   * @param {string} stage
+   * @param {number|null} videoSec - Seconds of video the step works on (scene or whole render)
+   * @returns {number} Milliseconds
+   */
+  estimateMs(stage, videoSec = null) {
+    const fallback = DEFAULT_STAGE_ESTIMATES[stage] || { avgMs: 5000 };
+    const history = this.estimates[stage];
+    const estimate = history && history.samples >= MIN_ESTIMATE_SAMPLES ? history : fallback;
+
+    // Only stages whose default is per video second scale with duration
+    if (fallback.msPerVideoSec && videoSec) {
+      return (estimate.msPerVideoSec || fallback.msPerVideoSec) * videoSec;
+    }
+    return estimate.avgMs || fallback.avgMs || fallback.msPerVideoSec * (videoSec || 1);
+  }
+
+  /**
+   * Add stages the job is going to run (order doesn't matter)
+   * @param {Array<{stage: string, sceneIndex?: number, videoSec?: number}>} steps
+   */
+  plan(steps) {
+    for (const { stage, sceneIndex = null, videoSec = null } of steps) {
+      const key = stepKey(stage, sceneIndex);
+      if (!this.steps.has(key)) {
+        this.steps.set(key, { estimateMs: this.estimateMs(stage, videoSec), videoSec, done: false });
+      }
+    }
+  }
+
+  /**
+   * Start timing one stage (for stages that span several statements)
+   * @param {string} stage
+   * @param {Object} [options]
+   * @param {number} [options.sceneIndex]
+   * @param {number} [options.videoSec] - Defaults to the planned step's videoSec
+   * @returns {Function} finish(ok = true) - records the entry; call it once
+   */
+  start(stage, { sceneIndex = null, videoSec } = {}) {
+    const key = stepKey(stage, sceneIndex);
+    const step = this.steps.get(key);
+    const startedAt = Date.now();
+    this.current = { key, startedAt };
+
+    return (ok = true) => {
+      const durationMs = Date.now() - startedAt;
+      if (this.current?.key === key) this.current = null;
+      this.entries.push({
+        stage,
+        scene_index: sceneIndex,
+        duration_ms: durationMs,
+        video_sec: videoSec !== undefined ? videoSec : step?.videoSec ?? null,
+        started_at: new Date(startedAt).toISOString(),
+        ok,
+      });
+      // A failed attempt is retried under the same step; only success completes it
+      if (ok && step && !step.done) {
+        step.done = true;
+        step.actualMs = durationMs;
+        this.onStep?.(stage, sceneIndex);
+      }
+    };
+  }
+
+  /**
+   * Run fn as one stage and record its wall-clock duration (also when it throws)
+   * @param {string} stage
+   * @param {Function} fn
+   * @param {Object} [options] - See start()
+   * @returns {Promise<*>} fn's result
+   */
+  async measure(stage, fn, options = {}) {
+    const finish = this.start(stage, options);
+    try {
+      const result = await fn();
+      finish(true);
+      return result;
+    } catch (error) {
+      finish(false);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark planned steps as done without running them (cache hits, screenshot fallbacks)
+   * @param {string[]} stages
+   * @param {number|null} [sceneIndex]
+   */
+  skip(stages, sceneIndex = null) {
+    let changed = false;
+    for (const stage of stages) {
+      const step = this.steps.get(stepKey(stage, sceneIndex));
+      if (step && !step.done) {
+        step.done = true;
+        step.skipped = true;
+        changed = true;
+      }
+    }
+    if (changed) this.onStep?.(null, sceneIndex);
+  }
+
+  /**
+   * Stage helpers bound to one scene (passed to recordScene as ctx.timer)
+   * @param {number} sceneIndex
+   */
+  forScene(sceneIndex) {
+    return {
+      start: (stage) => this.start(stage, { sceneIndex }),
+      measure: (stage, fn) => this.measure(stage, fn, { sceneIndex }),
+    };
+  }
+
+  /**
+   * Share of the estimated work that is done (0-1)
+   * The step in flight counts up to 90% of its estimate so progress never
+   * runs ahead of a stage that is slower than usual.
+   */
+  getFraction() {
+    let total = 0;
+    let done = 0;
+    for (const [key, step] of this.steps) {
+      total += step.estimateMs;
+      if (step.done) {
+        done += step.estimateMs;
+      } else if (this.current?.key === key) {
+        done += Math.min(Date.now() - this.current.startedAt, step.estimateMs * 0.9);
+      }
+    }
+    return total > 0 ? done / total : 0;
+  }
+
+  /**
+   * renders.progress value for the current state of the job
+   * @returns {number} Integer between PROGRESS_START and PROGRESS_END
+   */
+  getProgressPercent() {
+    return Math.round(PROGRESS_START + (PROGRESS_END - PROGRESS_START) * this.getFraction());
+  }
+
+  /**
+   * How much slower (>1) or faster (<1) this job runs than its estimates
+   */
+  getPace() {
+    let estimated = 0;
+    let actual = 0;
+    for (const step of this.steps.values()) {
+      if (step.done && !step.skipped) {
+        estimated += step.estimateMs;
+        actual += step.actualMs;
+      }
+    }
+    if (estimated === 0) return 1;
+    return Math.min(MAX_PACE, Math.max(MIN_PACE, actual / estimated));
+  }
+
+  /**
+   * Estimated completion time
+   * @returns {string|null} ISO timestamp, or null before anything is planned
+   */
+  getEtaAt() {
+    if (this.steps.size === 0) return null;
+
+    let remainingMs = 0;
+    for (const [key, step] of this.steps) {
+      if (step.done) continue;
+      const elapsedMs = this.current?.key === key ? Date.now() - this.current.startedAt : 0;
+      remainingMs += Math.max(0, step.estimateMs - elapsedMs);
+    }
+    return new Date(Date.now() + remainingMs * this.getPace()).toISOString();
+  }
+}
+
+/**
+ * Measure fn as a stage when a timer is available (recordScene also runs without one)
+ * @param {{measure: Function}|null|undefined} timer - StageTimer or a forScene() helper
+ * @param {string} stage
+ * @param {Function} fn
+ */
+function timeStage(timer, stage, fn) {
+  return timer ? timer.measure(stage, fn) : fn();
+}
+
+module.exports = { StageTimer, timeStage, DEFAULT_STAGE_ESTIMATES };
@@ -2,6 +2,8 @@
 const { normalizeUrl } = require('../utils/urlNormalizer');
 const { retryWithBackoff } = require('../utils/retryWithBackoff');
 const { generateContentAwareScrollSegments, executeScrollSegments, generateScrollSegments } = require('../hme/scroll');
+const { generatePath } = require('../hme/path');
+const { createRNG, hashString } = require('../hme/rng');
 
 async function doGoto(page, url) {
   // Normalize URL to ensure it has a protocol (https:// or http://)
@@ -32,10 +34,29 @@ async function doWait(page, ms) {
   await page.waitForTimeout(ms);
 }
 
-async function doClickText(page, text) {
+async function doClickText(page, text, cursorManager = null) {
   const locator = page.getByText(text, { exact: false }).first();
   if (await locator.count() === 0) return;
   await locator.scrollIntoViewIfNeeded();
+
+  // Move the visible cursor onto the target and show the click before performing it
+  const box = cursorManager ? await locator.boundingBox().catch(() => null) : null;
+  if (box) {
+    const from = await cursorManager.getCurrentPosition();
+    const rand = createRNG(hashString(text));
+    await cursorManager.animatePath(generatePath({
+      fromX: from.x,
+      fromY: from.y,
+      toX: box.x + box.width / 2,
+      toY: box.y + box.height / 2,
+      targetWidth: box.width,
+      rand,
+      sampleRate: 90,
+      includeOvershoot: false
+    }));
+    await cursorManager.showClick();
+  }
+
   await locator.click({ timeout: 3000 });
 }
 
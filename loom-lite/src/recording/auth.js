@@ -0,0 +1,105 @@
+/**
+ * Recording Auth
+ *
+ * Signs the recording browser in before a scene navigates, so pages behind a
+ * login (a lead's dashboard, our own product demo) can be recorded. A campaign
+ * provides a Playwright storage state (cookies + localStorage), scripted login
+ * steps, or both - steps then run on top of the stored state.
+ *
+ * Login steps run once per job in a separate, non-recording context; the
+ * storage state it ends with is what every recording context starts from.
+ */
+
+const { normalizeUrl } = require('../utils/urlNormalizer');
+
+const LOGIN_STEP_TIMEOUT_MS = 15000;
+const LOGIN_MAX_WAIT_MS = 30000;
+
+// Decrypted auth object (one per job) -> Promise of the signed-in storage state
+const resolvedStates = new WeakMap();
+
+/**
+ * Run scripted login steps on a page
+ * Step values (passwords, tokens) are never logged.
+ * @param {Page} page - Playwright page
+ * @param {Array<Object>} steps - [{type: goto|fill|click|press|wait|wait_for, ...}]
+ */
+async function runLoginSteps(page, steps) {
+  for (const [index, step] of steps.entries()) {
+    const label = `[auth] Login step ${index + 1}/${steps.length}: ${step.type}`;
+
+    switch (step.type) {
+      case 'goto':
+        console.log(`${label} ${step.url}`);
+        await page.goto(normalizeUrl(step.url), { waitUntil: 'domcontentloaded', timeout: LOGIN_MAX_WAIT_MS });
+        break;
+      case 'fill':
+        console.log(`${label} ${step.selector}`);
+        await page.fill(step.selector, String(step.value ?? ''), { timeout: LOGIN_STEP_TIMEOUT_MS });
+        break;
+      case 'click':
+        console.log(`${label} ${step.selector}`);
+        await page.click(step.selector, { timeout: LOGIN_STEP_TIMEOUT_MS });
+        break;
+      case 'press':
+        console.log(`${label} ${step.key}`);
+        await page.press(step.selector || 'body', step.key, { timeout: LOGIN_STEP_TIMEOUT_MS });
+        break;
+      case 'wait':
+        await page.waitForTimeout(Math.min(Number(step.ms) || 1000, LOGIN_MAX_WAIT_MS));
+        break;
+      case 'wait_for':
+        console.log(`${label} ${step.selector}`);
+        await page.waitForSelector(step.selector, { timeout: LOGIN_MAX_WAIT_MS });
+        break;
+      default:
+        throw new Error(`Unknown login step type '${step.type}'`);
+    }
+  }
+
+  // Let redirects and token writes after the last step finish
+  await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+}
+
+/**
+ * Resolve the storage state recording contexts should start from
+ *
+ * @param {Browser} browser - Browser to run login steps in (local Chromium or Steel)
+ * @param {Object|null} auth - Decrypted auth {storageState, loginActions} (ctx.auth)
+ * @param {Object} [contextOptions] - Extra newContext options for the login context (e.g. viewport)
+ * @returns {Promise<Object|undefined>} Playwright storage state, or undefined without auth
+ */
+async function resolveStorageState(browser, auth, contextOptions = {}) {
+  if (!auth) return undefined;
+  if (!auth.loginActions || auth.loginActions.length === 0) {
+    return auth.storageState || undefined;
+  }
+
+  if (!resolvedStates.has(auth)) {
+    const pending = (async () => {
+      console.log(`[auth] Signing in with ${auth.loginActions.length} scripted step(s)...`);
+      const context = await browser.newContext({
+        ...contextOptions,
+        storageState: auth.storageState || undefined
+      });
+
+      try {
+        const page = await context.newPage();
+        await runLoginSteps(page, auth.loginActions);
+        const state = await context.storageState();
+        console.log(`[auth] Signed in (${state.cookies.length} cookie(s), ${state.origins.length} origin(s) with localStorage)`);
+        return state;
+      } finally {
+        await context.close().catch(() => {});
+      }
+    })();
+
+    resolvedStates.set(auth, pending);
+    // A failed login is retried by the next scene attempt instead of being cached
+    pending.catch(() => resolvedStates.delete(auth));
+  }
+
+  return resolvedStates.get(auth);
+}
+
+module.exports = { resolveStorageState, runLoginSteps };
@@ -0,0 +1,78 @@
+/**
+ * Device profiles for mobile/tablet scenes
+ *
+ * A scene with `device` set is recorded with a Playwright device descriptor
+ * (viewport, user agent, touch, DPR) instead of the desktop viewport, driven
+ * by touch-style HME beats, and composed into a device frame by normalizeScene.
+ */
+
+const { devices } = require('playwright');
+
+const DEVICE_PROFILES = {
+  iphone: {
+    label: 'iPhone',
+    descriptor: 'iPhone 13',
+    frame: { kind: 'phone', bezelRatio: 0.035, screenRadiusRatio: 0.11, island: true },
+  },
+  pixel: {
+    label: 'Pixel',
+    descriptor: 'Pixel 7',
+    frame: { kind: 'phone', bezelRatio: 0.03, screenRadiusRatio: 0.09, island: false },
+  },
+  ipad: {
+    label: 'iPad',
+    descriptor: 'iPad (gen 7)',
+    frame: { kind: 'tablet', bezelRatio: 0.045, screenRadiusRatio: 0.035, island: false },
+  },
+};
+
+/**
+ * Look up a device profile
+ * @param {string|null} name - scenes.device (iphone | pixel | ipad)
+ * @returns {{name: string, label: string, contextOptions: Object, viewport: {width: number, height: number}, frame: Object}|null}
+ *   null for desktop scenes or unknown names
+ */
+function getDeviceProfile(name) {
+  if (!name) return null;
+
+  const profile = DEVICE_PROFILES[name];
+  const descriptor = profile && devices[profile.descriptor];
+  if (!descriptor) {
+    console.warn(`[devices] ⚠️  Unknown device '${name}', recording as desktop`);
+    return null;
+  }
+
+  // Recording always uses Chromium; the descriptor's browser choice doesn't apply
+  const contextOptions = { ...descriptor };
+  delete contextOptions.defaultBrowserType;
+
+  return {
+    name,
+    label: profile.label,
+    contextOptions,
+    viewport: descriptor.viewport,
+    frame: profile.frame,
+  };
+}
+
+/**
+ * Capture size for a device recording: the viewport scaled (at most to the
+ * device's pixel ratio) so the screen fills ~82% of the output frame, leaving
+ * room for the bezel
+ * @param {Object} device - getDeviceProfile result
+ * @param {{w: number, h: number}} output - Campaign output resolution
+ * @returns {{width: number, height: number}} Even dimensions
+ */
+function getDeviceCaptureSize(device, output) {
+  const { width, height } = device.viewport;
+  const dpr = device.contextOptions.deviceScaleFactor || 1;
+  const scale = Math.min(dpr, (output.h * 0.82) / height, (output.w * 0.82) / width);
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return { width: even(width * scale), height: even(height * scale) };
+}
+
+module.exports = {
+  DEVICE_PROFILES,
+  getDeviceProfile,
+  getDeviceCaptureSize,
+};
@@ -0,0 +1,166 @@
+/**
+ * Page Cleanup
+ *
+ * Clears consent banners, newsletter modals and chat launchers before the
+ * motion engine starts, so they don't cover the lead's site for the whole scene.
+ *
+ * Known consent managers and chat widgets are hidden with CSS (no clicks, no
+ * consent given). Generic fixed-position modals get their close button clicked
+ * when it is safe per DENY_PATTERNS, otherwise they are hidden too.
+ */
+
+const { DENY_PATTERNS } = require('../hme/dom');
+
+const PAGE_CLEANUP_ENABLED = process.env.PAGE_CLEANUP_ENABLED !== 'false'; // Default: true
+
+// Consent managers (CMPs)
+const CONSENT_SELECTORS = [
+  '#onetrust-consent-sdk', '#onetrust-banner-sdk', // OneTrust
+  '#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay', // Cookiebot
+  '.qc-cmp2-container', // Quantcast
+  '#truste-consent-track', '.truste_overlay', '.truste_box_overlay', // TrustArc
+  '#didomi-host', // Didomi
+  '#usercentrics-root', // Usercentrics
+  '.osano-cm-window', // Osano
+  '.cky-consent-container', '.cky-overlay', // CookieYes
+  '#cmplz-cookiebanner-container', // Complianz
+  '#termly-code-snippet-support', // Termly
+  '#iubenda-cs-banner', // iubenda
+  '#cookiescript_injected', // CookieScript
+  '#moove_gdpr_cookie_info_bar', // GDPR Cookie Compliance
+  '.cc-window', '.cc-banner', // Cookie Consent (Osano OSS)
+];
+
+// Chat launchers
+const CHAT_SELECTORS = [
+  '#intercom-container', '.intercom-lightweight-app', '#intercom-frame', // Intercom
+  '#drift-widget', '#drift-frame-controller', '#drift-frame-chat', // Drift
+  '#hubspot-messages-iframe-container', // HubSpot
+  '#launcher', 'iframe#webWidget', // Zendesk
+  '.crisp-client', // Crisp
+  '#chat-widget-container', // LiveChat
+  '#tidio-chat', // Tidio
+  '#fc_frame', // Freshchat
+  'iframe[title*="chat" i]', // Tawk.to and most iframe launchers
+];
+
+/**
+ * Hide/dismiss overlays on the current page
+ * Safe to call more than once (late banners are caught by a second sweep).
+ *
+ * @param {Page} page - Playwright page
+ * @param {Object} [options]
+ * @param {string} [options.label] - Log prefix (scene id)
+ * @returns {Promise<Array<{kind: string, action: string, target: string}>>} What was removed
+ */
+async function cleanupPage(page, { label = 'page' } = {}) {
+  if (!PAGE_CLEANUP_ENABLED) return [];
+
+  let removed = [];
+  try {
+    removed = await page.evaluate(({ consentSelectors, chatSelectors, denySource, denyFlags }) => {
+      const deny = new RegExp(denySource, denyFlags);
+      const results = [];
+      const describe = (el) =>
+        `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${
+          typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/)[0]}` : ''
+        }`;
+      const isShown = (el) => {
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+      };
+
+      // 1. Known vendors: hide with a stylesheet so re-rendered widgets stay hidden
+      const known = [
+        ...consentSelectors.map((selector) => ({ selector, kind: 'consent' })),
+        ...chatSelectors.map((selector) => ({ selector, kind: 'chat' })),
+      ];
+      for (const { selector, kind } of known) {
+        for (const el of document.querySelectorAll(selector)) {
+          if (isShown(el)) results.push({ kind, action: 'hidden', target: describe(el) });
+        }
+      }
+      if (!document.getElementById('__loom_page_cleanup')) {
+        const style = document.createElement('style');
+        style.id = '__loom_page_cleanup';
+        style.textContent = `${known.map((k) => k.selector).join(',\n')} { display: none !important; }`;
+        (document.head || document.documentElement).appendChild(style);
+      }
+
+      // 2. Generic overlays: fixed/sticky, on top, and covering a big slice of the viewport
+      //    or a consent-looking strip along the bottom/top edge
+      const vw = window.innerWidth;
+      const vh = window.innerHeight;
+      const consentText = /cookie|consent|gdpr|privacy|newsletter|sign up for|get \d+% off|discount/i;
+      const closeText = /^(×|✕|x|close|dismiss|no,? thanks|not now|maybe later|got it|ok(ay)?|reject( all)?|decline|only necessary|necessary only|continue without accepting)$/i;
+
+      for (const el of document.querySelectorAll('body *')) {
+        if (el.dataset.loomCleaned) continue;
+        const style = window.getComputedStyle(el);
+        if (style.position !== 'fixed' && style.position !== 'sticky') continue;
+        if (!isShown(el)) continue;
+
+        const rect = el.getBoundingClientRect();
+        const coverage = (Math.min(rect.width, vw) * Math.min(rect.height, vh)) / (vw * vh);
+        const text = (el.innerText || '').slice(0, 2000);
+        const isDialog = el.getAttribute('role') === 'dialog' || el.getAttribute('aria-modal') === 'true';
+        const isEdgeBanner = rect.width > vw * 0.6 && (rect.bottom >= vh - 2 || rect.top <= 2) && consentText.test(text);
+        const isModal = style.position === 'fixed' && (parseInt(style.zIndex, 10) || 0) >= 100 && coverage > 0.3;
+
+        // Sticky site headers/navs are part of the page - leave them alone
+        if (!isDialog && !isEdgeBanner && !isModal) continue;
+        if (el.matches('header, nav, [role="banner"], [role="navigation"]')) continue;
+
+        el.dataset.loomCleaned = 'true';
+
+        // Prefer the site's own close/decline button, but never anything DENY_PATTERNS flags
+        const closer = Array.from(el.querySelectorAll('button, [role="button"], a, [aria-label]')).find((candidate) => {
+          const label = `${candidate.getAttribute('aria-label') || ''} ${candidate.innerText || ''}`.trim();
+          const href = candidate.getAttribute('href') || '';
+          if (!label || deny.test(label) || deny.test(href)) return false;
+          if (href && !href.startsWith('#') && !href.startsWith('javascript')) return false;
+          return closeText.test((candidate.innerText || '').trim()) || /close|dismiss/i.test(candidate.getAttribute('aria-label') || '');
+        });
+
+        if (closer) {
+          closer.click();
+          results.push({ kind: isEdgeBanner ? 'banner' : 'modal', action: 'dismissed', target: describe(el) });
+        } else {
+          el.style.setProperty('display', 'none', 'important');
+          results.push({ kind: isEdgeBanner ? 'banner' : 'modal', action: 'hidden', target: describe(el) });
+        }
+      }
+
+      // 3. Modals often lock scrolling; unlock so HME can scroll the page
+      for (const root of [document.documentElement, document.body]) {
+        if (root && window.getComputedStyle(root).overflowY === 'hidden') {
+          root.style.setProperty('overflow', 'auto', 'important');
+          results.push({ kind: 'scroll-lock', action: 'unlocked', target: root.tagName.toLowerCase() });
+        }
+      }
+
+      return results;
+    }, {
+      consentSelectors: CONSENT_SELECTORS,
+      chatSelectors: CHAT_SELECTORS,
+      denySource: DENY_PATTERNS.source,
+      denyFlags: DENY_PATTERNS.flags,
+    });
+  } catch (err) {
+    // Cleanup is best-effort - a navigation or CSP error must never fail the recording
+    console.warn(`[pageCleanup] ${label}: cleanup failed, continuing:`, err.message);
+    return [];
+  }
+
+  if (removed.length > 0) {
+    console.log(`[pageCleanup] ${label}: removed ${removed.length} overlay(s)`);
+    for (const item of removed) {
+      console.log(`[pageCleanup]   - ${item.kind} ${item.action}: ${item.target}`);
+    }
+  }
+
+  return removed;
+}
+
+module.exports = { cleanupPage, PAGE_CLEANUP_ENABLED };
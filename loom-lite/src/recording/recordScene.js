@@ -7,6 +7,13 @@ const pixelmatchModule = require('pixelmatch');
 const pixelmatch = pixelmatchModule.default || pixelmatchModule;
 const { PNG } = require('pngjs');
 const HME = require('../hme');
+const { createCursorManager } = require('../hme/cursor');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { cleanupPage } = require('./pageCleanup');
+const { resolveStorageState } = require('./auth');
+const { getDeviceProfile, getDeviceCaptureSize } = require('./devices');
+const { detectAuth } = require('../hme/dom');
+const { timeStage } = require('../pipeline/stageTimings');
 
 async function withTimeout(promise, ms, label) {
   let timer;
@@ -300,8 +307,15 @@ async function recordScene(scene, ctx) {
   const sceneDir = path.join(workDir);
   if (!fs.existsSync(sceneDir)) fs.mkdirSync(sceneDir, { recursive: true });
 
+  // Mobile/tablet scenes emulate a device; the shared Steel context is desktop-only, so they record locally
+  const device = getDeviceProfile(scene.device);
+  const cursorOptions = device ? { ...ctx.cursor, style: 'touch' } : ctx.cursor;
+
   // Check if we should use Steel (feature flag)
-  const useSteel = String(process.env.USE_STEEL || '').toLowerCase() === 'true';
+  const useSteel = String(process.env.USE_STEEL || '').toLowerCase() === 'true' && !device;
+  if (device && String(process.env.USE_STEEL || '').toLowerCase() === 'true') {
+    console.log(`[recordScene] ${device.label} scene ${scene.id} records in local Chromium (Steel context is desktop-only)`);
+  }
   const recorderStrategy = process.env.RECORDER || 'psr'; // 'psr' or 'shots'
 
   let browser, context, page, video;
@@ -310,6 +324,11 @@ async function recordScene(scene, ctx) {
   let recorder = null;
   let videoPath = null;
   let frameForceInterval = null; // For keeping CDP screencast active
+  let videoStartedAt = null; // Wall clock at page creation (≈ t=0 of the page's video)
+  let focusTimeline = null;
+  let tracePath = null;
+
+  throwIfCancelled(ctx.signal);
 
   if (useSteel) {
     // ===== STEEL REMOTE BROWSER PATH =====
@@ -323,7 +342,8 @@ async function recordScene(scene, ctx) {
       const sharedSession = await getSteelRecordingContext({
         w,
         h,
-        baseDir: campaignDir
+        baseDir: campaignDir,
+        auth: ctx.auth
       });
 
       // Store references for cleanup (but won't release until campaign ends)
@@ -334,6 +354,7 @@ async function recordScene(scene, ctx) {
 
       // Create a new page for this scene (each page gets its own video file)
       page = await context.newPage();
+      videoStartedAt = Date.now();
       console.log('[recordScene] Created new page for scene in shared Steel context');
 
       // Playwright's recordVideo from the shared context will handle recording
@@ -359,7 +380,7 @@ async function recordScene(scene, ctx) {
       headless: true,
       args: [
         `--window-size=${w},${h}`,
-        '--force-device-scale-factor=1',
+        ...(device ? [] : ['--force-device-scale-factor=1']), // Devices keep their own pixel ratio
         '--disable-renderer-backgrounding',
         '--autoplay-policy=no-user-gesture-required',
         '--disable-frame-rate-limit',
@@ -368,16 +389,46 @@ async function recordScene(scene, ctx) {
       ]
     });
 
-    context = await browser.newContext({
-      viewport: { width: w, height: h },
-      deviceScaleFactor: 1,
-      recordVideo: { dir: sceneDir, size: { width: w, height: h } }
-    });
+    // Signed-in campaigns start from the stored/logged-in session (cookies + localStorage)
+    const storageState = await resolveStorageState(
+      browser,
+      ctx.auth,
+      device ? device.contextOptions : { viewport: { width: w, height: h } }
+    );
+
+    if (device) {
+      // Narrow capture; normalizeScene places it in a device frame at the output size
+      const captureSize = getDeviceCaptureSize(device, { w, h });
+      console.log(`[recordScene] Emulating ${device.label} (${device.viewport.width}x${device.viewport.height}), capture ${captureSize.width}x${captureSize.height}`);
+      context = await browser.newContext({
+        ...device.contextOptions,
+        storageState,
+        recordVideo: { dir: sceneDir, size: captureSize }
+      });
+    } else {
+      context = await browser.newContext({
+        viewport: { width: w, height: h },
+        deviceScaleFactor: 1,
+        storageState,
+        recordVideo: { dir: sceneDir, size: { width: w, height: h } }
+      });
+    }
 
     page = await context.newPage();
+    videoStartedAt = Date.now();
     video = await page.video();
   }
 
+  // Cancellation: tear down the page (Steel) or the whole browser (local) so any
+  // pending navigation/HME/wait rejects immediately instead of running out the scene.
+  // The shared Steel session itself is released by the worker.
+  const onAbort = () => {
+    console.log(`[recordScene] Cancellation requested, stopping scene ${scene.id}`);
+    const target = useSteel ? page : browser;
+    target?.close().catch(() => {});
+  };
+  ctx.signal?.addEventListener('abort', onAbort, { once: true });
+
   // Apply actions within the scene duration
   let remaining = toMs(scene.durationSec);
   const consume = v => { remaining = Math.max(0, remaining - v); };
@@ -387,16 +438,19 @@ async function recordScene(scene, ctx) {
 
   // ALWAYS navigate first - even if actions include goto, we need page loaded before recording
   const normalizedUrl = normalizeUrl(scene.url);
+  // ctx.timer (set by the pipeline) times navigation, page_ready, hme/actions and finalize
+  let finishPageReady = null;
 
   if (useSteel) {
     // Navigate directly to target URL (mask will cover initial resize frames)
     console.log(`[recordScene] Navigating to ${normalizedUrl}...`);
 
-    await page.goto(normalizedUrl, {
+    await timeStage(ctx.timer, 'navigation', () => page.goto(normalizedUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 15000
-    });
+    }));
     console.log(`[recordScene] Navigation to DOM complete`);
+    finishPageReady = ctx.timer?.start('page_ready');
 
     // Wait for viewport to stabilize after navigation
     await waitViewportStable(page, w, h, /*stableMs*/ 1000, /*poll*/ 100, /*timeout*/ 10000);
@@ -412,6 +466,11 @@ async function recordScene(scene, ctx) {
     ]);
     console.log(`[recordScene] Network idle or 5s timeout reached`);
 
+    // Clear consent banners / chat launchers while the mask still hides them
+    if (scene.pageCleanup !== false) {
+      await cleanupPage(page, { label: scene.id });
+    }
+
     // Remove mask to reveal the page content
     await hideMask(page);
     console.log(`[recordScene] Mask removed`);
@@ -426,11 +485,12 @@ async function recordScene(scene, ctx) {
     // Local Chromium path - no mask needed
     console.log(`[recordScene] Navigating to ${normalizedUrl}${scene.url !== normalizedUrl ? ` (normalized from: ${scene.url})` : ''}...`);
 
-    await page.goto(normalizedUrl, {
+    await timeStage(ctx.timer, 'navigation', () => page.goto(normalizedUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 15000
-    });
+    }));
     console.log(`[recordScene] Navigation to DOM complete`);
+    finishPageReady = ctx.timer?.start('page_ready');
 
     // Wait for page to be visually ready
     console.log(`[recordScene] Waiting for page to be visually ready (max ${maxWaitMs}ms)...`);
@@ -440,11 +500,31 @@ async function recordScene(scene, ctx) {
     ]);
   }
 
+  // A login form after navigation means the stored session was rejected or has expired
+  if (ctx.auth && await detectAuth(page, { passwordOnly: true }).catch(() => false)) {
+    console.warn(`[recordScene] ⚠️  Scene ${scene.id} still shows a login form - the campaign's session may have expired`);
+  }
+
+  // Pre-roll page cleanup (second sweep on Steel catches banners that arrived with late embeds)
+  if (scene.pageCleanup !== false) {
+    const removed = await cleanupPage(page, { label: scene.id });
+    if (removed.length > 0) {
+      fs.writeFileSync(path.join(sceneDir, `${scene.id}-cleanup.json`), JSON.stringify(removed, null, 2));
+    }
+  } else {
+    console.log(`[recordScene] Page cleanup disabled for scene ${scene.id}`);
+  }
+
+  finishPageReady?.();
+
   // Record for LONGER than scene.durationSec to ensure we have enough content after trim
   // Add 15s buffer to account for slow-loading pages (video-layer trim will find actual start)
   const recordDurationSec = scene.durationSec + 15;
   console.log(`[recordScene] Recording ${recordDurationSec}s (${scene.durationSec}s content + 15s buffer for slow pages)...`);
 
+  // Post-roll buffer + saving the video
+  let finishFinalize = null;
+
   // CHECK IF SCENE HAS ACTIONS OR SHOULD USE HME
   if (!scene.actions || scene.actions.length === 0) {
     // Use Human Motion Engine v2 for natural behavior
@@ -456,12 +536,41 @@ async function recordScene(scene, ctx) {
 
     // HME handles exact timing, so we record for the actual scene duration
     // (not recordDurationSec which has buffer - HME doesn't need it)
-    await HME.runScene(page, {
+    const hmeOffsetMs = Date.now() - videoStartedAt;
+    const hmeResult = await timeStage(ctx.timer, 'hme', () => HME.runScene(page, {
       url: scene.url,
-      durationSec: scene.durationSec
-    });
+      seed: scene.seed,
+      authenticated: Boolean(ctx.auth),
+      durationSec: scene.durationSec,
+      profile: scene.hmeProfile,
+      focusTargets: scene.focusTargets,
+      cursor: cursorOptions,
+      touch: Boolean(device)
+    }));
+
+    // Re-base the focus timeline onto the raw recording's clock
+    if (hmeResult?.focusTimeline?.events?.length) {
+      focusTimeline = {
+        viewport: hmeResult.focusTimeline.viewport,
+        events: hmeResult.focusTimeline.events.map((event) => ({
+          ...event,
+          startMs: event.startMs + hmeOffsetMs,
+          endMs: event.endMs + hmeOffsetMs
+        }))
+      };
+      fs.writeFileSync(path.join(sceneDir, `${scene.id}-focus.json`), JSON.stringify(focusTimeline, null, 2));
+      console.log(`[recordScene] Focus timeline: ${focusTimeline.events.length} event(s), HME started at ${hmeOffsetMs}ms`);
+    }
+
+    // Motion trace for debugging/replay (times stay HME-relative; recordingOffsetMs maps them onto the video)
+    if (hmeResult?.motionTrace) {
+      tracePath = path.join(sceneDir, `${scene.id}-motion.json`);
+      fs.writeFileSync(tracePath, JSON.stringify({ ...hmeResult.motionTrace, recordingOffsetMs: hmeOffsetMs }, null, 2));
+      console.log(`[recordScene] Motion trace: ${tracePath} (seed ${hmeResult.motionTrace.seed})`);
+    }
 
     // After HME completes, record buffer time (15s) for safety
+    finishFinalize = ctx.timer?.start('finalize');
     const bufferSec = 15;
     console.log(`[recordScene] Recording ${bufferSec}s buffer after HME...`);
     await page.waitForTimeout(toMs(bufferSec));
@@ -472,6 +581,14 @@ async function recordScene(scene, ctx) {
     // Adjust remaining time to include buffer
     remaining = toMs(recordDurationSec);
 
+    const finishActions = ctx.timer?.start('actions');
+
+    // Same cursor skin as HME so clicks are visible (hand + ripple)
+    const cursorManager = createCursorManager(page, cursorOptions);
+    await cursorManager.initialize();
+    const viewport = device ? device.viewport : { width: w, height: h };
+    await cursorManager.setPosition(viewport.width / 2, viewport.height / 2);
+
     for (const action of (scene.actions || [])) {
       if (remaining <= 0) break;
       switch (action.type) {
@@ -480,7 +597,7 @@ async function recordScene(scene, ctx) {
           console.log('[recordScene] Skipping goto action (already navigated)');
           break;
         case 'wait': await doWait(page, action.ms || 1000); consume(action.ms || 1000); break;
-        case 'clickText': await doClickText(page, action.text || ''); consume(800); break;
+        case 'clickText': await doClickText(page, action.text || '', cursorManager); consume(800); break;
         case 'highlight': await doHighlight(page, action.text || '', action.ms || 2000); consume(action.ms || 2000); break;
         case 'scroll': {
           if (useSteel) {
@@ -495,7 +612,11 @@ async function recordScene(scene, ctx) {
       }
     }
 
+    await cursorManager.cleanup();
+    finishActions?.();
+
     // Fill the rest of the scene
+    finishFinalize = ctx.timer?.start('finalize');
     if (remaining > 0) {
       console.log(`[recordScene] Waiting ${remaining}ms to fill buffer time...`);
       await page.waitForTimeout(remaining);
@@ -505,6 +626,9 @@ async function recordScene(scene, ctx) {
     }
   }
 
+  ctx.signal?.removeEventListener('abort', onAbort);
+  throwIfCancelled(ctx.signal);
+
   console.log(`[recordScene] Scene recording complete, closing context and browser...`);
 
   try {
@@ -569,7 +693,8 @@ async function recordScene(scene, ctx) {
     }
 
     console.log(`[recordScene] Scene ${scene.id} saved successfully`);
-    return { videoPath: finalVideoPath };
+    finishFinalize?.();
+    return { videoPath: finalVideoPath, focusTimeline, tracePath };
 
   } catch (error) {
     // Ensure Steel session cleanup on error
@@ -0,0 +1,109 @@
+/**
+ * Screenshot scenes
+ *
+ * Some lead sites block headless browsers or never settle enough to record.
+ * Instead of failing the render, a scene can be captured as one full-page
+ * screenshot that normalizeScene turns into a slow scroll video
+ * (compose/screenshotScene.js). Used for scenes with capture_mode
+ * 'screenshot', and as the fallback after a failed live recording attempt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { normalizeUrl } = require('../utils/urlNormalizer');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { cleanupPage } = require('./pageCleanup');
+const { resolveStorageState } = require('./auth');
+
+const NAV_TIMEOUT_MS = 30000;
+const SETTLE_TIMEOUT_MS = 8000;
+// Chromium can't rasterize arbitrarily tall pages; the scroll never gets that far anyway
+const MAX_PAGE_HEIGHT = 12000;
+
+// Whether a failed live recording falls back to a screenshot scene
+const SCREENSHOT_FALLBACK_ENABLED = String(process.env.SCREENSHOT_FALLBACK || 'true').toLowerCase() !== 'false';
+
+/**
+ * Scroll through the page once so lazy-loaded images and sections render
+ */
+async function primeLazyContent(page, maxHeight) {
+  await page.evaluate(async (limit) => {
+    const step = Math.max(200, Math.round(window.innerHeight * 0.8));
+    const end = Math.min(document.documentElement.scrollHeight, limit);
+    for (let y = 0; y < end; y += step) {
+      window.scrollTo(0, y);
+      await new Promise((resolve) => setTimeout(resolve, 120));
+    }
+    window.scrollTo(0, 0);
+  }, maxHeight).catch(() => {});
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Capture a scene's page as a full-page screenshot
+ *
+ * Uses a plain desktop Chromium context at the output width (no video, no
+ * Steel), with the campaign's signed-in session if it has one.
+ *
+ * @param {Object} scene - Pipeline scene {id, url, pageCleanup}
+ * @param {Object} ctx - Render context {w, h, workDir, auth, signal}
+ * @returns {Promise<{screenshotPath: string, pageHeight: number}>}
+ */
+async function captureScreenshotScene(scene, ctx) {
+  const { w, h, workDir } = ctx;
+  if (!fs.existsSync(workDir)) fs.mkdirSync(workDir, { recursive: true });
+  throwIfCancelled(ctx.signal);
+
+  const screenshotPath = path.join(workDir, `${scene.id}-page.png`);
+  const normalizedUrl = normalizeUrl(scene.url);
+  console.log(`[screenshotScene] Capturing ${normalizedUrl} as a full-page screenshot`);
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: [
+      `--window-size=${w},${h}`,
+      '--force-device-scale-factor=1',
+      '--disable-blink-features=AutomationControlled'
+    ]
+  });
+
+  const onAbort = () => browser.close().catch(() => {});
+  ctx.signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const storageState = await resolveStorageState(browser, ctx.auth, { viewport: { width: w, height: h } });
+    const context = await browser.newContext({
+      viewport: { width: w, height: h },
+      deviceScaleFactor: 1,
+      storageState
+    });
+    const page = await context.newPage();
+
+    // Only the DOM is required; a page that never goes idle still gets captured
+    await page.goto(normalizedUrl, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+    await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+
+    if (scene.pageCleanup !== false) {
+      await cleanupPage(page, { label: scene.id });
+    }
+
+    await primeLazyContent(page, MAX_PAGE_HEIGHT);
+
+    const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight).catch(() => h);
+    const height = Math.max(h, Math.min(pageHeight, MAX_PAGE_HEIGHT));
+    await page.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      clip: { x: 0, y: 0, width: w, height }
+    });
+
+    console.log(`[screenshotScene] ✓ Captured ${w}x${height} (page height ${pageHeight}px)`);
+    return { screenshotPath, pageHeight: height };
+  } finally {
+    ctx.signal?.removeEventListener('abort', onAbort);
+    await browser.close().catch(() => {});
+  }
+}
+
+module.exports = { captureScreenshotScene, SCREENSHOT_FALLBACK_ENABLED };
@@ -8,10 +8,14 @@
  * size when creating new contexts, causing brief "small page in top-left" frames.
  * By keeping one context alive for the entire campaign and only creating new pages
  * per scene, we avoid this re-negotiation.
+ *
+ * Sessions are keyed by campaign baseDir so a worker running several jobs
+ * concurrently gives each job its own Steel context (and recording directory).
  */
 
 const { chromium } = require('playwright');
 const { createSteelSession, releaseSteelSession } = require('../providers/steel');
+const { resolveStorageState } = require('./auth');
 
 async function waitForStableWindow(page, width, height, stableMs = 1500, pollMs = 100, timeoutMs = 20000) {
   const end = Date.now() + timeoutMs;
@@ -25,8 +29,8 @@ async function waitForStableWindow(page, width, height, stableMs = 1500, pollMs
   throw new Error(`Steel window never stabilized to ${width}x${height}`);
 }
 
-// Cache for the shared session
-let cached = null;
+// Shared sessions, one per campaign baseDir
+const sessions = new Map();
 
 /**
  * Get or create a shared Steel recording context for the entire campaign
@@ -35,9 +39,12 @@ let cached = null;
  * @param {number} options.w - Video width
  * @param {number} options.h - Video height
  * @param {string} options.baseDir - Base directory for all video recordings
+ * @param {Object} [options.auth] - Decrypted recording auth; the context starts signed in
  * @returns {Promise<Object>} Shared session with context, browser, and cleanup method
  */
-async function getSteelRecordingContext({ w, h, baseDir }) {
+async function getSteelRecordingContext({ w, h, baseDir, auth = null }) {
+  const cached = sessions.get(baseDir);
+
   // Check if existing session is still valid
   if (cached) {
     try {
@@ -52,14 +59,14 @@ async function getSteelRecordingContext({ w, h, baseDir }) {
         return cached;
       } else {
         console.log('[steelSession] Cached context not in browser contexts, creating new session');
-        cached = null; // Clear invalid cache
+        sessions.delete(baseDir); // Clear invalid cache
       }
     } catch (error) {
       console.log('[steelSession] Cached context is unusable, creating new session:', error.message);
 
       // Try to cleanup the dead session before clearing cache
       const oldCached = cached;
-      cached = null; // Clear invalid cache
+      sessions.delete(baseDir); // Clear invalid cache
 
       try {
         if (oldCached?.browser) {
@@ -113,20 +120,31 @@ async function getSteelRecordingContext({ w, h, baseDir }) {
     // Continue anyway - the pinned session dimensions should help
   }
 
+  // Sign in first (login steps run in a throwaway context, before any recording exists)
+  let storageState;
+  try {
+    storageState = await resolveStorageState(browser, auth, { viewport: null });
+  } catch (error) {
+    await browser.close().catch(() => {});
+    await releaseSteelSession({ client, sessionId: id, apiKey: process.env.STEEL_API_KEY }).catch(() => {});
+    throw error;
+  }
+
   // Create shared context WITH recordVideo for the entire campaign
   // Using a single context minimizes resize glitches between scenes
   const context = await browser.newContext({
     viewport: null,  // No viewport emulation
+    storageState,
     recordVideo: {
       dir: baseDir,  // Base directory for all recordings
       size: { width: w, height: h }  // Fixed size for all recordings
     }
   });
 
-  console.log(`[steelSession] Context created with recordVideo (${w}x${h})`);
+  console.log(`[steelSession] Context created with recordVideo (${w}x${h})${storageState ? ', signed in' : ''}`);
 
   // Cache the session
-  cached = {
+  const session = {
     steelSessionId: id,
     steelClient: client,
     browser,
@@ -165,21 +183,30 @@ async function getSteelRecordingContext({ w, h, baseDir }) {
         console.warn('[steelSession] Error releasing session:', e.message);
       }
 
-      cached = null;
+      if (sessions.get(baseDir) === session) {
+        sessions.delete(baseDir);
+      }
       console.log('[steelSession] Cleanup complete');
     }
   };
 
-  return cached;
+  sessions.set(baseDir, session);
+  return session;
 }
 
 /**
- * Force cleanup of any existing session
- * Call this if you need to ensure a fresh start
+ * Cleanup the session for one campaign, or every session when baseDir is omitted
+ * Call this at the end of a campaign (or on shutdown) to release Steel credits
+ *
+ * @param {string} [baseDir] - Campaign base directory the session was created for
  */
-async function cleanupSteelSession() {
-  if (cached) {
-    await cached.cleanup();
+async function cleanupSteelSession(baseDir) {
+  const targets = baseDir
+    ? [sessions.get(baseDir)].filter(Boolean)
+    : Array.from(sessions.values());
+
+  for (const session of targets) {
+    await session.cleanup();
   }
 }
 
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Check that every built-in HME behavior profile fits common scene lengths
+ * Run after editing src/hme/profiles.js: npm run check:hme-profiles
+ *
+ * A profile fails a length when its beats are rejected (the scene would use the
+ * default profile instead) or when a schedule doesn't add up to the scene
+ * duration. The default profile is never rejected, only scaled (see
+ * scheduleProfile). Lengths where budgets had to be scaled down are reported
+ * but don't fail the check.
+ */
+
+const { PROFILES, DEFAULT_PROFILE } = require('../hme/profiles');
+const { scheduleProfile, validateProfile, validateSchedule } = require('../hme/scheduler');
+const { createRNG } = require('../hme/rng');
+
+// Scene lengths (seconds) the campaign wizard commonly produces
+const COMMON_SCENE_SECONDS = [5, 8, 10, 12, 15, 20, 30, 45, 60, 90, 120];
+
+// Seeds per profile and length (budgets within a range depend on the seed)
+const SEEDS = 200;
+
+function checkProfile(name, profile) {
+  const failures = [];
+  const scaled = [];
+
+  for (const seconds of COMMON_SCENE_SECONDS) {
+    const sceneDurationMs = seconds * 1000;
+    const beatSpecs = sceneDurationMs < profile.shortBelowMs ? profile.short : profile.beats;
+
+    // Beat errors independent of the duration, then whether the minimum budgets fit
+    const profileCheck = validateProfile(beatSpecs, Infinity);
+    if (!profileCheck.valid) {
+      failures.push(`${seconds}s: ${profileCheck.errors.join('; ')}`);
+      continue;
+    }
+    const fitsMinimum = profileCheck.minDurationMs <= sceneDurationMs;
+    if (!fitsMinimum) {
+      const minSec = (profileCheck.minDurationMs / 1000).toFixed(1);
+      if (name !== DEFAULT_PROFILE) {
+        failures.push(`${seconds}s: needs at least ${minSec}s`);
+        continue;
+      }
+      scaled.push(`${seconds}s (needs ${minSec}s, all seeds)`);
+    }
+
+    let scaledSeeds = 0;
+    for (let seed = 1; seed <= SEEDS; seed++) {
+      const schedule = scheduleProfile({ sceneDurationMs, rand: createRNG(seed), profile: name });
+      const validation = validateSchedule(schedule, sceneDurationMs);
+      if (!validation.valid) {
+        failures.push(`${seconds}s (seed ${seed}): got ${validation.totalMs}ms`);
+        break;
+      }
+
+      // The elastic beat only ends at its minimum when the other beats were scaled down
+      const elastic = beatSpecs[beatSpecs.length - 1];
+      if (schedule[schedule.length - 1].budgetMs <= (elastic.minMs || 0)) scaledSeeds++;
+    }
+    if (scaledSeeds > 0 && fitsMinimum) scaled.push(`${seconds}s (${scaledSeeds}/${SEEDS} seeds)`);
+  }
+
+  return { failures, scaled };
+}
+
+function main() {
+  let failed = 0;
+
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    const { failures, scaled } = checkProfile(name, profile);
+
+    if (failures.length > 0) {
+      failed++;
+      console.error(`[check-hme-profiles] ❌ ${name}: ${failures.join(', ')}`);
+    } else {
+      console.log(`[check-hme-profiles] ✅ ${name}`);
+    }
+    if (scaled.length > 0) {
+      console.log(`[check-hme-profiles]    ${name} budgets scaled to fit at ${scaled.join(', ')}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`[check-hme-profiles] ${failed} profile(s) don't fit common scene lengths`);
+    process.exit(1);
+  }
+  console.log(`[check-hme-profiles] All profiles fit ${COMMON_SCENE_SECONDS.join('/')}s scenes`);
+}
+
+main();
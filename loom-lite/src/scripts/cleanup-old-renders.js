@@ -7,6 +7,7 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { evictSceneCache } = require('../pipeline/sceneCache');
 
 const CAMPAIGNS_DIR = path.join(process.cwd(), 'campaigns');
 const MAX_AGE_DAYS = parseInt(process.env.CLEANUP_MAX_AGE_DAYS) || 30;
@@ -56,6 +57,10 @@ async function cleanupOldDirectories() {
   console.log(`[cleanup] ✓ Cleanup complete:`);
   console.log(`[cleanup]   - Directories deleted: ${cleanedCount}`);
   console.log(`[cleanup]   - Space freed: ${formatBytes(freedBytes)}`);
+
+  // Shared scene cache has its own size/age policy (SCENE_CACHE_MAX_MB / SCENE_CACHE_MAX_AGE_HOURS)
+  const evicted = evictSceneCache({ force: true });
+  console.log(`[cleanup]   - Scene cache entries evicted: ${evicted.removed} (${formatBytes(evicted.freedBytes)})`);
 }
 
 function getDirectorySize(dirPath) {
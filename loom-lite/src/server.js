@@ -9,6 +9,7 @@ const fs = require('fs');
 const express = require('express');
 const multer = require('multer');
 const { renderCampaign } = require('./pipeline/renderCampaign');
+const { LOCAL_STORAGE_DIR } = require('./storage/local');
 
 const app = express();
 const ROOT = process.cwd();
@@ -18,6 +19,9 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 102
 
 app.use(express.json({ limit: '10mb' }));
 app.use('/campaigns', express.static(CAMPAIGNS_DIR)); // serve outputs
+if ((process.env.STORAGE_PROVIDER || '').toLowerCase() === 'local') {
+  app.use('/storage', express.static(LOCAL_STORAGE_DIR)); // worker uploads (STORAGE_PROVIDER=local)
+}
 app.use('/', express.static(path.join(__dirname, 'public')));
 
 // Simple health
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const axios = require('axios');
+const { renderKeys, listHlsFiles } = require('./keys');
 
 const requireEnv = (key) => {
   const value = process.env[key];
@@ -41,8 +42,7 @@ async function uploadVideoAndThumb(localVideoPath, localThumbPath, publicId) {
     throw new Error(`Thumb not found: ${localThumbPath}`);
   }
 
-  const videoKey = `renders/videos/${publicId}.mp4`;
-  const thumbKey = `renders/thumbs/${publicId}.jpg`;
+  const { videoKey, thumbKey } = renderKeys(publicId);
 
   await putFileToBunny(localVideoPath, videoKey, 'video/mp4');
   await putFileToBunny(localThumbPath, thumbKey, 'image/jpeg');
@@ -53,6 +53,70 @@ async function uploadVideoAndThumb(localVideoPath, localThumbPath, publicId) {
   };
 }
 
+async function uploadHlsTree(localDir, publicId) {
+  const { hlsPrefix } = renderKeys(publicId);
+
+  for (const file of listHlsFiles(localDir, hlsPrefix)) {
+    await putFileToBunny(file.localFile, file.key, file.contentType);
+  }
+
+  return `${CDN_BASE}/${hlsPrefix}/master.m3u8`;
+}
+
+/**
+ * Upload the email preview assets; either path may be null
+ * @returns {Promise<{gifUrl: string|null, playThumbUrl: string|null}>}
+ */
+async function uploadEmailAssets(localGifPath, localPlayThumbPath, publicId) {
+  const { gifKey, playThumbKey } = renderKeys(publicId);
+  let gifUrl = null;
+  let playThumbUrl = null;
+
+  if (localGifPath && fs.existsSync(localGifPath)) {
+    await putFileToBunny(localGifPath, gifKey, 'image/gif');
+    gifUrl = `${CDN_BASE}/${gifKey}`;
+  }
+  if (localPlayThumbPath && fs.existsSync(localPlayThumbPath)) {
+    await putFileToBunny(localPlayThumbPath, playThumbKey, 'image/jpeg');
+    playThumbUrl = `${CDN_BASE}/${playThumbKey}`;
+  }
+
+  return { gifUrl, playThumbUrl };
+}
+
+// A trailing slash deletes the whole directory
+async function deleteFileFromBunny(remotePath) {
+  const url = `${STORAGE_ENDPOINT}/${STORAGE_ZONE}/${remotePath}`;
+
+  const res = await axios.delete(url, {
+    headers: { AccessKey: STORAGE_API_KEY },
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 404,
+  });
+
+  if (res.status === 404) {
+    console.log(`[bunny] Already deleted: ${remotePath}`);
+  }
+}
+
+async function deleteRender(publicId) {
+  const { videoKey, thumbKey, playThumbKey, gifKey, hlsPrefix } = renderKeys(publicId);
+
+  await deleteFileFromBunny(videoKey);
+  await deleteFileFromBunny(thumbKey);
+  await deleteFileFromBunny(playThumbKey);
+  await deleteFileFromBunny(gifKey);
+  await deleteFileFromBunny(`${hlsPrefix}/`);
+
+  // Deleted objects stay cached at the edge until purged
+  await purgeCdnPaths([
+    `${CDN_BASE}/${videoKey}`,
+    `${CDN_BASE}/${thumbKey}`,
+    `${CDN_BASE}/${playThumbKey}`,
+    `${CDN_BASE}/${gifKey}`,
+    `${CDN_BASE}/${hlsPrefix}/*`,
+  ]);
+}
+
 async function purgeCdnPaths(urls) {
   const PULL_ZONE_ID = process.env.BUNNY_PULL_ZONE_ID;
   const ACCOUNT_API_KEY = process.env.BUNNY_ACCOUNT_API_KEY;
@@ -78,5 +142,8 @@ async function purgeCdnPaths(urls) {
 
 module.exports = {
   uploadVideoAndThumb,
+  uploadHlsTree,
+  uploadEmailAssets,
   purgeCdnPaths,
+  deleteRender,
 };
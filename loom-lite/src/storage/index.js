@@ -10,12 +10,24 @@ switch ((process.env.STORAGE_PROVIDER || 'bunny').toLowerCase()) {
   case 'bunny':
     provider = require('./bunny');
     break;
+  case 's3':
+    provider = require('./s3');
+    break;
+  case 'supabase':
+    provider = require('./supabase');
+    break;
+  case 'local':
+    provider = require('./local');
+    break;
   default:
     throw new Error(`Unsupported STORAGE_PROVIDER: ${process.env.STORAGE_PROVIDER}`);
 }
 
 module.exports = {
   uploadVideoAndThumb: provider.uploadVideoAndThumb,
+  uploadHlsTree: provider.uploadHlsTree,
+  uploadEmailAssets: provider.uploadEmailAssets,
   purgeCdnPaths: provider.purgeCdnPaths,
+  deleteRender: provider.deleteRender,
   assertEnv,
 };
@@ -0,0 +1,68 @@
+/**
+ * Object key layout shared by every storage provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+};
+
+// Storage keys become object paths (and file paths with the local provider)
+const STORAGE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Object keys of one render's assets
+ * @param {string} storageKey - renders.storage_key (public_id for renders uploaded before it existed)
+ * @returns {{videoKey: string, thumbKey: string, playThumbKey: string, gifKey: string, hlsPrefix: string}}
+ */
+function renderKeys(storageKey) {
+  if (typeof storageKey !== 'string' || !STORAGE_KEY_PATTERN.test(storageKey)) {
+    throw new Error(`Invalid render storage key: ${JSON.stringify(storageKey)}`);
+  }
+  return {
+    videoKey: `renders/videos/${storageKey}.mp4`,
+    thumbKey: `renders/thumbs/${storageKey}.jpg`,
+    playThumbKey: `renders/thumbs/${storageKey}-play.jpg`,
+    gifKey: `renders/gifs/${storageKey}.gif`,
+    hlsPrefix: `renders/hls/${storageKey}`,
+  };
+}
+
+/**
+ * List every file under a local HLS output dir with its remote key
+ * @param {string} localDir - Directory produced by packageHls
+ * @param {string} prefix - Remote key prefix (renderKeys().hlsPrefix)
+ * @returns {Array<{localFile: string, key: string, contentType: string}>}
+ */
+function listHlsFiles(localDir, prefix) {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        continue;
+      }
+      const rel = path.relative(localDir, full).split(path.sep).join('/');
+      files.push({
+        localFile: full,
+        key: `${prefix}/${rel}`,
+        contentType: CONTENT_TYPES[path.extname(entry.name)] || 'application/octet-stream',
+      });
+    }
+  };
+
+  walk(localDir);
+
+  // Playlists last, so a player never sees a playlist before its segments exist
+  return files.sort((a, b) => a.key.endsWith('.m3u8') - b.key.endsWith('.m3u8'));
+}
+
+module.exports = { renderKeys, listHlsFiles, STORAGE_KEY_PATTERN };
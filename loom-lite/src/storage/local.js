@@ -0,0 +1,92 @@
+/**
+ * Local filesystem storage provider (dev / CI)
+ *
+ * Copies renders under LOCAL_STORAGE_DIR, which the Express server
+ * (src/server.js) serves at /storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderKeys, listHlsFiles } = require('./keys');
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR
+  ? path.resolve(process.env.LOCAL_STORAGE_DIR)
+  : path.join(process.cwd(), 'storage');
+const LOCAL_STORAGE_BASE_URL = (
+  process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3100}/storage`
+).replace(/\/+$/, '');
+
+// Absolute path of a key; refuses keys that resolve outside LOCAL_STORAGE_DIR
+function localPath(key) {
+  const resolved = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!resolved.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Storage key escapes ${LOCAL_STORAGE_DIR}: ${key}`);
+  }
+  return resolved;
+}
+
+function putFileLocally(localFile, key) {
+  const dest = localPath(key);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.copyFileSync(localFile, dest);
+  return `${LOCAL_STORAGE_BASE_URL}/${key}`;
+}
+
+async function uploadVideoAndThumb(localVideoPath, localThumbPath, publicId) {
+  if (!fs.existsSync(localVideoPath)) {
+    throw new Error(`Video not found: ${localVideoPath}`);
+  }
+  if (!fs.existsSync(localThumbPath)) {
+    throw new Error(`Thumb not found: ${localThumbPath}`);
+  }
+
+  const { videoKey, thumbKey } = renderKeys(publicId);
+
+  return {
+    videoUrl: putFileLocally(localVideoPath, videoKey),
+    thumbUrl: putFileLocally(localThumbPath, thumbKey),
+  };
+}
+
+async function uploadHlsTree(localDir, publicId) {
+  const { hlsPrefix } = renderKeys(publicId);
+
+  for (const file of listHlsFiles(localDir, hlsPrefix)) {
+    putFileLocally(file.localFile, file.key);
+  }
+
+  return `${LOCAL_STORAGE_BASE_URL}/${hlsPrefix}/master.m3u8`;
+}
+
+async function uploadEmailAssets(localGifPath, localPlayThumbPath, publicId) {
+  const { gifKey, playThumbKey } = renderKeys(publicId);
+
+  return {
+    gifUrl: localGifPath && fs.existsSync(localGifPath) ? putFileLocally(localGifPath, gifKey) : null,
+    playThumbUrl:
+      localPlayThumbPath && fs.existsSync(localPlayThumbPath)
+        ? putFileLocally(localPlayThumbPath, playThumbKey)
+        : null,
+  };
+}
+
+async function deleteRender(publicId) {
+  const { videoKey, thumbKey, playThumbKey, gifKey, hlsPrefix } = renderKeys(publicId);
+
+  for (const key of [videoKey, thumbKey, playThumbKey, gifKey]) {
+    fs.rmSync(localPath(key), { force: true });
+  }
+  fs.rmSync(localPath(hlsPrefix), { recursive: true, force: true });
+}
+
+// Served straight from disk - nothing to purge
+async function purgeCdnPaths() {}
+
+module.exports = {
+  uploadVideoAndThumb,
+  uploadHlsTree,
+  uploadEmailAssets,
+  purgeCdnPaths,
+  deleteRender,
+  LOCAL_STORAGE_DIR,
+};
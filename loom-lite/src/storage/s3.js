@@ -0,0 +1,227 @@
+/**
+ * S3-compatible storage provider (AWS S3, MinIO, R2, ...)
+ *
+ * Requests are signed with AWS Signature V4 using UNSIGNED-PAYLOAD so uploads
+ * can stream from disk. Set S3_ENDPOINT to target MinIO or another S3 API;
+ * path-style addressing is used whenever an endpoint is given.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { renderKeys, listHlsFiles } = require('./keys');
+
+const requireEnv = (key) => {
+  const value = process.env[key];
+  if (!value) {
+    throw new Error(`Missing env: ${key}`);
+  }
+  return value;
+};
+
+const BUCKET = requireEnv('S3_BUCKET');
+const ACCESS_KEY_ID = requireEnv('S3_ACCESS_KEY_ID');
+const SECRET_ACCESS_KEY = requireEnv('S3_SECRET_ACCESS_KEY');
+const REGION = process.env.S3_REGION || 'us-east-1';
+const ENDPOINT = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+const FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE
+  ? process.env.S3_FORCE_PATH_STYLE === 'true'
+  : Boolean(ENDPOINT);
+
+const BUCKET_BASE = FORCE_PATH_STYLE
+  ? `${ENDPOINT || `https://s3.${REGION}.amazonaws.com`}/${BUCKET}`
+  : `https://${BUCKET}.s3.${REGION}.amazonaws.com`;
+const PUBLIC_BASE = (process.env.S3_PUBLIC_BASE_URL || BUCKET_BASE).replace(/\/+$/, '');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function objectUrl(key) {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${BUCKET_BASE}/${encodedKey}`;
+}
+
+// RFC 3986 encoding as required by SigV4 canonical query strings
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Build SigV4 headers for a request
+ */
+function signHeaders(method, url, headers = {}) {
+  const { host, pathname, searchParams } = new URL(url);
+  const canonicalQuery = Array.from(searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''); // YYYYMMDDTHHMMSSZ
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host,
+    'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+    'x-amz-date': amzDate,
+  };
+
+  const names = Object.keys(signed).sort();
+  const canonicalHeaders = names.map((name) => `${name}:${signed[name]}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, 'UNSIGNED-PAYLOAD'].join('\n');
+  const scope = `${dateStamp}/${REGION}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), REGION), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  // Let axios derive the Host header from the URL
+  const { host: _host, ...requestHeaders } = signed;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+async function putFileToS3(localFile, key, contentType) {
+  const url = objectUrl(key);
+  const { size } = fs.statSync(localFile);
+
+  const res = await axios.put(url, fs.createReadStream(localFile), {
+    headers: {
+      ...signHeaders('PUT', url, { 'content-type': contentType }),
+      'Content-Length': size,
+    },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+    timeout: 10 * 60 * 1000,
+    validateStatus: () => true,
+  });
+
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`S3 upload failed (${res.status}): ${res.statusText}`);
+  }
+}
+
+async function deleteFileFromS3(key) {
+  const url = objectUrl(key);
+
+  const res = await axios.delete(url, {
+    headers: signHeaders('DELETE', url),
+    validateStatus: () => true,
+  });
+
+  // S3 returns 204 for missing keys too
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`S3 delete failed (${res.status}): ${res.statusText}`);
+  }
+}
+
+/**
+ * List every key under a prefix (ListObjectsV2, follows continuation tokens)
+ */
+async function listKeys(prefix) {
+  const keys = [];
+  let continuationToken = null;
+
+  do {
+    const params = new URLSearchParams({ 'list-type': '2', prefix });
+    if (continuationToken) params.set('continuation-token', continuationToken);
+    const url = `${BUCKET_BASE}?${params.toString().replace(/\+/g, '%20')}`;
+
+    const res = await axios.get(url, {
+      headers: signHeaders('GET', url),
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+
+    if (res.status < 200 || res.status >= 300) {
+      throw new Error(`S3 list failed (${res.status}): ${res.statusText}`);
+    }
+
+    const body = String(res.data);
+    for (const match of body.matchAll(/<Key>([^<]+)<\/Key>/g)) {
+      keys.push(match[1].replace(/&amp;/g, '&'));
+    }
+    continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(body)
+      ? body.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1] || null
+      : null;
+  } while (continuationToken);
+
+  return keys;
+}
+
+async function uploadVideoAndThumb(localVideoPath, localThumbPath, publicId) {
+  if (!fs.existsSync(localVideoPath)) {
+    throw new Error(`Video not found: ${localVideoPath}`);
+  }
+  if (!fs.existsSync(localThumbPath)) {
+    throw new Error(`Thumb not found: ${localThumbPath}`);
+  }
+
+  const { videoKey, thumbKey } = renderKeys(publicId);
+
+  await putFileToS3(localVideoPath, videoKey, 'video/mp4');
+  await putFileToS3(localThumbPath, thumbKey, 'image/jpeg');
+
+  return {
+    videoUrl: `${PUBLIC_BASE}/${videoKey}`,
+    thumbUrl: `${PUBLIC_BASE}/${thumbKey}`,
+  };
+}
+
+async function uploadHlsTree(localDir, publicId) {
+  const { hlsPrefix } = renderKeys(publicId);
+
+  for (const file of listHlsFiles(localDir, hlsPrefix)) {
+    await putFileToS3(file.localFile, file.key, file.contentType);
+  }
+
+  return `${PUBLIC_BASE}/${hlsPrefix}/master.m3u8`;
+}
+
+/**
+ * Upload the email preview assets; either path may be null
+ * @returns {Promise<{gifUrl: string|null, playThumbUrl: string|null}>}
+ */
+async function uploadEmailAssets(localGifPath, localPlayThumbPath, publicId) {
+  const { gifKey, playThumbKey } = renderKeys(publicId);
+  let gifUrl = null;
+  let playThumbUrl = null;
+
+  if (localGifPath && fs.existsSync(localGifPath)) {
+    await putFileToS3(localGifPath, gifKey, 'image/gif');
+    gifUrl = `${PUBLIC_BASE}/${gifKey}`;
+  }
+  if (localPlayThumbPath && fs.existsSync(localPlayThumbPath)) {
+    await putFileToS3(localPlayThumbPath, playThumbKey, 'image/jpeg');
+    playThumbUrl = `${PUBLIC_BASE}/${playThumbKey}`;
+  }
+
+  return { gifUrl, playThumbUrl };
+}
+
+async function deleteRender(publicId) {
+  const { videoKey, thumbKey, playThumbKey, gifKey, hlsPrefix } = renderKeys(publicId);
+
+  await deleteFileFromS3(videoKey);
+  await deleteFileFromS3(thumbKey);
+  await deleteFileFromS3(playThumbKey);
+  await deleteFileFromS3(gifKey);
+
+  for (const key of await listKeys(`${hlsPrefix}/`)) {
+    await deleteFileFromS3(key);
+  }
+}
+
+// No CDN in front of the bucket by default - nothing to purge
+async function purgeCdnPaths() {}
+
+module.exports = {
+  uploadVideoAndThumb,
+  uploadHlsTree,
+  uploadEmailAssets,
+  purgeCdnPaths,
+  deleteRender,
+};
@@ -0,0 +1,126 @@
+/**
+ * Supabase Storage provider
+ *
+ * Uploads to the public 'videos' / 'thumbnails' buckets (see
+ * migrations/storage_policies.sql) using the worker's service-role client.
+ */
+
+const fs = require('fs');
+const { supabase } = require('../lib/supabase');
+const { renderKeys, listHlsFiles } = require('./keys');
+
+const VIDEO_BUCKET = process.env.SUPABASE_VIDEO_BUCKET || 'videos';
+const THUMB_BUCKET = process.env.SUPABASE_THUMB_BUCKET || 'thumbnails';
+
+async function putFileToSupabase(bucket, localFile, key, contentType) {
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(key, fs.readFileSync(localFile), {
+      contentType,
+      upsert: true,
+    });
+
+  if (error) {
+    throw new Error(`Supabase upload failed (${bucket}/${key}): ${error.message}`);
+  }
+
+  const {
+    data: { publicUrl },
+  } = supabase.storage.from(bucket).getPublicUrl(key);
+
+  return publicUrl;
+}
+
+async function uploadVideoAndThumb(localVideoPath, localThumbPath, publicId) {
+  if (!fs.existsSync(localVideoPath)) {
+    throw new Error(`Video not found: ${localVideoPath}`);
+  }
+  if (!fs.existsSync(localThumbPath)) {
+    throw new Error(`Thumb not found: ${localThumbPath}`);
+  }
+
+  const { videoKey, thumbKey } = renderKeys(publicId);
+
+  const videoUrl = await putFileToSupabase(VIDEO_BUCKET, localVideoPath, videoKey, 'video/mp4');
+  const thumbUrl = await putFileToSupabase(THUMB_BUCKET, localThumbPath, thumbKey, 'image/jpeg');
+
+  return { videoUrl, thumbUrl };
+}
+
+async function uploadHlsTree(localDir, publicId) {
+  const { hlsPrefix } = renderKeys(publicId);
+  let masterUrl = null;
+
+  for (const file of listHlsFiles(localDir, hlsPrefix)) {
+    const url = await putFileToSupabase(VIDEO_BUCKET, file.localFile, file.key, file.contentType);
+    if (file.key === `${hlsPrefix}/master.m3u8`) {
+      masterUrl = url;
+    }
+  }
+
+  return masterUrl;
+}
+
+/**
+ * Upload the email preview assets (thumbnails bucket); either path may be null
+ * @returns {Promise<{gifUrl: string|null, playThumbUrl: string|null}>}
+ */
+async function uploadEmailAssets(localGifPath, localPlayThumbPath, publicId) {
+  const { gifKey, playThumbKey } = renderKeys(publicId);
+
+  const gifUrl = localGifPath && fs.existsSync(localGifPath)
+    ? await putFileToSupabase(THUMB_BUCKET, localGifPath, gifKey, 'image/gif')
+    : null;
+  const playThumbUrl = localPlayThumbPath && fs.existsSync(localPlayThumbPath)
+    ? await putFileToSupabase(THUMB_BUCKET, localPlayThumbPath, playThumbKey, 'image/jpeg')
+    : null;
+
+  return { gifUrl, playThumbUrl };
+}
+
+/**
+ * Recursively list object paths under a folder (folders come back with id === null)
+ */
+async function listObjectPaths(bucket, folder) {
+  const { data, error } = await supabase.storage.from(bucket).list(folder, { limit: 1000 });
+  if (error) {
+    throw new Error(`Supabase list failed (${bucket}/${folder}): ${error.message}`);
+  }
+
+  const paths = [];
+  for (const item of data || []) {
+    const itemPath = `${folder}/${item.name}`;
+    if (item.id === null) {
+      paths.push(...(await listObjectPaths(bucket, itemPath)));
+    } else {
+      paths.push(itemPath);
+    }
+  }
+  return paths;
+}
+
+async function deleteRender(publicId) {
+  const { videoKey, thumbKey, playThumbKey, gifKey, hlsPrefix } = renderKeys(publicId);
+  const hlsPaths = await listObjectPaths(VIDEO_BUCKET, hlsPrefix);
+
+  for (const [bucket, keys] of [
+    [VIDEO_BUCKET, [videoKey, ...hlsPaths]],
+    [THUMB_BUCKET, [thumbKey, playThumbKey, gifKey]],
+  ]) {
+    const { error } = await supabase.storage.from(bucket).remove(keys);
+    if (error) {
+      throw new Error(`Supabase delete failed (${bucket}): ${error.message}`);
+    }
+  }
+}
+
+// Supabase's CDN revalidates on upsert - nothing to purge
+async function purgeCdnPaths() {}
+
+module.exports = {
+  uploadVideoAndThumb,
+  uploadHlsTree,
+  uploadEmailAssets,
+  purgeCdnPaths,
+  deleteRender,
+};
@@ -0,0 +1,35 @@
+/**
+ * Render cancellation helpers
+ *
+ * The worker owns one AbortController per job and aborts it when the user
+ * requests cancellation. Pipeline stages receive the controller's signal via
+ * ctx.signal and use these helpers to bail out between units of work.
+ */
+
+class RenderCancelledError extends Error {
+  constructor(message = 'Render cancelled by user') {
+    super(message);
+    this.name = 'RenderCancelledError';
+  }
+}
+
+/**
+ * Throw a RenderCancelledError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new RenderCancelledError();
+  }
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+  return error instanceof RenderCancelledError || error?.name === 'AbortError';
+}
+
+module.exports = { RenderCancelledError, throwIfCancelled, isCancellation };
@@ -6,6 +6,8 @@ function execFile(bin, args, opts = {}) {
     let out = ''; let err = '';
     child.stdout.on('data', d => { out += d.toString(); });
     child.stderr.on('data', d => { err += d.toString(); });
+    // Emitted when spawn fails or opts.signal aborts (child is killed first)
+    child.on('error', reject);
     child.on('close', code => {
       if (code === 0) return resolve({ stdout: out, stderr: err, code });
       const e = new Error(`${bin} exited with code ${code}\n${err}`);
@@ -0,0 +1,123 @@
+/**
+ * Render job failure classification
+ *
+ * When processJob throws, the worker decides whether running the job again
+ * could help. Transient failures (network, Steel/browser crashes, ffmpeg
+ * killed mid-encode, storage hiccups) are requeued with backoff until the job
+ * runs out of attempts; permanent ones (bad URL, duration mismatch, lead row
+ * out of bounds) and exhausted jobs are parked in the 'dead' state. Either way
+ * the render gets a structured failure (renders.failure) the campaign page
+ * can show.
+ */
+
+const JOB_RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 60 * 1000;
+const JOB_RETRY_MAX_DELAY_MS = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS, 10) || 30 * 60 * 1000;
+
+/**
+ * A failure that would happen again on every attempt (bad input, not bad luck)
+ */
+class PermanentJobError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [failureCode] - Stable code for renders.failure.code
+   * @param {Object} [options] - Error options ({ cause })
+   */
+  constructor(message, failureCode = 'invalid_input', options = undefined) {
+    super(message, options);
+    this.name = 'PermanentJobError';
+    this.failureCode = failureCode;
+  }
+}
+
+// Checked in order against the error message (and system error code); first match wins.
+// Permanent rules come first: a wrapped "scene recording failed: net::ERR_NAME_NOT_RESOLVED"
+// also mentions recording, but retrying won't make the domain exist.
+const FAILURE_RULES = [
+  { code: 'bad_url', kind: 'permanent', test: /Invalid URL|ERR_NAME_NOT_RESOLVED|ERR_INVALID_URL|ERR_CERT_|URL is empty/i },
+  { code: 'duration_mismatch', kind: 'permanent', test: /Duration mismatch|Campaign too long/i },
+  { code: 'csv_row', kind: 'permanent', test: /out of bounds|requires CSV data|is empty for lead row|missing csv_column|Failed to parse lead CSV/i },
+  { code: 'recording_auth', kind: 'permanent', test: /RECORDING_AUTH_KEY|recording auth|Unknown login step/i },
+  { code: 'rate_limited', kind: 'transient', test: /\b429\b|too many requests/i },
+  { code: 'worker_lost', kind: 'transient', test: /Worker stopped responding/i },
+  { code: 'steel', kind: 'transient', test: /steel/i },
+  { code: 'browser', kind: 'transient', test: /Target (page, context or browser )?(has been )?closed|Browser has been closed|browser has disconnected|Protocol error|crashed/i },
+  { code: 'network', kind: 'transient', test: /ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|EPIPE|socket hang up|fetch failed|Timeout \d+ms exceeded|timed out/i },
+  { code: 'ffmpeg', kind: 'transient', test: /ffmpeg exited|ffprobe exited/i },
+  { code: 'storage', kind: 'transient', test: /Failed to (download|upload)|StorageApiError|\b50[0-4]\b/i },
+];
+
+/**
+ * Classify a processJob error
+ * Unknown errors count as transient: a bounded number of retries is cheaper
+ * than a lead that silently never renders.
+ * @param {Error} error
+ * @returns {{kind: 'transient'|'permanent', code: string}}
+ */
+function classifyFailure(error) {
+  if (error instanceof PermanentJobError) {
+    return { kind: 'permanent', code: error.failureCode };
+  }
+
+  const haystack = `${typeof error?.code === 'string' ? error.code : ''} ${error?.message || ''}`;
+  const rule = FAILURE_RULES.find((candidate) => candidate.test.test(haystack));
+  return rule ? { kind: rule.kind, code: rule.code } : { kind: 'transient', code: 'unknown' };
+}
+
+/**
+ * Add context to a pipeline error without losing its classification:
+ * permanent errors stay PermanentJobErrors with the same failureCode, and the
+ * system error code (ETIMEDOUT, ...) is carried over for FAILURE_RULES
+ * @param {string} message
+ * @param {Error} cause
+ * @returns {Error}
+ */
+function wrapJobError(message, cause) {
+  const wrapped = cause instanceof PermanentJobError
+    ? new PermanentJobError(message, cause.failureCode, { cause })
+    : new Error(message, { cause });
+  if (typeof cause?.code === 'string') {
+    wrapped.code = cause.code;
+  }
+  return wrapped;
+}
+
+/**
+ * Delay before the next attempt: 1 min, 4 min, 16 min... (capped), ±20% jitter
+ * so a batch that failed together doesn't retry together
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Milliseconds
+ */
+function getRetryDelayMs(attempt) {
+  const base = Math.min(JOB_RETRY_BASE_DELAY_MS * Math.pow(4, Math.max(0, attempt - 1)), JOB_RETRY_MAX_DELAY_MS);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Structured failure for renders.failure / render_jobs.failure
+ * @param {Error} error
+ * @param {Object} params
+ * @param {number} params.attempt - Attempt that failed (1-based)
+ * @param {number} params.maxAttempts
+ * @param {string|null} [params.stage] - Render status the job had reached (recording, uploading, ...)
+ * @returns {Object} { kind, code, message, stage, attempt, max_attempts, failed_at, retry_at }
+ *   retry_at is null when the job is dead (permanent or out of attempts)
+ */
+function describeJobFailure(error, { attempt, maxAttempts, stage = null }) {
+  const { kind, code } = classifyFailure(error);
+  const retryable = kind === 'transient' && attempt < maxAttempts;
+  const now = Date.now();
+
+  return {
+    kind,
+    code,
+    // First line only: ffmpeg errors carry the whole stderr
+    message: String(error?.message || error).split('\n')[0].slice(0, 500),
+    stage,
+    attempt,
+    max_attempts: maxAttempts,
+    failed_at: new Date(now).toISOString(),
+    retry_at: retryable ? new Date(now + getRetryDelayMs(attempt)).toISOString() : null,
+  };
+}
+
+module.exports = { PermanentJobError, classifyFailure, wrapJobError, getRetryDelayMs, describeJobFailure };
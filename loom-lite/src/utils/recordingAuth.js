@@ -0,0 +1,54 @@
+/**
+ * Recording auth decryption
+ *
+ * campaigns.recording_auth holds a Playwright storage state and/or scripted
+ * login steps, encrypted by the app (vidgen-app/src/lib/utils/recordingAuth.ts)
+ * with AES-256-GCM under RECORDING_AUTH_KEY. Format: v1.<iv>.<tag>.<ciphertext>
+ * (base64 parts). The decrypted value only ever lives in worker memory - it is
+ * never written to config.json, logs or the scene cache.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 'v1';
+
+function loadKey() {
+  const raw = process.env.RECORDING_AUTH_KEY || '';
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('RECORDING_AUTH_KEY must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+}
+
+/**
+ * Decrypt a campaign's recording auth
+ * @param {string|null} ciphertext - campaigns.recording_auth (via output_settings.auth)
+ * @returns {{storageState: Object|null, loginActions: Array}|null} null when the campaign has none
+ */
+function decryptRecordingAuth(ciphertext) {
+  if (!ciphertext) return null;
+
+  const [version, iv, tag, data] = String(ciphertext).split('.');
+  if (version !== FORMAT_VERSION || !iv || !tag || !data) {
+    throw new Error('Recording auth has an unknown format');
+  }
+
+  let payload;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    payload = JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    // Never include the payload in the message
+    throw new Error(`Failed to decrypt recording auth (${error.message.split('\n')[0]})`);
+  }
+
+  return {
+    storageState: payload.storage_state || null,
+    loginActions: Array.isArray(payload.login_actions) ? payload.login_actions : [],
+  };
+}
+
+module.exports = { decryptRecordingAuth };
@@ -9,6 +9,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 const { parse } = require('csv-parse/sync');
 const {
   supabase,
@@ -18,9 +19,27 @@ const {
   downloadFile,
   updateRenderComplete,
   rescueStuckRenders,
+  isRenderCancelRequested,
+  updateRenderCancelled,
+  requeueJob,
+  markJobDead,
+  updateRenderFailure,
+  requeueInterruptedJob,
+  promoteRerender,
+  getStageEstimates,
+  insertStageTimings,
 } = require('./lib/supabase');
-const { uploadVideoAndThumb, purgeCdnPaths } = require('./storage');
+const { uploadVideoAndThumb, uploadHlsTree, uploadEmailAssets, purgeCdnPaths, deleteRender } = require('./storage');
+const { STORAGE_KEY_PATTERN } = require('./storage/keys');
 const { renderCampaignWithProgress } = require('./pipeline/renderCampaignWithProgress');
+const { StageTimer } = require('./pipeline/stageTimings');
+const { cleanupSteelSession } = require('./recording/steelSession');
+const { evictSceneCache, SCENE_CACHE_DIR } = require('./pipeline/sceneCache');
+const { throwIfCancelled } = require('./utils/cancellation');
+const { PermanentJobError, describeJobFailure } = require('./utils/jobFailures');
+const { resolveSceneOverlays, renderTemplate } = require('./compose/textOverlays');
+const { resolveTitleCard } = require('./compose/titleCard');
+const { decryptRecordingAuth } = require('./utils/recordingAuth');
 
 const csvCache = new Map();
 
@@ -43,7 +62,7 @@ async function getCsvRows(csvUrl) {
     });
   } catch (error) {
     console.error('[worker] Failed to parse CSV:', error.message);
-    throw new Error(`Failed to parse lead CSV (${error.message})`);
+    throw new PermanentJobError(`Failed to parse lead CSV (${error.message})`, 'csv_row');
   }
 
   console.log(`[worker] Parsed ${rows.length} lead rows from CSV`);
@@ -105,6 +124,52 @@ async function cleanupCampaignDir(campaignDir, wasSuccessful) {
   }
 }
 
+/**
+ * Remove a cancelled render's campaign directory right away
+ * (nothing in it is worth keeping for debugging)
+ * @param {string} campaignDir - Directory to remove
+ */
+function removeCampaignDir(campaignDir) {
+  if (!campaignDir || !fs.existsSync(campaignDir)) {
+    return;
+  }
+
+  try {
+    fs.rmSync(campaignDir, { recursive: true, force: true });
+    console.log('[worker] ✓ Removed cancelled render directory:', campaignDir);
+  } catch (error) {
+    console.error('[worker] Error removing cancelled render directory:', error);
+  }
+}
+
+/**
+ * Poll the render's cancel_requested flag and abort the job when it flips
+ * @param {string} renderId - Render to watch
+ * @param {AbortController} controller - Aborted on cancellation
+ * @returns {Function} Stops the watcher
+ */
+function watchForCancellation(renderId, controller) {
+  let checking = false;
+
+  const timer = setInterval(async () => {
+    if (checking || controller.signal.aborted) return;
+    checking = true;
+    try {
+      if (await isRenderCancelRequested(renderId)) {
+        console.log(`[worker] ⚠️ Cancellation requested for render ${renderId}`);
+        controller.abort();
+        clearInterval(timer);
+      }
+    } catch (error) {
+      console.warn('[worker] Cancellation check failed:', error.message);
+    } finally {
+      checking = false;
+    }
+  }, CANCEL_POLL_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
 // Cleanup configuration
 const CLEANUP_ENABLED = process.env.CLEANUP_ENABLED !== 'false'; // Default: true
 const FAILED_RENDER_RETENTION_DAYS = parseInt(process.env.FAILED_RENDER_RETENTION_DAYS, 10) || 7;
@@ -128,15 +193,22 @@ const RENDER_STUCK_SWEEP_INTERVAL_MS = parseInt(process.env.RENDER_STUCK_SWEEP_I
 
 // Configuration
 const POLL_INTERVAL = parseInt(process.env.WORKER_POLL_INTERVAL, 10) || 2000;
+const CANCEL_POLL_INTERVAL_MS = parseInt(process.env.CANCEL_POLL_INTERVAL_MS, 10) || 3000;
+const HLS_ENABLED = process.env.HLS_ENABLED === 'true'; // Default: false
+const EMAIL_ASSETS_ENABLED = process.env.EMAIL_ASSETS_ENABLED !== 'false'; // Default: true
+// Long enough for a typical multi-scene render; jobs still running after it are requeued
+const SHUTDOWN_DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || 15 * 60 * 1000;
 const CAMPAIGNS_DIR = path.join(process.cwd(), 'campaigns');
 
 // Worker state
 let isShuttingDown = false;
-let currentJob = null;
 let lastHeartbeat = Date.now();
-let currentJobInfo = null;
+let workerStateInfo = null;
 let lastRescueCheck = 0;
 
+// Slot pool: job_id -> { promise, info, attempt, startedAt, lastHeartbeat }
+const activeJobs = new Map();
+
 const workerConfigCache = {
   fetchedAt: 0,
   config: {
@@ -211,21 +283,43 @@ async function refreshWorkerConfig(force = false) {
 }
 
 /**
- * Update worker heartbeat (and optionally current job info)
- * @param {object|null|undefined} jobInfo
+ * Update worker heartbeat (and optionally worker or job state)
+ * Info carrying the jobId of an active slot updates that slot's entry;
+ * anything else describes the worker itself.
+ * @param {object|null|undefined} info
  */
-function updateHeartbeat(jobInfo) {
+function updateHeartbeat(info) {
   lastHeartbeat = Date.now();
-  if (jobInfo !== undefined) {
-    if (jobInfo && typeof jobInfo === 'object') {
-      currentJobInfo = {
-        ...jobInfo,
-        concurrencyLimit: getCachedWorkerConfig().maxConcurrentJobs,
-      };
-    } else {
-      currentJobInfo = jobInfo;
-    }
+  if (info === undefined) return;
+
+  const slot = info?.jobId ? activeJobs.get(info.jobId) : null;
+  if (slot) {
+    slot.info = { ...info };
+    slot.lastHeartbeat = lastHeartbeat;
+    return;
   }
+
+  if (info && typeof info === 'object') {
+    workerStateInfo = {
+      ...info,
+      concurrencyLimit: getCachedWorkerConfig().maxConcurrentJobs,
+    };
+  } else {
+    workerStateInfo = info;
+  }
+}
+
+/**
+ * Snapshot of every active slot for /health
+ * @param {number} now - Current timestamp
+ */
+function getJobHeartbeats(now) {
+  return Array.from(activeJobs.values(), (slot) => ({
+    ...slot.info,
+    startedAt: slot.startedAt,
+    lastHeartbeat: new Date(slot.lastHeartbeat).toISOString(),
+    timeSinceHeartbeatMs: now - slot.lastHeartbeat,
+  }));
 }
 
 /**
@@ -251,8 +345,7 @@ const handleHealthRequest = async (req, res) => {
 
       const config = getCachedWorkerConfig();
       const limit = config?.maxConcurrentJobs ?? ENV_MAX_CONCURRENT_JOBS;
-      const available =
-        activeJobCount != null ? Math.max(0, limit - activeJobCount) : null;
+      const available = Math.max(0, limit - activeJobs.size);
 
       const statusPayload = {
         status: isHealthy ? 'healthy' : 'unhealthy',
@@ -260,13 +353,15 @@ const handleHealthRequest = async (req, res) => {
         lastHeartbeat: new Date(lastHeartbeat).toISOString(),
         timeSinceHeartbeatMs: timeSinceHeartbeat,
         heartbeatTimeoutMs: HEARTBEAT_TIMEOUT_MS,
-        currentJob: currentJobInfo,
+        worker: workerStateInfo,
+        jobs: getJobHeartbeats(now),
         isShuttingDown,
         memory: process.memoryUsage(),
         concurrency: {
           limit,
-          active: activeJobCount,
+          active: activeJobs.size,
           available,
+          clusterActive: activeJobCount,
           source: config?.source ?? 'env',
           lastRefreshedAt: workerConfigCache.fetchedAt
             ? new Date(workerConfigCache.fetchedAt).toISOString()
@@ -284,7 +379,7 @@ const handleHealthRequest = async (req, res) => {
       const uptime = process.uptime();
       const secondsSinceHeartbeat = (Date.now() - lastHeartbeat) / 1000;
       const heapUsed = process.memoryUsage().heapUsed;
-      const isProcessing = currentJob ? 1 : 0;
+      const isProcessing = activeJobs.size > 0 ? 1 : 0;
       let activeJobCount = 0;
 
       try {
@@ -299,7 +394,7 @@ const handleHealthRequest = async (req, res) => {
 
       const config = getCachedWorkerConfig();
       const limit = config?.maxConcurrentJobs ?? ENV_MAX_CONCURRENT_JOBS;
-      const available = Math.max(0, limit - activeJobCount);
+      const available = Math.max(0, limit - activeJobs.size);
 
       const metrics = [
         '# HELP worker_uptime_seconds Worker uptime in seconds',
@@ -314,13 +409,16 @@ const handleHealthRequest = async (req, res) => {
         '# HELP worker_is_processing Indicates if worker is processing a job (1=yes, 0=no)',
         '# TYPE worker_is_processing gauge',
         `worker_is_processing ${isProcessing}`,
-        '# HELP worker_concurrency_active Active jobs currently processing',
+        '# HELP worker_concurrency_active Jobs currently processing in this worker',
         '# TYPE worker_concurrency_active gauge',
-        `worker_concurrency_active ${activeJobCount}`,
+        `worker_concurrency_active ${activeJobs.size}`,
+        '# HELP worker_cluster_jobs_active Jobs currently processing across all workers',
+        '# TYPE worker_cluster_jobs_active gauge',
+        `worker_cluster_jobs_active ${activeJobCount}`,
         '# HELP worker_concurrency_limit Configured maximum concurrent jobs',
         '# TYPE worker_concurrency_limit gauge',
         `worker_concurrency_limit ${limit}`,
-        '# HELP worker_concurrency_available Remaining concurrency capacity',
+        '# HELP worker_concurrency_available Free slots in this worker',
         '# TYPE worker_concurrency_available gauge',
         `worker_concurrency_available ${available}`,
       ].join('\n');
@@ -425,6 +523,8 @@ async function processJob(job) {
     lead_csv_url,
     lead_row_index,
     output_settings,
+    attempt = 1,
+    max_attempts: maxAttempts = 1,
   } = job;
 
   console.log(`\n${'='.repeat(60)}`);
@@ -432,6 +532,7 @@ async function processJob(job) {
   console.log(`[worker] Campaign: ${campaign_name} (${campaign_id})`);
   console.log(`[worker] Render: ${render_id}`);
   console.log(`[worker] Scenes: ${scenes.length}`);
+  console.log(`[worker] Attempt: ${attempt}/${maxAttempts}`);
   console.log(`${'='.repeat(60)}\n`);
 
   const jobSummaryBase = {
@@ -444,10 +545,30 @@ async function processJob(job) {
   updateHeartbeat({ ...jobSummaryBase, state: 'preparing' });
 
   let campaignDir;
+  // Last render status reached, reported with a failure
+  let stage = 'preparing';
+  // Per-stage timings of this attempt, also the source of progress and ETA
+  let timer = null;
+  // Progress writes run one at a time in call order; closed before the render's terminal write
+  let progressWrites = Promise.resolve();
+  let progressClosed = false;
+  const closeProgress = () => {
+    progressClosed = true;
+    return progressWrites;
+  };
+  const abortController = new AbortController();
+  const stopCancelWatch = watchForCancellation(render_id, abortController);
 
   try {
-    // Update to recording status
-    await updateRenderProgress(render_id, 'recording', 10);
+    // The user may have cancelled between the claim and now
+    if (await isRenderCancelRequested(render_id)) {
+      abortController.abort();
+    }
+    throwIfCancelled(abortController.signal);
+
+    // Update to recording status; a requeued attempt's previous failure no longer applies
+    await updateRenderProgress(render_id, 'recording', 10, null, { failure: null, error_message: null });
+    timer = new StageTimer({ estimates: await getStageEstimates() });
 
     // Create campaign directory
     const safeName = `${campaign_name}-${render_id}`.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase();
@@ -475,6 +596,22 @@ async function processJob(job) {
       facecamPath = null;
     }
 
+    // Download brand logo if provided (compose falls back to the brand name)
+    const branding = output_settings.branding || null;
+    let brandLogoPath = null;
+    if (branding?.logo_url) {
+      try {
+        const logoBuffer = await downloadFile(branding.logo_url);
+        const logoExt = path.extname(new URL(branding.logo_url).pathname).toLowerCase() || '.png';
+        brandLogoPath = path.join(campaignDir, `brand-logo${logoExt}`);
+        fs.writeFileSync(brandLogoPath, logoBuffer);
+        console.log(`[worker] Brand logo saved to: ${brandLogoPath}`);
+      } catch (error) {
+        console.warn('[worker] Failed to download brand logo:', error.message);
+        brandLogoPath = null;
+      }
+    }
+
     const leadIndexLabel = Number.isInteger(lead_row_index) ? lead_row_index + 1 : null;
     let csvRow = null;
 
@@ -482,7 +619,7 @@ async function processJob(job) {
       const rows = await getCsvRows(lead_csv_url);
 
       if (lead_row_index < 0 || lead_row_index >= rows.length) {
-        throw new Error(`Lead row ${lead_row_index + 1} is out of bounds (found ${rows.length})`);
+        throw new PermanentJobError(`Lead row ${lead_row_index + 1} is out of bounds (found ${rows.length})`, 'csv_row');
       }
 
       csvRow = rows[lead_row_index];
@@ -513,17 +650,49 @@ async function processJob(job) {
       console.log(`[worker] Lead identifier: ${leadIdentifier}`);
     }
 
-    const { data: renderRow, error: publicIdError } = await supabase
+    const { data: renderRow, error: renderRowError } = await supabase
       .from('renders')
-      .select('public_id')
+      .select('storage_key, replaces_render_id')
       .eq('id', render_id)
       .single();
 
-    if (publicIdError || !renderRow) {
-      throw new Error(`Failed to fetch render public_id: ${publicIdError?.message || 'not found'}`);
+    if (renderRowError || !renderRow) {
+      throw new Error(`Failed to fetch render storage key: ${renderRowError?.message || 'not found'}`);
     }
 
-    const publicId = renderRow.public_id || render_id;
+    // Assets go under a key only the worker writes, never under the client-writable
+    // public_id; a lead re-render takes over the replaced render's link in
+    // promote_rerender once it is complete. A retried render reuses its key.
+    let storageKey = renderRow.storage_key;
+    if (!storageKey) {
+      storageKey = crypto.randomUUID();
+      const { error: storageKeyError } = await supabase
+        .from('renders')
+        .update({ storage_key: storageKey })
+        .eq('id', render_id);
+      if (storageKeyError) {
+        throw new Error(`Failed to reserve render storage key: ${storageKeyError.message}`);
+      }
+    }
+    if (renderRow.replaces_render_id) {
+      console.log(`[worker] Re-render of ${renderRow.replaces_render_id}; takes over its link when complete`);
+    }
+
+    // Intro/outro cards use the same brand snapshot as the watermark
+    const cardBrand = {
+      logoPath: brandLogoPath,
+      name: branding?.name || null,
+      calendlyUrl: branding?.calendly_url || null,
+    };
+
+    // Signed-in recording: decrypted here and handed to the pipeline directly (never part of config)
+    const recordingAuth = decryptRecordingAuth(output_settings.auth);
+    if (recordingAuth) {
+      console.log(
+        `[worker] Recording signed in (storage state: ${recordingAuth.storageState ? 'yes' : 'no'}, ` +
+        `login steps: ${recordingAuth.loginActions.length})`
+      );
+    }
 
     // Build campaign config for renderCampaign
     const config = {
@@ -533,6 +702,8 @@ async function processJob(job) {
         height: output_settings.height || 1080,
         fps: output_settings.fps || 60,
         pageLoadWaitMs: output_settings.pageLoadWaitMs || 3000, // Add default page load wait
+        hls: HLS_ENABLED,
+        emailAssets: EMAIL_ASSETS_ENABLED,
         facecam: facecamPath ? {
           path: './facecam.mp4',
           pip: output_settings.facecam?.pip || {
@@ -542,22 +713,40 @@ async function processJob(job) {
           },
           endPadMode: output_settings.facecam?.endPadMode || 'freeze',
         } : null,
+        branding: brandLogoPath || branding?.name ? {
+          logoPath: brandLogoPath,
+          name: branding?.name || null,
+          corner: branding?.corner || 'top-right',
+        } : null,
+        cursor: output_settings.cursor ? {
+          style: output_settings.cursor.style || null,
+          autoHand: output_settings.cursor.auto_hand !== false,
+          clickRipple: output_settings.cursor.click_ripple !== false,
+        } : null,
+        camera: output_settings.camera?.enabled ? {
+          maxZoom: output_settings.camera.max_zoom || null,
+          easeMs: output_settings.camera.ease_ms || null,
+          easing: output_settings.camera.easing || null,
+        } : null,
+        // Backdrop behind device-framed and side-by-side scenes: the campaign's card background, if any
+        sceneBackground: output_settings.cards?.intro?.background || output_settings.cards?.outro?.background || null,
       },
       scenes: scenes.map((scene, index) => {
         let resolvedUrl = scene.url;
 
         if (scene.entry_type === 'csv') {
           if (!csvRow) {
-            throw new Error(`Scene ${index + 1} requires CSV data but no row was loaded`);
+            throw new PermanentJobError(`Scene ${index + 1} requires CSV data but no row was loaded`, 'csv_row');
           }
           if (!scene.csv_column) {
-            throw new Error(`Scene ${index + 1} is missing csv_column metadata`);
+            throw new PermanentJobError(`Scene ${index + 1} is missing csv_column metadata`, 'csv_row');
           }
 
           const columnValue = csvRow[scene.csv_column];
           if (!columnValue) {
-            throw new Error(
-              `CSV column "${scene.csv_column}" is empty for lead row ${leadIndexLabel ?? 'unknown'}`
+            throw new PermanentJobError(
+              `CSV column "${scene.csv_column}" is empty for lead row ${leadIndexLabel ?? 'unknown'}`,
+              'csv_row'
             );
           }
 
@@ -570,7 +759,32 @@ async function processJob(job) {
         }
 
         if (!resolvedUrl) {
-          throw new Error(`Scene ${index + 1} resolved URL is empty`);
+          throw new PermanentJobError(`Scene ${index + 1} resolved URL is empty`, 'bad_url');
+        }
+
+        // Second site of a side-by-side / picture-in-picture scene, resolved like the scene URL
+        let composite = null;
+        if (scene.composite) {
+          const secondaryUrl = scene.composite.entry_type === 'csv'
+            ? ensureAbsoluteUrl(csvRow?.[scene.composite.csv_column])
+            : ensureAbsoluteUrl(scene.composite.url);
+          if (!secondaryUrl) {
+            throw scene.composite.entry_type === 'csv'
+              ? new PermanentJobError(
+                `CSV column "${scene.composite.csv_column}" (second site) is empty for lead row ${leadIndexLabel ?? 'unknown'}`,
+                'csv_row'
+              )
+              : new PermanentJobError(`Scene ${index + 1} second site URL is empty`, 'bad_url');
+          }
+
+          composite = {
+            layout: scene.composite.layout || 'side_by_side',
+            url: secondaryUrl,
+            entryType: scene.composite.entry_type || 'manual',
+            primaryLabel: renderTemplate(scene.composite.primary_label, csvRow) || null,
+            secondaryLabel: renderTemplate(scene.composite.secondary_label, csvRow) || null,
+          };
+          console.log(`[worker] Scene ${index + 1} composite (${composite.layout}) with ${secondaryUrl}`);
         }
 
         return {
@@ -579,8 +793,23 @@ async function processJob(job) {
           durationSec: scene.duration_sec,
           entryType: scene.entry_type || 'manual',
           csvColumn: scene.csv_column || null,
+          overlays: resolveSceneOverlays(scene.overlays, csvRow, scene.duration_sec),
+          actions: Array.isArray(scene.actions) ? scene.actions : [],
+          pageCleanup: scene.page_cleanup !== false,
+          device: scene.device || null,
+          composite,
+          // 'screenshot' skips the live recording and scrolls a full-page screenshot
+          captureMode: scene.capture_mode === 'screenshot' ? 'screenshot' : 'live',
+          hmeProfile: scene.hme_profile || null,
+          // Literal seed, or a {{column}} template so motion varies per lead
+          seed: scene.hme_seed ? renderTemplate(scene.hme_seed, csvRow) || null : null,
+          focusTargets: Array.isArray(scene.focus_targets)
+            ? scene.focus_targets.map((target) => ({ type: target.type, value: target.value, dwellShare: target.dwell_share }))
+            : [],
         };
       }),
+      intro: resolveTitleCard(output_settings.cards?.intro, csvRow, cardBrand),
+      outro: resolveTitleCard(output_settings.cards?.outro, csvRow, cardBrand),
       __baseDir: campaignDir,
     };
 
@@ -595,35 +824,104 @@ async function processJob(job) {
     console.log('[worker] Starting video pipeline...');
 
     // Create progress callback
-    const progressCallback = async (status, progress) => {
+    // Every update is pushed to the campaign page over Supabase Realtime.
+    // The pipeline doesn't await it, so writes are chained here and a failed
+    // write is only logged.
+    const progressCallback = (status, progress, details = {}) => {
+      // Don't overwrite the render while a cancellation is unwinding
+      if (progressClosed || abortController.signal.aborted) return progressWrites;
+      stage = status;
       updateHeartbeat({
         ...jobSummaryBase,
         state: 'processing',
         status,
         progress,
       });
-      await updateRenderProgress(render_id, status, progress);
+      const liveFields = { eta_at: timer.getEtaAt() };
+      if (Number.isInteger(details.sceneIndex)) {
+        liveFields.current_scene_index = details.sceneIndex;
+        liveFields.scene_count = details.sceneCount;
+      }
+      progressWrites = progressWrites
+        .then(() => {
+          if (progressClosed || abortController.signal.aborted) return null;
+          return updateRenderProgress(render_id, status, progress, null, liveFields);
+        })
+        .catch((progressError) => {
+          console.warn(`[worker] Progress update failed (${status}):`, progressError.message);
+        });
+      return progressWrites;
     };
 
+    // The upload is part of the progress/ETA estimate too
+    const videoSec = config.scenes.reduce((sum, scene) => sum + (scene.durationSec || 0), 0) +
+      (config.intro?.durationSec || 0) + (config.outro?.durationSec || 0);
+    timer.plan([{ stage: 'upload', videoSec }]);
+
     // Run the pipeline with progress updates
-    const result = await renderCampaignWithProgress(config, progressCallback);
+    const result = await renderCampaignWithProgress(config, progressCallback, {
+      signal: abortController.signal,
+      auth: recordingAuth,
+      timer,
+    });
+
+    // Last chance to cancel before the upload starts; the cancel route refuses
+    // renders that are uploading, so a flag set since the last poll still counts
+    if (await isRenderCancelRequested(render_id)) {
+      abortController.abort();
+    }
+    throwIfCancelled(abortController.signal);
+    stopCancelWatch();
 
     // Pipeline complete, now uploading
-    await updateRenderProgress(render_id, 'uploading', 85);
-    updateHeartbeat({ ...jobSummaryBase, state: 'uploading', progress: 85 });
+    await closeProgress();
+    stage = 'uploading';
+    const finishUpload = timer.start('upload');
+    await updateRenderProgress(render_id, 'uploading', timer.getProgressPercent(), null, { eta_at: timer.getEtaAt() });
+    updateHeartbeat({ ...jobSummaryBase, state: 'uploading', progress: timer.getProgressPercent() });
 
     console.log('[worker] Uploading assets to storage provider...');
-    const { videoUrl, thumbUrl } = await uploadVideoAndThumb(result.final, result.poster, publicId);
-    updateHeartbeat({ ...jobSummaryBase, state: 'uploading', progress: 95 });
+    const { videoUrl, thumbUrl } = await uploadVideoAndThumb(result.final, result.poster, storageKey);
+    updateHeartbeat({ ...jobSummaryBase, state: 'uploading', progress: timer.getProgressPercent() });
+
+    let hlsUrl = null;
+    if (result.hls) {
+      console.log('[worker] Uploading HLS renditions...');
+      hlsUrl = await uploadHlsTree(result.hls.dir, storageKey);
+    }
+
+    let gifUrl = null;
+    let playThumbUrl = null;
+    if (result.gif || result.playPoster) {
+      console.log('[worker] Uploading email preview assets...');
+      ({ gifUrl, playThumbUrl } = await uploadEmailAssets(result.gif, result.playPoster, storageKey));
+    }
 
     try {
-      await purgeCdnPaths?.([videoUrl, thumbUrl]);
+      await purgeCdnPaths?.([videoUrl, thumbUrl, hlsUrl, gifUrl, playThumbUrl].filter(Boolean));
     } catch (purgeError) {
       console.warn('[worker] CDN purge failed:', purgeError.message);
     }
+    finishUpload();
 
     // Update render as complete
-    await updateRenderComplete(render_id, videoUrl, thumbUrl);
+    await updateRenderComplete(render_id, videoUrl, thumbUrl, {
+      hls_url: hlsUrl,
+      gif_url: gifUrl,
+      play_thumb_url: playThumbUrl,
+    });
+    if (renderRow.replaces_render_id) {
+      const replacedStorageKey = await promoteRerender(render_id);
+      // The replaced render's assets are no longer served by any link
+      if (replacedStorageKey && replacedStorageKey !== storageKey && STORAGE_KEY_PATTERN.test(replacedStorageKey)) {
+        try {
+          await deleteRender(replacedStorageKey);
+          console.log(`[worker] Deleted replaced assets under ${replacedStorageKey}`);
+        } catch (deleteError) {
+          console.warn(`[worker] Failed to delete replaced assets under ${replacedStorageKey}:`, deleteError.message);
+        }
+      }
+    }
     updateHeartbeat({
       ...jobSummaryBase,
       state: 'completed',
@@ -631,19 +929,45 @@ async function processJob(job) {
       completedAt: new Date().toISOString(),
       videoUrl,
       thumbUrl,
+      hlsUrl,
+      gifUrl,
     });
 
     // Mark job as completed
     await updateJobState(job_id, 'completed');
+    await insertStageTimings({ renderId: render_id, jobId: job_id, attempt, outcome: 'completed', entries: timer.entries });
 
     console.log(`[worker] ✓ Job ${job_id} completed successfully`);
     console.log(`[worker] Video URL: ${videoUrl}`);
     console.log(`[worker] Thumb URL: ${thumbUrl}`);
+    if (hlsUrl) {
+      console.log(`[worker] HLS URL: ${hlsUrl}`);
+    }
+    if (gifUrl) {
+      console.log(`[worker] GIF URL: ${gifUrl}`);
+    }
 
     // Clean up work directory based on retention policy
     await cleanupCampaignDir(campaignDir, true); // true = successful render
 
   } catch (error) {
+    // A queued pipeline update must not land after the cancelled/failed status
+    await closeProgress();
+
+    // Whatever the pipeline threw, an aborted signal means it was torn down on purpose
+    if (abortController.signal.aborted) {
+      console.log(`[worker] ⚠️ Job ${job_id} cancelled by user`);
+      updateHeartbeat({ ...jobSummaryBase, state: 'cancelled' });
+
+      // Release the Steel session before deleting the directory it records into
+      await releaseJobSteelSession(campaignDir);
+
+      await updateRenderCancelled(render_id);
+      await updateJobState(job_id, 'cancelled');
+      removeCampaignDir(campaignDir);
+      return;
+    }
+
     console.error(`[worker] ❌ Job ${job_id} failed:`, error);
     updateHeartbeat({
       ...jobSummaryBase,
@@ -651,11 +975,27 @@ async function processJob(job) {
       error: error.message,
     });
 
-    // Update render status to failed
-    await updateRenderProgress(render_id, 'failed', 0, error.message);
+    // Failed attempts are kept for diagnosis but don't feed the estimates
+    if (timer) {
+      await insertStageTimings({ renderId: render_id, jobId: job_id, attempt, outcome: 'failed', entries: timer.entries });
+    }
 
-    // Mark job as failed
-    await updateJobState(job_id, 'failed', error.message);
+    // Transient failures go back in the queue with backoff; permanent or exhausted ones are dead
+    const failure = describeJobFailure(error, { attempt, maxAttempts, stage });
+    if (failure.retry_at) {
+      console.warn(
+        `[worker] ↻ Job ${job_id} will be retried at ${failure.retry_at} (${failure.code}, attempt ${attempt}/${maxAttempts})`
+      );
+      await updateRenderFailure(render_id, 'queued', failure);
+      await requeueJob(job_id, failure);
+    } else {
+      console.error(
+        `[worker] ☠️  Job ${job_id} is dead: ${failure.kind} ${failure.code}` +
+        `${failure.kind === 'transient' ? ` after ${attempt} attempt(s)` : ''}`
+      );
+      await updateRenderFailure(render_id, 'failed', failure);
+      await markJobDead(job_id, failure);
+    }
 
     // Clean up failed render (with retention)
     if (campaignDir) {
@@ -663,9 +1003,69 @@ async function processJob(job) {
     }
 
     throw error; // Re-throw to handle in the polling loop
+  } finally {
+    stopCancelWatch();
+    await releaseJobSteelSession(campaignDir);
   }
 }
 
+/**
+ * Release the Steel session a job recorded with (no-op without Steel)
+ * @param {string} campaignDir - Campaign directory the session is keyed by
+ */
+async function releaseJobSteelSession(campaignDir) {
+  if (!campaignDir) return;
+  try {
+    await cleanupSteelSession(campaignDir);
+  } catch (error) {
+    console.warn('[worker] Failed to release Steel session:', error.message);
+  }
+}
+
+/**
+ * Run a claimed job in its own slot; the slot frees itself when the job settles
+ * @param {object} job - Row returned by claim_render_job
+ */
+function startJobSlot(job) {
+  const slot = {
+    startedAt: new Date().toISOString(),
+    lastHeartbeat: Date.now(),
+    info: {
+      jobId: job.job_id,
+      renderId: job.render_id,
+      campaignId: job.campaign_id,
+      campaignName: job.campaign_name,
+      state: 'processing',
+    },
+    attempt: job.attempt || 1,
+    promise: null,
+  };
+  activeJobs.set(job.job_id, slot);
+
+  const limit = getCachedWorkerConfig().maxConcurrentJobs;
+  console.log(`[worker] Job ${job.job_id} started (${activeJobs.size}/${limit} slots in use)`);
+
+  // processJob already records failures on the render; just keep the loop alive
+  slot.promise = processJob(job)
+    .catch((error) => {
+      console.error(`[worker] Job ${job.job_id} ended with error:`, error.message);
+    })
+    .finally(() => {
+      activeJobs.delete(job.job_id);
+      updateHeartbeat();
+    });
+}
+
+/**
+ * Wait for the next poll, or less if a slot frees up first
+ */
+function waitForNextPoll() {
+  return Promise.race([
+    new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL)),
+    ...Array.from(activeJobs.values(), (slot) => slot.promise),
+  ]);
+}
+
 /**
  * Main worker loop
  */
@@ -673,9 +1073,11 @@ async function workerLoop() {
   console.log(`[worker] Worker started - polling every ${POLL_INTERVAL}ms`);
 
   while (!isShuttingDown) {
+    let claimed = false;
+
     try {
       // Update heartbeat while idle/waiting
-      updateHeartbeat({ state: 'idle' });
+      updateHeartbeat({ state: activeJobs.size > 0 ? 'processing' : 'idle', activeJobs: activeJobs.size });
 
       // Refresh worker configuration periodically
       const config = await refreshWorkerConfig(false);
@@ -690,10 +1092,11 @@ async function workerLoop() {
           const rescued = await rescueStuckRenders({
             staleAfterMs: RENDER_STUCK_TIMEOUT_MS,
             limit: 10,
+            excludeJobIds: Array.from(activeJobs.keys()),
           });
           if (rescued.length) {
             console.warn(
-              `[worker] Marked ${rescued.length} render(s) as failed due to inactivity`,
+              `[worker] Rescued ${rescued.length} job(s) whose render made no progress`,
               rescued
             );
           }
@@ -702,35 +1105,30 @@ async function workerLoop() {
         }
       }
 
-      // Try to claim a job using configured concurrency limit
-      const job = await claimRenderJob(config?.maxConcurrentJobs);
-
-      if (job) {
-        currentJob = job;
-        updateHeartbeat({
-          jobId: job.job_id,
-          renderId: job.render_id,
-          campaignId: job.campaign_id,
-          campaignName: job.campaign_name,
-          state: 'processing',
-          startedAt: new Date().toISOString(),
-        });
-        await processJob(job);
-        currentJob = null;
-        updateHeartbeat(null);
-      } else {
-        // No jobs available, wait before polling again
-        process.stdout.write('.');
+      // Claim a job only if a slot is free (configured concurrency limit)
+      const limit = config?.maxConcurrentJobs ?? ENV_MAX_CONCURRENT_JOBS;
+
+      if (activeJobs.size < limit) {
+        const job = await claimRenderJob();
+
+        if (job) {
+          startJobSlot(job);
+          claimed = true;
+        } else {
+          // No jobs available, wait before polling again
+          process.stdout.write('.');
+        }
       }
     } catch (error) {
       // Log error but keep worker running
       console.error('[worker] Error in worker loop:', error);
-      currentJob = null;
       updateHeartbeat({ state: 'error', error: error.message });
     }
 
-    // Wait before next poll
-    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    // After a successful claim, go straight back to fill the next free slot
+    if (!claimed) {
+      await waitForNextPoll();
+    }
   }
 
   console.log('[worker] Worker loop stopped');
@@ -745,18 +1143,22 @@ async function shutdown(signal) {
   isShuttingDown = true;
   updateHeartbeat({ state: 'shutting_down', signal });
 
-  // If currently processing a job, wait for it to complete
-  if (currentJob) {
-    console.log('[worker] Waiting for current job to complete...');
-    // Give it max 30 seconds to complete
-    const timeout = setTimeout(() => {
-      console.log('[worker] Timeout waiting for job, forcing exit');
+  // Drain every active slot before exiting
+  if (activeJobs.size > 0) {
+    console.log(`[worker] Waiting for ${activeJobs.size} active job(s) to complete...`);
+    const timeout = setTimeout(async () => {
+      console.log(`[worker] Timeout waiting for ${activeJobs.size} job(s), requeueing them and forcing exit`);
+      await Promise.allSettled(
+        Array.from(activeJobs.values(), (slot) =>
+          requeueInterruptedJob({ jobId: slot.info.jobId, renderId: slot.info.renderId, attempt: slot.attempt }).catch(
+            (error) => console.error(`[worker] Failed to requeue job ${slot.info.jobId}:`, error.message)
+          )
+        )
+      );
       process.exit(1);
-    }, 30000);
+    }, SHUTDOWN_DRAIN_TIMEOUT_MS);
 
-    while (currentJob) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
+    await Promise.allSettled(Array.from(activeJobs.values(), (slot) => slot.promise));
     clearTimeout(timeout);
   }
 
@@ -799,6 +1201,7 @@ process.on('unhandledRejection', (reason, promise) => {
   updateHeartbeat({ state: 'starting' });
   await refreshWorkerConfig(true);
   await startHealthServer(HEALTH_PORT);
+  evictSceneCache({ force: true });
 
   console.log(`\n${'='.repeat(60)}`);
   console.log('Loom-Lite Background Worker');
@@ -806,6 +1209,8 @@ process.on('unhandledRejection', (reason, promise) => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Supabase URL: ${process.env.SUPABASE_URL}`);
   console.log(`Poll Interval: ${POLL_INTERVAL}ms`);
+  console.log(`Scene Cache: ${SCENE_CACHE_DIR}`);
+  console.log(`Max Concurrent Jobs: ${getCachedWorkerConfig().maxConcurrentJobs} (${getCachedWorkerConfig().source})`);
   if (healthPort) {
     console.log(`Health Port: ${healthPort}`);
   }
@@ -1,7 +1,11 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
+import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
 import { toast } from 'sonner';
+import { buildEmailSnippet } from '@/lib/utils/emailSnippet';
+import { describeFailureOutcome, getFailureLabel, type RenderFailure } from '@/lib/utils/renderFailures';
+import { formatStageDuration, summarizeStageTimings, type RenderStageTiming } from '@/lib/utils/renderTimings';
 
 interface Render {
   id: string;
@@ -10,9 +14,17 @@ interface Render {
   public_id: string;
   final_video_url: string | null;
   thumb_url: string | null;
+  gif_url?: string | null;
+  play_thumb_url?: string | null;
   error?: string | null;
   lead_row_index?: number | null;
   lead_identifier?: string | null;
+  cancel_requested?: boolean | null;
+  failure?: RenderFailure | null;
+  current_scene_index?: number | null;
+  scene_count?: number | null;
+  eta_at?: string | null;
+  superseded_by?: string | null;
   created_at?: string;
 }
 
@@ -28,9 +40,11 @@ const STATUS_LABELS: Record<string, string> = {
   normalizing: 'Normalizing',
   concatenating: 'Concatenating',
   overlaying: 'Overlaying',
+  packaging: 'Packaging',
   uploading: 'Uploading',
   done: 'Done',
   failed: 'Failed',
+  cancelled: 'Cancelled',
 };
 
 const STATUS_COLORS: Record<string, string> = {
@@ -39,20 +53,56 @@ const STATUS_COLORS: Record<string, string> = {
   normalizing: 'bg-purple-100 text-purple-700 border-purple-200',
   concatenating: 'bg-indigo-100 text-indigo-700 border-indigo-200',
   overlaying: 'bg-pink-100 text-pink-700 border-pink-200',
+  packaging: 'bg-teal-100 text-teal-700 border-teal-200',
   uploading: 'bg-orange-100 text-orange-700 border-orange-200',
   done: 'bg-green-100 text-green-700 border-green-200',
   failed: 'bg-red-100 text-red-700 border-red-200',
+  cancelled: 'bg-gray-100 text-gray-600 border-gray-200',
+};
+
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Only used when the Realtime channel is unavailable
+const FALLBACK_POLL_INTERVAL_MS = 5000;
+
+const formatEta = (etaAt: string, now: number) => {
+  const seconds = Math.max(0, Math.round((new Date(etaAt).getTime() - now) / 1000));
+  if (seconds < 60) return seconds < 5 ? 'almost done' : `~${seconds}s left`;
+  return `~${Math.round(seconds / 60)} min left`;
 };
 
 export default function RenderControls({ campaignId, initialRenders, leadRowCount = 0 }: RenderControlsProps) {
+  const [supabase] = useState(() => createClientComponentClient());
   const [renders, setRenders] = useState<Render[]>(initialRenders);
+  const [isLive, setIsLive] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
   const [isRendering, setIsRendering] = useState(false);
+  const [lowPriority, setLowPriority] = useState(false);
+  const [cancellingIds, setCancellingIds] = useState<Set<string>>(new Set());
+  const [retryingIds, setRetryingIds] = useState<Set<string>>(new Set());
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+  const [isRerendering, setIsRerendering] = useState(false);
+  const [openTimingsId, setOpenTimingsId] = useState<string | null>(null);
+  const [timingsById, setTimingsById] = useState<
+    Record<string, { attempt: number | null; outcome: string | null; timings: RenderStageTiming[] }>
+  >({});
   const pollIntervalRef = useRef<NodeJS.Timeout | null>(null);
 
   useEffect(() => {
     setRenders(initialRenders);
   }, [initialRenders]);
 
+  // Drop renders from the selection once they are replaced or back in flight
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const settled = new Set(
+        renders.filter((render) => TERMINAL_STATUSES.includes(render.status)).map((render) => render.id)
+      );
+      const next = new Set([...prev].filter((renderId) => settled.has(renderId)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [renders]);
+
   const stopPolling = () => {
     if (pollIntervalRef.current) {
       clearInterval(pollIntervalRef.current);
@@ -81,19 +131,73 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
   const startPolling = () => {
     if (pollIntervalRef.current) return;
     fetchRenders();
-    pollIntervalRef.current = setInterval(fetchRenders, 3000);
+    pollIntervalRef.current = setInterval(fetchRenders, FALLBACK_POLL_INTERVAL_MS);
   };
 
-  const activeCount = renders.filter((render) => !['done', 'failed'].includes(render.status)).length;
+  // Worker progress writes arrive as row changes; RLS limits them to the user's own renders
+  useEffect(() => {
+    const applyChange = (payload: { eventType: string; new: Partial<Render>; old: Partial<Render> }) => {
+      setRenders((prev) => {
+        if (payload.eventType === 'DELETE') {
+          return prev.filter((render) => render.id !== payload.old.id);
+        }
+
+        const row = payload.new as Render;
+        // Replaced by a lead re-render: the replacement arrives as its own INSERT
+        if (row.superseded_by) {
+          return prev.filter((render) => render.id !== row.id);
+        }
+
+        const index = prev.findIndex((render) => render.id === row.id);
+        if (index === -1) {
+          return [row, ...prev];
+        }
+        const next = [...prev];
+        next[index] = { ...prev[index], ...row };
+        return next;
+      });
+    };
+
+    const channel = supabase
+      .channel(`renders:${campaignId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'renders', filter: `campaign_id=eq.${campaignId}` },
+        applyChange
+      )
+      .subscribe((status) => {
+        setIsLive(status === 'SUBSCRIBED');
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [campaignId, supabase]);
+
+  const activeCount = renders.filter((render) => !TERMINAL_STATUSES.includes(render.status)).length;
   const hasActive = activeCount > 0;
 
+  // Polling is only the fallback while the channel is down
   useEffect(() => {
-    if (hasActive) {
+    if (isLive) {
+      stopPolling();
+      // Catch up on anything that changed before the subscription was in place
+      fetchRenders();
+    } else if (hasActive) {
       startPolling();
     } else {
       stopPolling();
+    }
+    if (!hasActive) {
       setIsRendering(false);
     }
+  }, [hasActive, isLive]);
+
+  // Keeps the ETA countdowns moving between progress updates
+  useEffect(() => {
+    if (!hasActive) return;
+    const ticker = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(ticker);
   }, [hasActive]);
 
   const handleRender = async () => {
@@ -102,6 +206,8 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
     try {
       const response = await fetch(`/api/campaigns/${campaignId}/render`, {
         method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ priority: lowPriority ? 'low' : 'normal' }),
       });
 
       if (response.status === 409) {
@@ -126,7 +232,6 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
       );
 
       await fetchRenders();
-      startPolling();
     } catch (error) {
       console.error('[RenderControls] Render error:', error);
       toast.error('Failed to start render');
@@ -135,10 +240,171 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
     }
   };
 
+  const cancelRender = async (renderId: string) => {
+    const response = await fetch(`/api/renders/${renderId}/cancel`, { method: 'POST' });
+    if (!response.ok && response.status !== 409) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Failed to cancel render');
+    }
+  };
+
+  const handleCancel = async (renderIds: string[]) => {
+    if (renderIds.length === 0) return;
+
+    setCancellingIds((prev) => new Set([...prev, ...renderIds]));
+
+    const results = await Promise.allSettled(renderIds.map((renderId) => cancelRender(renderId)));
+    const failures = results.filter((result) => result.status === 'rejected');
+
+    if (failures.length > 0) {
+      console.error('[RenderControls] Cancel errors:', failures);
+      toast.error(
+        renderIds.length > 1
+          ? `Failed to cancel ${failures.length} of ${renderIds.length} renders`
+          : 'Failed to cancel render'
+      );
+    } else {
+      toast.success(
+        renderIds.length > 1 ? `Cancelling ${renderIds.length} renders` : 'Cancelling render'
+      );
+    }
+
+    setCancellingIds((prev) => {
+      const next = new Set(prev);
+      renderIds.forEach((renderId) => next.delete(renderId));
+      return next;
+    });
+
+    await fetchRenders();
+  };
+
+  const handleRetry = async (renderIds: string[]) => {
+    if (renderIds.length === 0) return;
+
+    setRetryingIds((prev) => new Set([...prev, ...renderIds]));
+
+    try {
+      const response = await fetch(`/api/campaigns/${campaignId}/renders/retry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ renderIds }),
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        toast.error(payload.error || 'Failed to retry renders');
+        return;
+      }
+
+      toast.success(payload.count > 1 ? `Retrying ${payload.count} renders` : 'Retrying render');
+      await fetchRenders();
+    } catch (error) {
+      console.error('[RenderControls] Retry error:', error);
+      toast.error('Failed to retry renders');
+    } finally {
+      setRetryingIds((prev) => {
+        const next = new Set(prev);
+        renderIds.forEach((renderId) => next.delete(renderId));
+        return next;
+      });
+    }
+  };
+
+  // New renders for the chosen leads; links already sent out switch to the new video once it is done
+  const handleRerender = async (selection: { renderIds: string[] } | { failedOnly: true }) => {
+    setIsRerendering(true);
+
+    try {
+      const response = await fetch(`/api/campaigns/${campaignId}/renders/rerender`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...selection, priority: lowPriority ? 'low' : 'normal' }),
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        toast.error(payload.error || 'Failed to re-render leads');
+        return;
+      }
+
+      toast.success(payload.count > 1 ? `Re-rendering ${payload.count} leads` : 'Re-rendering lead');
+      setSelectedIds(new Set());
+      await fetchRenders();
+    } catch (error) {
+      console.error('[RenderControls] Re-render error:', error);
+      toast.error('Failed to re-render leads');
+    } finally {
+      setIsRerendering(false);
+    }
+  };
+
+  const toggleSelected = (renderId: string) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(renderId)) {
+        next.delete(renderId);
+      } else {
+        next.add(renderId);
+      }
+      return next;
+    });
+  };
+
+  const toggleTimings = async (renderId: string) => {
+    if (openTimingsId === renderId) {
+      setOpenTimingsId(null);
+      return;
+    }
+    setOpenTimingsId(renderId);
+
+    // Fetched on every open: a retry or re-render adds a new attempt
+    try {
+      const response = await fetch(`/api/renders/${renderId}/timings`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        toast.error(data.error || 'Failed to load stage timings');
+        return;
+      }
+      setTimingsById((prev) => ({ ...prev, [renderId]: data }));
+    } catch (error) {
+      console.error('[RenderControls] Timings error:', error);
+      toast.error('Failed to load stage timings');
+    }
+  };
+
+  const handleCopyEmailHtml = async (render: Render) => {
+    const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || window.location.origin;
+    const snippet = buildEmailSnippet(render, siteUrl);
+
+    if (!snippet) {
+      toast.error('This render has no preview image yet');
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(snippet);
+      toast.success(render.gif_url ? 'Email HTML copied (animated GIF)' : 'Email HTML copied');
+    } catch (error) {
+      console.error('[RenderControls] Clipboard error:', error);
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
   const completedCount = renders.filter((render) => render.status === 'done').length;
   const failedCount = renders.filter((render) => render.status === 'failed').length;
   const totalExpected = leadRowCount > 0 ? leadRowCount : Math.max(renders.length, leadRowCount);
   const buttonDisabled = isRendering || hasActive;
+  const failedIds = renders.filter((render) => render.status === 'failed').map((render) => render.id);
+  const selectableIds = renders
+    .filter((render) => TERMINAL_STATUSES.includes(render.status))
+    .map((render) => render.id);
+  const allSelected = selectableIds.length > 0 && selectableIds.every((renderId) => selectedIds.has(renderId));
+  const cancellableIds = renders
+    .filter(
+      (render) =>
+        !TERMINAL_STATUSES.includes(render.status) && render.status !== 'uploading' && !render.cancel_requested
+    )
+    .map((render) => render.id);
 
   const renderRows = renders;
 
@@ -153,7 +419,18 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
 
   return (
     <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-[#E2E8F0]/50 p-6">
-      <h2 className="text-xl font-semibold text-[#334155] mb-4">Render</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-[#334155]">Render</h2>
+        {hasActive && (
+          <span
+            className="inline-flex items-center gap-1.5 text-xs font-medium text-[#64748B]"
+            title={isLive ? 'Progress updates arrive as they happen' : 'Live updates unavailable; refreshing every few seconds'}
+          >
+            <span className={`h-2 w-2 rounded-full ${isLive ? 'bg-green-500 animate-pulse' : 'bg-gray-300'}`} />
+            {isLive ? 'Live' : 'Polling'}
+          </span>
+        )}
+      </div>
 
       <div className="grid gap-4 md:grid-cols-3 mb-6">
         <div className="p-4 rounded-xl border border-[#E2E8F0]/60 bg-white shadow-sm">
@@ -173,22 +450,68 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
         </div>
       </div>
 
+      {selectableIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+          <span className="text-[#64748B]">
+            {selectedIds.size > 0 ? `${selectedIds.size} selected` : 'Select leads to re-render them'}
+          </span>
+          {failedIds.length > 0 && (
+            <button
+              onClick={() => setSelectedIds(new Set(failedIds))}
+              className="font-medium text-[#0066FF] hover:text-blue-600"
+            >
+              Select failed
+            </button>
+          )}
+          <button
+            onClick={() => handleRerender({ renderIds: [...selectedIds] })}
+            disabled={selectedIds.size === 0 || isRerendering}
+            title="Creates new renders for these leads; their video links stay the same"
+            className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg font-medium border border-[#0066FF]/30 text-[#0066FF] bg-white hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <span className="material-icons text-base">autorenew</span>
+            {isRerendering ? 'Re-rendering...' : `Re-render Selected${selectedIds.size > 0 ? ` (${selectedIds.size})` : ''}`}
+          </button>
+          {failedIds.length > 0 && (
+            <button
+              onClick={() => handleRerender({ failedOnly: true })}
+              disabled={isRerendering}
+              className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg font-medium border border-[#E2E8F0] text-[#334155] bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <span className="material-icons text-base">autorenew</span>
+              Re-render All Failed ({failedIds.length})
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="overflow-x-auto mb-6">
         <table className="w-full text-sm">
           <thead className="bg-gradient-to-r from-[#F8FAFC] to-gray-50/50 border-b border-[#E2E8F0]/50">
             <tr>
+              <th className="pl-4 py-3 w-8">
+                <input
+                  type="checkbox"
+                  aria-label="Select all settled renders"
+                  checked={allSelected}
+                  disabled={selectableIds.length === 0}
+                  onChange={() => setSelectedIds(allSelected ? new Set() : new Set(selectableIds))}
+                  className="h-4 w-4 text-[#0066FF] rounded border-gray-300"
+                />
+              </th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Lead</th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Identifier</th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Status</th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Progress</th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Video</th>
               <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs">Created</th>
+              <th className="px-4 py-3 text-left font-semibold text-[#64748B] uppercase text-xs"></th>
             </tr>
           </thead>
           <tbody className="divide-y divide-[#E2E8F0]/40">
             {renderRows.length === 0 ? (
               <tr>
-                <td colSpan={6} className="px-4 py-6 text-center text-[#94A3B8]">
+                <td colSpan={8} className="px-4 py-6 text-center text-[#94A3B8]">
                   No renders yet. Launch a render to generate personalized videos.
                 </td>
               </tr>
@@ -199,70 +522,200 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
                     ? render.lead_row_index + 1
                     : null;
                 const progressValue = render.progress ?? 0;
-                const isActive = !['done', 'failed'].includes(render.status);
+                const isActive = !TERMINAL_STATUSES.includes(render.status);
+                const isCancelling = Boolean(render.cancel_requested) || cancellingIds.has(render.id);
+
+                const timingsOpen = openTimingsId === render.id;
+                const renderTimings = timingsById[render.id];
+                const stageSummaries = renderTimings ? summarizeStageTimings(renderTimings.timings) : [];
+                const slowestStageMs = Math.max(1, ...stageSummaries.map((summary) => summary.totalMs));
 
                 return (
-                  <tr key={render.id} className="hover:bg-blue-50/30 transition-colors">
-                    <td className="px-4 py-3 text-[#334155] font-medium">
-                      {leadIndex ?? '—'}
-                    </td>
-                    <td className="px-4 py-3">
-                      <div className="flex flex-col">
-                        <span className="text-[#334155] font-medium">
-                          {render.lead_identifier || '—'}
+                  <Fragment key={render.id}>
+                    <tr className="hover:bg-blue-50/30 transition-colors">
+                      <td className="pl-4 py-3">
+                        <input
+                          type="checkbox"
+                          aria-label={`Select lead ${leadIndex ?? render.id}`}
+                          checked={selectedIds.has(render.id)}
+                          disabled={isActive}
+                          onChange={() => toggleSelected(render.id)}
+                          className="h-4 w-4 text-[#0066FF] rounded border-gray-300 disabled:opacity-40"
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-[#334155] font-medium">
+                        {leadIndex ?? '—'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex flex-col">
+                          <span className="text-[#334155] font-medium">
+                            {render.lead_identifier || '—'}
+                          </span>
+                          {render.failure &&
+                          (render.status === 'failed' || (render.status === 'queued' && render.failure.retry_at)) ? (
+                            <span
+                              className={`text-xs mt-1 ${render.status === 'failed' ? 'text-red-500' : 'text-amber-600'}`}
+                              title={render.failure.message}
+                            >
+                              {getFailureLabel(render.failure)}
+                              {render.failure.stage ? ` while ${render.failure.stage}` : ''} · {describeFailureOutcome(render.failure)}
+                            </span>
+                          ) : (
+                            render.error && render.status === 'failed' && (
+                              <span className="text-xs text-red-500 mt-1">{render.error}</span>
+                            )
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <span
+                          className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${
+                            STATUS_COLORS[render.status] || 'bg-gray-100 text-gray-700 border-gray-200'
+                          }`}
+                        >
+                          {STATUS_LABELS[render.status] || render.status}
                         </span>
-                        {render.error && render.status === 'failed' && (
-                          <span className="text-xs text-red-500 mt-1">{render.error}</span>
-                        )}
-                      </div>
-                    </td>
-                    <td className="px-4 py-3">
-                      <span
-                        className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${
-                          STATUS_COLORS[render.status] || 'bg-gray-100 text-gray-700 border-gray-200'
-                        }`}
-                      >
-                        {STATUS_LABELS[render.status] || render.status}
-                      </span>
-                    </td>
-                    <td className="px-4 py-3">
-                      {isActive ? (
-                        <div className="space-y-1">
-                          <div className="flex items-center justify-between text-xs text-[#64748B]">
-                            <span>{progressValue}%</span>
+                      </td>
+                      <td className="px-4 py-3">
+                        {isActive ? (
+                          <div className="space-y-1">
+                            <div className="flex items-center justify-between gap-2 text-xs text-[#64748B]">
+                              <span>
+                                {progressValue}%
+                                {render.status === 'recording' &&
+                                typeof render.current_scene_index === 'number' &&
+                                render.scene_count
+                                  ? ` · Scene ${render.current_scene_index + 1}/${render.scene_count}`
+                                  : ''}
+                              </span>
+                              {render.eta_at && render.status !== 'queued' && (
+                                <span className="whitespace-nowrap">{formatEta(render.eta_at, now)}</span>
+                              )}
+                            </div>
+                            <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden">
+                              <div
+                                className="bg-gradient-to-r from-[#0066FF] to-blue-600 h-1.5 rounded-full transition-all duration-300 ease-out"
+                                style={{ width: `${progressValue}%` }}
+                              />
+                            </div>
                           </div>
-                          <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden">
-                            <div
-                              className="bg-gradient-to-r from-[#0066FF] to-blue-600 h-1.5 rounded-full transition-all duration-300 ease-out"
-                              style={{ width: `${progressValue}%` }}
-                            />
+                        ) : render.status === 'done' ? (
+                          '100%'
+                        ) : (
+                          '—'
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        {render.status === 'done' && render.public_id ? (
+                          <div className="flex items-center gap-3">
+                            <a
+                              href={`/v/${render.public_id}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="inline-flex items-center gap-1 text-[#0066FF] hover:text-blue-600 font-medium"
+                            >
+                              <span className="material-icons text-base">play_circle</span>
+                              View
+                            </a>
+                            <button
+                              onClick={() => handleCopyEmailHtml(render)}
+                              title="Copy an email-ready HTML snippet linking to this video"
+                              className="inline-flex items-center gap-1 text-xs font-medium text-[#64748B] hover:text-[#334155]"
+                            >
+                              <span className="material-icons text-base">content_copy</span>
+                              Email HTML
+                            </button>
                           </div>
-                        </div>
-                      ) : render.status === 'done' ? (
-                        '100%'
-                      ) : (
-                        '—'
-                      )}
-                    </td>
-                    <td className="px-4 py-3">
-                      {render.status === 'done' && render.public_id ? (
-                        <a
-                          href={`/v/${render.public_id}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="inline-flex items-center gap-1 text-[#0066FF] hover:text-blue-600 font-medium"
-                        >
-                          <span className="material-icons text-base">play_circle</span>
-                          View
-                        </a>
-                      ) : (
-                        <span className="text-[#94A3B8]">—</span>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-[#64748B]">
-                      {formatDateTime(render.created_at)}
-                    </td>
-                  </tr>
+                        ) : (
+                          <span className="text-[#94A3B8]">—</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-[#64748B]">
+                        {formatDateTime(render.created_at)}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {render.status === 'failed' && (
+                          <button
+                            onClick={() => handleRetry([render.id])}
+                            disabled={retryingIds.has(render.id)}
+                            className="inline-flex items-center gap-1 text-xs font-medium text-[#0066FF] hover:text-blue-600 disabled:text-[#94A3B8] disabled:cursor-not-allowed"
+                          >
+                            <span className="material-icons text-base">replay</span>
+                            {retryingIds.has(render.id) ? 'Retrying...' : 'Retry'}
+                          </button>
+                        )}
+                        {(render.status === 'done' || render.status === 'failed') && (
+                          <button
+                            onClick={() => toggleTimings(render.id)}
+                            title="Time spent in each render stage"
+                            className="inline-flex items-center gap-1 text-xs font-medium text-[#64748B] hover:text-[#334155]"
+                          >
+                            <span className="material-icons text-base">timer</span>
+                            {timingsOpen ? 'Hide timings' : 'Timings'}
+                          </button>
+                        )}
+                        {isActive && render.status !== 'uploading' && (
+                          <button
+                            onClick={() => handleCancel([render.id])}
+                            disabled={isCancelling}
+                            className="inline-flex items-center gap-1 text-xs font-medium text-red-500 hover:text-red-600 disabled:text-[#94A3B8] disabled:cursor-not-allowed"
+                          >
+                            <span className="material-icons text-base">cancel</span>
+                            {isCancelling ? 'Cancelling...' : 'Cancel'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {timingsOpen && (
+                      <tr className="bg-[#F8FAFC]">
+                        <td colSpan={8} className="px-6 py-4">
+                          {!renderTimings ? (
+                            <p className="text-xs text-[#94A3B8]">Loading stage timings...</p>
+                          ) : stageSummaries.length === 0 ? (
+                            <p className="text-xs text-[#94A3B8]">No stage timings were recorded for this render.</p>
+                          ) : (
+                            <div className="space-y-2">
+                              <p className="text-xs text-[#64748B]">
+                                Attempt {renderTimings.attempt} ({renderTimings.outcome}) ·{' '}
+                                {formatStageDuration(stageSummaries.reduce((sum, summary) => sum + summary.totalMs, 0))} total
+                              </p>
+                              {stageSummaries.map((summary) => (
+                                <div key={summary.stage} className="grid grid-cols-[9rem_1fr_4.5rem] items-center gap-3 text-xs">
+                                  <span className="text-[#334155] font-medium">{summary.label}</span>
+                                  <div
+                                    className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden"
+                                    title={summary.scenes
+                                      .map((scene) => `Scene ${scene.sceneIndex + 1}: ${formatStageDuration(scene.durationMs)}`)
+                                      .join('\n')}
+                                  >
+                                    <div
+                                      className={`h-1.5 rounded-full ${summary.failedRuns > 0 ? 'bg-amber-400' : 'bg-[#0066FF]'}`}
+                                      style={{ width: `${Math.max(1, (summary.totalMs / slowestStageMs) * 100)}%` }}
+                                    />
+                                  </div>
+                                  <span className="text-right text-[#64748B] tabular-nums">
+                                    {formatStageDuration(summary.totalMs)}
+                                  </span>
+                                  {(summary.scenes.length > 1 || summary.failedRuns > 0) && (
+                                    <span className="col-start-2 col-span-2 -mt-1 text-[#94A3B8]">
+                                      {summary.scenes.length > 1 &&
+                                        summary.scenes
+                                          .map((scene) => `S${scene.sceneIndex + 1} ${formatStageDuration(scene.durationMs)}`)
+                                          .join(' · ')}
+                                      {summary.failedRuns > 0 &&
+                                        `${summary.scenes.length > 1 ? ' · ' : ''}${summary.failedRuns} failed run${
+                                          summary.failedRuns === 1 ? '' : 's'
+                                        } included`}
+                                    </span>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 );
               })
             )}
@@ -284,6 +737,41 @@ export default function RenderControls({ campaignId, initialRenders, leadRowCoun
         </span>
         <span>{buttonDisabled ? 'Rendering...' : 'Start Render'}</span>
       </button>
+
+      {cancellableIds.length > 0 && (
+        <button
+          onClick={() => handleCancel(cancellableIds)}
+          className="inline-flex items-center space-x-2 ml-3 px-6 py-3 rounded-xl font-semibold border border-red-200 text-red-600 bg-white hover:bg-red-50 transition-all duration-200"
+        >
+          <span className="material-icons text-xl">stop</span>
+          <span>{cancellableIds.length > 1 ? `Cancel All (${cancellableIds.length})` : 'Cancel Render'}</span>
+        </button>
+      )}
+
+      {failedIds.length > 0 && (
+        <button
+          onClick={() => handleRetry(failedIds)}
+          disabled={failedIds.some((renderId) => retryingIds.has(renderId))}
+          className="inline-flex items-center space-x-2 ml-3 px-6 py-3 rounded-xl font-semibold border border-[#0066FF]/30 text-[#0066FF] bg-white hover:bg-blue-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <span className="material-icons text-xl">replay</span>
+          <span>{failedIds.length > 1 ? `Retry Failed (${failedIds.length})` : 'Retry Failed'}</span>
+        </button>
+      )}
+
+      <label
+        className="inline-flex items-center ml-4 text-sm text-[#64748B] cursor-pointer"
+        title="Low-priority renders start only when no normal-priority renders are waiting"
+      >
+        <input
+          type="checkbox"
+          checked={lowPriority}
+          onChange={(e) => setLowPriority(e.target.checked)}
+          disabled={buttonDisabled}
+          className="h-4 w-4 text-[#0066FF] rounded border-gray-300 mr-2"
+        />
+        Low priority
+      </label>
     </div>
   );
 }
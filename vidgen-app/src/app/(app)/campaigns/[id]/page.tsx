@@ -29,6 +29,8 @@ interface Render {
   public_id: string;
   final_video_url: string | null;
   thumb_url: string | null;
+  gif_url?: string | null;
+  play_thumb_url?: string | null;
   error?: string | null;
   lead_row_index?: number | null;
   lead_identifier?: string | null;
@@ -4,11 +4,15 @@ import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
 import { useEffect, useState } from 'react';
 import Link from 'next/link';
 import CampaignWizard from '@/components/CampaignWizard';
+import type { RenderQuota } from '@/lib/utils/renderQuota';
+
+const formatMinutes = (seconds: number) => Math.ceil(seconds / 60).toLocaleString();
 
 export default function DashboardPage() {
   const supabase = createClientComponentClient();
   const [user, setUser] = useState<any>(null);
   const [wizardOpen, setWizardOpen] = useState(false);
+  const [quota, setQuota] = useState<RenderQuota | null>(null);
 
   useEffect(() => {
     const getUser = async () => {
@@ -18,6 +22,22 @@ export default function DashboardPage() {
     getUser();
   }, [supabase]);
 
+  useEffect(() => {
+    if (!user) return;
+    const getQuota = async () => {
+      try {
+        const response = await fetch('/api/quota');
+        if (response.ok) {
+          const data = await response.json();
+          setQuota(data.quota ?? null);
+        }
+      } catch (error) {
+        console.error('[Dashboard] Fetch quota error:', error);
+      }
+    };
+    getQuota();
+  }, [user]);
+
   if (!user) return <div>Loading...</div>;
 
   // Extract first name from email
@@ -63,6 +83,51 @@ export default function DashboardPage() {
           </div>
         </div>
 
+        {/* Render Quota */}
+        {quota && (() => {
+          const limitSeconds = quota.monthly_render_minutes === null ? null : quota.monthly_render_minutes * 60;
+          const usedPercent = limitSeconds ? Math.min(100, (quota.used_seconds / limitSeconds) * 100) : 0;
+          const queuedPercent = limitSeconds ? Math.min(100 - usedPercent, (quota.queued_seconds / limitSeconds) * 100) : 0;
+          const resetsOn = new Date(quota.period_end).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+          return (
+            <div className="grid gap-4 md:grid-cols-2 mb-8 animate-slideUp">
+              <div className="p-6 rounded-2xl border border-[#E2E8F0]/60 bg-white shadow-sm">
+                <p className="text-xs uppercase tracking-wide text-[#94A3B8] font-semibold">Rendering now</p>
+                <p className="text-2xl font-bold text-[#334155] mt-1">
+                  {quota.active_jobs} / {quota.max_concurrent_jobs}
+                </p>
+                <p className="text-sm text-[#64748B] mt-1">
+                  {quota.queued_jobs > 0
+                    ? `${quota.queued_jobs.toLocaleString()} queued; they start as slots free up`
+                    : 'Nothing waiting in the queue'}
+                </p>
+              </div>
+              <div className="p-6 rounded-2xl border border-[#E2E8F0]/60 bg-white shadow-sm">
+                <p className="text-xs uppercase tracking-wide text-[#94A3B8] font-semibold">Video minutes this month</p>
+                <p className="text-2xl font-bold text-[#334155] mt-1">
+                  {formatMinutes(quota.used_seconds)}
+                  {quota.monthly_render_minutes !== null ? ` / ${quota.monthly_render_minutes.toLocaleString()}` : ''}
+                </p>
+                {limitSeconds !== null ? (
+                  <>
+                    <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden mt-3 flex">
+                      <div className="bg-gradient-to-r from-[#0066FF] to-blue-600 h-1.5" style={{ width: `${usedPercent}%` }} />
+                      <div className="bg-blue-300 h-1.5" style={{ width: `${queuedPercent}%` }} />
+                    </div>
+                    <p className="text-sm text-[#64748B] mt-2">
+                      {quota.queued_seconds > 0 ? `${formatMinutes(quota.queued_seconds)} min queued · ` : ''}
+                      Resets {resetsOn}
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-sm text-[#64748B] mt-1">Unlimited</p>
+                )}
+              </div>
+            </div>
+          );
+        })()}
+
         {/* Enhanced Activity Table */}
         <div className="animate-slideUp" style={{ animationDelay: '0.6s' }}>
           <div className="flex items-center justify-between mb-6">
@@ -4,6 +4,7 @@ import { notFound } from 'next/navigation';
 interface VideoData {
   public_id: string;
   final_video_url: string;
+  hls_url: string | null;
   thumb_url: string | null;
   duration_sec: number;
 }
@@ -105,13 +106,15 @@ export default async function PublicVideoPage({
         <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-2xl overflow-hidden border border-[#E2E8F0]/50">
           {/* Video Player */}
           <div className="relative bg-black">
+            {/* Prefer adaptive HLS; browsers without native HLS skip to the MP4 source */}
             <video
-              src={video.final_video_url}
               controls
               poster={video.thumb_url ?? undefined}
               className="w-full"
               preload="metadata"
             >
+              {video.hls_url && <source src={video.hls_url} type="application/vnd.apple.mpegurl" />}
+              <source src={video.final_video_url} type="video/mp4" />
               Your browser does not support the video tag.
             </video>
           </div>
@@ -3,10 +3,31 @@ import { cookies } from 'next/headers';
 import { NextResponse } from 'next/server';
 import { nanoid } from 'nanoid';
 import { parseCsvWithHeaders } from '@/lib/utils/csv';
+import {
+  fetchRenderQuota,
+  getQuotaExceededError,
+  RENDER_PRIORITIES,
+  type RenderPriority,
+  type RenderQuota,
+} from '@/lib/utils/renderQuota';
+
+/**
+ * 429 when the render would go over the user's monthly minutes
+ */
+function quotaExceededResponse(quota: RenderQuota | null, requestedSeconds: number) {
+  const exceeded = getQuotaExceededError(quota, requestedSeconds);
+  if (!exceeded) return null;
+
+  return NextResponse.json(
+    { error: exceeded.message, quota },
+    { status: 429, headers: { 'Retry-After': String(exceeded.retryAfterSec) } }
+  );
+}
 
 /**
  * POST /api/campaigns/[id]/render
  * Enqueue a new render job for the campaign
+ * Optional JSON body: { priority: 'normal' | 'low' }
  */
 export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
   try {
@@ -24,24 +45,26 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const body = await request.json().catch(() => ({}));
+    const priorityName: string = body?.priority ?? 'normal';
+    if (!Object.keys(RENDER_PRIORITIES).includes(priorityName)) {
+      return NextResponse.json({ error: 'priority must be "normal" or "low"' }, { status: 422 });
+    }
+    const priority = RENDER_PRIORITIES[priorityName as RenderPriority];
+
     // Verify campaign exists and user owns it (RLS will filter)
     const { data: campaign, error: campaignError } = await supabase
       .from('campaigns')
-      .select('id, lead_csv_url, lead_row_count, lead_csv_filename, landing_config')
+      .select('id, lead_csv_url, lead_row_count, lead_csv_filename, landing_config, intro_card, outro_card')
       .eq('id', id)
       .single();
 
-    // TODO: When rendering, fetch brand_settings for the user
-    // If logo_url exists, use logo in video overlay
-    // If no logo but brand_name exists, render brand name as text
-    // This allows flexibility - users don't need a logo for professional branding
-
     if (campaignError || !campaign) {
       return NextResponse.json({ error: 'Campaign not found' }, { status: 404 });
     }
 
     // Duplicate render guard: Check for in-progress renders
-    const inProgressStates = ['queued', 'recording', 'normalizing', 'concatenating', 'overlaying', 'uploading'];
+    const inProgressStates = ['queued', 'recording', 'normalizing', 'concatenating', 'overlaying', 'packaging', 'uploading'];
 
     const { data: existingRenders, error: duplicateCheckError } = await supabase
       .from('renders')
@@ -77,10 +100,19 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
       return NextResponse.json({ error: 'Campaign has no scenes' }, { status: 422 });
     }
 
-    const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration_sec, 0);
+    // Enabled intro/outro cards are rendered as extra scenes
+    const cardsDuration = [campaign.intro_card, campaign.outro_card].reduce(
+      (sum, card) => sum + (card?.enabled ? card.duration_sec || 0 : 0),
+      0
+    );
+    const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration_sec, 0) + cardsDuration;
     const usesCsvScenes = scenes.some((scene: { entry_type?: string | null }) => scene.entry_type === 'csv');
 
-    // Fetch user's brand settings
+    // Monthly minutes include everything already queued (null if the quota functions aren't installed)
+    const quota = await fetchRenderQuota(supabase);
+
+    // Fetch user's brand settings (snapshotted onto each render; the worker overlays
+    // the logo, or the brand name as text when there is no logo)
     const { data: brandSettings } = await supabase
       .from('brand_settings')
       .select('brand_name, website_url, calendly_url, logo_url')
@@ -98,6 +130,11 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
         return NextResponse.json({ error: 'Lead CSV has no rows to render' }, { status: 422 });
       }
 
+      const quotaResponse = quotaExceededResponse(quota, totalDuration * leadCount);
+      if (quotaResponse) {
+        return quotaResponse;
+      }
+
       // Determine which CSV column should be used for the lead identifier.
       const csvScenes = scenes
         .filter((scene: { entry_type?: string | null; csv_column?: string | null; order_index?: number | null }) =>
@@ -167,6 +204,7 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
         render_id: renderRow.id,
         campaign_id: id,
         state: 'queued',
+        priority,
         lead_row_index: renderRow.lead_row_index,
       }));
 
@@ -192,6 +230,11 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
       );
     }
 
+    const quotaResponse = quotaExceededResponse(quota, totalDuration);
+    if (quotaResponse) {
+      return quotaResponse;
+    }
+
     const publicId = nanoid();
     const { data: render, error: renderError } = await supabase
       .from('renders')
@@ -222,6 +265,7 @@ export async function POST(request: Request, { params }: { params: Promise<{ id:
         render_id: render.id,
         campaign_id: id, // Add campaign_id to the insert
         state: 'queued',
+        priority,
       });
 
     if (jobError) {
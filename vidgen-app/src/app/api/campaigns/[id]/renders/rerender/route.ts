@@ -0,0 +1,201 @@
+import { createRouteHandlerClient } from '@supabase/auth-helpers-nextjs';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { nanoid } from 'nanoid';
+import {
+  fetchRenderQuota,
+  getQuotaExceededError,
+  RENDER_PRIORITIES,
+  type RenderPriority,
+} from '@/lib/utils/renderQuota';
+
+// Only settled renders can be replaced; in-flight ones would race their re-render
+const RERENDERABLE_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * POST /api/campaigns/[id]/renders/rerender
+ * Re-render a subset of the campaign's leads with the current campaign settings.
+ * Each selected render gets a new render + job for the same lead_row_index; the
+ * new render takes over the replaced render's public_id when it completes
+ * (promote_rerender in add_render_rerenders.sql), so links already sent out keep working.
+ * JSON body: { renderIds: string[] } or { failedOnly: true }, plus optional { priority: 'normal' | 'low' }
+ * Priority and the monthly minutes quota work as in POST /api/campaigns/[id]/render.
+ */
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params;
+    const supabase = createRouteHandlerClient({ cookies });
+
+    // Auth guard
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser();
+
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const requestedIds: unknown = body?.renderIds;
+    const failedOnly = body?.failedOnly === true;
+
+    if (requestedIds !== undefined) {
+      if (!Array.isArray(requestedIds) || !requestedIds.every((value) => typeof value === 'string')) {
+        return NextResponse.json({ error: 'renderIds must be an array of render ids' }, { status: 422 });
+      }
+      if (requestedIds.length === 0) {
+        return NextResponse.json({ error: 'Select at least one render' }, { status: 422 });
+      }
+    } else if (!failedOnly) {
+      return NextResponse.json({ error: 'Provide renderIds or failedOnly' }, { status: 422 });
+    }
+
+    const priorityName: string = body?.priority ?? 'normal';
+    if (!Object.keys(RENDER_PRIORITIES).includes(priorityName)) {
+      return NextResponse.json({ error: 'priority must be "normal" or "low"' }, { status: 422 });
+    }
+    const priority = RENDER_PRIORITIES[priorityName as RenderPriority];
+
+    // Verify campaign exists and user owns it (RLS will filter)
+    const { data: campaign, error: campaignError } = await supabase
+      .from('campaigns')
+      .select('id, landing_config, intro_card, outro_card')
+      .eq('id', id)
+      .single();
+
+    if (campaignError || !campaign) {
+      return NextResponse.json({ error: 'Campaign not found' }, { status: 404 });
+    }
+
+    let renderQuery = supabase
+      .from('renders')
+      .select('id, status, replaces_render_id, lead_row_index, lead_identifier')
+      .eq('campaign_id', id)
+      .is('superseded_by', null);
+
+    renderQuery = Array.isArray(requestedIds)
+      ? renderQuery.in('id', requestedIds)
+      : renderQuery.eq('status', 'failed');
+
+    const { data: selectedRenders, error: renderError } = await renderQuery;
+
+    if (renderError) {
+      console.error('[POST /api/campaigns/[id]/renders/rerender] Render query error:', renderError);
+      return NextResponse.json({ error: 'Failed to fetch renders' }, { status: 500 });
+    }
+
+    const replaced = (selectedRenders || []).filter((render) => RERENDERABLE_STATUSES.includes(render.status));
+    if (replaced.length === 0) {
+      return NextResponse.json(
+        { error: failedOnly ? 'No failed renders to re-render' : 'Selected renders are still in progress' },
+        { status: 409 }
+      );
+    }
+
+    // Same duration as a full render: current scenes plus enabled intro/outro cards
+    const { data: scenes, error: scenesError } = await supabase
+      .from('scenes')
+      .select('duration_sec')
+      .eq('campaign_id', id);
+
+    if (scenesError) {
+      console.error('[POST /api/campaigns/[id]/renders/rerender] Scenes query error:', scenesError);
+      return NextResponse.json({ error: 'Failed to fetch scenes' }, { status: 500 });
+    }
+
+    if (!scenes || scenes.length === 0) {
+      return NextResponse.json({ error: 'Campaign has no scenes' }, { status: 422 });
+    }
+
+    const cardsDuration = [campaign.intro_card, campaign.outro_card].reduce(
+      (sum, card) => sum + (card?.enabled ? card.duration_sec || 0 : 0),
+      0
+    );
+    const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration_sec, 0) + cardsDuration;
+
+    // Monthly minutes include everything already queued (null if the quota functions aren't installed)
+    const quota = await fetchRenderQuota(supabase);
+    const exceeded = getQuotaExceededError(quota, totalDuration * replaced.length);
+    if (exceeded) {
+      return NextResponse.json(
+        { error: exceeded.message, quota },
+        { status: 429, headers: { 'Retry-After': String(exceeded.retryAfterSec) } }
+      );
+    }
+
+    // Brand settings are snapshotted again, like a new render
+    const { data: brandSettings } = await supabase
+      .from('brand_settings')
+      .select('brand_name, website_url, calendly_url, logo_url')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    // A render that is itself an unpromoted re-render passes on the render it was going to replace
+    const renderRecords = replaced.map((render) => ({
+      campaign_id: id,
+      status: 'queued',
+      progress: 0,
+      public_id: nanoid(),
+      replaces_render_id: render.replaces_render_id || render.id,
+      duration_sec: totalDuration,
+      lead_row_index: render.lead_row_index,
+      lead_identifier: render.lead_identifier,
+      brand_name: brandSettings?.brand_name || null,
+      brand_website_url: brandSettings?.website_url || null,
+      brand_calendly_url: brandSettings?.calendly_url || null,
+      brand_logo_url: brandSettings?.logo_url || null,
+      landing_config: campaign.landing_config || null,
+    }));
+
+    const { data: insertedRenders, error: renderInsertError } = await supabase
+      .from('renders')
+      .insert(renderRecords)
+      .select('id, lead_row_index, replaces_render_id');
+
+    if (renderInsertError || !insertedRenders) {
+      console.error('[POST /api/campaigns/[id]/renders/rerender] Render insert error:', renderInsertError);
+      return NextResponse.json({ error: 'Failed to create renders' }, { status: 500 });
+    }
+
+    const renderIds = insertedRenders.map((row) => row.id);
+
+    const { error: jobInsertError } = await supabase.from('render_jobs').insert(
+      insertedRenders.map((row) => ({
+        render_id: row.id,
+        campaign_id: id,
+        state: 'queued',
+        priority,
+        lead_row_index: row.lead_row_index,
+      }))
+    );
+
+    if (jobInsertError) {
+      console.error('[POST /api/campaigns/[id]/renders/rerender] Job insert error:', jobInsertError);
+      await supabase.from('renders').delete().in('id', renderIds);
+      return NextResponse.json({ error: 'Failed to create render jobs' }, { status: 500 });
+    }
+
+    // Hide the replaced renders from the campaign page (they keep serving their link until then)
+    const replacementByTarget = new Map(insertedRenders.map((row) => [row.replaces_render_id, row.id]));
+    const supersedeResults = await Promise.all(
+      replaced.map((render) =>
+        supabase
+          .from('renders')
+          .update({ superseded_by: replacementByTarget.get(render.replaces_render_id || render.id) })
+          .eq('id', render.id)
+      )
+    );
+
+    const supersedeError = supersedeResults.find((result) => result.error)?.error;
+    if (supersedeError) {
+      // The re-renders are queued either way; the old rows just stay visible
+      console.error('[POST /api/campaigns/[id]/renders/rerender] Supersede error:', supersedeError);
+    }
+
+    return NextResponse.json({ renderIds, count: renderIds.length }, { status: 201 });
+  } catch (error) {
+    console.error('[POST /api/campaigns/[id]/renders/rerender] Unexpected error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,158 @@
+import { createRouteHandlerClient } from '@supabase/auth-helpers-nextjs';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { supabaseServiceRole } from '@/lib/supabase/serviceRoleClient';
+import { fetchRenderQuota, getQuotaExceededError } from '@/lib/utils/renderQuota';
+
+// Job states that no worker will pick up again on its own ('failed' predates add_job_retries.sql)
+const RETRYABLE_JOB_STATES = ['dead', 'failed'];
+
+/**
+ * POST /api/campaigns/[id]/renders/retry
+ * Put failed renders of the campaign back in the queue with fresh attempts.
+ * Optional JSON body: { renderIds: string[] } (default: every failed render)
+ */
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params;
+    const supabase = createRouteHandlerClient({ cookies });
+
+    // Auth guard
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser();
+
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // render_jobs is service-role writable only (see fix_render_jobs_rls.sql)
+    if (!supabaseServiceRole) {
+      return NextResponse.json({ error: 'Retrying renders is not configured' }, { status: 500 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const requestedIds: unknown = body?.renderIds;
+    if (
+      requestedIds !== undefined &&
+      (!Array.isArray(requestedIds) || !requestedIds.every((value) => typeof value === 'string'))
+    ) {
+      return NextResponse.json({ error: 'renderIds must be an array of render ids' }, { status: 422 });
+    }
+
+    // Ownership via RLS: only the user's own campaign's renders come back
+    let renderQuery = supabase
+      .from('renders')
+      .select('id, duration_sec, failure, error_message')
+      .eq('campaign_id', id)
+      .eq('status', 'failed')
+      .is('superseded_by', null);
+
+    if (Array.isArray(requestedIds)) {
+      if (requestedIds.length === 0) {
+        return NextResponse.json({ renderIds: [], count: 0 });
+      }
+      renderQuery = renderQuery.in('id', requestedIds);
+    }
+
+    const { data: failedRenders, error: renderError } = await renderQuery;
+
+    if (renderError) {
+      console.error('[POST /api/campaigns/[id]/renders/retry] Render query error:', renderError);
+      return NextResponse.json({ error: 'Failed to fetch renders' }, { status: 500 });
+    }
+
+    if (!failedRenders || failedRenders.length === 0) {
+      return NextResponse.json({ error: 'No failed renders to retry' }, { status: 409 });
+    }
+
+    // Retried renders count against the monthly minutes like new ones
+    const quota = await fetchRenderQuota(supabase);
+    const requestedSeconds = failedRenders.reduce((sum, render) => sum + (render.duration_sec || 0), 0);
+    const exceeded = getQuotaExceededError(quota, requestedSeconds);
+    if (exceeded) {
+      return NextResponse.json(
+        { error: exceeded.message, quota },
+        { status: 429, headers: { 'Retry-After': String(exceeded.retryAfterSec) } }
+      );
+    }
+
+    // Renders go back to queued before their jobs do: once a job is queued a worker may
+    // claim it and write 'recording', which must not be overwritten with 'queued' here.
+    // Only renders that are still failed are touched (a concurrent retry got the rest).
+    const now = new Date().toISOString();
+    const { data: resetRenders, error: statusError } = await supabase
+      .from('renders')
+      .update({
+        status: 'queued',
+        progress: 0,
+        failure: null,
+        error_message: null,
+        updated_at: now,
+      })
+      .in(
+        'id',
+        failedRenders.map((render) => render.id)
+      )
+      .eq('status', 'failed')
+      .select('id');
+
+    if (statusError) {
+      console.error('[POST /api/campaigns/[id]/renders/retry] Status update error:', statusError);
+      return NextResponse.json({ error: 'Failed to requeue renders' }, { status: 500 });
+    }
+
+    const resetIds = (resetRenders || []).map((render) => render.id as string);
+    if (resetIds.length === 0) {
+      return NextResponse.json({ error: 'No failed renders to retry' }, { status: 409 });
+    }
+
+    const { data: requeuedJobs, error: jobError } = await supabaseServiceRole
+      .from('render_jobs')
+      .update({
+        state: 'queued',
+        attempts: 0,
+        next_attempt_at: null,
+        failure: null,
+        error_message: null,
+        updated_at: now,
+      })
+      .in('render_id', resetIds)
+      .in('state', RETRYABLE_JOB_STATES)
+      .select('render_id');
+
+    const renderIds = jobError ? [] : (requeuedJobs || []).map((job) => job.render_id as string);
+
+    // Renders whose job was not requeued go back to failed with their failure
+    const notRequeued = failedRenders.filter(
+      (render) => resetIds.includes(render.id) && !renderIds.includes(render.id)
+    );
+    await Promise.all(
+      notRequeued.map(async (render) => {
+        const { error: restoreError } = await supabase
+          .from('renders')
+          .update({ status: 'failed', failure: render.failure, error_message: render.error_message })
+          .eq('id', render.id)
+          .eq('status', 'queued');
+        if (restoreError) {
+          console.error('[POST /api/campaigns/[id]/renders/retry] Status restore error:', restoreError);
+        }
+      })
+    );
+
+    if (jobError) {
+      console.error('[POST /api/campaigns/[id]/renders/retry] Job update error:', jobError);
+      return NextResponse.json({ error: 'Failed to requeue render jobs' }, { status: 500 });
+    }
+
+    if (renderIds.length === 0) {
+      return NextResponse.json({ error: 'No failed renders to retry' }, { status: 409 });
+    }
+
+    return NextResponse.json({ renderIds, count: renderIds.length });
+  } catch (error) {
+    console.error('[POST /api/campaigns/[id]/renders/retry] Unexpected error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -21,9 +21,10 @@ export async function GET(request: Request, { params }: { params: Promise<{ id:
     const { data: renders, error: renderError } = await supabase
       .from('renders')
       .select(
-        'id, status, progress, public_id, final_video_url, thumb_url, error, lead_row_index, lead_identifier, created_at'
+        'id, status, progress, public_id, final_video_url, thumb_url, gif_url, play_thumb_url, error, lead_row_index, lead_identifier, cancel_requested, failure, current_scene_index, scene_count, eta_at, created_at'
       )
       .eq('campaign_id', id)
+      .is('superseded_by', null) // Renders replaced by a lead re-render are history
       .order('created_at', { ascending: false });
 
     if (renderError) {
@@ -4,8 +4,94 @@ import { cookies } from 'next/headers';
 import { NextResponse } from 'next/server';
 import { z } from 'zod';
 import { normalizeUrl } from '@/lib/utils/url';
+import { findUnknownTemplateVariables } from '@/lib/utils/templates';
+import { HME_PROFILES, type HmeProfile } from '@/lib/utils/hmeProfiles';
+import { SCENE_DEVICES, type SceneDevice } from '@/lib/utils/sceneDevices';
+import { encryptRecordingAuth, isRecordingAuthConfigured } from '@/lib/utils/recordingAuth';
 import { uploadFacecam, uploadLeadCsv } from '@/lib/supabase/storage';
 
+// Text overlay template, e.g. "Hey {{first_name}}" (times are scene-relative)
+const overlaySchema = z
+  .object({
+    text: z.string().trim().min(1, 'Overlay text is required').max(200, 'Overlay text must be ≤ 200 characters'),
+    start_sec: z.number().nonnegative().default(0),
+    end_sec: z.number().positive().optional(),
+    style: z.enum(['lower_third', 'title']).default('lower_third'),
+    position: z
+      .enum(['top-left', 'top-center', 'top-right', 'center', 'bottom-left', 'bottom-center', 'bottom-right'])
+      .optional(),
+    font: z.string().max(64).optional(),
+    font_size: z.number().int().min(12).max(200).optional(),
+    font_color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Font color must be a hex color like #FFFFFF').optional(),
+  })
+  .refine((overlay) => overlay.end_sec === undefined || overlay.end_sec > overlay.start_sec, {
+    message: 'Overlay end must be after its start',
+    path: ['end_sec'],
+  });
+
+// Scripted recording actions (loom-lite/src/recording/actions.js); scenes without
+// actions are driven by the Human Motion Engine instead
+const sceneActionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('wait'), ms: z.number().int().min(100).max(60000) }),
+  z.object({ type: z.literal('clickText'), text: z.string().trim().min(1).max(100) }),
+  z.object({
+    type: z.literal('highlight'),
+    text: z.string().trim().min(1).max(100),
+    ms: z.number().int().min(500).max(10000).optional(),
+  }),
+  z.object({
+    type: z.literal('scroll'),
+    pattern: z.enum(['slow-drift', 'pause-peek']).optional(),
+    ms: z.number().int().min(1000).max(300000).optional(),
+  }),
+]);
+
+type SceneAction = z.infer<typeof sceneActionSchema>;
+
+// Places the Human Motion Engine must scroll to and dwell on (loom-lite/src/hme/beats.js focusTarget);
+// dwell_share is the fraction of the scene spent there (worker default 0.25)
+const focusTargetSchema = z.object({
+  type: z.enum(['selector', 'text', 'anchor']),
+  value: z.string().trim().min(1).max(200),
+  dwell_share: z.number().min(0.05).max(0.6).optional(),
+});
+
+type FocusTarget = z.infer<typeof focusTargetSchema>;
+
+// Second website shown next to / inside the scene's own (loom-lite/src/compose/compositeScene.js)
+const compositeSchema = z
+  .object({
+    layout: z.enum(['side_by_side', 'pip']),
+    entry_type: z.enum(['manual', 'csv']).optional(),
+    url: z.string().trim().max(2000).optional(),
+    csv_column: z.string().trim().optional(),
+    primary_label: z.string().trim().max(60, 'Labels must be 60 characters or fewer').optional(),
+    secondary_label: z.string().trim().max(60, 'Labels must be 60 characters or fewer').optional(),
+  })
+  .refine(
+    (composite) => (composite.entry_type === 'csv' ? !!composite.csv_column : !!composite.url),
+    {
+      message: 'The second site needs a URL (or a CSV column for CSV sites)',
+      path: ['url'],
+    }
+  );
+
+type CompositeScene = z.infer<typeof compositeSchema>;
+
+// Mirrors the time budget recordScene consumes per action
+const actionDurationMs = (action: SceneAction) => {
+  switch (action.type) {
+    case 'wait':
+      return action.ms;
+    case 'clickText':
+      return 800;
+    case 'highlight':
+      return action.ms ?? 2000;
+    case 'scroll':
+      return action.ms ?? 1000;
+  }
+};
+
 // Zod schema for POST /api/campaigns (when using JSON)
 const sceneSchema = z
   .object({
@@ -13,6 +99,21 @@ const sceneSchema = z
     url: z.string().min(1, 'URL is required'),
     duration_sec: z.number().int().positive().max(300, 'Scene duration must be ≤ 300s'),
     csv_column: z.string().optional(),
+    overlays: z.array(overlaySchema).max(5, 'At most 5 overlays per scene').optional(),
+    actions: z.array(sceneActionSchema).max(20, 'At most 20 actions per scene').optional(),
+    // Hide cookie banners / chat widgets before recording (loom-lite/src/recording/pageCleanup.js)
+    page_cleanup: z.boolean().optional(),
+    // Overrides the campaign's behavior profile for this scene
+    hme_profile: z.enum(HME_PROFILES).optional(),
+    focus_targets: z.array(focusTargetSchema).max(3, 'At most 3 focus targets per scene').optional(),
+    // Motion engine seed: integer to replay a trace, or a {{column}} template to vary per lead
+    hme_seed: z.string().trim().max(200, 'Seed must be 200 characters or fewer').optional(),
+    // Record as a phone/tablet and frame it in a device mockup (desktop when omitted)
+    device: z.enum(SCENE_DEVICES).optional(),
+    // Show a second website side by side or as picture-in-picture
+    composite: compositeSchema.optional(),
+    // 'screenshot' scrolls a full-page screenshot instead of recording (sites that block automation)
+    capture_mode: z.enum(['live', 'screenshot']).optional(),
   })
   .refine(
     (scene) => (scene.entry_type === 'csv' ? !!scene.csv_column?.trim() : true),
@@ -20,8 +121,129 @@ const sceneSchema = z
       message: 'CSV column is required for CSV scenes',
       path: ['csv_column'],
     }
+  )
+  .refine(
+    (scene) =>
+      (scene.overlays ?? []).every(
+        (overlay) => overlay.start_sec < scene.duration_sec && (overlay.end_sec ?? 0) <= scene.duration_sec
+      ),
+    {
+      message: 'Overlay timing must fall within the scene duration',
+      path: ['overlays'],
+    }
+  )
+  .refine(
+    (scene) =>
+      (scene.actions ?? []).reduce((sum, action) => sum + actionDurationMs(action), 0) <=
+      scene.duration_sec * 1000,
+    {
+      message: 'Scene actions take longer than the scene duration',
+      path: ['actions'],
+    }
+  )
+  .refine(
+    (scene) => !(scene.composite && scene.device),
+    {
+      message: 'Two-site scenes are recorded as desktop; remove the device',
+      path: ['device'],
+    }
+  )
+  .refine(
+    (scene) => (scene.focus_targets ?? []).reduce((sum, target) => sum + (target.dwell_share ?? 0.25), 0) <= 0.7,
+    {
+      message: 'Focus targets can take at most 70% of the scene',
+      path: ['focus_targets'],
+    }
   );
 
+type SceneOverlay = z.infer<typeof overlaySchema>;
+
+// Intro/outro card; logo, brand name and Calendly URL come from brand settings at render time
+const titleCardSchema = z
+  .object({
+    enabled: z.boolean().default(true),
+    duration_sec: z.number().int().min(1).max(15, 'Title cards must be ≤ 15s'),
+    headline: z.string().trim().max(120).default(''),
+    cta_text: z.string().trim().max(160).default(''),
+    background: z
+      .object({
+        type: z.enum(['solid', 'gradient']),
+        colors: z.array(z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Colors must be hex like #0F172A')).min(1).max(2),
+      })
+      .optional(),
+    show_calendly: z.boolean().default(true),
+  })
+  .nullable()
+  .optional();
+
+type TitleCard = z.infer<typeof titleCardSchema>;
+
+// Cursor skin for recordings (loom-lite/src/hme/cursor.js)
+const cursorSettingsSchema = z
+  .object({
+    style: z.enum(['dot', 'mac', 'windows', 'spotlight']),
+    auto_hand: z.boolean().default(true),
+    click_ripple: z.boolean().default(true),
+  })
+  .nullable()
+  .optional();
+
+type CursorSettings = z.infer<typeof cursorSettingsSchema>;
+
+// Camera zoom on HME focus events (loom-lite/src/compose/cameraZoom.js)
+const cameraSettingsSchema = z
+  .object({
+    enabled: z.boolean(),
+    max_zoom: z.number().min(1).max(3).default(1.6),
+    ease_ms: z.number().int().min(100).max(3000).default(600),
+    easing: z.enum(['smooth', 'linear']).default('smooth'),
+  })
+  .nullable()
+  .optional();
+
+type CameraSettings = z.infer<typeof cameraSettingsSchema>;
+
+// Signed-in recording (loom-lite/src/recording/auth.js): a Playwright storage state,
+// scripted login steps, or both. Stored encrypted, never returned by the API.
+const loginStepSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('goto'), url: z.string().trim().min(1).max(2000) }),
+  z.object({ type: z.literal('fill'), selector: z.string().trim().min(1).max(300), value: z.string().max(2000) }),
+  z.object({ type: z.literal('click'), selector: z.string().trim().min(1).max(300) }),
+  z.object({
+    type: z.literal('press'),
+    key: z.string().trim().min(1).max(50),
+    selector: z.string().trim().min(1).max(300).optional(),
+  }),
+  z.object({ type: z.literal('wait'), ms: z.number().int().min(100).max(30000) }),
+  z.object({ type: z.literal('wait_for'), selector: z.string().trim().min(1).max(300) }),
+]);
+
+const storageStateSchema = z.object({
+  cookies: z.array(z.record(z.string(), z.unknown())).max(500),
+  origins: z
+    .array(
+      z.object({
+        origin: z.string(),
+        localStorage: z.array(z.object({ name: z.string(), value: z.string() })),
+      })
+    )
+    .max(50)
+    .default([]),
+});
+
+const recordingAuthSchema = z
+  .object({
+    storage_state: storageStateSchema.optional(),
+    login_actions: z.array(loginStepSchema).max(20, 'At most 20 login steps').optional(),
+  })
+  .refine((auth) => !!auth.storage_state || (auth.login_actions?.length ?? 0) > 0, {
+    message: 'Provide a storage state or at least one login step',
+  })
+  .nullable()
+  .optional();
+
+type RecordingAuth = z.infer<typeof recordingAuthSchema>;
+
 const csvMetaSchema = z
   .object({
     rowCount: z.number().int().nonnegative(),
@@ -35,6 +257,12 @@ const createCampaignSchema = z.object({
   name: z.string().min(1, 'Campaign name is required'),
   scenes: z.array(sceneSchema).min(1, 'At least one scene is required'),
   csv_meta: csvMetaSchema,
+  intro_card: titleCardSchema,
+  outro_card: titleCardSchema,
+  hme_profile: z.enum(HME_PROFILES).optional(),
+  cursor_settings: cursorSettingsSchema,
+  camera_settings: cameraSettingsSchema,
+  recording_auth: recordingAuthSchema,
 });
 
 /**
@@ -129,10 +357,25 @@ export async function POST(request: Request) {
       url: string;
       duration_sec: number;
       csv_column?: string;
+      overlays?: SceneOverlay[];
+      actions?: SceneAction[];
+      page_cleanup?: boolean;
+      hme_profile?: HmeProfile;
+      focus_targets?: FocusTarget[];
+      hme_seed?: string;
+      device?: SceneDevice;
+      composite?: CompositeScene;
+      capture_mode?: 'live' | 'screenshot';
     }>;
     let facecamFile: File | null = null;
     let leadCsvFile: File | null = null;
     let csvMeta: { rowCount: number; headers: string[]; filename?: string } | null = null;
+    let introCard: TitleCard = null;
+    let outroCard: TitleCard = null;
+    let hmeProfile: HmeProfile | null = null;
+    let cursorSettings: CursorSettings = null;
+    let cameraSettings: CameraSettings = null;
+    let recordingAuth: RecordingAuth = null;
 
     if (contentType.includes('multipart/form-data')) {
       // Handle FormData (with facecam)
@@ -157,6 +400,12 @@ export async function POST(request: Request) {
       name = result.data.name;
       scenes = result.data.scenes;
       csvMeta = result.data.csv_meta ?? null;
+      introCard = result.data.intro_card ?? null;
+      outroCard = result.data.outro_card ?? null;
+      hmeProfile = result.data.hme_profile ?? null;
+      cursorSettings = result.data.cursor_settings ?? null;
+      cameraSettings = result.data.camera_settings ?? null;
+      recordingAuth = result.data.recording_auth ?? null;
 
       // Extract facecam file
       const facecam = formData.get('facecam');
@@ -194,6 +443,12 @@ export async function POST(request: Request) {
       name = result.data.name;
       scenes = result.data.scenes;
       csvMeta = result.data.csv_meta ?? null;
+      introCard = result.data.intro_card ?? null;
+      outroCard = result.data.outro_card ?? null;
+      hmeProfile = result.data.hme_profile ?? null;
+      cursorSettings = result.data.cursor_settings ?? null;
+      cameraSettings = result.data.camera_settings ?? null;
+      recordingAuth = result.data.recording_auth ?? null;
     }
 
     // Ensure entry_type defaults to manual when omitted
@@ -208,6 +463,24 @@ export async function POST(request: Request) {
       csv_column: scene.entry_type === 'csv' ? scene.csv_column ?? null : null,
       duration_sec: scene.duration_sec,
       url: normalizeUrl(scene.url),
+      overlays: scene.overlays ?? [],
+      actions: scene.actions ?? [],
+      page_cleanup: scene.page_cleanup ?? true,
+      hme_profile: scene.hme_profile ?? null,
+      focus_targets: scene.focus_targets ?? [],
+      hme_seed: scene.hme_seed || null,
+      device: scene.device ?? null,
+      composite: scene.composite
+        ? {
+            layout: scene.composite.layout,
+            entry_type: scene.composite.entry_type ?? 'manual',
+            url: scene.composite.entry_type === 'csv' ? null : normalizeUrl(scene.composite.url ?? ''),
+            csv_column: scene.composite.entry_type === 'csv' ? scene.composite.csv_column ?? null : null,
+            primary_label: scene.composite.primary_label || null,
+            secondary_label: scene.composite.secondary_label || null,
+          }
+        : null,
+      capture_mode: scene.capture_mode ?? 'live',
     }));
 
     // Check for invalid URLs
@@ -220,8 +493,20 @@ export async function POST(request: Request) {
       return NextResponse.json({ error: message }, { status: 422 });
     }
 
+    const invalidComposite = preparedScenes.findIndex(
+      (s) => s.composite && s.composite.entry_type === 'manual' && s.composite.url === null
+    );
+    if (invalidComposite !== -1) {
+      return NextResponse.json(
+        { error: `Invalid second site URL in scene ${invalidComposite + 1}` },
+        { status: 422 }
+      );
+    }
+
     // Validate total duration ≤ 300s (5 minutes)
-    const usesCsvScenes = preparedScenes.some((scene) => scene.entry_type === 'csv');
+    const usesCsvScenes = preparedScenes.some(
+      (scene) => scene.entry_type === 'csv' || scene.composite?.entry_type === 'csv'
+    );
 
     if (usesCsvScenes && !leadCsvFile) {
       return NextResponse.json(
@@ -237,7 +522,68 @@ export async function POST(request: Request) {
       );
     }
 
-    const totalDuration = preparedScenes.reduce((sum, scene) => sum + scene.duration_sec, 0);
+    // Overlay and seed {{variables}} must name a column of the lead CSV
+    const csvHeaderNames = csvMeta?.headers ?? [];
+    for (const [index, scene] of preparedScenes.entries()) {
+      for (const overlay of scene.overlays) {
+        const unknown = findUnknownTemplateVariables(overlay.text, csvHeaderNames);
+        if (unknown.length > 0) {
+          const message =
+            csvHeaderNames.length > 0
+              ? `Scene ${index + 1} overlay uses unknown CSV column(s): ${unknown.join(', ')}`
+              : `Scene ${index + 1} overlay uses template variables (${unknown.join(', ')}) but no lead CSV was provided`;
+          return NextResponse.json({ error: message }, { status: 422 });
+        }
+      }
+
+      const unknownSeedColumns = scene.hme_seed ? findUnknownTemplateVariables(scene.hme_seed, csvHeaderNames) : [];
+      if (unknownSeedColumns.length > 0) {
+        return NextResponse.json(
+          { error: `Scene ${index + 1} motion seed uses unknown CSV column(s): ${unknownSeedColumns.join(', ')}` },
+          { status: 422 }
+        );
+      }
+
+      if (scene.composite) {
+        const { csv_column: compositeColumn, primary_label, secondary_label } = scene.composite;
+        if (compositeColumn && !csvHeaderNames.includes(compositeColumn)) {
+          return NextResponse.json(
+            { error: `Scene ${index + 1} second site uses unknown CSV column "${compositeColumn}"` },
+            { status: 422 }
+          );
+        }
+
+        const unknownLabelColumns = [primary_label, secondary_label].flatMap((label) =>
+          label ? findUnknownTemplateVariables(label, csvHeaderNames) : []
+        );
+        if (unknownLabelColumns.length > 0) {
+          return NextResponse.json(
+            { error: `Scene ${index + 1} labels use unknown CSV column(s): ${unknownLabelColumns.join(', ')}` },
+            { status: 422 }
+          );
+        }
+      }
+    }
+
+    // Disabled cards are not stored
+    const titleCards = { intro: introCard?.enabled ? introCard : null, outro: outroCard?.enabled ? outroCard : null };
+    for (const [kind, card] of Object.entries(titleCards)) {
+      if (!card) continue;
+      const unknown = [card.headline, card.cta_text].flatMap((text) =>
+        findUnknownTemplateVariables(text, csvHeaderNames)
+      );
+      if (unknown.length > 0) {
+        return NextResponse.json(
+          { error: `The ${kind} card uses unknown CSV column(s): ${Array.from(new Set(unknown)).join(', ')}` },
+          { status: 422 }
+        );
+      }
+    }
+
+    // Title cards play as scenes, so they count towards the limit
+    const cardsDuration = (titleCards.intro?.duration_sec ?? 0) + (titleCards.outro?.duration_sec ?? 0);
+    const totalDuration =
+      preparedScenes.reduce((sum, scene) => sum + scene.duration_sec, 0) + cardsDuration;
     if (totalDuration > 300) {
       return NextResponse.json(
         { error: 'Total campaign duration exceeds 300s (5 minutes)' },
@@ -245,6 +591,15 @@ export async function POST(request: Request) {
       );
     }
 
+    // Signed-in recording needs the shared key the worker decrypts with
+    if (recordingAuth && !isRecordingAuthConfigured()) {
+      return NextResponse.json(
+        { error: 'Signed-in recording is not configured on this server (RECORDING_AUTH_KEY)' },
+        { status: 422 }
+      );
+    }
+    const encryptedRecordingAuth = recordingAuth ? encryptRecordingAuth(recordingAuth) : null;
+
     // If facecam is provided, validate that we have scenes
     if (facecamFile) {
       // Note: We can't easily validate exact video duration here without ffprobe
@@ -309,6 +664,12 @@ export async function POST(request: Request) {
         lead_csv_filename: leadCsvFilename,
         lead_row_count: leadRowCount,
         csv_headers: csvHeaders.length > 0 ? csvHeaders : null,
+        intro_card: titleCards.intro,
+        outro_card: titleCards.outro,
+        hme_profile: hmeProfile,
+        cursor_settings: cursorSettings,
+        camera_settings: cameraSettings,
+        recording_auth: encryptedRecordingAuth,
       })
       .select('id')
       .single();
@@ -332,6 +693,15 @@ export async function POST(request: Request) {
         order_index: index,
         entry_type: scene.entry_type,
         csv_column: scene.csv_column,
+        overlays: scene.overlays.length > 0 ? scene.overlays : null,
+        actions: scene.actions.length > 0 ? scene.actions : null,
+        page_cleanup: scene.page_cleanup,
+        hme_profile: scene.hme_profile,
+        focus_targets: scene.focus_targets.length > 0 ? scene.focus_targets : null,
+        hme_seed: scene.hme_seed,
+        device: scene.device,
+        composite: scene.composite,
+        capture_mode: scene.capture_mode,
       })),
       { returning: 'minimal' }
     );
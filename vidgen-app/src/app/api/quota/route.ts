@@ -0,0 +1,33 @@
+import { createRouteHandlerClient } from '@supabase/auth-helpers-nextjs';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { fetchRenderQuota } from '@/lib/utils/renderQuota';
+
+/**
+ * GET /api/quota
+ * The signed-in user's render quota: concurrent jobs and monthly minutes
+ */
+export async function GET() {
+  try {
+    const supabase = createRouteHandlerClient({ cookies });
+
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser();
+
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const quota = await fetchRenderQuota(supabase);
+    if (!quota) {
+      return NextResponse.json({ error: 'Failed to load quota' }, { status: 500 });
+    }
+
+    return NextResponse.json({ quota });
+  } catch (error) {
+    console.error('[GET /api/quota] Unexpected error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,131 @@
+import { createRouteHandlerClient } from '@supabase/auth-helpers-nextjs';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { supabaseServiceRole } from '@/lib/supabase/serviceRoleClient';
+
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+// The worker checks for cancellation for the last time before it starts uploading
+const UNCANCELLABLE_STATUSES = ['uploading'];
+
+/**
+ * POST /api/renders/[id]/cancel
+ * Request cancellation of a queued or in-flight render.
+ * Queued renders are cancelled immediately; in-flight renders are flagged and
+ * the worker tears down the pipeline on its next cancellation check. Renders
+ * that are already uploading can no longer be cancelled (409).
+ */
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params;
+    const supabase = createRouteHandlerClient({ cookies });
+
+    // Auth guard
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser();
+
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Ownership check via campaign join (RLS filters by user_id)
+    const { data: render, error: renderError } = await supabase
+      .from('renders')
+      .select(
+        `
+        id,
+        status,
+        cancel_requested,
+        campaigns!inner (id)
+      `
+      )
+      .eq('id', id)
+      .single();
+
+    if (renderError || !render) {
+      return NextResponse.json({ error: 'Render not found' }, { status: 404 });
+    }
+
+    if (TERMINAL_STATUSES.includes(render.status)) {
+      return NextResponse.json(
+        { error: `Render is already ${render.status}` },
+        { status: 409 }
+      );
+    }
+
+    if (UNCANCELLABLE_STATUSES.includes(render.status)) {
+      return NextResponse.json(
+        { error: 'Render is already uploading and can no longer be cancelled' },
+        { status: 409 }
+      );
+    }
+
+    // render_jobs is service-role writable only (see fix_render_jobs_rls.sql); without it
+    // a queued render would only be dropped once a worker claims it
+    if (render.status === 'queued' && !supabaseServiceRole) {
+      return NextResponse.json({ error: 'Cancelling queued renders is not configured' }, { status: 500 });
+    }
+
+    const now = new Date().toISOString();
+
+    // Flag the render first so a worker that claims it concurrently still stops.
+    // The status filter catches a render that moved past the last check since it was read.
+    const { data: flagged, error: flagError } = await supabase
+      .from('renders')
+      .update({ cancel_requested: true, cancel_requested_at: now })
+      .eq('id', id)
+      .not('status', 'in', `(${[...TERMINAL_STATUSES, ...UNCANCELLABLE_STATUSES].join(',')})`)
+      .select('id');
+
+    if (flagError) {
+      console.error('[POST /api/renders/[id]/cancel] Flag error:', flagError);
+      return NextResponse.json({ error: 'Failed to cancel render' }, { status: 500 });
+    }
+
+    if (!flagged || flagged.length === 0) {
+      return NextResponse.json(
+        { error: 'Render is already finishing and can no longer be cancelled' },
+        { status: 409 }
+      );
+    }
+
+    // Still queued: pull the job out of the queue so no worker ever claims it
+    if (render.status === 'queued' && supabaseServiceRole) {
+      const { data: cancelledJobs, error: jobError } = await supabaseServiceRole
+        .from('render_jobs')
+        .update({ state: 'cancelled', updated_at: now })
+        .eq('render_id', id)
+        .eq('state', 'queued')
+        .select('id');
+
+      if (jobError) {
+        console.error('[POST /api/renders/[id]/cancel] Job update error:', jobError);
+        return NextResponse.json({ error: 'Failed to cancel render' }, { status: 500 });
+      }
+
+      if (cancelledJobs && cancelledJobs.length > 0) {
+        const { error: statusError } = await supabase
+          .from('renders')
+          .update({ status: 'cancelled', cancelled_at: now })
+          .eq('id', id);
+
+        if (statusError) {
+          console.error('[POST /api/renders/[id]/cancel] Status update error:', statusError);
+          return NextResponse.json({ error: 'Failed to cancel render' }, { status: 500 });
+        }
+
+        return NextResponse.json({ id, status: 'cancelled', cancel_requested: true });
+      }
+    }
+
+    // In flight (or claimed in the meantime): the worker finishes the cancellation
+    return NextResponse.json(
+      { id, status: render.status, cancel_requested: true },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('[POST /api/renders/[id]/cancel] Unexpected error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -34,6 +34,8 @@ export async function GET(request: Request, { params }: { params: Promise<{ id:
         public_id,
         final_video_url,
         thumb_url,
+        gif_url,
+        play_thumb_url,
         error,
         campaign_id,
         campaigns!inner (id)
@@ -56,6 +58,8 @@ export async function GET(request: Request, { params }: { params: Promise<{ id:
       public_id: render.public_id,
       final_video_url: render.final_video_url,
       thumb_url: render.thumb_url,
+      gif_url: render.gif_url,
+      play_thumb_url: render.play_thumb_url,
       error: render.error,
     });
   } catch (error) {
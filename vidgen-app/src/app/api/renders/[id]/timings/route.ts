@@ -0,0 +1,68 @@
+import { createRouteHandlerClient } from '@supabase/auth-helpers-nextjs';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+
+/**
+ * GET /api/renders/[id]/timings
+ * Per-stage timings of the render's latest attempt (see add_render_stage_timings.sql)
+ */
+export async function GET(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params;
+    const supabase = createRouteHandlerClient({ cookies });
+
+    // Auth guard
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser();
+
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Ownership check via campaign join (RLS filters by user_id)
+    const { data: render, error: renderError } = await supabase
+      .from('renders')
+      .select('id, campaigns!inner (id)')
+      .eq('id', id)
+      .single();
+
+    if (renderError || !render) {
+      return NextResponse.json({ error: 'Render not found' }, { status: 404 });
+    }
+
+    const { data: rows, error: timingsError } = await supabase
+      .from('render_stage_timings')
+      .select('attempt, outcome, stage, scene_index, duration_ms, ok, started_at')
+      .eq('render_id', id)
+      .order('attempt', { ascending: false })
+      .order('started_at', { ascending: true });
+
+    if (timingsError) {
+      console.error('[GET /api/renders/[id]/timings] Timings query error:', timingsError);
+      return NextResponse.json({ error: 'Failed to fetch timings' }, { status: 500 });
+    }
+
+    if (!rows || rows.length === 0) {
+      return NextResponse.json({ attempt: null, outcome: null, timings: [] });
+    }
+
+    // Earlier attempts of a retried render are left out of the breakdown
+    const { attempt, outcome } = rows[0];
+    const timings = rows
+      .filter((row) => row.attempt === attempt)
+      .map(({ stage, scene_index, duration_ms, ok, started_at }) => ({
+        stage,
+        scene_index,
+        duration_ms,
+        ok,
+        started_at,
+      }));
+
+    return NextResponse.json({ attempt, outcome, timings });
+  } catch (error) {
+    console.error('[GET /api/renders/[id]/timings] Unexpected error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
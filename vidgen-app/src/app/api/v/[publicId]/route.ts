@@ -17,7 +17,7 @@ export async function GET(request: Request, { params }: { params: Promise<{ publ
     // Only return completed renders with video URLs
     const { data: render, error: renderError } = await supabase
       .from('renders')
-      .select('id, final_video_url, thumb_url, duration_sec, status, public_id')
+      .select('id, final_video_url, hls_url, thumb_url, duration_sec, status, public_id')
       .eq('public_id', publicId)
       .single();
 
@@ -35,6 +35,7 @@ export async function GET(request: Request, { params }: { params: Promise<{ publ
     return NextResponse.json({
       public_id: render.public_id,
       final_video_url: render.final_video_url,
+      hls_url: render.hls_url,
       thumb_url: render.thumb_url,
       duration_sec: render.duration_sec,
     });
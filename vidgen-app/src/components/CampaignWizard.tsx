@@ -2,6 +2,9 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { findUnknownTemplateVariables } from '@/lib/utils/templates';
+import { HME_PROFILES, HME_PROFILE_LABELS, type HmeProfile } from '@/lib/utils/hmeProfiles';
+import { SCENE_DEVICES, SCENE_DEVICE_LABELS, type SceneDevice } from '@/lib/utils/sceneDevices';
 
 interface CampaignWizardProps {
   isOpen: boolean;
@@ -15,6 +18,21 @@ interface CSVData {
   data: string[][];
 }
 
+// Recording action DSL (see loom-lite/src/recording/actions.js)
+interface SceneAction {
+  type: 'wait' | 'clickText' | 'highlight' | 'scroll';
+  ms?: number;
+  text?: string;
+  pattern?: 'slow-drift' | 'pause-peek';
+}
+
+const ACTION_DEFAULTS: Record<SceneAction['type'], SceneAction> = {
+  wait: { type: 'wait', ms: 2000 },
+  clickText: { type: 'clickText', text: '' },
+  highlight: { type: 'highlight', text: '', ms: 2000 },
+  scroll: { type: 'scroll', pattern: 'slow-drift', ms: 8000 },
+};
+
 const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
   const router = useRouter();
 
@@ -47,10 +65,25 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
 
   // Target rows state
   const [targetRows, setTargetRows] = useState([
-    { id: 0, entryType: 'manual', urlValue: '', duration: 30 }
+    { id: 0, entryType: 'manual', urlValue: '', duration: 30, overlayText: '', focusText: '', actions: [] as SceneAction[], pageCleanup: true, device: '' as SceneDevice | '', compareUrl: '', compareLayout: 'side_by_side' as 'side_by_side' | 'pip', primaryLabel: '', compareLabel: '', screenshotOnly: false }
   ]);
   const [nextRowId, setNextRowId] = useState(1);
 
+  // Intro/outro title cards (rendered by the worker as extra scenes)
+  const [titleCards, setTitleCards] = useState({
+    intro: { enabled: false, duration: 3, headline: '', ctaText: '' },
+    outro: { enabled: false, duration: 5, headline: '', ctaText: '' },
+  });
+
+  // Motion engine behavior profile for scenes without scripted actions
+  const [hmeProfile, setHmeProfile] = useState<HmeProfile>('default');
+  // CSV column whose value seeds the motion per lead ('' = same motion for every lead)
+  const [motionSeedColumn, setMotionSeedColumn] = useState('');
+  const [cursorStyle, setCursorStyle] = useState<'dot' | 'mac' | 'windows' | 'spotlight'>('dot');
+  const [cameraZoom, setCameraZoom] = useState<'off' | 'subtle' | 'strong'>('off');
+  // Pasted Playwright storage state (object) or login steps (array), for pages behind a login
+  const [recordingAuthText, setRecordingAuthText] = useState('');
+
   // Status message state
   const [statusMessage, setStatusMessage] = useState({ type: '', message: '', icon: '' });
   const statusMessageTimeoutRef = useRef<NodeJS.Timeout | null>(null);
@@ -81,9 +114,14 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
     }
   }, [isOpen]);
 
+  // Seconds taken by enabled title cards
+  const getTitleCardsDuration = () =>
+    (titleCards.intro.enabled ? titleCards.intro.duration : 0) +
+    (titleCards.outro.enabled ? titleCards.outro.duration : 0);
+
   // Calculate total duration
   const calculateTotalDuration = () => {
-    let total = 0;
+    let total = getTitleCardsDuration();
     targetRows.forEach(row => {
       const url = row.urlValue.trim();
 
@@ -123,7 +161,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
 
       scenesTotal += parseInt(String(row.duration)) || 0;
     });
-    const remaining = facecamDurationSec - scenesTotal;
+    const remaining = facecamDurationSec - scenesTotal - getTitleCardsDuration();
     console.log(`[Remaining Debug] Facecam: ${facecamDurationSec}s, Scenes: ${scenesTotal}s, Remaining: ${remaining}s`);
     return remaining;
   };
@@ -184,7 +222,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
     if (currentStep === 2) {
       updateDurationHeader();
     }
-  }, [targetRows, facecamDurationSec, currentStep]);
+  }, [targetRows, titleCards, facecamDurationSec, currentStep]);
 
   // Helper function to generate CSV column options
   const getCSVColumnOptions = () => {
@@ -369,7 +407,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       if (currentStep === 2) {
         setTimeout(() => updateDurationHeader(), 0);
       }
-      syncDurationsToFacecam(duration);
+      syncDurationsToFacecam(duration - getTitleCardsDuration());
     } catch (error: any) {
       console.error('[Duration] Failed to extract video duration', error);
       alert('Failed to extract video duration. Please try uploading the video again.');
@@ -445,7 +483,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       }
 
       if (facecamDurationSec > 0) {
-        syncDurationsToFacecam(facecamDurationSec);
+        syncDurationsToFacecam(facecamDurationSec - getTitleCardsDuration());
       }
     }
   };
@@ -453,7 +491,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
   // Handle add website
   const handleAddWebsite = () => {
     if (targetRows.length < 5) {
-      setTargetRows([...targetRows, { id: nextRowId, entryType: 'manual', urlValue: '', duration: 30 }]);
+      setTargetRows([...targetRows, { id: nextRowId, entryType: 'manual', urlValue: '', duration: 30, overlayText: '', focusText: '', actions: [], pageCleanup: true, device: '', compareUrl: '', compareLayout: 'side_by_side', primaryLabel: '', compareLabel: '', screenshotOnly: false }]);
       setNextRowId(nextRowId + 1);
     }
   };
@@ -465,6 +503,40 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
     }
   };
 
+  // Scene action editor handlers
+  const handleActionAdd = (rowId: number) => {
+    setTargetRows((rows) =>
+      rows.map((row) =>
+        row.id === rowId && row.actions.length < 20
+          ? { ...row, actions: [...row.actions, { ...ACTION_DEFAULTS.wait }] }
+          : row
+      )
+    );
+  };
+
+  const handleActionUpdate = (rowId: number, index: number, action: SceneAction) => {
+    setTargetRows((rows) =>
+      rows.map((row) =>
+        row.id === rowId
+          ? { ...row, actions: row.actions.map((existing, i) => (i === index ? action : existing)) }
+          : row
+      )
+    );
+  };
+
+  const handleActionRemove = (rowId: number, index: number) => {
+    setTargetRows((rows) =>
+      rows.map((row) =>
+        row.id === rowId ? { ...row, actions: row.actions.filter((_, i) => i !== index) } : row
+      )
+    );
+  };
+
+  // Handle title card update
+  const handleTitleCardUpdate = (kind: 'intro' | 'outro', field: string, value: string | number | boolean) => {
+    setTitleCards((prev) => ({ ...prev, [kind]: { ...prev[kind], [field]: value } }));
+  };
+
   // Handle target row update
   const handleRowUpdate = (id: number, field: string, value: any) => {
     setTargetRows(targetRows.map(row => {
@@ -547,6 +619,21 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       url: string;
       duration_sec: number;
       csv_column?: string;
+      overlays?: Array<{ text: string; start_sec: number; end_sec: number; style: 'lower_third' }>;
+      actions?: SceneAction[];
+      page_cleanup: boolean;
+      focus_targets?: Array<{ type: 'selector' | 'text' | 'anchor'; value: string }>;
+      hme_seed?: string;
+      device?: SceneDevice;
+      composite?: {
+        layout: 'side_by_side' | 'pip';
+        entry_type: 'manual' | 'csv';
+        url?: string;
+        csv_column?: string;
+        primary_label?: string;
+        secondary_label?: string;
+      };
+      capture_mode?: 'live' | 'screenshot';
     }> = [];
     let csvValidationError: string | null = null;
 
@@ -557,6 +644,74 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       // Skip empty URLs
       if (!url) return;
 
+      // Optional lower-third, shown for the first 5s of the scene
+      const overlayText = row.overlayText.trim();
+      const overlays = overlayText
+        ? [{ text: overlayText, start_sec: 0, end_sec: Math.min(5, duration), style: 'lower_third' as const }]
+        : undefined;
+
+      // "#id" is an anchor, ".class" / "[attr]" a CSS selector, anything else visible text.
+      // Only the motion engine visits focus targets, so scripted scenes skip them.
+      const focusText = row.actions.length === 0 ? row.focusText.trim() : '';
+      const focusTargets = focusText
+        ? [{
+            type: focusText.startsWith('#') ? 'anchor' as const : /^[.[]/.test(focusText) ? 'selector' as const : 'text' as const,
+            value: focusText,
+          }]
+        : undefined;
+
+      // Second site: a CSV column name picks the lead's value, anything else is a URL
+      const compareUrl = row.compareUrl.trim();
+      const composite = compareUrl
+        ? {
+            layout: row.compareLayout,
+            ...(csvData.columns.includes(compareUrl)
+              ? { entry_type: 'csv' as const, csv_column: compareUrl }
+              : { entry_type: 'manual' as const, url: compareUrl }),
+            primary_label: row.primaryLabel.trim() || undefined,
+            secondary_label: row.compareLabel.trim() || undefined,
+          }
+        : undefined;
+
+      // Only the motion engine is seeded; a stale column (CSV replaced) is ignored
+      const hmeSeed = row.actions.length === 0 && motionSeedColumn && csvData.columns.includes(motionSeedColumn)
+        ? `{{${motionSeedColumn}}}`
+        : undefined;
+
+      // Scripted actions replace the Human Motion Engine for this scene
+      const actions = row.actions.length > 0
+        ? row.actions.map((action) =>
+            action.type === 'clickText' || action.type === 'highlight'
+              ? { ...action, text: (action.text || '').trim() }
+              : action
+          )
+        : undefined;
+
+      if (actions?.some((action) => (action.type === 'clickText' || action.type === 'highlight') && !action.text)) {
+        csvValidationError = 'Click and highlight actions need the text to look for on the page.';
+        return;
+      }
+
+      // Same budget the recorder uses: clicks take ~0.8s, highlights default to 2s
+      const actionsMs = (actions || []).reduce(
+        (sum, action) => sum + (action.type === 'clickText' ? 800 : action.ms ?? 2000),
+        0
+      );
+      if (actionsMs > duration * 1000) {
+        csvValidationError = `Scripted actions for ${url} take ${actionsMs / 1000}s but the scene is only ${duration}s.`;
+        return;
+      }
+
+      if (overlayText) {
+        const unknown = findUnknownTemplateVariables(overlayText, csvData.columns);
+        if (unknown.length > 0) {
+          csvValidationError = csvData.columns.length > 0
+            ? `Overlay text uses unknown CSV column(s): ${unknown.join(', ')}`
+            : `Overlay text uses {{${unknown[0]}}} but no CSV file was uploaded.`;
+          return;
+        }
+      }
+
       // For CSV mode, resolve URL from uploaded CSV
       if (row.entryType === 'csv') {
         if (!csvData.columns.length || !csvData.data.length) {
@@ -581,6 +736,14 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
           url: firstRowValue,
           csv_column: url,
           duration_sec: duration,
+          overlays,
+          actions,
+          page_cleanup: row.pageCleanup,
+          focus_targets: focusTargets,
+          hme_seed: hmeSeed,
+          device: composite ? undefined : row.device || undefined,
+          composite,
+          capture_mode: row.screenshotOnly ? 'screenshot' : undefined,
         });
         return;
       }
@@ -589,6 +752,14 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
         entry_type: 'manual',
         url: url,
         duration_sec: duration,
+        overlays,
+        actions,
+        page_cleanup: row.pageCleanup,
+        focus_targets: focusTargets,
+        hme_seed: hmeSeed,
+        device: composite ? undefined : row.device || undefined,
+        composite,
+        capture_mode: row.screenshotOnly ? 'screenshot' : undefined,
       });
     });
 
@@ -597,6 +768,55 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       return;
     }
 
+    const buildTitleCard = (kind: 'intro' | 'outro') => {
+      const card = titleCards[kind];
+      if (!card.enabled) return null;
+      return {
+        enabled: true,
+        duration_sec: card.duration,
+        headline: card.headline.trim(),
+        cta_text: card.ctaText.trim(),
+        show_calendly: kind === 'outro',
+      };
+    };
+    const cursorSettings = { style: cursorStyle, auto_hand: true, click_ripple: true };
+    const cameraSettings = cameraZoom === 'off'
+      ? null
+      : { enabled: true, max_zoom: cameraZoom === 'strong' ? 1.6 : 1.3, ease_ms: 600, easing: 'smooth' };
+    const introCard = buildTitleCard('intro');
+    const outroCard = buildTitleCard('outro');
+
+    type RecordingAuthInput = { storage_state?: unknown; login_actions?: unknown[] };
+    let recordingAuth: RecordingAuthInput | null = null;
+    if (recordingAuthText.trim()) {
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(recordingAuthText);
+      } catch {
+        alert('Signed-in session must be valid JSON (a Playwright storage state or a list of login steps).');
+        return;
+      }
+      if (Array.isArray(parsed)) {
+        recordingAuth = { login_actions: parsed };
+      } else if (parsed && typeof parsed === 'object' && 'cookies' in parsed) {
+        recordingAuth = { storage_state: parsed };
+      } else if (parsed && typeof parsed === 'object' && ('storage_state' in parsed || 'login_actions' in parsed)) {
+        recordingAuth = parsed as RecordingAuthInput;
+      } else {
+        alert('Signed-in session must be a Playwright storage state ({ "cookies": [...] }) or a list of login steps.');
+        return;
+      }
+    }
+
+    for (const card of [introCard, outroCard]) {
+      if (!card) continue;
+      const unknown = findUnknownTemplateVariables(`${card.headline} ${card.cta_text}`, csvData.columns);
+      if (unknown.length > 0) {
+        alert(`Title card uses unknown CSV column(s): ${unknown.join(', ')}`);
+        return;
+      }
+    }
+
     // Validate we have at least one scene
     if (scenes.length === 0) {
       alert('Please configure at least one website target');
@@ -620,7 +840,8 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
         return;
       }
 
-      const totalDuration = scenes.reduce((sum, scene) => sum + scene.duration_sec, 0);
+      const totalDuration =
+        scenes.reduce((sum, scene) => sum + scene.duration_sec, 0) + getTitleCardsDuration();
       if (totalDuration !== facecamDurationSec) {
         const diff = facecamDurationSec - totalDuration;
         alert(
@@ -648,7 +869,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
       if (shouldUseFormData) {
         console.log('[handleLaunch] Creating campaign with multipart payload...');
         const formData = new FormData();
-        formData.append('data', JSON.stringify({ name, scenes, csv_meta: csvMeta }));
+        formData.append('data', JSON.stringify({ name, scenes, csv_meta: csvMeta, intro_card: introCard, outro_card: outroCard, hme_profile: hmeProfile, cursor_settings: cursorSettings, camera_settings: cameraSettings, recording_auth: recordingAuth }));
 
         if (uploadedVideo) {
           formData.append('facecam', uploadedVideo);
@@ -669,7 +890,7 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({ name, scenes, csv_meta: csvMeta }),
+          body: JSON.stringify({ name, scenes, csv_meta: csvMeta, intro_card: introCard, outro_card: outroCard, hme_profile: hmeProfile, cursor_settings: cursorSettings, camera_settings: cameraSettings, recording_auth: recordingAuth }),
         });
       }
 
@@ -1052,65 +1273,244 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
                 {/* Website Targets Container */}
                 <div className="space-y-4 mb-6">
                   {targetRows.map((row) => (
-                    <div key={row.id} className="website-target-row flex items-center gap-4 px-1">
-                      <select
-                        value={row.entryType}
-                        onChange={(e) => handleRowUpdate(row.id, 'entryType', e.target.value)}
-                        className="entry-type-select flex-none w-48 px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm appearance-none bg-[url('data:image/svg+xml;charset=UTF-8,%3csvg xmlns=%27http://www.w3.org/2000/svg%27 fill=%27none%27 viewBox=%270 0 20 20%27%3e%3cpath stroke=%27%236b7280%27 stroke-linecap=%27round%27 stroke-linejoin=%27round%27 stroke-width=%271.5%27 d=%27M6 8l4 4 4-4%27/%3e%3c/svg%3e')] bg-[length:1.5em_1.5em] bg-[right_0.5rem_center] bg-no-repeat pr-10"
-                      >
-                        <option value="manual">Manual Entry</option>
-                        <option value="csv">CSV Column</option>
-                      </select>
-
-                      <div className="url-input-container flex-1">
-                        {row.entryType === 'manual' ? (
+                    <div key={row.id} className="space-y-2">
+                      <div className="website-target-row flex items-center gap-4 px-1">
+                        <select
+                          value={row.entryType}
+                          onChange={(e) => handleRowUpdate(row.id, 'entryType', e.target.value)}
+                          className="entry-type-select flex-none w-48 px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm appearance-none bg-[url('data:image/svg+xml;charset=UTF-8,%3csvg xmlns=%27http://www.w3.org/2000/svg%27 fill=%27none%27 viewBox=%270 0 20 20%27%3e%3cpath stroke=%27%236b7280%27 stroke-linecap=%27round%27 stroke-linejoin=%27round%27 stroke-width=%271.5%27 d=%27M6 8l4 4 4-4%27/%3e%3c/svg%3e')] bg-[length:1.5em_1.5em] bg-[right_0.5rem_center] bg-no-repeat pr-10"
+                        >
+                          <option value="manual">Manual Entry</option>
+                          <option value="csv">CSV Column</option>
+                        </select>
+
+                        <div className="url-input-container flex-1">
+                          {row.entryType === 'manual' ? (
+                            <input
+                              type="text"
+                              value={row.urlValue}
+                              onChange={(e) => handleRowUpdate(row.id, 'urlValue', e.target.value)}
+                              placeholder="https://www.example.com"
+                              className="url-input w-full px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                            />
+                          ) : (
+                            <select
+                              value={row.urlValue}
+                              onChange={(e) => handleRowUpdate(row.id, 'urlValue', e.target.value)}
+                              className="url-input w-full px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm appearance-none bg-[url('data:image/svg+xml;charset=UTF-8,%3csvg xmlns=%27http://www.w3.org/2000/svg%27 fill=%27none%27 viewBox=%270 0 20 20%27%3e%3cpath stroke=%27%236b7280%27 stroke-linecap=%27round%27 stroke-linejoin=%27round%27 stroke-width=%271.5%27 d=%27M6 8l4 4 4-4%27/%3e%3c/svg%3e')] bg-[length:1.5em_1.5em] bg-[right_0.5rem_center] bg-no-repeat pr-10"
+                            >
+                              <option value="">Select column...</option>
+                              {getCSVColumnOptions().map(col => (
+                                <option key={col} value={col}>{col}</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
+
+                        <div className="flex items-center gap-2">
                           <input
-                            type="text"
-                            value={row.urlValue}
-                            onChange={(e) => handleRowUpdate(row.id, 'urlValue', e.target.value)}
-                            placeholder="https://www.example.com"
-                            className="url-input w-full px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                            type="number"
+                            value={row.duration}
+                            onChange={(e) => handleRowUpdate(row.id, 'duration', parseInt(e.target.value) || 0)}
+                            onBlur={(e) => handleDurationBlur(row.id, parseInt(e.target.value) || 0)}
+                            min="1"
+                            max="300"
+                            className="duration-input w-20 px-3 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark text-center focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
                           />
-                        ) : (
-                          <select
-                            value={row.urlValue}
-                            onChange={(e) => handleRowUpdate(row.id, 'urlValue', e.target.value)}
-                            className="url-input w-full px-4 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm appearance-none bg-[url('data:image/svg+xml;charset=UTF-8,%3csvg xmlns=%27http://www.w3.org/2000/svg%27 fill=%27none%27 viewBox=%270 0 20 20%27%3e%3cpath stroke=%27%236b7280%27 stroke-linecap=%27round%27 stroke-linejoin=%27round%27 stroke-width=%271.5%27 d=%27M6 8l4 4 4-4%27/%3e%3c/svg%3e')] bg-[length:1.5em_1.5em] bg-[right_0.5rem_center] bg-no-repeat pr-10"
-                          >
-                            <option value="">Select column...</option>
-                            {getCSVColumnOptions().map(col => (
-                              <option key={col} value={col}>{col}</option>
-                            ))}
-                          </select>
-                        )}
-                      </div>
+                          <span className="text-sm text-subtext-light dark:text-subtext-dark font-medium">sec</span>
+                          <div className="relative group">
+                            <span className="material-icons text-gray-400 dark:text-gray-500 text-sm cursor-help">info_outline</span>
+                            <div className="tooltip-text absolute left-0 top-6 w-56 bg-gray-900 text-white text-xs rounded-lg px-3 py-2 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-50 shadow-lg">
+                              Scene duration in seconds. Min 1s, max based on remaining time. Total campaign max: 300s (5 min).
+                            </div>
+                          </div>
+                        </div>
 
-                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleRemoveRow(row.id)}
+                          disabled={targetRows.length === 1}
+                          className="remove-target-btn flex-none p-2 text-subtext-light dark:text-subtext-dark hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-all duration-300 hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <span className="material-icons text-lg">close</span>
+                        </button>
+                      </div>
+                      <div className="flex items-center gap-2 px-1 pl-52">
+                        <span className="material-icons text-base text-subtext-light dark:text-subtext-dark">title</span>
                         <input
-                          type="number"
-                          value={row.duration}
-                          onChange={(e) => handleRowUpdate(row.id, 'duration', parseInt(e.target.value) || 0)}
-                          onBlur={(e) => handleDurationBlur(row.id, parseInt(e.target.value) || 0)}
-                          min="1"
-                          max="300"
-                          className="duration-input w-20 px-3 py-3 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark text-center focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                          type="text"
+                          value={row.overlayText}
+                          onChange={(e) => handleRowUpdate(row.id, 'overlayText', e.target.value)}
+                          placeholder="Optional overlay text, e.g. Hey {{first_name}}, here's your site"
+                          maxLength={200}
+                          className="flex-1 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                        />
+                        <label
+                          className="flex-none flex items-center gap-1.5 text-xs text-subtext-light dark:text-subtext-dark"
+                          title="Hide cookie banners, newsletter popups and chat widgets before recording"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={row.pageCleanup}
+                            onChange={(e) => handleRowUpdate(row.id, 'pageCleanup', e.target.checked)}
+                            className="rounded border-border-light dark:border-border-dark text-primary focus:ring-primary/50"
+                          />
+                          Hide popups
+                        </label>
+                        <label
+                          className="flex-none flex items-center gap-1.5 text-xs text-subtext-light dark:text-subtext-dark"
+                          title="For sites that block automated browsers: scroll through a full-page screenshot instead of recording live"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={row.screenshotOnly}
+                            onChange={(e) => handleRowUpdate(row.id, 'screenshotOnly', e.target.checked)}
+                            className="rounded border-border-light dark:border-border-dark text-primary focus:ring-primary/50"
+                          />
+                          Screenshot only
+                        </label>
+                      </div>
+                      <div className="flex items-center gap-2 px-1 pl-52">
+                        <span className="material-icons text-base text-subtext-light dark:text-subtext-dark">center_focus_strong</span>
+                        <input
+                          type="text"
+                          value={row.focusText}
+                          onChange={(e) => handleRowUpdate(row.id, 'focusText', e.target.value)}
+                          disabled={row.actions.length > 0}
+                          placeholder="Optional focus, e.g. Pricing, #testimonials or .pricing-table"
+                          maxLength={200}
+                          className="flex-1 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                        />
+                        <span className="material-icons text-base text-subtext-light dark:text-subtext-dark">smartphone</span>
+                        <select
+                          value={row.device}
+                          onChange={(e) => handleRowUpdate(row.id, 'device', e.target.value)}
+                          disabled={row.compareUrl.trim() !== ''}
+                          title="Record the website as a phone or tablet, framed in a device mockup"
+                          className="flex-none w-32 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                        >
+                          <option value="">Desktop</option>
+                          {SCENE_DEVICES.map((device) => (
+                            <option key={device} value={device}>{SCENE_DEVICE_LABELS[device]}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="flex items-center gap-2 px-1 pl-52">
+                        <span className="material-icons text-base text-subtext-light dark:text-subtext-dark">compare</span>
+                        <input
+                          type="text"
+                          value={row.compareUrl}
+                          onChange={(e) => handleRowUpdate(row.id, 'compareUrl', e.target.value)}
+                          placeholder={csvData.columns.length > 0 ? 'Optional second site: a URL or CSV column, e.g. competitor_url' : 'Optional second site, e.g. competitor.com'}
+                          maxLength={2000}
+                          className="flex-1 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                        />
+                        <select
+                          value={row.compareLayout}
+                          onChange={(e) => handleRowUpdate(row.id, 'compareLayout', e.target.value)}
+                          disabled={row.compareUrl.trim() === ''}
+                          className="flex-none w-32 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                        >
+                          <option value="side_by_side">Side by side</option>
+                          <option value="pip">Picture-in-picture</option>
+                        </select>
+                        <input
+                          type="text"
+                          value={row.primaryLabel}
+                          onChange={(e) => handleRowUpdate(row.id, 'primaryLabel', e.target.value)}
+                          disabled={row.compareUrl.trim() === ''}
+                          placeholder="Label, e.g. {{company}}"
+                          maxLength={60}
+                          className="flex-none w-40 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                        />
+                        <input
+                          type="text"
+                          value={row.compareLabel}
+                          onChange={(e) => handleRowUpdate(row.id, 'compareLabel', e.target.value)}
+                          disabled={row.compareUrl.trim() === ''}
+                          placeholder="Second label, e.g. Competitor"
+                          maxLength={60}
+                          className="flex-none w-40 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
                         />
-                        <span className="text-sm text-subtext-light dark:text-subtext-dark font-medium">sec</span>
-                        <div className="relative group">
-                          <span className="material-icons text-gray-400 dark:text-gray-500 text-sm cursor-help">info_outline</span>
-                          <div className="tooltip-text absolute left-0 top-6 w-56 bg-gray-900 text-white text-xs rounded-lg px-3 py-2 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-50 shadow-lg">
-                            Scene duration in seconds. Min 1s, max based on remaining time. Total campaign max: 300s (5 min).
-                          </div>
-                        </div>
                       </div>
 
-                      <button
-                        onClick={() => handleRemoveRow(row.id)}
-                        disabled={targetRows.length === 1}
-                        className="remove-target-btn flex-none p-2 text-subtext-light dark:text-subtext-dark hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-all duration-300 hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        <span className="material-icons text-lg">close</span>
-                      </button>
+                      {/* Scripted actions (optional - otherwise the motion engine browses the page) */}
+                      <div className="px-1 pl-52 space-y-2">
+                        {row.actions.map((action, index) => (
+                          <div key={index} className="flex items-center gap-2">
+                            <span className="text-xs text-subtext-light dark:text-subtext-dark w-4 text-right">{index + 1}.</span>
+                            <select
+                              value={action.type}
+                              onChange={(e) =>
+                                handleActionUpdate(row.id, index, { ...ACTION_DEFAULTS[e.target.value as SceneAction['type']] })
+                              }
+                              className="flex-none w-32 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                            >
+                              <option value="wait">Wait</option>
+                              <option value="clickText">Click text</option>
+                              <option value="highlight">Highlight text</option>
+                              <option value="scroll">Scroll</option>
+                            </select>
+                            {(action.type === 'clickText' || action.type === 'highlight') && (
+                              <input
+                                type="text"
+                                value={action.text || ''}
+                                onChange={(e) => handleActionUpdate(row.id, index, { ...action, text: e.target.value })}
+                                placeholder="Text on the page, e.g. Pricing"
+                                maxLength={100}
+                                className="flex-1 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                              />
+                            )}
+                            {action.type === 'scroll' && (
+                              <select
+                                value={action.pattern || 'slow-drift'}
+                                onChange={(e) =>
+                                  handleActionUpdate(row.id, index, {
+                                    ...action,
+                                    pattern: e.target.value as SceneAction['pattern'],
+                                  })
+                                }
+                                className="flex-1 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                              >
+                                <option value="slow-drift">Slow drift</option>
+                                <option value="pause-peek">Pause and peek back</option>
+                              </select>
+                            )}
+                            {action.type === 'wait' && <div className="flex-1" />}
+                            {action.type !== 'clickText' && (
+                              <div className="flex items-center gap-1">
+                                <input
+                                  type="number"
+                                  value={(action.ms ?? 0) / 1000}
+                                  onChange={(e) =>
+                                    handleActionUpdate(row.id, index, {
+                                      ...action,
+                                      ms: Math.round((parseFloat(e.target.value) || 0) * 1000),
+                                    })
+                                  }
+                                  min="0.5"
+                                  step="0.5"
+                                  className="w-20 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark text-center focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                                />
+                                <span className="text-xs text-subtext-light dark:text-subtext-dark">sec</span>
+                              </div>
+                            )}
+                            <button
+                              onClick={() => handleActionRemove(row.id, index)}
+                              className="flex-none p-1 text-subtext-light dark:text-subtext-dark hover:text-red-500 rounded-lg transition-colors duration-300"
+                            >
+                              <span className="material-icons text-base">close</span>
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          onClick={() => handleActionAdd(row.id)}
+                          disabled={row.actions.length >= 20}
+                          className="flex items-center text-xs font-medium text-subtext-light dark:text-subtext-dark hover:text-primary transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <span className="material-icons text-base mr-1">smart_button</span>
+                          {row.actions.length === 0 ? 'Script actions (optional)' : 'Add action'}
+                        </button>
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -1125,6 +1525,155 @@ const CampaignWizard: React.FC<CampaignWizardProps> = ({ isOpen, onClose }) => {
                   Add website
                 </button>
 
+                {/* Behavior profile */}
+                <div className="flex items-center gap-4 mb-4 px-1">
+                  <label htmlFor="hme-profile" className="flex-none w-48 text-sm font-medium text-text-light dark:text-text-dark">
+                    Browsing style
+                  </label>
+                  <select
+                    id="hme-profile"
+                    value={hmeProfile}
+                    onChange={(e) => setHmeProfile(e.target.value as HmeProfile)}
+                    className="flex-none w-48 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                  >
+                    {HME_PROFILES.map((profile) => (
+                      <option key={profile} value={profile}>{HME_PROFILE_LABELS[profile]}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-subtext-light dark:text-subtext-dark">
+                    How the cursor moves on websites without scripted actions.
+                  </p>
+                </div>
+                {csvData.columns.length > 0 && (
+                  <div className="flex items-center gap-4 mb-4 px-1">
+                    <label htmlFor="motion-seed" className="flex-none w-48 text-sm font-medium text-text-light dark:text-text-dark">
+                      Motion per lead
+                    </label>
+                    <select
+                      id="motion-seed"
+                      value={motionSeedColumn}
+                      onChange={(e) => setMotionSeedColumn(e.target.value)}
+                      className="flex-none w-48 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                    >
+                      <option value="">Same for every lead</option>
+                      {csvData.columns.map((column) => (
+                        <option key={column} value={column}>Vary by {column}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-subtext-light dark:text-subtext-dark">
+                      Gives each lead&apos;s video its own cursor and scroll path.
+                    </p>
+                  </div>
+                )}
+                <div className="flex items-center gap-4 mb-4 px-1">
+                  <label htmlFor="cursor-style" className="flex-none w-48 text-sm font-medium text-text-light dark:text-text-dark">
+                    Cursor
+                  </label>
+                  <select
+                    id="cursor-style"
+                    value={cursorStyle}
+                    onChange={(e) => setCursorStyle(e.target.value as typeof cursorStyle)}
+                    className="flex-none w-48 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                  >
+                    <option value="dot">Dot</option>
+                    <option value="mac">macOS arrow</option>
+                    <option value="windows">Windows arrow</option>
+                    <option value="spotlight">Spotlight ring</option>
+                  </select>
+                  <p className="text-xs text-subtext-light dark:text-subtext-dark">
+                    Switches to a hand over links and shows a ripple on clicks.
+                  </p>
+                </div>
+                <div className="flex items-center gap-4 mb-4 px-1">
+                  <label htmlFor="camera-zoom" className="flex-none w-48 text-sm font-medium text-text-light dark:text-text-dark">
+                    Camera zoom
+                  </label>
+                  <select
+                    id="camera-zoom"
+                    value={cameraZoom}
+                    onChange={(e) => setCameraZoom(e.target.value as typeof cameraZoom)}
+                    className="flex-none w-48 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                  >
+                    <option value="off">Off</option>
+                    <option value="subtle">Subtle</option>
+                    <option value="strong">Strong</option>
+                  </select>
+                  <p className="text-xs text-subtext-light dark:text-subtext-dark">
+                    Eases in on whatever the cursor is pointing at, then back out.
+                  </p>
+                </div>
+                <div className="flex items-start gap-4 mb-4 px-1">
+                  <label htmlFor="recording-auth" className="flex-none w-48 pt-2 text-sm font-medium text-text-light dark:text-text-dark">
+                    Signed-in session
+                  </label>
+                  <div className="flex-1 space-y-1">
+                    <textarea
+                      id="recording-auth"
+                      value={recordingAuthText}
+                      onChange={(e) => setRecordingAuthText(e.target.value)}
+                      rows={3}
+                      spellCheck={false}
+                      placeholder='Optional. Paste a Playwright storage state ({"cookies": [...]}) or login steps ([{"type": "goto", "url": "..."}, ...])'
+                      className="w-full px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs font-mono text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm"
+                    />
+                    <p className="text-xs text-subtext-light dark:text-subtext-dark">
+                      Records pages behind a login. Stored encrypted and only used by the recorder.
+                    </p>
+                  </div>
+                </div>
+
+                {/* Title Cards */}
+                <div className="space-y-3 mb-6 px-1">
+                  {(['intro', 'outro'] as const).map((kind) => (
+                    <div key={kind} className="flex items-center gap-4">
+                      <label className="flex-none w-48 flex items-center gap-2 text-sm font-medium text-text-light dark:text-text-dark cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={titleCards[kind].enabled}
+                          onChange={(e) => handleTitleCardUpdate(kind, 'enabled', e.target.checked)}
+                          className="rounded border-border-light dark:border-border-dark text-primary focus:ring-primary/50"
+                        />
+                        {kind === 'intro' ? 'Intro card' : 'Outro card'}
+                      </label>
+                      <input
+                        type="text"
+                        value={titleCards[kind].headline}
+                        onChange={(e) => handleTitleCardUpdate(kind, 'headline', e.target.value)}
+                        disabled={!titleCards[kind].enabled}
+                        placeholder={kind === 'intro' ? 'Headline, e.g. Hi {{first_name}}' : 'Headline, e.g. Thanks for watching'}
+                        maxLength={120}
+                        className="flex-1 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                      />
+                      <input
+                        type="text"
+                        value={titleCards[kind].ctaText}
+                        onChange={(e) => handleTitleCardUpdate(kind, 'ctaText', e.target.value)}
+                        disabled={!titleCards[kind].enabled}
+                        placeholder={kind === 'intro' ? 'Subtext (optional)' : 'CTA, e.g. Book a 15 min call'}
+                        maxLength={160}
+                        className="flex-1 px-4 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-xs text-text-light dark:text-text-dark placeholder-subtext-light dark:placeholder-subtext-dark focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                      />
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          value={titleCards[kind].duration}
+                          onChange={(e) =>
+                            handleTitleCardUpdate(kind, 'duration', Math.min(15, Math.max(1, parseInt(e.target.value) || 1)))
+                          }
+                          disabled={!titleCards[kind].enabled}
+                          min="1"
+                          max="15"
+                          className="duration-input w-20 px-3 py-2 bg-foreground-light dark:bg-foreground-dark border border-border-light dark:border-border-dark rounded-xl text-sm text-text-light dark:text-text-dark text-center focus:outline-none focus:ring-2 focus:ring-primary/50 focus:border-primary transition-all duration-300 shadow-sm disabled:opacity-50"
+                        />
+                        <span className="text-sm text-subtext-light dark:text-subtext-dark font-medium">sec</span>
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-xs text-subtext-light dark:text-subtext-dark pl-52">
+                    Cards use your brand logo and name; the outro also shows your Calendly link. Card time counts towards the facecam length.
+                  </p>
+                </div>
+
                 {/* Total Duration */}
                 <div className="flex justify-end">
                   <p className="text-sm text-subtext-light dark:text-subtext-dark">
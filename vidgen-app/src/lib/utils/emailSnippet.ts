@@ -0,0 +1,32 @@
+interface EmailSnippetRender {
+  public_id: string;
+  gif_url?: string | null;
+  play_thumb_url?: string | null;
+  thumb_url?: string | null;
+}
+
+const escapeAttr = (value: string) =>
+  value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Build an email-ready HTML snippet: a linked preview image pointing at /v/[publicId]
+ * Prefers the animated GIF, then the play-button poster, then the plain poster.
+ * @param render Render with public_id and preview asset URLs
+ * @param siteUrl Origin the public viewer is served from
+ * @returns HTML string, or null if the render has no preview image
+ */
+export function buildEmailSnippet(render: EmailSnippetRender, siteUrl: string): string | null {
+  const imageUrl = render.gif_url || render.play_thumb_url || render.thumb_url;
+  if (!imageUrl) {
+    return null;
+  }
+
+  const href = `${siteUrl.replace(/\/+$/, '')}/v/${render.public_id}`;
+
+  return (
+    `<a href="${escapeAttr(href)}" target="_blank" style="text-decoration:none;">` +
+    `<img src="${escapeAttr(imageUrl)}" alt="Watch the video" width="480" ` +
+    `style="display:block;width:100%;max-width:480px;height:auto;border:0;border-radius:8px;" />` +
+    `</a>`
+  );
+}
@@ -0,0 +1,15 @@
+/**
+ * Human Motion Engine behavior profiles
+ * Must match the profile names in loom-lite/src/hme/profiles.js
+ */
+export const HME_PROFILES = ['default', 'skim', 'deep_read', 'pricing_focus', 'calm'] as const;
+
+export type HmeProfile = (typeof HME_PROFILES)[number];
+
+export const HME_PROFILE_LABELS: Record<HmeProfile, string> = {
+  default: 'Balanced',
+  skim: 'Skim',
+  deep_read: 'Deep read',
+  pricing_focus: 'Pricing focus',
+  calm: 'Calm',
+};
@@ -0,0 +1,48 @@
+import { createCipheriv, randomBytes } from 'crypto';
+
+/**
+ * Signed-in recording session for a campaign
+ * Decrypted only by the worker (loom-lite/src/utils/recordingAuth.js)
+ */
+export interface RecordingAuthPayload {
+  /** Playwright storage state: { cookies, origins } */
+  storage_state?: Record<string, unknown>;
+  /** Scripted login steps, run once per render before recording */
+  login_actions?: Array<Record<string, unknown>>;
+}
+
+const FORMAT_VERSION = 'v1';
+
+function loadKey(): Buffer {
+  const raw = process.env.RECORDING_AUTH_KEY ?? '';
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('RECORDING_AUTH_KEY must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+}
+
+/**
+ * Whether the server can store recording auth (RECORDING_AUTH_KEY is set and valid)
+ */
+export function isRecordingAuthConfigured(): boolean {
+  try {
+    loadKey();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt recording auth for campaigns.recording_auth
+ * @param payload Storage state and/or login steps
+ * @returns "v1.<iv>.<tag>.<ciphertext>" (base64 parts, AES-256-GCM)
+ */
+export function encryptRecordingAuth(payload: RecordingAuthPayload): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', loadKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [FORMAT_VERSION, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join('.');
+}
@@ -0,0 +1,55 @@
+/**
+ * Structured render failure (renders.failure)
+ * Written by the worker (loom-lite/src/utils/jobFailures.js) when a job fails
+ */
+export interface RenderFailure {
+  /** transient failures are retried automatically until max_attempts */
+  kind: 'transient' | 'permanent';
+  code: string;
+  message: string;
+  /** Render status the job had reached (recording, uploading, ...) */
+  stage: string | null;
+  attempt: number;
+  max_attempts: number;
+  failed_at: string;
+  /** Set while an automatic retry is pending */
+  retry_at: string | null;
+}
+
+const FAILURE_CODE_LABELS: Record<string, string> = {
+  bad_url: 'Website not reachable',
+  duration_mismatch: 'Scene durations do not match the facecam',
+  csv_row: 'Problem with this lead row',
+  recording_auth: 'Signed-in recording is misconfigured',
+  rate_limited: 'Rate limited',
+  steel: 'Browser service unavailable',
+  browser: 'Browser crashed',
+  network: 'Network timeout',
+  ffmpeg: 'Video encoding failed',
+  storage: 'Upload failed',
+  worker_lost: 'Render worker stopped responding',
+  invalid_input: 'Invalid campaign settings',
+  unknown: 'Unexpected error',
+};
+
+/**
+ * Short human label for a failure code
+ */
+export function getFailureLabel(failure: RenderFailure): string {
+  return FAILURE_CODE_LABELS[failure.code] ?? FAILURE_CODE_LABELS.unknown;
+}
+
+/**
+ * One-line explanation of where a failed render stands
+ */
+export function describeFailureOutcome(failure: RenderFailure): string {
+  if (failure.retry_at) {
+    return `Retrying (attempt ${failure.attempt + 1} of ${failure.max_attempts}) at ${new Date(
+      failure.retry_at
+    ).toLocaleTimeString()}`;
+  }
+  if (failure.kind === 'permanent') {
+    return 'Will not succeed on its own; fix the input, then retry';
+  }
+  return `Gave up after ${failure.attempt} attempt${failure.attempt === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,88 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+/**
+ * Per-user render quota (get_render_quota in loom-lite/migrations/add_job_priorities_quotas.sql)
+ * Both limits are enforced by claim_render_job; jobs over a limit stay queued.
+ */
+export interface RenderQuota {
+  max_concurrent_jobs: number;
+  /** null = unlimited */
+  monthly_render_minutes: number | null;
+  active_jobs: number;
+  queued_jobs: number;
+  /** Video seconds claimed this month (running and completed renders) */
+  used_seconds: number;
+  /** Video seconds still waiting in the queue */
+  queued_seconds: number;
+  period_start: string;
+  period_end: string;
+}
+
+/**
+ * render_jobs.priority values users can queue at
+ * Higher priorities are reserved for operators.
+ */
+export const RENDER_PRIORITIES = {
+  normal: 0,
+  low: -1,
+} as const;
+
+export type RenderPriority = keyof typeof RENDER_PRIORITIES;
+
+/**
+ * Load the signed-in user's quota state
+ * @returns null when the quota functions are not installed or the call fails
+ */
+export async function fetchRenderQuota(supabase: SupabaseClient): Promise<RenderQuota | null> {
+  const { data, error } = await supabase.rpc('get_render_quota');
+  const row = Array.isArray(data) ? data[0] : data;
+
+  if (error || !row) {
+    if (error) {
+      console.error('[renderQuota] get_render_quota failed:', error);
+    }
+    return null;
+  }
+
+  return {
+    max_concurrent_jobs: Number(row.max_concurrent_jobs),
+    monthly_render_minutes: row.monthly_render_minutes === null ? null : Number(row.monthly_render_minutes),
+    active_jobs: Number(row.active_jobs),
+    queued_jobs: Number(row.queued_jobs),
+    used_seconds: Number(row.used_seconds),
+    queued_seconds: Number(row.queued_seconds),
+    period_start: row.period_start,
+    period_end: row.period_end,
+  };
+}
+
+/**
+ * Video seconds left this month once the queue has rendered
+ * @returns null for unlimited quotas
+ */
+export function getRemainingRenderSeconds(quota: RenderQuota): number | null {
+  if (quota.monthly_render_minutes === null) return null;
+  return Math.max(0, quota.monthly_render_minutes * 60 - quota.used_seconds - quota.queued_seconds);
+}
+
+/**
+ * Why rendering `requestedSeconds` more video would go over the monthly minutes
+ * (the concurrent-job limit only delays claiming, so it never rejects a batch)
+ * @returns null when the render fits (or there is no quota to check)
+ */
+export function getQuotaExceededError(
+  quota: RenderQuota | null,
+  requestedSeconds: number
+): { message: string; retryAfterSec: number } | null {
+  if (!quota) return null;
+
+  const remainingSeconds = getRemainingRenderSeconds(quota);
+  if (remainingSeconds === null || requestedSeconds <= remainingSeconds) return null;
+
+  return {
+    message: `This render needs ${Math.ceil(requestedSeconds / 60)} min of video but only ${Math.floor(
+      remainingSeconds / 60
+    )} of your ${quota.monthly_render_minutes} monthly minutes are left`,
+    retryAfterSec: Math.max(0, Math.ceil((new Date(quota.period_end).getTime() - Date.now()) / 1000)),
+  };
+}
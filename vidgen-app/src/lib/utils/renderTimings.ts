@@ -0,0 +1,95 @@
+/**
+ * Per-stage wall-clock timing of a render attempt (render_stage_timings)
+ * Written by the worker (loom-lite/src/pipeline/stageTimings.js) when the attempt ends
+ */
+export interface RenderStageTiming {
+  stage: string;
+  /** null for stages that run once per render */
+  scene_index: number | null;
+  duration_ms: number;
+  /** false when the stage threw (e.g. a recording attempt that was retried) */
+  ok: boolean;
+  started_at: string;
+}
+
+export interface StageSummary {
+  stage: string;
+  label: string;
+  totalMs: number;
+  /** Per-scene durations, for stages that run once per scene */
+  scenes: { sceneIndex: number; durationMs: number }[];
+  failedRuns: number;
+}
+
+// Pipeline order; unknown stages are listed after these
+const STAGE_LABELS: Record<string, string> = {
+  navigation: 'Navigation',
+  page_ready: 'Page ready wait',
+  hme: 'Human motion',
+  actions: 'Scripted actions',
+  finalize: 'Buffer + save',
+  screenshot: 'Screenshot capture',
+  normalize: 'Normalize',
+  title_card: 'Title cards',
+  concat: 'Concat',
+  overlay: 'Facecam overlay',
+  branding: 'Branding',
+  package_hls: 'HLS packaging',
+  thumbnail: 'Thumbnail',
+  email_assets: 'Email assets',
+  upload: 'Upload',
+};
+
+const STAGE_ORDER = Object.keys(STAGE_LABELS);
+
+/**
+ * Total time per stage in pipeline order, with the per-scene split
+ */
+export function summarizeStageTimings(timings: RenderStageTiming[]): StageSummary[] {
+  const byStage = new Map<string, StageSummary>();
+
+  for (const timing of timings) {
+    let summary = byStage.get(timing.stage);
+    if (!summary) {
+      summary = {
+        stage: timing.stage,
+        label: STAGE_LABELS[timing.stage] ?? timing.stage,
+        totalMs: 0,
+        scenes: [],
+        failedRuns: 0,
+      };
+      byStage.set(timing.stage, summary);
+    }
+
+    summary.totalMs += timing.duration_ms;
+    if (!timing.ok) summary.failedRuns += 1;
+
+    if (timing.scene_index !== null) {
+      const scene = summary.scenes.find((entry) => entry.sceneIndex === timing.scene_index);
+      if (scene) {
+        scene.durationMs += timing.duration_ms;
+      } else {
+        summary.scenes.push({ sceneIndex: timing.scene_index, durationMs: timing.duration_ms });
+      }
+    }
+  }
+
+  const rank = (stage: string) => {
+    const index = STAGE_ORDER.indexOf(stage);
+    return index === -1 ? STAGE_ORDER.length : index;
+  };
+
+  return [...byStage.values()]
+    .map((summary) => ({ ...summary, scenes: summary.scenes.sort((a, b) => a.sceneIndex - b.sceneIndex) }))
+    .sort((a, b) => rank(a.stage) - rank(b.stage));
+}
+
+/**
+ * Compact duration, e.g. 850ms, 12.4s, 3m 05s
+ */
+export function formatStageDuration(ms: number): string {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const totalSec = Math.round(ms / 1000);
+  return `${Math.floor(totalSec / 60)}m ${String(totalSec % 60).padStart(2, '0')}s`;
+}
@@ -0,0 +1,13 @@
+/**
+ * Device profiles a scene can be recorded as (phone/tablet mockups)
+ * Must match DEVICE_PROFILES in loom-lite/src/recording/devices.js
+ */
+export const SCENE_DEVICES = ['iphone', 'pixel', 'ipad'] as const;
+
+export type SceneDevice = (typeof SCENE_DEVICES)[number];
+
+export const SCENE_DEVICE_LABELS: Record<SceneDevice, string> = {
+  iphone: 'iPhone',
+  pixel: 'Pixel',
+  ipad: 'iPad',
+};
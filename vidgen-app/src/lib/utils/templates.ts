@@ -0,0 +1,21 @@
+const TEMPLATE_VAR = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Extract {{variable}} names from an overlay template
+ * @param template Text such as "Hey {{first_name}}, here's {{company}}'s site"
+ * @returns Unique variable names in order of appearance
+ */
+export function extractTemplateVariables(template: string): string[] {
+  const names = Array.from(template.matchAll(TEMPLATE_VAR), (match) => match[1]);
+  return Array.from(new Set(names));
+}
+
+/**
+ * List template variables that are not CSV headers
+ * @param template Overlay template text
+ * @param headers Lead CSV headers (empty when the campaign has no CSV)
+ * @returns Variable names with no matching column
+ */
+export function findUnknownTemplateVariables(template: string, headers: string[]): string[] {
+  return extractTemplateVariables(template).filter((name) => !headers.includes(name));
+}